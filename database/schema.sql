@@ -35,9 +35,10 @@ CREATE TABLE IF NOT EXISTS customers (
     prescription_count INTEGER DEFAULT 0,
     communication_preference VARCHAR(50) DEFAULT 'Email',
     marketing_consent BOOLEAN DEFAULT FALSE,
-    status VARCHAR(20) DEFAULT 'Active',
+    status VARCHAR(20) DEFAULT 'Active', -- Active, Inactive, Guest, Merged
     telegram_id VARCHAR(50),
     whatsapp_phone VARCHAR(20),
+    merged_into VARCHAR(50), -- the customer this one was merged into, while status is Merged
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -122,9 +123,135 @@ CREATE TABLE IF NOT EXISTS sales_history (
     refill_number INTEGER,
     original_prescription_date DATE,
     notes TEXT,
+    order_id VARCHAR(50), -- groups line items checked out together
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Shopping carts (one active cart per customer)
+CREATE TABLE IF NOT EXISTS carts (
+    id SERIAL PRIMARY KEY,
+    cart_id VARCHAR(50) UNIQUE NOT NULL,
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(customer_id),
+    status VARCHAR(20) DEFAULT 'active', -- active, checked_out, abandoned
+    promotion_id VARCHAR(50),
+    channel VARCHAR(50),
+    order_id VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+    id SERIAL PRIMARY KEY,
+    cart_id VARCHAR(50) NOT NULL REFERENCES carts(cart_id) ON DELETE CASCADE,
+    product_id VARCHAR(50) NOT NULL REFERENCES products(product_id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cart_id, product_id)
+);
+
+-- Orders created at checkout; line items are the sales_history rows with the same order_id
+CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    order_id VARCHAR(50) UNIQUE NOT NULL,
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(customer_id),
+    cart_id VARCHAR(50),
+    subtotal DECIMAL(10,2) NOT NULL,
+    discount_total DECIMAL(10,2) DEFAULT 0.00,
+    total DECIMAL(10,2) NOT NULL,
+    promotion_id VARCHAR(50),
+    payment_method VARCHAR(50),
+    loyalty_points_earned INTEGER DEFAULT 0,
+    channel VARCHAR(50),
+    -- pending, confirmed, awaiting_prescription, ready_for_pickup, out_for_delivery, delivered, cancelled, refunded
+    status VARCHAR(30) NOT NULL DEFAULT 'pending',
+    status_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Append-only record of every order status change
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id VARCHAR(50) NOT NULL REFERENCES orders(order_id),
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    changed_by VARCHAR(100),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prescriptions on file for a customer
+CREATE TABLE IF NOT EXISTS prescriptions (
+    id SERIAL PRIMARY KEY,
+    prescription_id VARCHAR(50) UNIQUE NOT NULL,
+    prescription_number VARCHAR(100), -- pharmacy Rx number, matches sales_history.prescription_number
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(customer_id),
+    product_id VARCHAR(50) REFERENCES products(product_id),
+    drug_name VARCHAR(255) NOT NULL,
+    strength VARCHAR(100),
+    dosage_instructions TEXT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    refills_authorized INTEGER NOT NULL DEFAULT 0 CHECK (refills_authorized >= 0),
+    refills_remaining INTEGER NOT NULL DEFAULT 0 CHECK (refills_remaining >= 0),
+    prescriber_name VARCHAR(255) NOT NULL,
+    prescriber_npi VARCHAR(20),
+    prescriber_phone VARCHAR(20),
+    written_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    expiry_date DATE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active', -- active, completed, expired, cancelled
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refill requests against a prescription
+CREATE TABLE IF NOT EXISTS prescription_refills (
+    id SERIAL PRIMARY KEY,
+    request_id VARCHAR(50) UNIQUE NOT NULL,
+    prescription_id VARCHAR(50) NOT NULL REFERENCES prescriptions(prescription_id),
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(customer_id),
+    refill_number INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'requested', -- requested, processing, ready, picked_up, cancelled
+    channel VARCHAR(50),
+    handled_by VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pharmacist verification queue: one row per order line with a prescription-required product
+CREATE TABLE IF NOT EXISTS prescription_verifications (
+    id SERIAL PRIMARY KEY,
+    verification_id VARCHAR(50) UNIQUE NOT NULL,
+    order_id VARCHAR(50) NOT NULL REFERENCES orders(order_id),
+    transaction_id VARCHAR(50) NOT NULL REFERENCES sales_history(transaction_id),
+    customer_id VARCHAR(50) NOT NULL REFERENCES customers(customer_id),
+    product_id VARCHAR(50) REFERENCES products(product_id),
+    prescription_id VARCHAR(50) REFERENCES prescriptions(prescription_id),
+    status VARCHAR(20) DEFAULT 'pending', -- pending, claimed, approved, rejected, cancelled
+    pharmacist_id VARCHAR(50),
+    claimed_at TIMESTAMP,
+    decided_at TIMESTAMP,
+    decision_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ingredient-level drug interactions; pairs are stored lowercase with ingredient_a < ingredient_b
+CREATE TABLE IF NOT EXISTS drug_interactions (
+    id SERIAL PRIMARY KEY,
+    ingredient_a VARCHAR(100) NOT NULL,
+    ingredient_b VARCHAR(100) NOT NULL,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('low', 'moderate', 'high')),
+    description TEXT NOT NULL,
+    source VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ingredient_a, ingredient_b),
+    CHECK (ingredient_a < ingredient_b)
+);
+
 -- Conversations table for AI context
 CREATE TABLE IF NOT EXISTS conversations (
     id SERIAL PRIMARY KEY,
@@ -132,11 +259,40 @@ CREATE TABLE IF NOT EXISTS conversations (
     recent_messages JSONB,
     context_data JSONB,
     last_intent VARCHAR(100),
+    bot_paused BOOLEAN DEFAULT FALSE, -- set while a staff member handles the conversation
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(customer_id)
 );
 
+-- Conversations escalated to a human; at most one open handoff per customer
+CREATE TABLE IF NOT EXISTS handoffs (
+    id SERIAL PRIMARY KEY,
+    handoff_id VARCHAR(50) UNIQUE NOT NULL,
+    customer_id VARCHAR(50) NOT NULL,
+    channel VARCHAR(50), -- channel the customer was using when escalated
+    status VARCHAR(20) DEFAULT 'open', -- open, assigned, resolved
+    reason VARCHAR(50) NOT NULL, -- high_urgency, negative_sentiment, explicit_request, low_confidence, emergency, manual
+    reason_details JSONB,
+    assigned_to VARCHAR(100),
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages exchanged while a handoff is active
+CREATE TABLE IF NOT EXISTS handoff_messages (
+    id SERIAL PRIMARY KEY,
+    handoff_id VARCHAR(50) NOT NULL REFERENCES handoffs(handoff_id),
+    sender VARCHAR(20) NOT NULL, -- customer, staff, system
+    staff_id VARCHAR(100),
+    message TEXT NOT NULL,
+    channel VARCHAR(50),
+    delivered BOOLEAN DEFAULT TRUE, -- false for staff replies waiting for a web client to fetch them
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Conversation logs for analytics
 CREATE TABLE IF NOT EXISTS conversation_logs (
     id SERIAL PRIMARY KEY,
@@ -148,16 +304,92 @@ CREATE TABLE IF NOT EXISTS conversation_logs (
     channel VARCHAR(50), -- telegram, whatsapp, web
     response_time_ms INTEGER,
     tokens_used INTEGER,
+    guardrail_action VARCHAR(20) DEFAULT 'allow', -- allow, rewrite, block, emergency
+    guardrail_violations JSONB, -- [{ type, excerpt, resolution, details }] for the original response
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages exchanged with messaging platforms: inbound IDs for deduplicating
+-- redelivered webhooks, outbound IDs for delivery status callbacks
+CREATE TABLE IF NOT EXISTS channel_messages (
+    id SERIAL PRIMARY KEY,
+    channel VARCHAR(50) NOT NULL, -- whatsapp, telegram
+    direction VARCHAR(10) NOT NULL, -- inbound, outbound
+    message_id VARCHAR(255) NOT NULL, -- platform message or update ID
+    customer_id VARCHAR(50),
+    recipient VARCHAR(100), -- platform address of the other party
+    message_type VARCHAR(50),
+    status VARCHAR(20) NOT NULL, -- inbound: received; outbound: accepted, sent, delivered, read, failed
+    status_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    error_code VARCHAR(50),
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (channel, direction, message_id)
+);
+
+-- Web chat sessions. Guests get a customer row of their own (status Guest) until they
+-- identify; customer_id then points at the customer the session was linked to
+CREATE TABLE IF NOT EXISTS web_chat_sessions (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(50) UNIQUE NOT NULL,
+    customer_id VARCHAR(50) NOT NULL,
+    guest_customer_id VARCHAR(50) NOT NULL,
+    identified_at TIMESTAMP,
+    pending_customer_id VARCHAR(50), -- existing customer awaiting code verification
+    verification_code_hash VARCHAR(64),
+    verification_expires_at TIMESTAMP,
+    verification_attempts INTEGER DEFAULT 0,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer merges, with what is needed to undo them: the row ids moved per table,
+-- both customers as they were before, and the source's conversation if it was dropped
+CREATE TABLE IF NOT EXISTS customer_merges (
+    id SERIAL PRIMARY KEY,
+    merge_id VARCHAR(50) UNIQUE NOT NULL,
+    source_customer_id VARCHAR(50) NOT NULL, -- merged away, left with status Merged
+    target_customer_id VARCHAR(50) NOT NULL, -- the surviving customer
+    reason VARCHAR(50) NOT NULL, -- manual, verified_code, telegram_contact, web_chat
+    merged_by VARCHAR(50), -- staff user or API key; NULL when the customer verified themselves
+    moved_rows JSONB NOT NULL, -- { table: [id, ...] }
+    filled_fields JSONB NOT NULL, -- target columns set from the source: { column: value }
+    source_before JSONB NOT NULL,
+    target_before JSONB NOT NULL,
+    dropped_conversation JSONB,
+    status VARCHAR(20) DEFAULT 'merged', -- merged, undone
+    undone_by VARCHAR(50),
+    undone_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time codes proving a chatting customer owns another customer's phone or email
+CREATE TABLE IF NOT EXISTS identity_verifications (
+    id SERIAL PRIMARY KEY,
+    verification_id VARCHAR(50) UNIQUE NOT NULL,
+    customer_id VARCHAR(50) NOT NULL, -- who asked, merged into target on success
+    target_customer_id VARCHAR(50) NOT NULL, -- who owns the contact; the code went there
+    channel VARCHAR(50), -- where the code was delivered
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, verified, superseded
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Product embeddings for vector search
 CREATE TABLE IF NOT EXISTS product_embeddings (
     id SERIAL PRIMARY KEY,
-    product_id VARCHAR(50) NOT NULL,
+    product_id VARCHAR(50) UNIQUE NOT NULL,
     embedding VECTOR(1536),
+    content_hash VARCHAR(64), -- hash of the text that was embedded, to skip unchanged products
+    model VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (product_id) REFERENCES products(product_id)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
 );
 
 -- N8N workflow logs
@@ -186,6 +418,99 @@ CREATE TABLE IF NOT EXISTS analytics_events (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-channel daily totals written by the analytics rollup job
+CREATE TABLE IF NOT EXISTS analytics_daily_rollups (
+    id SERIAL PRIMARY KEY,
+    rollup_date DATE NOT NULL,
+    channel VARCHAR(50) NOT NULL,
+    conversations INTEGER DEFAULT 0,
+    orders INTEGER DEFAULT 0,
+    revenue DECIMAL(12,2) DEFAULT 0.00,
+    discounts DECIMAL(12,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (rollup_date, channel)
+);
+
+-- Append-only record of who read or changed which record. Each row's hash covers its
+-- own fields and the previous row's hash, so editing or removing a row breaks the chain
+-- from that point on (see AuditService.verifyChain)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_type VARCHAR(20) NOT NULL, -- user, api_key, system
+    actor_id VARCHAR(100),
+    actor_role VARCHAR(20),
+    action VARCHAR(50) NOT NULL, -- read, list, create, update, delete, approve, send, export, ...
+    subject_type VARCHAR(50) NOT NULL, -- customer, prescription, refill, order, promotion, ...
+    subject_id VARCHAR(100),
+    customer_id VARCHAR(50), -- whose data it is, when the record belongs to a customer
+    route VARCHAR(255), -- e.g. GET /api/v1/customers/:id
+    channel VARCHAR(50), -- api, or the messaging channel an integration acted for
+    ip_address VARCHAR(64),
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL, -- set by the app, as it is part of the hash
+    prev_hash VARCHAR(64) NOT NULL,
+    hash VARCHAR(64) UNIQUE NOT NULL
+);
+
+-- Staff accounts for the REST API; role is one of admin, pharmacist, marketing, support
+CREATE TABLE IF NOT EXISTS staff_users (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL, -- stored lowercase
+    name VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(100) NOT NULL, -- bcrypt
+    role VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'active', -- active, disabled
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens (SHA-256 of the token); each refresh revokes the token it used
+CREATE TABLE IF NOT EXISTS staff_refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_id VARCHAR(50) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API keys for integrations such as n8n. Only the SHA-256 of the key is kept;
+-- key_prefix is the start of the key, shown so admins can tell keys apart
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_id VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'integration',
+    created_by VARCHAR(50),
+    last_used_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added to tables after their first release. CREATE TABLE IF NOT EXISTS skips
+-- tables that already exist, so existing databases get these here. setup-database.js runs
+-- this file as one batch, so every statement in it must be safe to run again.
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS merged_into VARCHAR(50);
+ALTER TABLE sales_history ADD COLUMN IF NOT EXISTS order_id VARCHAR(50);
+ALTER TABLE conversation_logs ADD COLUMN IF NOT EXISTS guardrail_action VARCHAR(20) DEFAULT 'allow';
+ALTER TABLE conversation_logs ADD COLUMN IF NOT EXISTS guardrail_violations JSONB;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS bot_paused BOOLEAN DEFAULT FALSE;
+ALTER TABLE product_embeddings ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE product_embeddings ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+ALTER TABLE product_embeddings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+-- Embeddings are removed with their product
+ALTER TABLE product_embeddings
+    DROP CONSTRAINT IF EXISTS product_embeddings_product_id_fkey,
+    ADD CONSTRAINT product_embeddings_product_id_fkey
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_customers_customer_id ON customers(customer_id);
 CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
@@ -203,27 +528,83 @@ CREATE INDEX IF NOT EXISTS idx_promotions_dates ON promotions(start_date, end_da
 CREATE INDEX IF NOT EXISTS idx_sales_customer_id ON sales_history(customer_id);
 CREATE INDEX IF NOT EXISTS idx_sales_transaction_date ON sales_history(transaction_date);
 CREATE INDEX IF NOT EXISTS idx_sales_product_id ON sales_history(product_id);
+CREATE INDEX IF NOT EXISTS idx_sales_order_id ON sales_history(order_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_carts_active_customer ON carts(customer_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders(customer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+CREATE INDEX IF NOT EXISTS idx_prescriptions_customer_id ON prescriptions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_prescription_refills_prescription_id ON prescription_refills(prescription_id);
+CREATE INDEX IF NOT EXISTS idx_prescription_verifications_status ON prescription_verifications(status);
+CREATE INDEX IF NOT EXISTS idx_prescription_verifications_order_id ON prescription_verifications(order_id);
+CREATE INDEX IF NOT EXISTS idx_drug_interactions_ingredient_b ON drug_interactions(ingredient_b);
 
 CREATE INDEX IF NOT EXISTS idx_conversations_customer_id ON conversations(customer_id);
+CREATE INDEX IF NOT EXISTS idx_handoffs_status ON handoffs(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_handoffs_one_open_per_customer
+ON handoffs(customer_id) WHERE status IN ('open', 'assigned');
+CREATE INDEX IF NOT EXISTS idx_handoff_messages_handoff_id ON handoff_messages(handoff_id);
+CREATE INDEX IF NOT EXISTS idx_channel_messages_created_at ON channel_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_web_chat_sessions_customer_id ON web_chat_sessions(customer_id);
 CREATE INDEX IF NOT EXISTS idx_conversation_logs_customer_id ON conversation_logs(customer_id);
 CREATE INDEX IF NOT EXISTS idx_conversation_logs_created_at ON conversation_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_subject ON audit_log(subject_type, subject_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_customer_id ON audit_log(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_staff_refresh_tokens_user_id ON staff_refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_customer_merges_source ON customer_merges(source_customer_id);
+CREATE INDEX IF NOT EXISTS idx_customer_merges_target ON customer_merges(target_customer_id);
+CREATE INDEX IF NOT EXISTS idx_identity_verifications_customer_id ON identity_verifications(customer_id, status);
+
+-- One embedding per product; ProductEmbeddingService upserts ON CONFLICT (product_id)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_embeddings_product_id ON product_embeddings(product_id);
 
 -- Vector similarity index for product embeddings
 CREATE INDEX IF NOT EXISTS idx_product_embeddings_vector 
 ON product_embeddings USING ivfflat (embedding vector_cosine_ops);
 
--- Foreign key constraints
-ALTER TABLE sales_history 
-ADD CONSTRAINT fk_sales_customer 
-FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+-- Foreign key constraints (ADD CONSTRAINT has no IF NOT EXISTS)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_sales_customer') THEN
+        ALTER TABLE sales_history
+        ADD CONSTRAINT fk_sales_customer
+        FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_conversations_customer') THEN
+        ALTER TABLE conversations
+        ADD CONSTRAINT fk_conversations_customer
+        FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_conversation_logs_customer') THEN
+        ALTER TABLE conversation_logs
+        ADD CONSTRAINT fk_conversation_logs_customer
+        FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    END IF;
 
-ALTER TABLE conversations 
-ADD CONSTRAINT fk_conversations_customer 
-FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_handoffs_customer') THEN
+        ALTER TABLE handoffs
+        ADD CONSTRAINT fk_handoffs_customer
+        FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    END IF;
 
-ALTER TABLE conversation_logs 
-ADD CONSTRAINT fk_conversation_logs_customer 
-FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_web_chat_sessions_customer') THEN
+        ALTER TABLE web_chat_sessions
+        ADD CONSTRAINT fk_web_chat_sessions_customer
+        FOREIGN KEY (customer_id) REFERENCES customers(customer_id);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_staff_refresh_tokens_user') THEN
+        ALTER TABLE staff_refresh_tokens
+        ADD CONSTRAINT fk_staff_refresh_tokens_user
+        FOREIGN KEY (user_id) REFERENCES staff_users(user_id) ON DELETE CASCADE;
+    END IF;
+END $$;
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -234,22 +615,134 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
 CREATE TRIGGER update_customers_updated_at 
     BEFORE UPDATE ON customers 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_products_updated_at ON products;
 CREATE TRIGGER update_products_updated_at 
     BEFORE UPDATE ON products 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_promotions_updated_at ON promotions;
 CREATE TRIGGER update_promotions_updated_at 
     BEFORE UPDATE ON promotions 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
 CREATE TRIGGER update_conversations_updated_at 
     BEFORE UPDATE ON conversations 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_carts_updated_at ON carts;
+CREATE TRIGGER update_carts_updated_at 
+    BEFORE UPDATE ON carts 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_cart_items_updated_at ON cart_items;
+CREATE TRIGGER update_cart_items_updated_at 
+    BEFORE UPDATE ON cart_items 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_orders_updated_at ON orders;
+CREATE TRIGGER update_orders_updated_at 
+    BEFORE UPDATE ON orders 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_prescriptions_updated_at ON prescriptions;
+CREATE TRIGGER update_prescriptions_updated_at 
+    BEFORE UPDATE ON prescriptions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_prescription_refills_updated_at ON prescription_refills;
+CREATE TRIGGER update_prescription_refills_updated_at 
+    BEFORE UPDATE ON prescription_refills 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_prescription_verifications_updated_at ON prescription_verifications;
+CREATE TRIGGER update_prescription_verifications_updated_at 
+    BEFORE UPDATE ON prescription_verifications 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_drug_interactions_updated_at ON drug_interactions;
+CREATE TRIGGER update_drug_interactions_updated_at 
+    BEFORE UPDATE ON drug_interactions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_handoffs_updated_at ON handoffs;
+CREATE TRIGGER update_handoffs_updated_at 
+    BEFORE UPDATE ON handoffs 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_channel_messages_updated_at ON channel_messages;
+CREATE TRIGGER update_channel_messages_updated_at 
+    BEFORE UPDATE ON channel_messages 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_web_chat_sessions_updated_at ON web_chat_sessions;
+CREATE TRIGGER update_web_chat_sessions_updated_at 
+    BEFORE UPDATE ON web_chat_sessions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_analytics_daily_rollups_updated_at ON analytics_daily_rollups;
+CREATE TRIGGER update_analytics_daily_rollups_updated_at 
+    BEFORE UPDATE ON analytics_daily_rollups 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_staff_users_updated_at ON staff_users;
+CREATE TRIGGER update_staff_users_updated_at 
+    BEFORE UPDATE ON staff_users 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at 
+    BEFORE UPDATE ON api_keys 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Reject edits to append-only tables
+CREATE OR REPLACE FUNCTION prevent_append_only_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS order_status_history_append_only ON order_status_history;
+CREATE TRIGGER order_status_history_append_only
+    BEFORE UPDATE OR DELETE ON order_status_history
+    FOR EACH ROW EXECUTE FUNCTION prevent_append_only_changes();
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_append_only_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_append_only_changes();
+
+-- Notify the app when searchable product text changes so it can re-embed the product
+CREATE OR REPLACE FUNCTION notify_product_embedding_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT'
+       OR NEW.name IS DISTINCT FROM OLD.name
+       OR NEW.description IS DISTINCT FROM OLD.description
+       OR NEW.active_ingredients IS DISTINCT FROM OLD.active_ingredients
+       OR NEW.side_effects IS DISTINCT FROM OLD.side_effects THEN
+        PERFORM pg_notify('product_embedding_stale', NEW.product_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS products_embedding_stale ON products;
+CREATE TRIGGER products_embedding_stale
+    AFTER INSERT OR UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION notify_product_embedding_change();
+
 -- Sample data views for analytics
 CREATE OR REPLACE VIEW customer_analytics AS
 SELECT 
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const DatabaseService = require('../src/services/DatabaseService');
+const ProductEmbeddingService = require('../src/services/ProductEmbeddingService');
+const logger = require('../src/utils/logger');
+
+// Usage: npm run db:embed [-- --force]
+const run = async () => {
+  const force = process.argv.includes('--force');
+
+  await DatabaseService.initialize();
+
+  try {
+    logger.info(`🧠 Indexing product embeddings${force ? ' (forced)' : ''}...`);
+    const summary = await ProductEmbeddingService.reindexAll({ force });
+    logger.info(`✅ Indexed ${summary.indexed}, skipped ${summary.skipped}, failed ${summary.failed} of ${summary.total} products`);
+  } finally {
+    await DatabaseService.close();
+  }
+};
+
+if (require.main === module) {
+  run()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('❌ Product embedding indexing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = run;
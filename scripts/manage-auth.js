@@ -0,0 +1,70 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const DatabaseService = require('../src/services/DatabaseService');
+const AuthService = require('../src/services/AuthService');
+const logger = require('../src/utils/logger');
+
+// Usage:
+//   npm run auth:create-user -- --email ops@pharmacy.com --name "Ops Admin" [--role admin]
+//     (password from STAFF_PASSWORD, or a generated one that is printed once)
+//   npm run auth:create-api-key -- --name n8n [--role integration]
+const option = (name, fallback = undefined) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const commands = {
+  'create-user': async () => {
+    const generated = !process.env.STAFF_PASSWORD;
+    const password = process.env.STAFF_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    const user = await AuthService.createUser({
+      email: option('email'),
+      name: option('name'),
+      role: option('role', 'admin'),
+      password
+    });
+
+    logger.info(`✅ Created ${user.role} ${user.email} (${user.user_id})`);
+    if (generated) {
+      console.log(`Password (shown once): ${password}`);
+    }
+  },
+
+  'create-api-key': async () => {
+    const apiKey = await AuthService.createApiKey({
+      name: option('name'),
+      role: option('role', 'integration')
+    });
+
+    logger.info(`✅ Created API key ${apiKey.key_id} (${apiKey.name}, ${apiKey.role})`);
+    console.log(`API key (shown once): ${apiKey.key}`);
+  }
+};
+
+const run = async () => {
+  const command = commands[process.argv[2]];
+
+  if (!command) {
+    throw new Error(`Unknown command "${process.argv[2]}". Expected one of: ${Object.keys(commands).join(', ')}`);
+  }
+
+  await DatabaseService.initialize();
+
+  try {
+    await command();
+  } finally {
+    await DatabaseService.close();
+  }
+};
+
+if (require.main === module) {
+  run()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('❌ Auth command failed:', error.details || error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = run;
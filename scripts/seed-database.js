@@ -20,6 +20,7 @@ class DataSeeder {
       await this.seedProducts();  
       await this.seedPromotions();
       await this.seedSalesHistory();
+      await this.seedDrugInteractions();
       
       logger.info('✅ Database seeding completed successfully!');
       
@@ -150,6 +151,31 @@ class DataSeeder {
     logger.info(`✅ Seeded ${totalSales} sales records`);
   }
 
+  async seedDrugInteractions() {
+    logger.info('🛡️ Seeding drug interactions...');
+
+    const filePath = path.join(this.dataDir, 'drug_interactions.csv');
+
+    if (!fs.existsSync(filePath)) {
+      logger.warn('⚠️ Drug interactions file not found');
+      return;
+    }
+
+    const interactions = await this.readCSV(filePath);
+    let totalInteractions = 0;
+
+    for (const interaction of interactions) {
+      try {
+        await this.insertDrugInteraction(interaction);
+        totalInteractions++;
+      } catch (error) {
+        logger.error(`Error inserting interaction ${interaction.ingredient_a}/${interaction.ingredient_b}:`, error.message);
+      }
+    }
+
+    logger.info(`✅ Seeded ${totalInteractions} drug interactions`);
+  }
+
   async insertCustomer(customer) {
     const query = `
       INSERT INTO customers (
@@ -267,6 +293,28 @@ class DataSeeder {
     ]);
   }
 
+  async insertDrugInteraction(interaction) {
+    // Pairs are stored in a fixed order so each interaction has one row
+    const [ingredientA, ingredientB] = [interaction.ingredient_a, interaction.ingredient_b]
+      .map(ingredient => ingredient.trim().toLowerCase())
+      .sort();
+
+    const query = `
+      INSERT INTO drug_interactions (ingredient_a, ingredient_b, severity, description, source)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (ingredient_a, ingredient_b)
+      DO UPDATE SET severity = EXCLUDED.severity, description = EXCLUDED.description, source = EXCLUDED.source
+    `;
+
+    await DatabaseService.query(query, [
+      ingredientA,
+      ingredientB,
+      interaction.severity,
+      interaction.description,
+      interaction.source || null
+    ]);
+  }
+
   async insertSalesRecord(sale) {
     const query = `
       INSERT INTO sales_history (
@@ -48,7 +48,7 @@ class DatabaseSetup {
 
       const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
       
-      // Execute schema
+      // Execute schema; every statement is idempotent, so this also upgrades an existing database
       await this.pool.query(schemaSQL);
       
       logger.info('✅ Database schema created successfully');
@@ -85,11 +85,30 @@ class DatabaseSetup {
         'products', 
         'promotions',
         'sales_history',
+        'carts',
+        'cart_items',
+        'orders',
+        'order_status_history',
+        'prescriptions',
+        'prescription_refills',
+        'prescription_verifications',
+        'drug_interactions',
         'conversations',
         'conversation_logs',
+        'handoffs',
+        'handoff_messages',
+        'channel_messages',
+        'web_chat_sessions',
         'product_embeddings',
         'workflow_logs',
-        'analytics_events'
+        'analytics_events',
+        'analytics_daily_rollups',
+        'audit_log',
+        'staff_users',
+        'staff_refresh_tokens',
+        'api_keys',
+        'customer_merges',
+        'identity_verifications'
       ];
 
       for (const table of tables) {
@@ -0,0 +1,60 @@
+const AuthService = require('../services/AuthService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { handleRouteError } = require('./errorHandler');
+
+// Caller from an `Authorization: Bearer <access token>` or `X-API-Key` header
+const resolvePrincipal = async (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return AuthService.verifyApiKey(apiKey);
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    return AuthService.verifyAccessToken(token);
+  }
+
+  throw new UnauthorizedError();
+};
+
+const sendAuthError = (res, error) => {
+  if (error.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  handleRouteError(res, error, 'Authentication failed');
+};
+
+/**
+ * Requires a caller with one of the given roles and sets req.auth to
+ * { type: 'user' | 'api_key', id, name, role }. Admins pass every check.
+ */
+const authorize = (...roles) => async (req, res, next) => {
+  try {
+    if (!req.auth) {
+      req.auth = await resolvePrincipal(req);
+    }
+
+    if (req.auth.role !== 'admin' && !roles.includes(req.auth.role)) {
+      throw new ForbiddenError(`Requires one of the roles: ${['admin', ...roles].join(', ')}`);
+    }
+
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Any authenticated caller, whatever the role
+const authenticate = authorize(...AuthService.ROLES);
+
+// Staff acting through their own login are recorded under their user ID; integrations
+// acting on someone's behalf name the staff member in the request
+const actingStaffId = (req, claimedStaffId) =>
+  (req.auth?.type === 'user' ? req.auth.id : claimedStaffId);
+
+module.exports = {
+  resolvePrincipal,
+  authenticate,
+  authorize,
+  actingStaffId
+};
@@ -29,6 +29,10 @@ const errorHandler = (error, req, res, next) => {
   } else if (error.name === 'NotFoundError') {
     statusCode = 404;
     message = 'Not Found';
+  } else if (error.name === 'ConflictError') {
+    statusCode = 409;
+    message = 'Conflict';
+    details = error.details || error.message;
   } else if (error.code === 'ECONNREFUSED') {
     statusCode = 503;
     message = 'Service Unavailable';
@@ -69,6 +73,20 @@ const notFoundHandler = (req, res) => {
   });
 };
 
+// For routes that handle their own errors: known service errors (utils/errors) keep
+// their status and message, anything else is logged and reported generically
+const handleRouteError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
 const asyncHandler = (fn) => {
   return (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
@@ -78,5 +96,6 @@ const asyncHandler = (fn) => {
 module.exports = {
   errorHandler,
   notFoundHandler,
+  handleRouteError,
   asyncHandler
 };
@@ -1,43 +1,82 @@
-const { RateLimiterMemory } = require('rate-limiter-flexible');
+const RateLimitService = require('../services/RateLimitService');
+const { resolvePrincipal } = require('./auth');
 const logger = require('../utils/logger');
 
-// Create rate limiter instances
-const rateLimiter = new RateLimiterMemory({
-  keyGenerate: (req) => req.ip,
-  points: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Number of requests
-  duration: parseInt(process.env.RATE_LIMIT_WINDOW_MS) / 1000 || 900, // Per 15 minutes (900 seconds)
-});
+// Routes that call the language model draw from the smaller llm budget
+const LLM_PATHS = ['/api/v1/ai-agent/'];
 
-const strictRateLimiter = new RateLimiterMemory({
-  keyGenerate: (req) => req.ip,
-  points: 10, // Number of requests
-  duration: 60, // Per 1 minute
-});
+// Webhooks all arrive from the platforms' own IPs and are capped per sender by the bots instead
+const EXEMPT_PATHS = ['/webhook/', '/health'];
+
+/**
+ * Who a request is counted against. Only a verified caller (API key or staff access
+ * token) is trusted to name the customer it acts for; anything else is counted per
+ * client IP, so made-up keys or customer IDs cannot buy a fresh budget (set TRUST_PROXY
+ * when running behind a load balancer so req.ip is the real client). The verified
+ * principal is kept on req.auth, so authorize() does not look it up again.
+ */
+const identify = async (req) => {
+  if (!req.auth && (req.get('X-API-Key') || req.get('Authorization'))) {
+    try {
+      req.auth = await resolvePrincipal(req);
+    } catch (error) {
+      // Rejected later by authorize() on routes that need a caller; counted per IP here
+    }
+  }
+
+  if (!req.auth) {
+    return `ip:${req.ip}`;
+  }
+
+  if (req.auth.type === 'api_key') {
+    return `key:${req.auth.id}`;
+  }
+
+  const customerId = req.body?.customerId || req.query?.customerId;
+  if (typeof customerId === 'string' && customerId) {
+    return `customer:${customerId}`;
+  }
+
+  return `user:${req.auth.id}`;
+};
+
+// IETF RateLimit header fields, plus RateLimit-Policy describing the window
+const setHeaders = (res, policy, result) => {
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds),
+    'RateLimit-Policy': `${policy.points};w=${policy.duration}`
+  });
+};
 
-// Middleware function
 const rateLimiterMiddleware = async (req, res, next) => {
-  try {
-    // Use strict rate limiting for sensitive endpoints
-    const limiter = req.path.includes('/ai-agent/') ? strictRateLimiter : rateLimiter;
-    
-    await limiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    const secs = Math.round(rejRes.msBeforeNext / 1000) || 1;
-    
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}, path: ${req.path}`);
-    
-    res.set('Retry-After', String(secs));
-    res.status(429).json({
-      error: 'Too Many Requests',
-      message: `Rate limit exceeded. Try again in ${secs} seconds.`,
-      retryAfter: secs
-    });
+  if (EXEMPT_PATHS.some(path => req.path.startsWith(path))) {
+    return next();
   }
+
+  const policyName = LLM_PATHS.some(path => req.path.startsWith(path)) ? 'llm' : 'api';
+  const policy = RateLimitService.getPolicy(policyName);
+  const key = await identify(req);
+  const result = await RateLimitService.consume(policyName, key);
+
+  setHeaders(res, policy, result);
+
+  if (result.allowed) {
+    return next();
+  }
+
+  logger.warn(`Rate limit (${policyName}) exceeded for ${key}, path: ${req.path}`);
+
+  res.set('Retry-After', String(result.resetSeconds));
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message: `Rate limit exceeded. Try again in ${result.resetSeconds} seconds.`,
+    retryAfter: result.resetSeconds
+  });
 };
 
 module.exports = {
   rateLimiter: rateLimiterMiddleware,
-  strictRateLimiter: strictRateLimiter,
-  generalRateLimiter: rateLimiter
+  identify
 };
@@ -0,0 +1,236 @@
+const { once } = require('events');
+const express = require('express');
+const QueueService = require('../services/QueueService');
+const AuthService = require('../services/AuthService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Everything here is admin only
+router.use(authorize());
+
+const requireQueues = (req, res, next) => {
+  if (!QueueService.isInitialized) {
+    return res.status(503).json({ error: 'Job queues are not enabled' });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/v1/admin/queues
+ * @desc Job counts per queue (waiting, active, delayed, failed, completed) and the latest failures
+ * @access Private (admin)
+ */
+router.get('/queues', requireQueues, async (req, res) => {
+  try {
+    const counts = await QueueService.getStats();
+    const failed = {};
+
+    for (const [name, queueCounts] of Object.entries(counts)) {
+      if (queueCounts.failed > 0 || (name === 'dead-letter' && queueCounts.waiting > 0)) {
+        failed[name] = await QueueService.getFailedJobs(name, 5);
+      }
+    }
+
+    res.json({ success: true, data: { counts, failed } });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch queue stats');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/queues/:name/failed?limit=
+ * @desc Failed jobs of a queue, newest first; for dead-letter, the jobs it holds
+ * @access Private (admin)
+ */
+router.get('/queues/:name/failed', requireQueues, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await QueueService.getFailedJobs(req.params.name, limit);
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch failed jobs');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/queues/dead-letter/:jobId/retry
+ * @desc Move a dead-lettered job back onto its original queue
+ * @access Private (admin)
+ */
+router.post('/queues/dead-letter/:jobId/retry', requireQueues, async (req, res) => {
+  try {
+    const job = await QueueService.retryDeadLetter(req.params.jobId);
+    res.json({ success: true, data: { jobId: job.id, queue: job.queue.name } });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to retry job');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/users
+ * @desc List staff users
+ * @access Private (admin)
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await AuthService.listUsers();
+    res.json({ success: true, data: users });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch staff users');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/users
+ * @desc Create a staff user (email, name, password, role)
+ * @access Private (admin)
+ */
+router.post('/users', async (req, res) => {
+  try {
+    const user = await AuthService.createUser(req.body);
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'staff_user',
+      subjectId: user.user_id,
+      details: { role: user.role }
+    });
+    res.status(201).json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to create staff user');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/admin/users/:userId
+ * @desc Change a staff user's name, password, role or status; signs them out unless only the name changed
+ * @access Private (admin)
+ */
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const user = await AuthService.updateUser(req.params.userId, req.body);
+    await AuditService.recordRequest(req, {
+      action: 'update',
+      subjectType: 'staff_user',
+      subjectId: user.user_id,
+      details: { fields: Object.keys(req.body) }
+    });
+    res.json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to update staff user');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/api-keys
+ * @desc List API keys (without the keys themselves)
+ * @access Private (admin)
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    const keys = await AuthService.listApiKeys();
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/api-keys
+ * @desc Create an API key (name, role = integration, expiresAt); the key is only shown in this response
+ * @access Private (admin)
+ */
+router.post('/api-keys', async (req, res) => {
+  try {
+    const apiKey = await AuthService.createApiKey(req.body, req.auth.id);
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'api_key',
+      subjectId: apiKey.key_id,
+      details: { name: apiKey.name, role: apiKey.role }
+    });
+    res.status(201).json({ success: true, data: apiKey });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * @route DELETE /api/v1/admin/api-keys/:keyId
+ * @desc Revoke an API key
+ * @access Private (admin)
+ */
+router.delete('/api-keys/:keyId', async (req, res) => {
+  try {
+    const apiKey = await AuthService.revokeApiKey(req.params.keyId);
+    await AuditService.recordRequest(req, { action: 'revoke', subjectType: 'api_key', subjectId: apiKey.key_id });
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/audit?actorId=&actorType=&action=&subjectType=&subjectId=&customerId=&from=&to=&limit=&offset=
+ * @desc Audit log entries matching the filters, newest first
+ * @access Private (admin)
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const entries = await AuditService.query(req.query);
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch audit log');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/audit/export?actorId=&subjectType=&from=&to=...
+ * @desc Download the matching audit log entries as CSV, oldest first (same filters as /audit, no paging)
+ * @access Private (admin)
+ */
+router.get('/audit/export', async (req, res) => {
+  try {
+    // Reject bad filters while a JSON error can still be sent
+    AuditService.parseFilters(req.query);
+    await AuditService.recordRequest(req, {
+      action: 'export',
+      subjectType: 'audit_log',
+      details: { filters: req.query }
+    });
+
+    res.type('text/csv');
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    await AuditService.exportCsv(req.query, (chunk) => {
+      if (!res.write(chunk)) {
+        return once(res, 'drain');
+      }
+    });
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Audit log export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    handleRouteError(res, error, 'Failed to export audit log');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/audit/verify
+ * @desc Recompute the audit log hash chain and report the first entry that does not match
+ * @access Private (admin)
+ */
+router.get('/audit/verify', async (req, res) => {
+  try {
+    const result = await AuditService.verifyChain();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to verify audit log');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,19 @@
 const express = require('express');
 const AIAgentService = require('../services/AIAgentService');
+const StateService = require('../services/StateService');
+const AuditService = require('../services/AuditService');
+const PiiRedactor = require('../services/PiiRedactor');
 const logger = require('../utils/logger');
+const { authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * @route POST /api/v1/ai-agent/process
  * @desc Process customer message with AI agent
- * @access Public
+ * @access Private (admin, integration, support)
  */
-router.post('/process', async (req, res) => {
+router.post('/process', authorize('integration', 'support'), async (req, res) => {
   try {
     const { customerId, message, channel = 'web' } = req.body;
 
@@ -40,12 +44,80 @@ router.post('/process', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/ai-agent/stream
+ * @desc Process customer message and stream progress as server-sent events
+ *       (analysis, action, token, revision, done, error)
+ * @access Private (admin, integration, support)
+ */
+router.post('/stream', authorize('integration', 'support'), async (req, res) => {
+  const { customerId, message, channel = 'web' } = req.body;
+
+  if (!customerId || !message) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'customerId and message are required'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The agent keeps running if the client goes away so the conversation is still persisted
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  logger.info(`Streaming AI agent request for customer ${customerId} via ${channel}`);
+
+  try {
+    const result = await AIAgentService.processMessage(customerId, message, channel, {
+      onAnalysis: (analysis) => sendEvent('analysis', analysis),
+      onAction: (action) => sendEvent('action', action),
+      onToken: (token) => sendEvent('token', { text: token }),
+      // The reply failed a safety check: streaming stopped at the last reviewed sentence,
+      // and clients replace what they have with this
+      onRevision: (text) => sendEvent('revision', { text })
+    });
+
+    if (result.error) {
+      sendEvent('error', { message: result.response });
+    } else {
+      sendEvent('done', {
+        response: result.response,
+        intent: result.intent,
+        confidence: result.confidence,
+        handoff: result.handoff,
+        reply: result.reply,
+        ...result.metadata
+      });
+    }
+
+  } catch (error) {
+    logger.error('Error in AI agent streaming:', error);
+    sendEvent('error', { message: 'Failed to process message with AI agent' });
+  } finally {
+    res.end();
+  }
+});
+
 /**
  * @route POST /api/v1/ai-agent/chat
  * @desc Simple chat interface for testing
- * @access Public
+ * @access Private (admin, integration, support)
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', authorize('integration', 'support'), async (req, res) => {
   try {
     const { message, customerId = 'test-customer' } = req.body;
 
@@ -60,7 +132,8 @@ router.post('/chat', async (req, res) => {
     res.json({
       response: response.response,
       intent: response.intent,
-      confidence: response.confidence
+      confidence: response.confidence,
+      reply: response.reply
     });
 
   } catch (error) {
@@ -74,12 +147,18 @@ router.post('/chat', async (req, res) => {
 /**
  * @route GET /api/v1/ai-agent/conversation/:customerId
  * @desc Get conversation history for a customer
- * @access Public
+ * @access Private (admin, support, pharmacist)
  */
-router.get('/conversation/:customerId', async (req, res) => {
+router.get('/conversation/:customerId', authorize('support', 'pharmacist'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const context = await AIAgentService.getConversationContext(customerId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'conversation',
+      subjectId: customerId,
+      customerId
+    });
 
     res.json({
       success: true,
@@ -102,14 +181,20 @@ router.get('/conversation/:customerId', async (req, res) => {
 /**
  * @route DELETE /api/v1/ai-agent/conversation/:customerId
  * @desc Clear conversation history for a customer
- * @access Public
+ * @access Private (admin, support)
  */
-router.delete('/conversation/:customerId', async (req, res) => {
+router.delete('/conversation/:customerId', authorize('support'), async (req, res) => {
   try {
     const { customerId } = req.params;
     
     // Clear conversation context (implementation depends on your storage)
     await AIAgentService.clearConversationContext(customerId);
+    await AuditService.recordRequest(req, {
+      action: 'delete',
+      subjectType: 'conversation',
+      subjectId: customerId,
+      customerId
+    });
 
     res.json({
       success: true,
@@ -134,10 +219,14 @@ router.get('/health', async (req, res) => {
     const health = {
       status: 'healthy',
       timestamp: new Date().toISOString(),
+      aiProvider: process.env.AI_PROVIDER || 'openai',
       aiModel: process.env.AI_MODEL || 'gpt-4',
-      conversationsActive: AIAgentService.conversations?.size || 0,
+      conversationsActive: await StateService.count('conversation:').catch(() => null),
+      stateStore: StateService.store.name,
       features: {
         openai: !!process.env.OPENAI_API_KEY,
+        offlineAI: process.env.AI_PROVIDER === 'local',
+        piiRedaction: PiiRedactor.isEnabled(),
         telegram: !!process.env.TELEGRAM_BOT_TOKEN,
         whatsapp: !!process.env.WHATSAPP_ACCESS_TOKEN
       }
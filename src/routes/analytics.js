@@ -1,8 +1,9 @@
 const express = require('express');
+const { authorize } = require('../middleware/auth');
 const router = express.Router();
 
 // Basic analytics endpoints
-router.post('/log-interaction', async (req, res) => {
+router.post('/log-interaction', authorize('integration'), async (req, res) => {
   try {
     // Log interaction for analytics
     console.log('Analytics interaction:', req.body);
@@ -12,7 +13,7 @@ router.post('/log-interaction', async (req, res) => {
   }
 });
 
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', authorize('marketing'), async (req, res) => {
   try {
     // Return basic dashboard data
     res.json({ 
@@ -0,0 +1,73 @@
+const express = require('express');
+const AuthService = require('../services/AuthService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Exchange staff email and password for an access token and a refresh token
+ * @access Public
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const tokens = await AuthService.login(req.body.email, req.body.password);
+    await AuditService.recordRequest(req, {
+      action: 'login',
+      subjectType: 'staff_user',
+      subjectId: tokens.user.user_id,
+      actor: { type: 'user', id: tokens.user.user_id, role: tokens.user.role }
+    });
+    res.json({ success: true, data: tokens });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to log in');
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for a new token pair; the old refresh token is revoked
+ * @access Public (refresh token)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await AuthService.refresh(req.body.refreshToken);
+    res.json({ success: true, data: tokens });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to refresh token');
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @desc Revoke a refresh token; the access token stays valid until it expires
+ * @access Public (refresh token)
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await AuthService.logout(req.body.refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to log out');
+  }
+});
+
+/**
+ * @route GET /api/v1/auth/me
+ * @desc The caller: a staff user's profile, or the name and role of an API key
+ * @access Private (any role)
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const data = req.auth.type === 'user'
+      ? { type: 'user', ...(await AuthService.getUser(req.auth.id)) }
+      : req.auth;
+    res.json({ success: true, data });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch caller');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const CartService = require('../services/CartService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Cart contents show what a customer is buying, prescription items included
+const auditCart = (req, action, cart, details = null) => AuditService.recordRequest(req, {
+  action,
+  subjectType: 'cart',
+  subjectId: cart.cart_id,
+  customerId: req.params.customerId,
+  details
+});
+
+/**
+ * @route GET /api/v1/cart/:customerId
+ * @desc Get the customer's active cart with recalculated totals
+ * @access Private (admin, support, integration)
+ */
+router.get('/:customerId', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const cart = await CartService.getCart(req.params.customerId);
+    await auditCart(req, 'read', cart);
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch cart');
+  }
+});
+
+/**
+ * @route POST /api/v1/cart/:customerId/items
+ * @desc Add a product to the cart (quantities accumulate)
+ * @access Private (admin, support, integration)
+ */
+router.post('/:customerId/items', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const { productId, quantity = 1, channel } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({ error: 'productId is required' });
+    }
+
+    const cart = await CartService.addItem(req.params.customerId, productId, parseInt(quantity), channel);
+    await auditCart(req, 'add_item', cart, { productId, quantity: parseInt(quantity) });
+    res.status(201).json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to add item to cart');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/cart/:customerId/items/:productId
+ * @desc Set the quantity of a cart line (0 removes it)
+ * @access Private (admin, support, integration)
+ */
+router.patch('/:customerId/items/:productId', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity);
+
+    if (Number.isNaN(quantity)) {
+      return res.status(400).json({ error: 'quantity is required' });
+    }
+
+    const cart = await CartService.updateItemQuantity(req.params.customerId, req.params.productId, quantity);
+    await auditCart(req, 'update_item', cart, { productId: req.params.productId, quantity });
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to update cart item');
+  }
+});
+
+/**
+ * @route DELETE /api/v1/cart/:customerId/items/:productId
+ * @desc Remove a product from the cart
+ * @access Private (admin, support, integration)
+ */
+router.delete('/:customerId/items/:productId', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const cart = await CartService.removeItem(req.params.customerId, req.params.productId);
+    await auditCart(req, 'remove_item', cart, { productId: req.params.productId });
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to remove cart item');
+  }
+});
+
+/**
+ * @route DELETE /api/v1/cart/:customerId
+ * @desc Empty the cart
+ * @access Private (admin, support, integration)
+ */
+router.delete('/:customerId', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const cart = await CartService.clearCart(req.params.customerId);
+    await auditCart(req, 'clear', cart);
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to clear cart');
+  }
+});
+
+/**
+ * @route PUT /api/v1/cart/:customerId/promotion
+ * @desc Apply a promotion to the cart (null removes it)
+ * @access Private (admin, support, integration)
+ */
+router.put('/:customerId/promotion', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const cart = await CartService.setPromotion(req.params.customerId, req.body.promotionId || null);
+    await auditCart(req, 'apply_promotion', cart, { promotionId: req.body.promotionId || null });
+    res.json({ success: true, data: cart });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to apply promotion');
+  }
+});
+
+/**
+ * @route POST /api/v1/cart/:customerId/checkout
+ * @desc Place an order for the cart contents
+ * @access Private (admin, support, integration)
+ */
+router.post('/:customerId/checkout', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const { paymentMethod, channel } = req.body;
+    const order = await CartService.checkout(req.params.customerId, { paymentMethod, channel });
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'order',
+      subjectId: order.order_id,
+      customerId: req.params.customerId,
+      channel
+    });
+    res.status(201).json({ success: true, data: order });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to check out');
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,314 @@
 const express = require('express');
-const DatabaseService = require('../services/DatabaseService');
+const CustomerService = require('../services/CustomerService');
+const IdentityService = require('../services/IdentityService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
 const router = express.Router();
 
-// Get all customers
-router.get('/', async (req, res) => {
+// Which personal columns a response exposed, for the audit entry
+const auditedFields = (customer) => Object.keys(customer).filter(field => CustomerService.PII_FIELDS.includes(field));
+
+// Merge records keep both customer rows as they were; their personal columns follow fields
+// too, and are left out of the merge and undo responses (GET the merge to see them)
+const projectMerge = (merge, fields) => ({
+  ...merge,
+  source_before: CustomerService.projectSnapshot(merge.source_before, fields),
+  target_before: CustomerService.projectSnapshot(merge.target_before, fields)
+});
+
+/**
+ * @route GET /api/v1/customers?q=&status=&city=&segment=&channel=&fields=&limit=&cursor=
+ * @desc List customers, newest first, one page at a time (pass nextCursor as cursor).
+ *       Contact, identity and medical columns are only returned when named in fields.
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const page = await CustomerService.listCustomers(req.query);
+    await AuditService.recordRequest(req, {
+      action: 'list',
+      subjectType: 'customer',
+      details: {
+        customerIds: page.items.map(customer => customer.customer_id),
+        fields: page.items.length > 0 ? auditedFields(page.items[0]) : []
+      }
+    });
+    res.json({ success: true, data: page.items, pagination: { nextCursor: page.nextCursor } });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch customers');
+  }
+});
+
+/**
+ * @route POST /api/v1/customers
+ * @desc Create a customer; the customer_id is generated unless given
+ * @access Private (admin, support, pharmacist)
+ */
+router.post('/', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const customer = await CustomerService.createCustomer(req.body);
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'customer',
+      subjectId: customer.customer_id,
+      customerId: customer.customer_id
+    });
+    res.status(201).json({ success: true, data: customer });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to create customer');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/duplicates?limit=
+ * @desc Pairs of customers that look like the same person (phone, email, name and birth date)
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/duplicates', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const candidates = await IdentityService.findDuplicateCandidates({ limit: req.query.limit });
+    await AuditService.recordRequest(req, {
+      action: 'list_duplicates',
+      subjectType: 'customer',
+      details: { count: candidates.length }
+    });
+    res.json({ success: true, data: candidates });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to find duplicate customers');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/merges/:mergeId?fields=
+ * @desc A merge record, including what it moved and both customers as they were before;
+ *       personal columns of those customers only when named in fields
+ * @access Private (admin, support)
+ */
+router.get('/merges/:mergeId', authorize('support'), async (req, res) => {
+  try {
+    const merge = projectMerge(await IdentityService.getMerge(req.params.mergeId), req.query.fields);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'customer_merge',
+      subjectId: req.params.mergeId,
+      customerId: merge.target_customer_id,
+      details: { fields: auditedFields(merge.target_before) }
+    });
+    res.json({ success: true, data: merge });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch merge');
+  }
+});
+
+/**
+ * @route POST /api/v1/customers/merges/:mergeId/undo
+ * @desc Split a merged customer back out; later merges involving either customer go first
+ * @access Private (admin, support)
+ */
+router.post('/merges/:mergeId/undo', authorize('support'), async (req, res) => {
+  try {
+    const merge = await IdentityService.undoMerge(req.params.mergeId, { undoneBy: req.auth?.id || null });
+    await AuditService.recordRequest(req, {
+      action: 'undo_merge',
+      subjectType: 'customer_merge',
+      subjectId: req.params.mergeId,
+      customerId: merge.target_customer_id,
+      details: { sourceCustomerId: merge.source_customer_id }
+    });
+    res.json({ success: true, data: projectMerge(merge) });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to undo merge');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/:id?fields=
+ * @desc Get a customer; personal columns only when named in fields
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/:id', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const customer = await CustomerService.getCustomerProjection(req.params.id, req.query.fields);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id,
+      details: { fields: auditedFields(customer) }
+    });
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch customer');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/customers/:id
+ * @desc Update a customer's details; status Inactive deactivates, Active reactivates
+ * @access Private (admin, support, pharmacist)
+ */
+router.patch('/:id', authorize('support', 'pharmacist'), async (req, res) => {
   try {
-    const result = await DatabaseService.query('SELECT * FROM customers ORDER BY created_at DESC LIMIT 50');
-    res.json({ success: true, data: result.rows });
+    const customer = await CustomerService.updateCustomer(req.params.id, req.body);
+    await AuditService.recordRequest(req, {
+      action: 'update',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id,
+      details: { fields: Object.keys(req.body) }
+    });
+    res.json({ success: true, data: customer });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch customers' });
+    handleRouteError(res, error, 'Failed to update customer');
   }
 });
 
-// Get customer by ID
-router.get('/:id', async (req, res) => {
+/**
+ * @route DELETE /api/v1/customers/:id
+ * @desc Deactivate a customer (status Inactive); nothing is deleted
+ * @access Private (admin, support, pharmacist)
+ */
+router.delete('/:id', authorize('support', 'pharmacist'), async (req, res) => {
   try {
-    const result = await DatabaseService.query('SELECT * FROM customers WHERE customer_id = $1', [req.params.id]);
-    if (result.rows.length === 0) {
+    const customer = await CustomerService.deactivateCustomer(req.params.id);
+    await AuditService.recordRequest(req, {
+      action: 'deactivate',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id
+    });
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to deactivate customer');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/:id/purchases?limit=&cursor=
+ * @desc The customer's purchase history, newest first, one page at a time
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/:id/purchases', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const customer = await CustomerService.getCustomerById(req.params.id);
+    if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
-    res.json({ success: true, data: result.rows[0] });
+
+    const page = await CustomerService.getCustomerPurchaseHistory(req.params.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'purchase_history',
+      subjectId: req.params.id,
+      customerId: req.params.id
+    });
+    res.json({ success: true, data: page.items, pagination: { nextCursor: page.nextCursor } });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch purchase history');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/:id/matches
+ * @desc Other customers that look like the same person, best match first
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/:id/matches', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const matches = await IdentityService.findMatches(req.params.id);
+    await AuditService.recordRequest(req, {
+      action: 'list_matches',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id,
+      details: { customerIds: matches.map(match => match.customer_id) }
+    });
+    res.json({ success: true, data: matches });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to find matching customers');
+  }
+});
+
+/**
+ * @route GET /api/v1/customers/:id/merges
+ * @desc Merges the customer took part in, newest first
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/:id/merges', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const merges = await IdentityService.getMerges(req.params.id);
+    await AuditService.recordRequest(req, {
+      action: 'list_merges',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id
+    });
+    res.json({ success: true, data: merges });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch merges');
+  }
+});
+
+/**
+ * @route POST /api/v1/customers/:id/merge
+ * @desc Merge sourceCustomerId into this customer: its history, orders, prescriptions and
+ *       conversations move here, loyalty points are added up and the source is marked Merged
+ * @access Private (admin, support)
+ */
+router.post('/:id/merge', authorize('support'), async (req, res) => {
+  try {
+    const { sourceCustomerId } = req.body;
+
+    if (!sourceCustomerId || typeof sourceCustomerId !== 'string') {
+      return res.status(400).json({ error: 'sourceCustomerId is required' });
+    }
+
+    const merge = await IdentityService.mergeCustomers(sourceCustomerId, req.params.id, {
+      reason: 'manual',
+      mergedBy: req.auth?.id || null
+    });
+    await AuditService.recordRequest(req, {
+      action: 'merge',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id,
+      details: { mergeId: merge.merge_id, sourceCustomerId }
+    });
+    res.json({ success: true, data: projectMerge(merge) });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to merge customers');
+  }
+});
+
+/**
+ * @route POST /api/v1/customers/:id/loyalty-points
+ * @desc Add points, or take them away with a negative number; the balance cannot go below zero
+ * @access Private (admin, support)
+ */
+router.post('/:id/loyalty-points', authorize('support'), async (req, res) => {
+  try {
+    const { points, reason } = req.body;
+
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ error: 'points must be a non-zero integer' });
+    }
+
+    const balance = await CustomerService.updateLoyaltyPoints(req.params.id, points);
+    await AuditService.recordRequest(req, {
+      action: 'adjust_loyalty_points',
+      subjectType: 'customer',
+      subjectId: req.params.id,
+      customerId: req.params.id,
+      details: { points, reason: reason || null, balance }
+    });
+    res.json({ success: true, data: { customer_id: req.params.id, loyalty_points: balance } });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch customer' });
+    handleRouteError(res, error, 'Failed to update loyalty points');
   }
 });
 
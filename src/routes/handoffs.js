@@ -0,0 +1,155 @@
+const express = require('express');
+const HandoffService = require('../services/HandoffService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize, actingStaffId } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/handoffs?status=&assignedTo=
+ * @desc Staff inbox: escalated conversations, open and assigned by default
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const { status = null, assignedTo = null, limit = 50 } = req.query;
+
+    const handoffs = await HandoffService.getInbox({
+      status,
+      assignedTo,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({ success: true, data: handoffs });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch handoffs');
+  }
+});
+
+/**
+ * @route POST /api/v1/handoffs
+ * @desc Manually escalate a customer's conversation and pause the bot
+ * @access Private (admin, support, pharmacist, integration)
+ */
+router.post('/', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const { customerId, channel = null, note = null } = req.body;
+
+    if (!customerId) {
+      return res.status(400).json({ error: 'customerId is required' });
+    }
+
+    const handoff = await HandoffService.escalate(customerId, {
+      channel,
+      reason: 'manual',
+      details: note ? { note } : {}
+    });
+
+    res.status(handoff.created ? 201 : 200).json({ success: true, data: handoff });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to create handoff');
+  }
+});
+
+/**
+ * @route GET /api/v1/handoffs/customer/:customerId/messages
+ * @desc Staff replies not yet delivered to a web chat client
+ * @access Private (admin, support, integration)
+ */
+router.get('/customer/:customerId/messages', authorize('support', 'integration'), async (req, res) => {
+  try {
+    const messages = await HandoffService.takeUndeliveredReplies(req.params.customerId);
+    res.json({ success: true, data: messages });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch staff replies');
+  }
+});
+
+/**
+ * @route GET /api/v1/handoffs/:handoffId
+ * @desc Handoff with customer profile, conversation context, logs and messages
+ * @access Private (admin, support, pharmacist)
+ */
+router.get('/:handoffId', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const handoff = await HandoffService.getHandoffDetail(req.params.handoffId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'handoff',
+      subjectId: handoff.handoff_id,
+      customerId: handoff.customer_id
+    });
+    res.json({ success: true, data: handoff });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch handoff');
+  }
+});
+
+/**
+ * @route POST /api/v1/handoffs/:handoffId/assign
+ * @desc Assign the handoff to a staff member (staffId; the caller by default)
+ * @access Private (admin, support, pharmacist)
+ */
+router.post('/:handoffId/assign', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const staffId = req.body.staffId || actingStaffId(req);
+    const handoff = await HandoffService.assign(req.params.handoffId, staffId);
+    await AuditService.recordRequest(req, {
+      action: 'assign',
+      subjectType: 'handoff',
+      subjectId: handoff.handoff_id,
+      customerId: handoff.customer_id,
+      details: { staffId }
+    });
+    res.json({ success: true, data: handoff });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to assign handoff');
+  }
+});
+
+/**
+ * @route POST /api/v1/handoffs/:handoffId/reply
+ * @desc Reply to the customer on the channel they escalated from
+ * @access Private (admin, support, pharmacist)
+ */
+router.post('/:handoffId/reply', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const staffId = actingStaffId(req, req.body.staffId);
+    const result = await HandoffService.reply(req.params.handoffId, staffId, req.body.message);
+    await AuditService.recordRequest(req, {
+      action: 'reply',
+      subjectType: 'handoff',
+      subjectId: req.params.handoffId,
+      details: { staffId, delivered: result.delivery.delivered }
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to send reply');
+  }
+});
+
+/**
+ * @route POST /api/v1/handoffs/:handoffId/resolve
+ * @desc Close the handoff and, unless resumeBot is false, let the bot answer again
+ * @access Private (admin, support, pharmacist)
+ */
+router.post('/:handoffId/resolve', authorize('support', 'pharmacist'), async (req, res) => {
+  try {
+    const { note, resumeBot = true } = req.body;
+    const staffId = actingStaffId(req, req.body.staffId);
+    const handoff = await HandoffService.resolve(req.params.handoffId, staffId, { resumeBot, note });
+    await AuditService.recordRequest(req, {
+      action: 'resolve',
+      subjectType: 'handoff',
+      subjectId: handoff.handoff_id,
+      customerId: handoff.customer_id,
+      details: { staffId, resumeBot }
+    });
+    res.json({ success: true, data: handoff });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to resolve handoff');
+  }
+});
+
+module.exports = router;
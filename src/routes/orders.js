@@ -0,0 +1,133 @@
+const express = require('express');
+const OrderService = require('../services/OrderService');
+const EmailService = require('../services/EmailService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize, actingStaffId } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/orders?customerId=
+ * @desc List a customer's orders, newest first
+ * @access Private (admin, support, pharmacist, integration)
+ */
+router.get('/', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const { customerId, limit = 10 } = req.query;
+
+    if (!customerId) {
+      return res.status(400).json({ error: 'customerId is required' });
+    }
+
+    const orders = await OrderService.getCustomerOrders(customerId, Math.min(parseInt(limit) || 10, 50));
+    await AuditService.recordRequest(req, { action: 'list', subjectType: 'order', customerId });
+    res.json({ success: true, data: orders });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch orders');
+  }
+});
+
+/**
+ * @route GET /api/v1/orders/:orderId
+ * @desc Get an order with its line items
+ * @access Private (admin, support, pharmacist, integration)
+ */
+router.get('/:orderId', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const order = await OrderService.getOrderById(req.params.orderId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'order',
+      subjectId: order.order_id,
+      customerId: order.customer_id
+    });
+    res.json({ success: true, data: order });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch order');
+  }
+});
+
+/**
+ * @route GET /api/v1/orders/:orderId/history
+ * @desc Get the status history of an order
+ * @access Private (admin, support, pharmacist, integration)
+ */
+router.get('/:orderId/history', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const order = await OrderService.getOrderById(req.params.orderId);
+    const history = await OrderService.getStatusHistory(req.params.orderId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'order',
+      subjectId: order.order_id,
+      customerId: order.customer_id,
+      details: { view: 'history' }
+    });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch order history');
+  }
+});
+
+/**
+ * @route POST /api/v1/orders/:orderId/status
+ * @desc Move an order to a new status; illegal transitions, and confirming an order whose
+ *       prescription items are still awaiting verification, return 409
+ * @access Private (admin, support, pharmacist, integration)
+ */
+router.post('/:orderId/status', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const { status, reason, changedBy } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'status is required', allowed: OrderService.STATUSES });
+    }
+
+    const order = await OrderService.transitionStatus(req.params.orderId, status, {
+      reason,
+      changedBy: actingStaffId(req, changedBy)
+    });
+    await AuditService.recordRequest(req, {
+      action: 'update',
+      subjectType: 'order',
+      subjectId: order.order_id,
+      customerId: order.customer_id,
+      details: { status, reason }
+    });
+    res.json({ success: true, data: order });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to update order status');
+  }
+});
+
+/**
+ * @route POST /api/v1/orders/:orderId/receipt
+ * @desc Email the order receipt to the customer again
+ * @access Private (admin, support, integration)
+ */
+router.post('/:orderId/receipt', authorize('support', 'integration'), async (req, res) => {
+  try {
+    if (!EmailService.isActive()) {
+      return res.status(503).json({ error: 'Email is not enabled' });
+    }
+
+    const sent = await OrderService.sendReceipt(req.params.orderId);
+    await AuditService.recordRequest(req, {
+      action: 'send',
+      subjectType: 'order',
+      subjectId: req.params.orderId,
+      details: { document: 'receipt', sent }
+    });
+
+    if (!sent) {
+      return res.status(422).json({ error: 'The receipt could not be emailed to this customer' });
+    }
+
+    res.json({ success: true, message: 'Receipt sent' });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to send receipt');
+  }
+});
+
+module.exports = router;
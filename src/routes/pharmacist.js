@@ -0,0 +1,132 @@
+const express = require('express');
+const VerificationService = require('../services/VerificationService');
+const CustomerService = require('../services/CustomerService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize, actingStaffId } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/pharmacist/queue?status=&pharmacistId=
+ * @desc List prescription items awaiting verification (pending by default)
+ * @access Private (admin, pharmacist)
+ */
+router.get('/queue', authorize('pharmacist'), async (req, res) => {
+  try {
+    const { status = 'pending', pharmacistId = null, limit = 50 } = req.query;
+
+    const queue = await VerificationService.getQueue({
+      status: status === 'all' ? null : status,
+      pharmacistId,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    // Queue items carry the customer's allergies and medical conditions
+    await AuditService.recordRequest(req, {
+      action: 'list',
+      subjectType: 'verification',
+      details: {
+        status,
+        verificationIds: queue.map(item => item.verification_id),
+        customerIds: [...new Set(queue.map(item => item.customer_id))],
+        fields: queue.length > 0 ? Object.keys(queue[0]).filter(field => CustomerService.PII_FIELDS.includes(field)) : []
+      }
+    });
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch verification queue');
+  }
+});
+
+/**
+ * @route GET /api/v1/pharmacist/queue/:verificationId
+ * @desc Get a single verification item
+ * @access Private (admin, pharmacist)
+ */
+router.get('/queue/:verificationId', authorize('pharmacist'), async (req, res) => {
+  try {
+    const verification = await VerificationService.getVerificationById(req.params.verificationId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'verification',
+      subjectId: verification.verification_id,
+      customerId: verification.customer_id
+    });
+    res.json({ success: true, data: verification });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch verification');
+  }
+});
+
+/**
+ * @route POST /api/v1/pharmacist/queue/:verificationId/claim
+ * @desc Claim an item so other pharmacists do not review it at the same time
+ * @access Private (admin, pharmacist)
+ */
+router.post('/queue/:verificationId/claim', authorize('pharmacist'), async (req, res) => {
+  try {
+    const pharmacistId = actingStaffId(req, req.body.pharmacistId);
+    const verification = await VerificationService.claim(req.params.verificationId, pharmacistId);
+    await AuditService.recordRequest(req, {
+      action: 'claim',
+      subjectType: 'verification',
+      subjectId: verification.verification_id,
+      customerId: verification.customer_id
+    });
+    res.json({ success: true, data: verification });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to claim verification');
+  }
+});
+
+/**
+ * @route POST /api/v1/pharmacist/queue/:verificationId/approve
+ * @desc Approve an item, optionally linking the prescription it was filled against
+ * @access Private (admin, pharmacist)
+ */
+router.post('/queue/:verificationId/approve', authorize('pharmacist'), async (req, res) => {
+  try {
+    const { prescriptionId, notes } = req.body;
+    const pharmacistId = actingStaffId(req, req.body.pharmacistId);
+    const verification = await VerificationService.approve(req.params.verificationId, pharmacistId, {
+      prescriptionId,
+      notes
+    });
+    await AuditService.recordRequest(req, {
+      action: 'approve',
+      subjectType: 'verification',
+      subjectId: verification.verification_id,
+      customerId: verification.customer_id,
+      details: { orderId: verification.order_id, prescriptionId }
+    });
+    res.json({ success: true, data: verification });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to approve verification');
+  }
+});
+
+/**
+ * @route POST /api/v1/pharmacist/queue/:verificationId/reject
+ * @desc Reject an item; the order is cancelled and the customer told why
+ * @access Private (admin, pharmacist)
+ */
+router.post('/queue/:verificationId/reject', authorize('pharmacist'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const pharmacistId = actingStaffId(req, req.body.pharmacistId);
+    const verification = await VerificationService.reject(req.params.verificationId, pharmacistId, { reason });
+    await AuditService.recordRequest(req, {
+      action: 'reject',
+      subjectType: 'verification',
+      subjectId: verification.verification_id,
+      customerId: verification.customer_id,
+      details: { orderId: verification.order_id, reason }
+    });
+    res.json({ success: true, data: verification });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to reject verification');
+  }
+});
+
+module.exports = router;
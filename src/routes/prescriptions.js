@@ -0,0 +1,173 @@
+const express = require('express');
+const PrescriptionService = require('../services/PrescriptionService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize, actingStaffId } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/prescriptions?customerId=&status=
+ * @desc List a customer's prescriptions with refill eligibility
+ * @access Private (admin, pharmacist, support)
+ */
+router.get('/', authorize('pharmacist', 'support'), async (req, res) => {
+  try {
+    const { customerId, status = null } = req.query;
+
+    if (!customerId) {
+      return res.status(400).json({ error: 'customerId is required' });
+    }
+
+    const prescriptions = await PrescriptionService.getCustomerPrescriptions(customerId, { status });
+    await AuditService.recordRequest(req, { action: 'list', subjectType: 'prescription', customerId });
+    res.json({ success: true, data: prescriptions });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch prescriptions');
+  }
+});
+
+/**
+ * @route POST /api/v1/prescriptions
+ * @desc Record a new prescription
+ * @access Private (admin, pharmacist)
+ */
+router.post('/', authorize('pharmacist'), async (req, res) => {
+  try {
+    const prescription = await PrescriptionService.createPrescription(req.body);
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'prescription',
+      subjectId: prescription.prescription_id,
+      customerId: prescription.customer_id
+    });
+    res.status(201).json({ success: true, data: prescription });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to create prescription');
+  }
+});
+
+/**
+ * @route POST /api/v1/prescriptions/refills/:requestId/status
+ * @desc Move a refill request to a new status; illegal transitions return 409
+ * @access Private (admin, pharmacist)
+ */
+router.post('/refills/:requestId/status', authorize('pharmacist'), async (req, res) => {
+  try {
+    const { status, handledBy, notes } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'status is required', allowed: PrescriptionService.REFILL_STATUSES });
+    }
+
+    const refill = await PrescriptionService.updateRefillStatus(req.params.requestId, status, {
+      handledBy: actingStaffId(req, handledBy),
+      notes
+    });
+    await AuditService.recordRequest(req, {
+      action: 'update',
+      subjectType: 'refill',
+      subjectId: refill.request_id,
+      customerId: refill.customer_id,
+      details: { status }
+    });
+    res.json({ success: true, data: refill });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to update refill status');
+  }
+});
+
+/**
+ * @route GET /api/v1/prescriptions/:prescriptionId
+ * @desc Get a prescription with its refill eligibility
+ * @access Private (admin, pharmacist, support)
+ */
+router.get('/:prescriptionId', authorize('pharmacist', 'support'), async (req, res) => {
+  try {
+    const prescription = await PrescriptionService.getPrescriptionById(req.params.prescriptionId);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'prescription',
+      subjectId: prescription.prescription_id,
+      customerId: prescription.customer_id
+    });
+    res.json({
+      success: true,
+      data: { ...prescription, refill_eligibility: PrescriptionService.checkRefillEligibility(prescription) }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch prescription');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/prescriptions/:prescriptionId
+ * @desc Update status, refills remaining, expiry or instructions
+ * @access Private (admin, pharmacist)
+ */
+router.patch('/:prescriptionId', authorize('pharmacist'), async (req, res) => {
+  try {
+    const prescription = await PrescriptionService.updatePrescription(req.params.prescriptionId, req.body);
+    await AuditService.recordRequest(req, {
+      action: 'update',
+      subjectType: 'prescription',
+      subjectId: prescription.prescription_id,
+      customerId: prescription.customer_id,
+      details: { fields: Object.keys(req.body) }
+    });
+    res.json({ success: true, data: prescription });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to update prescription');
+  }
+});
+
+/**
+ * @route GET /api/v1/prescriptions/:prescriptionId/refills
+ * @desc List refill requests for a prescription
+ * @access Private (admin, pharmacist, support)
+ */
+router.get('/:prescriptionId/refills', authorize('pharmacist', 'support'), async (req, res) => {
+  try {
+    const prescription = await PrescriptionService.getPrescriptionById(req.params.prescriptionId);
+    const refills = await PrescriptionService.getRefills(req.params.prescriptionId);
+    await AuditService.recordRequest(req, {
+      action: 'list',
+      subjectType: 'refill',
+      subjectId: prescription.prescription_id,
+      customerId: prescription.customer_id
+    });
+    res.json({ success: true, data: refills });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to fetch refills');
+  }
+});
+
+/**
+ * @route POST /api/v1/prescriptions/:prescriptionId/refills
+ * @desc Request a refill; returns 409 when none remain, the prescription has
+ *       expired or a refill is already in progress
+ * @access Private (admin, pharmacist, support, integration)
+ */
+router.post('/:prescriptionId/refills', authorize('pharmacist', 'support', 'integration'), async (req, res) => {
+  try {
+    const { customerId, channel = 'web' } = req.body;
+
+    if (!customerId) {
+      return res.status(400).json({ error: 'customerId is required' });
+    }
+
+    const refill = await PrescriptionService.requestRefill(req.params.prescriptionId, { customerId, channel });
+    await AuditService.recordRequest(req, {
+      action: 'create',
+      subjectType: 'refill',
+      subjectId: refill.request_id,
+      customerId,
+      channel
+    });
+    res.status(201).json({ success: true, data: refill });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to request refill');
+  }
+});
+
+module.exports = router;
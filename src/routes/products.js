@@ -1,5 +1,10 @@
 const express = require('express');
 const DatabaseService = require('../services/DatabaseService');
+const ProductService = require('../services/ProductService');
+const ProductEmbeddingService = require('../services/ProductEmbeddingService');
+const SafetyService = require('../services/SafetyService');
+const AuditService = require('../services/AuditService');
+const { authorize } = require('../middleware/auth');
 const router = express.Router();
 
 // Search products
@@ -13,6 +18,59 @@ router.post('/search', async (req, res) => {
   }
 });
 
+// Semantic search (full-text + embedding similarity)
+router.post('/semantic-search', async (req, res) => {
+  try {
+    const { query, limit = 10 } = req.body;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    const products = await ProductService.semanticSearch(query, Math.min(parseInt(limit) || 10, 50));
+    res.json({ success: true, data: { products } });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to search products' });
+  }
+});
+
+// Check products against a customer's allergies, conditions and recent purchases
+router.post('/safety-check', authorize('support', 'pharmacist', 'integration'), async (req, res) => {
+  try {
+    const { customerId, productIds } = req.body;
+
+    if (!customerId || !Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({ error: 'customerId and productIds are required' });
+    }
+
+    const result = await DatabaseService.query(
+      'SELECT * FROM products WHERE product_id = ANY($1)',
+      [productIds.slice(0, 50)]
+    );
+    const checked = await SafetyService.checkProducts(customerId, result.rows);
+    await AuditService.recordRequest(req, {
+      action: 'read',
+      subjectType: 'customer',
+      subjectId: customerId,
+      customerId,
+      details: { purpose: 'safety_check', productIds: result.rows.map(product => product.product_id) }
+    });
+    res.json({ success: true, data: checked });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to check product safety' });
+  }
+});
+
+// Rebuild product embeddings (admin only)
+router.post('/embeddings/reindex', authorize(), async (req, res) => {
+  try {
+    const summary = await ProductEmbeddingService.reindexAll({ force: req.body.force === true });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reindex product embeddings' });
+  }
+});
+
 // Get products by category
 router.get('/category/:category', async (req, res) => {
   try {
@@ -1,5 +1,10 @@
 const express = require('express');
 const DatabaseService = require('../services/DatabaseService');
+const EmailService = require('../services/EmailService');
+const QueueService = require('../services/QueueService');
+const AuditService = require('../services/AuditService');
+const { handleRouteError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
 const router = express.Router();
 
 // Get active promotions
@@ -31,4 +36,29 @@ router.post('/applicable', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/promotions/digest
+ * @desc Email the current promotions to every customer with marketing consent; queued to the worker when job queues run
+ * @access Private (admin, marketing)
+ */
+router.post('/digest', authorize('marketing'), async (req, res) => {
+  try {
+    await AuditService.recordRequest(req, {
+      action: 'send',
+      subjectType: 'promotion',
+      details: { campaign: 'digest' }
+    });
+
+    if (QueueService.isInitialized) {
+      const job = await QueueService.enqueue('campaigns', 'promotion-digest');
+      return res.status(202).json({ success: true, data: { jobId: job?.id ?? null } });
+    }
+
+    const summary = await EmailService.sendPromotionDigest();
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    handleRouteError(res, error, 'Failed to send promotion digest');
+  }
+});
+
 module.exports = router;
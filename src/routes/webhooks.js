@@ -1,18 +1,115 @@
 const express = require('express');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/auth');
 const router = express.Router();
 
-// Placeholder webhook routes - implement based on your needs
+/**
+ * @route POST /webhook/telegram
+ * @desc Telegram updates in webhook mode (TELEGRAM_MODE=webhook). Acknowledged
+ *       once the secret token matches; processing continues after the response.
+ * @access Public (X-Telegram-Bot-Api-Secret-Token)
+ */
 router.post('/telegram', (req, res) => {
-  // Handle Telegram webhook
-  res.json({ success: true });
+  const telegramBot = req.app.locals.telegramBot;
+
+  if (!telegramBot || telegramBot.mode !== 'webhook') {
+    return res.status(503).json({ error: 'Telegram webhook mode is not enabled' });
+  }
+
+  if (!telegramBot.verifySecretToken(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    logger.warn('Rejected Telegram webhook with an invalid secret token');
+    return res.sendStatus(401);
+  }
+
+  res.sendStatus(200);
+
+  setImmediate(() => {
+    telegramBot.processWebhookUpdate(req.body).catch(error => {
+      logger.error('Error processing Telegram webhook:', error);
+    });
+  });
+});
+
+/**
+ * @route GET /webhook/whatsapp
+ * @desc Meta webhook verification handshake
+ * @access Public
+ */
+router.get('/whatsapp', (req, res) => {
+  const whatsappBot = req.app.locals.whatsappBot;
+
+  if (!whatsappBot) {
+    return res.status(503).json({ error: 'WhatsApp is not enabled' });
+  }
+
+  const challenge = whatsappBot.verifyWebhook(
+    req.query['hub.mode'],
+    req.query['hub.verify_token'],
+    req.query['hub.challenge']
+  );
+
+  if (!challenge) {
+    return res.sendStatus(403);
+  }
+
+  res.status(200).send(challenge);
 });
 
+/**
+ * @route POST /webhook/whatsapp
+ * @desc Incoming messages and delivery statuses. Acknowledged as soon as the
+ *       signature checks out; processing continues after the response.
+ * @access Public (signed with the app secret)
+ */
 router.post('/whatsapp', (req, res) => {
-  // Handle WhatsApp webhook
-  res.json({ success: true });
+  const whatsappBot = req.app.locals.whatsappBot;
+
+  if (!whatsappBot) {
+    return res.status(503).json({ error: 'WhatsApp is not enabled' });
+  }
+
+  if (!whatsappBot.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    logger.warn('Rejected WhatsApp webhook with an invalid signature');
+    return res.sendStatus(401);
+  }
+
+  res.sendStatus(200);
+
+  setImmediate(() => {
+    whatsappBot.processWebhook(req.body).catch(error => {
+      logger.error('Error processing WhatsApp webhook:', error);
+    });
+  });
+});
+
+/**
+ * @route POST /webhook/sms
+ * @desc Incoming SMS and delivery statuses from the SMS gateway (SMS_PROVIDER).
+ *       Acknowledged once verified; processing continues after the response.
+ * @access Public (verified by the provider: Twilio signature or stub shared secret)
+ */
+router.post('/sms', (req, res) => {
+  const smsBot = req.app.locals.smsBot;
+
+  if (!smsBot) {
+    return res.status(503).json({ error: 'SMS is not enabled' });
+  }
+
+  if (!smsBot.verifyRequest(req)) {
+    logger.warn('Rejected SMS webhook that failed verification');
+    return res.sendStatus(401);
+  }
+
+  smsBot.acknowledge(res);
+
+  setImmediate(() => {
+    smsBot.processWebhook(req.body).catch(error => {
+      logger.error('Error processing SMS webhook:', error);
+    });
+  });
 });
 
-router.post('/n8n', (req, res) => {
+router.post('/n8n', authorize('integration'), (req, res) => {
   // Handle N8N webhook
   res.json({ success: true });
 });
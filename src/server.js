@@ -15,11 +15,26 @@ const customerRoutes = require('./routes/customers');
 const productRoutes = require('./routes/products');
 const promotionRoutes = require('./routes/promotions');
 const analyticsRoutes = require('./routes/analytics');
+const cartRoutes = require('./routes/cart');
+const orderRoutes = require('./routes/orders');
+const prescriptionRoutes = require('./routes/prescriptions');
+const pharmacistRoutes = require('./routes/pharmacist');
+const handoffRoutes = require('./routes/handoffs');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
 
 // Import services
 const DatabaseService = require('./services/DatabaseService');
+const ProductEmbeddingService = require('./services/ProductEmbeddingService');
+const NotificationService = require('./services/NotificationService');
 const TelegramBot = require('./services/TelegramBot');
 const WhatsAppBot = require('./services/WhatsAppBot');
+const WebChatServer = require('./services/WebChatServer');
+const SmsBot = require('./services/SmsBot');
+const EmailService = require('./services/EmailService');
+const QueueService = require('./services/QueueService');
+const StateService = require('./services/StateService');
+const RateLimitService = require('./services/RateLimitService');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
@@ -35,6 +50,12 @@ class PharmacyAISalesAgent {
   }
 
   setupMiddleware() {
+    // Behind a load balancer, req.ip must come from X-Forwarded-For for rate limiting to work
+    if (process.env.TRUST_PROXY) {
+      const hops = parseInt(process.env.TRUST_PROXY);
+      this.app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+    }
+
     // Security middleware
     this.app.use(helmet());
     this.app.use(cors({
@@ -48,7 +69,13 @@ class PharmacyAISalesAgent {
     }));
 
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Keep the raw bytes for webhook signature checks
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Rate limiting
@@ -70,13 +97,20 @@ class PharmacyAISalesAgent {
       });
     });
 
-    // API routes
+    // API routes; each route declares the roles it needs (middleware/auth.js)
+    this.app.use('/api/v1/auth', authRoutes);
     this.app.use('/api/v1/ai-agent', aiAgentRoutes);
     this.app.use('/webhook', webhookRoutes);
     this.app.use('/api/v1/customers', customerRoutes);
     this.app.use('/api/v1/products', productRoutes);
     this.app.use('/api/v1/promotions', promotionRoutes);
     this.app.use('/api/v1/analytics', analyticsRoutes);
+    this.app.use('/api/v1/cart', cartRoutes);
+    this.app.use('/api/v1/orders', orderRoutes);
+    this.app.use('/api/v1/prescriptions', prescriptionRoutes);
+    this.app.use('/api/v1/pharmacist', pharmacistRoutes);
+    this.app.use('/api/v1/handoffs', handoffRoutes);
+    this.app.use('/api/v1/admin', adminRoutes);
 
     // Default route
     this.app.get('/', (req, res) => {
@@ -92,21 +126,67 @@ class PharmacyAISalesAgent {
 
   async setupServices() {
     try {
+      if (!process.env.JWT_SECRET) {
+        logger.warn('JWT_SECRET is not set: staff logins will fail (API keys still work)');
+      }
+
       // Initialize database
       await DatabaseService.initialize();
       logger.info('Database service initialized');
 
+      await RateLimitService.initialize();
+
+      // Conversation context and channel sessions, shared between replicas with STATE_STORE=redis
+      await StateService.initialize();
+
+      // Jobs can be enqueued from here on; this process consumes the queues that need its channels
+      if (QueueService.isEnabled()) {
+        await QueueService.initialize();
+      }
+
+      if (process.env.ENABLE_SEMANTIC_SEARCH !== 'false') {
+        await ProductEmbeddingService.startChangeListener();
+        logger.info('Product embedding listener started');
+      }
+
       // Initialize bots if enabled
       if (process.env.ENABLE_TELEGRAM === 'true') {
         this.telegramBot = new TelegramBot();
         await this.telegramBot.initialize();
+        this.app.locals.telegramBot = this.telegramBot;
         logger.info('Telegram bot initialized');
+        NotificationService.registerChannel('telegram', (customer, message) =>
+          this.telegramBot.sendNotification(customer, message));
       }
 
       if (process.env.ENABLE_WHATSAPP === 'true') {
         this.whatsappBot = new WhatsAppBot();
         await this.whatsappBot.initialize();
+        this.app.locals.whatsappBot = this.whatsappBot;
         logger.info('WhatsApp bot initialized');
+        NotificationService.registerChannel('whatsapp', (customer, message) =>
+          this.whatsappBot.sendNotification(customer, message));
+      }
+
+      if (process.env.ENABLE_SMS === 'true') {
+        this.smsBot = new SmsBot();
+        await this.smsBot.initialize();
+        this.app.locals.smsBot = this.smsBot;
+        logger.info('SMS channel initialized');
+        NotificationService.registerChannel('sms', (customer, message) =>
+          this.smsBot.sendNotification(customer, message));
+      }
+
+      if (process.env.ENABLE_EMAIL === 'true') {
+        await EmailService.initialize();
+        logger.info('Email service initialized');
+        NotificationService.registerChannel('email', (customer, message, options) =>
+          EmailService.sendNotification(customer, message, options));
+      }
+
+      // Notification jobs need the channels registered above
+      if (QueueService.isInitialized) {
+        QueueService.process('server');
       }
 
     } catch (error) {
@@ -150,6 +230,14 @@ class PharmacyAISalesAgent {
         logger.info(`📊 Environment: ${process.env.NODE_ENV}`);
         logger.info(`🔗 Health check: http://localhost:${this.port}/health`);
       });
+
+      // WebSocket chat shares the HTTP server's port
+      if (process.env.ENABLE_WEB_CHAT === 'true') {
+        this.webChat = new WebChatServer();
+        this.webChat.attach(this.server);
+        NotificationService.registerChannel('web', (customer, message) =>
+          this.webChat.sendNotification(customer, message));
+      }
     } catch (error) {
       logger.error('Failed to start server:', error);
       process.exit(1);
@@ -160,6 +248,12 @@ class PharmacyAISalesAgent {
     logger.info('🛑 Shutting down Pharmacy AI Sales Agent...');
     
     try {
+      // Close web chat connections; the HTTP server does not track upgraded sockets
+      if (this.webChat) {
+        await this.webChat.stop();
+        logger.info('✅ Web chat closed');
+      }
+
       // Close server
       if (this.server) {
         await new Promise((resolve) => {
@@ -168,6 +262,14 @@ class PharmacyAISalesAgent {
         logger.info('✅ HTTP server closed');
       }
 
+      if (QueueService.isInitialized) {
+        await QueueService.close();
+        logger.info('✅ Job queues closed');
+      }
+
+      await StateService.close();
+      await RateLimitService.close();
+
       // Close database connections
       await DatabaseService.close();
       logger.info('✅ Database connections closed');
@@ -183,6 +285,16 @@ class PharmacyAISalesAgent {
         logger.info('✅ WhatsApp bot stopped');
       }
 
+      if (this.smsBot) {
+        await this.smsBot.stop();
+        logger.info('✅ SMS channel stopped');
+      }
+
+      if (EmailService.isActive()) {
+        await EmailService.stop();
+        logger.info('✅ Email service stopped');
+      }
+
       logger.info('👋 Shutdown completed');
       process.exit(0);
     } catch (error) {
@@ -1,30 +1,72 @@
-const OpenAI = require('openai');
 const DatabaseService = require('./DatabaseService');
 const CustomerService = require('./CustomerService');
 const ProductService = require('./ProductService');
 const PromotionService = require('./PromotionService');
+const CartService = require('./CartService');
+const OrderService = require('./OrderService');
+const PrescriptionService = require('./PrescriptionService');
+const SafetyService = require('./SafetyService');
+const HandoffService = require('./HandoffService');
+const GuardrailService = require('./GuardrailService');
+const QueueService = require('./QueueService');
+const StateService = require('./StateService');
+const { createDefaultRegistry } = require('./AgentToolRegistry');
+const PiiRedactor = require('./PiiRedactor');
+const { createLLMProvider, RedactingLLMProvider } = require('./llm');
 const logger = require('../utils/logger');
 
+// Tool run for an intent when the model did not call it on its own
+const INTENT_DEFAULT_TOOLS = {
+  order_status: 'get_recent_orders',
+  prescription_refill: 'get_prescription_history'
+};
+
+// WhatsApp lists hold at most ten rows, so no channel is offered more
+const REPLY_LIST_LIMIT = 10;
+
+// Idle conversations drop out of the shared store and are reloaded from the database
+const CONVERSATION_TTL_MS = (parseInt(process.env.CONVERSATION_TTL_SECONDS) || 3600) * 1000;
+
+// Messages from one customer are processed one at a time, across all replicas
+const CUSTOMER_LOCK = { ttlMs: 2 * 60 * 1000, waitMs: 60 * 1000 };
+
+// Customer record fields the model may see at all; identifying ones among them are
+// still replaced by placeholders before they leave the process
+const AI_CUSTOMER_FIELDS = (process.env.AI_CUSTOMER_FIELDS || 'first_name,preferred_language,loyalty_points,total_purchases')
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+
 class AIAgentService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
-    // Conversation context storage
-    this.conversations = new Map();
+    // Language model backend, selected with AI_PROVIDER; created on first use so that
+    // loading the agent (routes, adapters, the worker) does not need provider credentials
+    this.llm = null;
     
     // AI configuration
     this.config = {
       model: process.env.AI_MODEL || 'gpt-4',
+      analysisModel: process.env.AI_ANALYSIS_MODEL || 'gpt-3.5-turbo',
+      toolModel: process.env.AI_TOOL_MODEL || process.env.AI_MODEL || 'gpt-4',
       maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 2000,
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
+      maxToolSteps: parseInt(process.env.AI_MAX_TOOL_STEPS) || 4,
     };
 
+    // Tools the model can call while gathering data for a reply
+    this.tools = createDefaultRegistry();
+
     // Initialize system prompt
     this.systemPrompt = this.buildSystemPrompt();
   }
 
+  getProvider() {
+    if (!this.llm) {
+      this.llm = createLLMProvider();
+    }
+    return this.llm;
+  }
+
   buildSystemPrompt() {
     return `You are a helpful and knowledgeable pharmacy sales assistant. Your role is to:
 
@@ -36,9 +78,12 @@ class AIAgentService {
 **IMPORTANT GUIDELINES:**
 - Always prioritize customer safety and health
 - Never provide medical diagnosis or replace professional medical advice
-- For prescription medications, always verify prescription requirements
+- Never recommend products listed in withheld_for_safety; explain the safety concern and suggest speaking with a pharmacist
+- Mention any safety flags on recommended products
+- For prescription medications, always verify prescription requirements and explain that a pharmacist must approve them before the order is prepared
 - Apply promotions and discounts when applicable
 - Maintain customer privacy and confidentiality
+- ${PiiRedactor.PROMPT_NOTE}
 - Be transparent about pricing and product information
 
 **AVAILABLE FUNCTIONS:**
@@ -46,7 +91,7 @@ class AIAgentService {
 - Check customer purchase history and preferences
 - Apply promotions and calculate discounts
 - Check inventory and availability
-- Process orders and payments
+- Add confirmed items to the customer's cart
 
 **CONVERSATION STYLE:**
 - Be conversational and friendly
@@ -58,72 +103,209 @@ class AIAgentService {
 Remember: You're here to help customers make informed decisions about their health and wellness needs.`;
   }
 
-  async processMessage(customerId, message, channel = 'web') {
+  /**
+   * Optional hooks let callers observe progress (used by the streaming endpoint):
+   * onAnalysis(analysis), onAction(action) per tool result, onToken(text) per response delta,
+   * and onRevision(text) when the guardrails changed the response. Tokens are only passed
+   * on once the guardrails have reviewed their sentence, so unsafe text is never streamed.
+   */
+  async processMessage(customerId, message, channel = 'web', hooks = {}) {
+    return StateService.withLock(`customer:${customerId}`,
+      () => this.processMessageLocked(customerId, message, channel, hooks), CUSTOMER_LOCK);
+  }
+
+  async processMessageLocked(customerId, message, channel, hooks) {
     try {
       logger.info(`Processing message from customer ${customerId} via ${channel}`);
+      const startedAt = Date.now();
+
+      // While staff own the conversation, messages go to their inbox instead of the model
+      if (await HandoffService.isBotPaused(customerId)) {
+        const handoff = await HandoffService.recordCustomerMessage(customerId, message, channel);
+        if (handoff) {
+          return {
+            response: null,
+            intent: 'handoff',
+            actions: [],
+            handoff: { handoff_id: handoff.handoff_id, status: handoff.status },
+            reply: null,
+            metadata: { timestamp: new Date().toISOString() }
+          };
+        }
+      }
 
       // Get or create conversation context
       const conversation = await this.getConversationContext(customerId);
+
+      // Emergencies get a fixed message and a pharmacist, never a generated answer
+      const emergency = GuardrailService.detectEmergency(message);
+      if (emergency) {
+        return await this.handOffToStaff(customerId, message, channel, conversation, { intent: 'emergency', confidence: 1 }, emergency);
+      }
+
+      // The model only sees placeholders for this customer's personal details
+      const llm = await this.createRedactingLLM(customerId);
       
       // Analyze message intent and extract entities
-      const messageAnalysis = await this.analyzeMessage(message, conversation);
+      const messageAnalysis = await this.analyzeMessage(message, conversation, llm);
+      hooks.onAnalysis?.(messageAnalysis);
+
+      const escalation = HandoffService.detectEscalation(message, messageAnalysis, conversation);
+      if (escalation) {
+        return await this.handOffToStaff(customerId, message, channel, conversation, messageAnalysis, escalation);
+      }
       
       // Execute appropriate actions based on intent
-      const actionResults = await this.executeActions(messageAnalysis, customerId);
+      const actionResults = await this.executeActions(messageAnalysis, customerId, message, conversation, hooks, channel, llm);
       
+      // Streamed text is held back until the guardrails have passed each sentence
+      const reviewer = hooks.onToken
+        ? GuardrailService.createStreamReviewer({ customerId, actions: actionResults }, hooks.onToken)
+        : null;
+
       // Generate AI response
-      const response = await this.generateResponse(message, conversation, actionResults);
+      const response = await this.generateResponse(message, conversation, actionResults,
+        reviewer ? { ...hooks, onToken: reviewer.write } : hooks, llm);
+
+      // Check the reply before it is stored or sent; violations are rewritten or blocked
+      const guardrail = await GuardrailService.review(response.content, { customerId, actions: actionResults });
+      await reviewer?.finish(guardrail.action === 'allow');
+      if (guardrail.action !== 'allow') {
+        response.content = guardrail.content;
+        hooks.onRevision?.(guardrail.content);
+      }
       
       // Update conversation context
-      await this.updateConversationContext(customerId, message, response, messageAnalysis);
+      await this.updateConversationContext(customerId, message, response, messageAnalysis, conversation.context_data);
       
-      // Log conversation for analytics
-      await this.logConversation(customerId, message, response, channel);
+      // Log conversation for analytics; the id is needed now, the metrics are filled in by a job
+      const logId = await this.logConversation(customerId, message, response.content, channel, guardrail);
+      QueueService.enqueue('analytics', 'conversation-metrics', {
+        logId,
+        customerId,
+        channel,
+        intent: messageAnalysis.intent,
+        confidence: messageAnalysis.confidence,
+        responseTimeMs: Date.now() - startedAt,
+        tokensUsed: response.usage?.total_tokens || 0
+      });
       
       return {
         response: response.content,
         intent: messageAnalysis.intent,
         confidence: messageAnalysis.confidence,
         actions: actionResults,
+        guardrail: { action: guardrail.action, violations: guardrail.violations.map(violation => violation.type) },
+        reply: this.buildReply(response.content, actionResults),
         metadata: {
           tokensUsed: response.usage?.total_tokens || 0,
           model: this.config.model,
+          logId,
           timestamp: new Date().toISOString()
         }
       };
 
     } catch (error) {
       logger.error('Error processing message:', error);
+      const fallback = "I apologize, but I'm experiencing some technical difficulties. Please try again in a moment, or contact our support team if the issue persists.";
       return {
-        response: "I apologize, but I'm experiencing some technical difficulties. Please try again in a moment, or contact our support team if the issue persists.",
+        response: fallback,
+        reply: this.buildReply(fallback),
         error: error.message
       };
     }
   }
 
-  async analyzeMessage(message, conversation) {
+  // Redaction mapping for one message; without the customer record only detectors apply
+  async createRedactingLLM(customerId) {
+    let customer = null;
+
+    try {
+      customer = await CustomerService.getCustomerById(customerId);
+    } catch (error) {
+      logger.warn(`Redacting without customer record for ${customerId}:`, error.message);
+    }
+
+    return new RedactingLLMProvider(this.getProvider(), PiiRedactor.forCustomer(customer));
+  }
+
+  async handOffToStaff(customerId, message, channel, conversation, messageAnalysis, escalation) {
+    const handoff = await HandoffService.escalate(customerId, { channel, ...escalation, message });
+    const response = { content: escalation.response || HandoffService.getHandoffMessage(escalation.reason) };
+    const guardrail = escalation.reason === 'emergency'
+      ? { action: 'emergency', violations: [{ type: 'emergency', details: escalation.details }] }
+      : null;
+
+    await this.updateConversationContext(customerId, message, response, messageAnalysis, conversation.context_data);
+    const logId = await this.logConversation(customerId, message, response.content, channel, guardrail);
+
+    return {
+      response: response.content,
+      intent: messageAnalysis.intent,
+      confidence: messageAnalysis.confidence,
+      actions: [],
+      handoff: { handoff_id: handoff.handoff_id, status: handoff.status, reason: escalation.reason },
+      reply: this.buildReply(response.content),
+      metadata: { logId, timestamp: new Date().toISOString() }
+    };
+  }
+
+  /**
+   * Channel-neutral reply (see channels/ChannelAdapter): the response text plus the
+   * choices the actions make available. Button and item ids match the Telegram
+   * callback data, so taps there are handled without another model round trip.
+   */
+  buildReply(text, actions = []) {
+    const reply = { text: text || '', buttons: [], list: null, media: [] };
+
+    const products = actions.find(action => action.type === 'product_search')?.data?.products || [];
+    if (products.length > 0) {
+      reply.list = {
+        title: 'Products',
+        button: 'View products',
+        items: products.slice(0, REPLY_LIST_LIMIT).map(product => ({
+          id: `order_${product.product_id}`,
+          title: product.name,
+          description: `$${product.price}`
+        }))
+      };
+    }
+
+    if (actions.some(action => action.type === 'cart' && action.data?.added)) {
+      reply.buttons.push(
+        { id: 'view_cart', title: '🛒 View cart' },
+        { id: 'checkout', title: '✅ Checkout' }
+      );
+    }
+
+    return reply;
+  }
+
+  async analyzeMessage(message, conversation, llm = this.getProvider()) {
     try {
       const analysisPrompt = `
-Analyze this customer message and extract:
+Analyze the customer's message and extract:
 1. Primary intent (product_search, price_negotiation, prescription_refill, general_inquiry, complaint, order_status)
 2. Confidence level (0-1)
 3. Extracted entities (product names, symptoms, quantities, etc.)
 4. Customer sentiment (positive, neutral, negative)
 5. Urgency level (low, medium, high)
 
-Message: "${message}"
 Previous context: ${JSON.stringify(conversation.recent_messages?.slice(-3) || [])}
 
-Respond in JSON format.`;
+${PiiRedactor.PROMPT_NOTE}
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: analysisPrompt }],
+Respond in JSON format with the keys intent, confidence, entities, sentiment and urgency.`;
+
+      return await llm.completeJson({
+        model: this.config.analysisModel,
+        messages: [
+          { role: 'system', content: analysisPrompt },
+          { role: 'user', content: message }
+        ],
         temperature: 0.3,
-        max_tokens: 500
+        maxTokens: 500
       });
-
-      return JSON.parse(response.choices[0].message.content);
     } catch (error) {
       logger.error('Error analyzing message:', error);
       return {
@@ -136,45 +318,110 @@ Respond in JSON format.`;
     }
   }
 
-  async executeActions(messageAnalysis, customerId) {
+  async executeActions(messageAnalysis, customerId, message = '', conversation = {}, hooks = {}, channel = null, llm = this.getProvider()) {
     const actions = [];
-    
+    const toolContext = { agent: this, customerId, conversation, channel };
+
     try {
-      switch (messageAnalysis.intent) {
-        case 'product_search':
-          const products = await this.searchProducts(messageAnalysis.entities);
-          actions.push({ type: 'product_search', data: products });
-          break;
-          
-        case 'price_negotiation':
-          const promotions = await this.findApplicablePromotions(customerId, messageAnalysis.entities);
-          actions.push({ type: 'promotions', data: promotions });
-          break;
-          
-        case 'prescription_refill':
-          const prescriptions = await this.getPrescriptionHistory(customerId);
-          actions.push({ type: 'prescriptions', data: prescriptions });
-          break;
-          
-        case 'order_status':
-          const orders = await this.getRecentOrders(customerId);
-          actions.push({ type: 'orders', data: orders });
+      const messages = [
+        { role: 'system', content: this.buildToolPlanningPrompt() },
+        { role: 'system', content: `Message analysis: ${JSON.stringify(messageAnalysis)}` },
+        ...conversation.recent_messages?.slice(-5) || [],
+        { role: 'user', content: message }
+      ];
+
+      // Let the model chain tool calls, bounded so a confused model cannot loop forever
+      for (let step = 0; step < this.config.maxToolSteps; step++) {
+        const completion = await llm.chatCompletion({
+          model: this.config.toolModel,
+          messages,
+          tools: this.tools.getDefinitions(),
+          toolChoice: 'auto',
+          temperature: 0.2,
+          maxTokens: 500
+        });
+
+        const toolCalls = completion.toolCalls;
+
+        if (toolCalls.length === 0) {
           break;
+        }
+
+        messages.push(completion.message);
+
+        for (const toolCall of toolCalls) {
+          const result = await this.tools.execute(
+            toolCall.function.name,
+            toolCall.function.arguments,
+            toolContext
+          );
+
+          const action = this.toolResultToAction(toolCall.function.name, result);
+          actions.push(action);
+          hooks.onAction?.(action);
+
+          messages.push({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: JSON.stringify(result.success ? result.data : { error: result.error })
+          });
+        }
+      }
+
+      // Some intents always need their data, even if the model skipped the tool
+      const defaultTool = INTENT_DEFAULT_TOOLS[messageAnalysis.intent];
+      if (defaultTool && !actions.some(action => action.tool === defaultTool)) {
+        const result = await this.tools.execute(defaultTool, {}, toolContext);
+        const action = this.toolResultToAction(defaultTool, result);
+        actions.push(action);
+        hooks.onAction?.(action);
       }
 
+    } catch (error) {
+      logger.error('Error executing actions:', error);
+      actions.push({ type: 'error', data: { message: error.message } });
+    }
+
+    try {
       // Always get customer context
       const customer = await CustomerService.getCustomerById(customerId);
       actions.push({ type: 'customer_context', data: customer });
-
     } catch (error) {
-      logger.error('Error executing actions:', error);
+      logger.error('Error loading customer context:', error);
       actions.push({ type: 'error', data: { message: error.message } });
     }
 
     return actions;
   }
 
-  async generateResponse(message, conversation, actions) {
+  buildToolPlanningPrompt() {
+    return `You are the planning step of a pharmacy sales assistant. Decide which tools to call to gather the data needed to answer the customer's latest message.
+
+- Call as many tools as you need, one after another; use earlier results to choose later calls.
+- Only call add_to_cart when the customer has clearly asked to buy a specific product.
+- When you have enough data (or no tool is relevant), reply with a short note and no tool calls. Do not write the customer-facing answer.
+- ${PiiRedactor.PROMPT_NOTE}`;
+  }
+
+  toolResultToAction(toolName, result) {
+    if (!result.success) {
+      return {
+        type: 'error',
+        tool: toolName,
+        arguments: result.arguments || null,
+        data: { message: result.error }
+      };
+    }
+
+    return {
+      type: result.tool.actionType || toolName,
+      tool: toolName,
+      arguments: result.arguments,
+      data: result.data
+    };
+  }
+
+  async generateResponse(message, conversation, actions, hooks = {}, llm = this.getProvider()) {
     try {
       // Build context for AI
       const contextData = this.buildContextForAI(actions);
@@ -186,16 +433,20 @@ Respond in JSON format.`;
         { role: 'user', content: message }
       ];
 
-      const response = await this.openai.chat.completions.create({
+      const options = {
         model: this.config.model,
         messages: messages,
-        max_tokens: this.config.maxTokens,
+        maxTokens: this.config.maxTokens,
         temperature: this.config.temperature
-      });
+      };
+
+      const completion = hooks.onToken
+        ? await llm.streamChatCompletion(options, hooks.onToken)
+        : await llm.chatCompletion(options);
 
       return {
-        content: response.choices[0].message.content,
-        usage: response.usage
+        content: completion.content,
+        usage: completion.usage
       };
 
     } catch (error) {
@@ -210,7 +461,10 @@ Respond in JSON format.`;
     actions.forEach(action => {
       switch (action.type) {
         case 'product_search':
-          context.available_products = action.data;
+          context.available_products = (context.available_products || []).concat(action.data.products);
+          if (action.data.withheld.length > 0) {
+            context.withheld_for_safety = (context.withheld_for_safety || []).concat(action.data.withheld);
+          }
           break;
         case 'promotions':
           context.applicable_promotions = action.data;
@@ -218,13 +472,33 @@ Respond in JSON format.`;
         case 'prescriptions':
           context.prescription_history = action.data;
           break;
+        case 'refill':
+          context.refill_request = action.data;
+          break;
+        case 'orders':
+          context.recent_orders = action.data;
+          break;
+        case 'order_status':
+          context.order_status = action.data;
+          break;
+        case 'availability':
+          context.availability = context.availability || [];
+          context.availability.push(action.data);
+          break;
+        case 'cart':
+          context.cart = action.data;
+          break;
+        case 'error':
+          if (action.tool) {
+            context.tool_errors = context.tool_errors || [];
+            context.tool_errors.push({ tool: action.tool, message: action.data?.message });
+          }
+          break;
         case 'customer_context':
-          context.customer_info = {
-            name: action.data?.first_name + ' ' + action.data?.last_name,
-            loyalty_points: action.data?.loyalty_points,
-            total_purchases: action.data?.total_purchases,
-            preferred_language: action.data?.preferred_language
-          };
+          // Only the fields AI_CUSTOMER_FIELDS allows
+          context.customer_info = Object.fromEntries(AI_CUSTOMER_FIELDS
+            .filter(field => action.data?.[field] !== undefined && action.data?.[field] !== null)
+            .map(field => [field, action.data[field]]));
           break;
       }
     });
@@ -232,22 +506,23 @@ Respond in JSON format.`;
     return context;
   }
 
-  async searchProducts(entities) {
+  // Results are screened against the customer's allergies, conditions and recent purchases
+  async searchProducts(entities, customerId = null) {
     try {
       let products = [];
       
       // Search by product names
       if (entities.products?.length > 0) {
         for (const productName of entities.products) {
-          const found = await ProductService.searchProducts(productName);
+          const found = await ProductService.semanticSearch(productName);
           products = products.concat(found);
         }
       }
       
-      // Search by symptoms
+      // Search by symptoms; embeddings cover ingredients and side effects the category map misses
       if (entities.symptoms?.length > 0) {
         for (const symptom of entities.symptoms) {
-          const found = await ProductService.searchBySymptom(symptom);
+          const found = await ProductService.semanticSearch(symptom);
           products = products.concat(found);
         }
       }
@@ -265,10 +540,10 @@ Respond in JSON format.`;
         index === self.findIndex(p => p.id === product.id)
       ).slice(0, 10);
 
-      return uniqueProducts;
+      return await SafetyService.checkProducts(customerId, uniqueProducts);
     } catch (error) {
       logger.error('Error searching products:', error);
-      return [];
+      return { products: [], withheld: [] };
     }
   }
 
@@ -318,24 +593,61 @@ Respond in JSON format.`;
 
   async getPrescriptionHistory(customerId) {
     try {
-      const query = `
-        SELECT DISTINCT product_name, prescription_number, original_prescription_date, refill_number
-        FROM sales_history 
-        WHERE customer_id = $1 AND prescription_number IS NOT NULL
-        ORDER BY original_prescription_date DESC
-        LIMIT 10
-      `;
-      
-      const result = await DatabaseService.query(query, [customerId]);
-      return result.rows;
+      const prescriptions = await PrescriptionService.getCustomerPrescriptions(customerId);
+
+      return prescriptions.map(prescription => ({
+        prescription_id: prescription.prescription_id,
+        drug_name: prescription.drug_name,
+        strength: prescription.strength,
+        prescriber_name: prescription.prescriber_name,
+        status: prescription.status,
+        refills_remaining: prescription.refills_remaining,
+        expiry_date: prescription.expiry_date,
+        refill_eligible: prescription.refill_eligibility.eligible,
+        refill_blocked_reason: prescription.refill_eligibility.reason
+      }));
     } catch (error) {
       logger.error('Error getting prescription history:', error);
       return [];
     }
   }
 
+  async requestPrescriptionRefill(customerId, prescriptionId, channel = null) {
+    try {
+      const refill = await PrescriptionService.requestRefill(prescriptionId, { customerId, channel });
+
+      return {
+        requested: true,
+        request_id: refill.request_id,
+        prescription_id: prescriptionId,
+        drug_name: refill.drug_name,
+        refills_remaining: refill.refills_remaining
+      };
+    } catch (error) {
+      // Expired scripts and exhausted refills are for the model to explain
+      if (error.statusCode) {
+        return { requested: false, prescription_id: prescriptionId, reason: error.message };
+      }
+      throw error;
+    }
+  }
+
   async getRecentOrders(customerId) {
     try {
+      const orders = await OrderService.getCustomerOrders(customerId, 5);
+
+      if (orders.length > 0) {
+        return orders.map(order => ({
+          order_id: order.order_id,
+          status: order.status,
+          status_updated_at: order.status_updated_at,
+          placed_at: order.created_at,
+          total: order.total,
+          item_count: order.item_count
+        }));
+      }
+
+      // Purchases made before online ordering only exist in sales_history
       const query = `
         SELECT transaction_id, transaction_date, product_name, total_price, notes
         FROM sales_history 
@@ -352,61 +664,126 @@ Respond in JSON format.`;
     }
   }
 
-  async getConversationContext(customerId) {
+  async addToCart(customerId, productId, quantity = 1) {
     try {
-      // Check memory cache first
-      if (this.conversations.has(customerId)) {
-        return this.conversations.get(customerId);
+      // The model may know a product id from earlier turns, so screen it again here
+      const product = await ProductService.getProductById(productId);
+      if (product) {
+        const { withheld } = await SafetyService.checkProducts(customerId, [product]);
+        if (withheld.length > 0) {
+          return { added: false, product_id: productId, reason: 'Withheld for safety reasons', details: withheld[0].reasons };
+        }
       }
 
-      // Load from database
-      const query = `
-        SELECT * FROM conversations 
-        WHERE customer_id = $1 
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      
-      const result = await DatabaseService.query(query, [customerId]);
-      
-      const context = result.rows[0] || {
-        customer_id: customerId,
-        recent_messages: [],
-        context_data: {},
-        created_at: new Date()
+      const cart = await CartService.addItem(customerId, productId, quantity);
+
+      return {
+        added: true,
+        product_id: productId,
+        quantity,
+        pharmacist_review_required: cart.items.some(item => item.product_id === productId && item.prescription_required),
+        items: cart.items,
+        subtotal: cart.subtotal,
+        discount: cart.discount,
+        total: cart.total
       };
+    } catch (error) {
+      // Stock and lookup problems are for the model to explain, not failures of the tool
+      if (error.statusCode) {
+        return { added: false, product_id: productId, reason: error.message, details: error.details };
+      }
+      throw error;
+    }
+  }
+
+  async getOrderStatus(customerId, orderId) {
+    try {
+      const order = await OrderService.getOrderById(orderId);
+
+      // Never reveal another customer's order
+      if (order.customer_id !== customerId) {
+        return { found: false, order_id: orderId };
+      }
 
-      this.conversations.set(customerId, context);
-      return context;
+      return {
+        found: true,
+        order_id: order.order_id,
+        status: order.status,
+        status_updated_at: order.status_updated_at,
+        total: order.total,
+        items: order.items.map(item => ({ name: item.product_name, quantity: item.quantity })),
+        history: order.history
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { found: false, order_id: orderId };
+      }
+      throw error;
+    }
+  }
+
+  conversationKey(customerId) {
+    return `conversation:${customerId}`;
+  }
+
+  async getConversationContext(customerId) {
+    try {
+      const cached = await StateService.get(this.conversationKey(customerId));
+      if (cached) {
+        return cached;
+      }
+
+      const context = await this.loadConversationContext(customerId);
+
+      // Another replica may have loaded it meanwhile; keep whichever got there first
+      return await StateService.update(this.conversationKey(customerId),
+        (current) => current || context, { ttlMs: CONVERSATION_TTL_MS });
     } catch (error) {
       logger.error('Error getting conversation context:', error);
       return { customer_id: customerId, recent_messages: [], context_data: {} };
     }
   }
 
-  async updateConversationContext(customerId, userMessage, aiResponse, analysis) {
+  async loadConversationContext(customerId) {
+    const query = `
+      SELECT * FROM conversations 
+      WHERE customer_id = $1 
+      ORDER BY created_at DESC 
+      LIMIT 1
+    `;
+
+    const result = await DatabaseService.query(query, [customerId]);
+
+    return result.rows[0] || {
+      customer_id: customerId,
+      recent_messages: [],
+      context_data: {},
+      created_at: new Date()
+    };
+  }
+
+  // contextData is what this message changed in context_data (e.g. the low-confidence
+  // streak); the stored copy is reloaded below, so it has to be carried across.
+  async updateConversationContext(customerId, userMessage, aiResponse, analysis, contextData = {}) {
     try {
-      const context = this.conversations.get(customerId) || { recent_messages: [] };
-      
-      // Add new messages to context
-      context.recent_messages = context.recent_messages || [];
-      context.recent_messages.push(
-        { role: 'user', content: userMessage },
-        { role: 'assistant', content: aiResponse.content }
-      );
-      
-      // Keep only last 10 messages
-      if (context.recent_messages.length > 10) {
-        context.recent_messages = context.recent_messages.slice(-10);
-      }
-      
-      // Update context data
-      context.last_intent = analysis.intent;
-      context.last_updated = new Date();
-      
-      // Save to memory
-      this.conversations.set(customerId, context);
-      
+      // Applied to the latest stored context, so concurrent replies append rather than overwrite
+      const context = await StateService.update(this.conversationKey(customerId), async (current) => {
+        const next = current || await this.loadConversationContext(customerId);
+
+        // Keep only last 10 messages
+        next.recent_messages = [
+          ...(next.recent_messages || []),
+          { role: 'user', content: userMessage },
+          { role: 'assistant', content: aiResponse.content }
+        ].slice(-10);
+
+        // Update context data
+        next.context_data = { ...(next.context_data || {}), ...contextData };
+        next.last_intent = analysis.intent;
+        next.last_updated = new Date();
+        return next;
+      }, { ttlMs: CONVERSATION_TTL_MS });
+
       // Save to database
       await this.saveConversationContext(customerId, context);
       
@@ -415,6 +792,11 @@ Respond in JSON format.`;
     }
   }
 
+  // Drop the shared copy, e.g. after the database rows moved to another customer
+  async forgetConversation(customerId) {
+    await StateService.delete(this.conversationKey(customerId));
+  }
+
   async saveConversationContext(customerId, context) {
     try {
       const query = `
@@ -439,40 +821,34 @@ Respond in JSON format.`;
     }
   }
 
-  async logConversation(customerId, userMessage, aiResponse, channel) {
+  // Returns the log row id (web chat uses it as the replay cursor), or null if logging failed.
+  // guardrail is what GuardrailService did to the response, if anything.
+  async logConversation(customerId, userMessage, aiResponse, channel, guardrail = null) {
     try {
       const query = `
-        INSERT INTO conversation_logs (customer_id, user_message, ai_response, channel, created_at)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO conversation_logs (
+          customer_id, user_message, ai_response, channel, guardrail_action, guardrail_violations, created_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
       `;
       
-      await DatabaseService.query(query, [
+      const result = await DatabaseService.query(query, [
         customerId,
         userMessage,
         aiResponse,
         channel,
+        guardrail?.action || 'allow',
+        guardrail?.violations?.length ? JSON.stringify(guardrail.violations) : null,
         new Date()
       ]);
-      
+
+      return result.rows[0]?.id || null;
     } catch (error) {
       logger.error('Error logging conversation:', error);
+      return null;
     }
   }
-
-  // Cleanup old conversations from memory periodically
-  startCleanupTimer() {
-    setInterval(() => {
-      const cutoff = new Date(Date.now() - 60 * 60 * 1000); // 1 hour ago
-      
-      for (const [customerId, context] of this.conversations.entries()) {
-        if (context.last_updated < cutoff) {
-          this.conversations.delete(customerId);
-        }
-      }
-      
-      logger.info(`Cleaned up conversation contexts. Active conversations: ${this.conversations.size}`);
-    }, 15 * 60 * 1000); // Clean every 15 minutes
-  }
 }
 
 module.exports = new AIAgentService();
@@ -0,0 +1,238 @@
+const Joi = require('joi');
+const ProductService = require('./ProductService');
+const PromotionService = require('./PromotionService');
+const logger = require('../utils/logger');
+
+class AgentToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool.name || typeof tool.execute !== 'function') {
+      throw new Error('Tool must have a name and an execute function');
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Tool definitions in the format expected by the chat completions `tools` parameter
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  validateArguments(tool, rawArgs) {
+    let args = rawArgs;
+
+    if (typeof rawArgs === 'string') {
+      try {
+        args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+      } catch (error) {
+        return { error: `Arguments are not valid JSON: ${error.message}` };
+      }
+    }
+
+    const { value, error } = tool.schema.validate(args || {}, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    if (error) {
+      return { error: error.details.map(detail => detail.message).join('; ') };
+    }
+
+    return { value };
+  }
+
+  async execute(name, rawArgs, context = {}) {
+    const tool = this.get(name);
+
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    const { value, error } = this.validateArguments(tool, rawArgs);
+
+    if (error) {
+      logger.warn(`Invalid arguments for tool ${name}: ${error}`);
+      return { success: false, tool, error };
+    }
+
+    try {
+      const data = await tool.execute(value, context);
+      return { success: true, tool, arguments: value, data };
+    } catch (err) {
+      logger.error(`Error executing tool ${name}:`, err);
+      return { success: false, tool, arguments: value, error: err.message };
+    }
+  }
+}
+
+const defaultTools = [
+  {
+    name: 'search_products',
+    actionType: 'product_search',
+    description: 'Search the pharmacy catalog by product names, symptoms or categories.',
+    parameters: {
+      type: 'object',
+      properties: {
+        products: { type: 'array', items: { type: 'string' }, description: 'Product names or keywords' },
+        symptoms: { type: 'array', items: { type: 'string' }, description: 'Symptoms the customer mentioned' },
+        categories: { type: 'array', items: { type: 'string' }, description: 'Product categories' }
+      }
+    },
+    schema: Joi.object({
+      products: Joi.array().items(Joi.string().trim().min(1)).max(5),
+      symptoms: Joi.array().items(Joi.string().trim().min(1)).max(5),
+      categories: Joi.array().items(Joi.string().trim().min(1)).max(5)
+    }).or('products', 'symptoms', 'categories'),
+    execute: (args, { agent, customerId }) => agent.searchProducts(args, customerId)
+  },
+  {
+    name: 'check_availability',
+    actionType: 'availability',
+    description: 'Check whether a product is in stock for the requested quantity.',
+    parameters: {
+      type: 'object',
+      properties: {
+        product_id: { type: 'string', description: 'Catalog product_id, e.g. PROD-001' },
+        quantity: { type: 'integer', minimum: 1, description: 'Requested quantity' }
+      },
+      required: ['product_id']
+    },
+    schema: Joi.object({
+      product_id: Joi.string().trim().required(),
+      quantity: Joi.number().integer().min(1).max(100).default(1)
+    }),
+    execute: async ({ product_id, quantity }) => {
+      const availability = await ProductService.checkAvailability(product_id, quantity);
+      return {
+        product_id,
+        requested_quantity: quantity,
+        available: availability.available,
+        reason: availability.reason,
+        available_quantity: availability.availableQuantity ?? availability.product?.stock_quantity,
+        price: availability.product?.price,
+        prescription_required: availability.product?.prescription_required
+      };
+    }
+  },
+  {
+    name: 'get_applicable_promotions',
+    actionType: 'promotions',
+    description: 'List active promotions the current customer is eligible for, optionally for specific products.',
+    parameters: {
+      type: 'object',
+      properties: {
+        product_ids: { type: 'array', items: { type: 'string' }, description: 'Catalog product_ids being considered' }
+      }
+    },
+    schema: Joi.object({
+      product_ids: Joi.array().items(Joi.string().trim()).max(10).default([])
+    }),
+    execute: async ({ product_ids }, { customerId }) => {
+      const products = [];
+      for (const productId of product_ids) {
+        const product = await ProductService.getProductById(productId);
+        if (product) products.push(product);
+      }
+
+      const promotions = await PromotionService.getApplicablePromotions(customerId, products);
+      return promotions.slice(0, 5);
+    }
+  },
+  {
+    name: 'get_recent_orders',
+    actionType: 'orders',
+    description: "Look up the current customer's most recent orders and their statuses.",
+    parameters: { type: 'object', properties: {} },
+    schema: Joi.object({}),
+    execute: (args, { agent, customerId }) => agent.getRecentOrders(customerId)
+  },
+  {
+    name: 'get_order_status',
+    actionType: 'order_status',
+    description: "Get the current status, items and status history of one of the customer's orders.",
+    parameters: {
+      type: 'object',
+      properties: {
+        order_id: { type: 'string', description: 'Order ID, e.g. ORD-1700000000000-AB12CD34' }
+      },
+      required: ['order_id']
+    },
+    schema: Joi.object({
+      order_id: Joi.string().trim().required()
+    }),
+    execute: ({ order_id }, { agent, customerId }) => agent.getOrderStatus(customerId, order_id)
+  },
+  {
+    name: 'get_prescription_history',
+    actionType: 'prescriptions',
+    description: "Look up the current customer's prescription history and refills.",
+    parameters: { type: 'object', properties: {} },
+    schema: Joi.object({}),
+    execute: (args, { agent, customerId }) => agent.getPrescriptionHistory(customerId)
+  },
+  {
+    name: 'request_prescription_refill',
+    actionType: 'refill',
+    description: "Request a refill of one of the customer's prescriptions once they have confirmed which one.",
+    parameters: {
+      type: 'object',
+      properties: {
+        prescription_id: { type: 'string', description: 'prescription_id from the prescription history' }
+      },
+      required: ['prescription_id']
+    },
+    schema: Joi.object({
+      prescription_id: Joi.string().trim().required()
+    }),
+    execute: (args, { agent, customerId, channel }) =>
+      agent.requestPrescriptionRefill(customerId, args.prescription_id, channel)
+  },
+  {
+    name: 'add_to_cart',
+    actionType: 'cart',
+    description: "Add a product to the customer's cart once they have confirmed they want it.",
+    parameters: {
+      type: 'object',
+      properties: {
+        product_id: { type: 'string', description: 'Catalog product_id to add' },
+        quantity: { type: 'integer', minimum: 1, description: 'Quantity to add' }
+      },
+      required: ['product_id']
+    },
+    schema: Joi.object({
+      product_id: Joi.string().trim().required(),
+      quantity: Joi.number().integer().min(1).max(100).default(1)
+    }),
+    execute: (args, { agent, customerId }) => agent.addToCart(customerId, args.product_id, args.quantity)
+  }
+];
+
+const createDefaultRegistry = () => {
+  const registry = new AgentToolRegistry();
+  defaultTools.forEach(tool => registry.register(tool));
+  return registry;
+};
+
+module.exports = {
+  AgentToolRegistry,
+  createDefaultRegistry
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const DatabaseService = require('./DatabaseService');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed fields, in the order they appear in the CSV export
+const FIELDS = [
+  'actor_type', 'actor_id', 'actor_role', 'action', 'subject_type', 'subject_id',
+  'customer_id', 'route', 'channel', 'ip_address', 'details'
+];
+
+const CSV_COLUMNS = ['id', 'created_at', ...FIELDS, 'prev_hash', 'hash'];
+const PAGE_SIZE = 1000;
+
+const entrySchema = Joi.object({
+  actor_type: Joi.string().valid('user', 'api_key', 'system', 'anonymous').required(),
+  actor_id: Joi.string().max(100).allow(null).default(null),
+  actor_role: Joi.string().max(20).allow(null).default(null),
+  action: Joi.string().max(50).required(),
+  subject_type: Joi.string().max(50).required(),
+  subject_id: Joi.string().max(100).allow(null).default(null),
+  customer_id: Joi.string().max(50).allow(null).default(null),
+  route: Joi.string().max(255).allow(null).default(null),
+  channel: Joi.string().max(50).allow(null).default(null),
+  ip_address: Joi.string().max(64).allow(null).default(null),
+  details: Joi.object().allow(null).default(null)
+});
+
+const filterSchema = Joi.object({
+  actorId: Joi.string().trim().max(100),
+  actorType: Joi.string().valid('user', 'api_key', 'system', 'anonymous'),
+  action: Joi.string().trim().max(50),
+  subjectType: Joi.string().trim().max(50),
+  subjectId: Joi.string().trim().max(100),
+  customerId: Joi.string().trim().max(50),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const FILTER_COLUMNS = {
+  actorId: 'actor_id',
+  actorType: 'actor_type',
+  action: 'action',
+  subjectType: 'subject_type',
+  subjectId: 'subject_id',
+  customerId: 'customer_id'
+};
+
+// JSON with object keys sorted, so a row hashes the same after a round trip through JSONB
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+const hashEntry = (prevHash, entry) => {
+  const payload = { created_at: new Date(entry.created_at).toISOString() };
+  for (const field of FIELDS) {
+    payload[field] = entry[field] ?? null;
+  }
+
+  return crypto.createHash('sha256')
+    .update(prevHash)
+    .update(JSON.stringify(canonicalize(payload)))
+    .digest('hex');
+};
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Audit trail of reads and changes of customer data and of staff actions. Entries are
+ * chained by hash and written one at a time (an advisory lock orders writers across
+ * replicas), and the table rejects UPDATE, DELETE and TRUNCATE.
+ */
+class AuditService {
+  static async record(entry) {
+    const { value, error } = entrySchema.validate(entry, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      throw new ValidationError('Invalid audit entry', error.details.map(detail => detail.message));
+    }
+
+    // Store details exactly as they will read back (dates as strings, no undefined)
+    value.details = value.details === null ? null : JSON.parse(JSON.stringify(value.details));
+
+    return DatabaseService.transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('audit_log'))");
+
+      const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+      const prevHash = last.rows[0]?.hash || GENESIS_HASH;
+      const row = { ...value, created_at: new Date() };
+
+      const result = await client.query(`
+        INSERT INTO audit_log (
+          actor_type, actor_id, actor_role, action, subject_type, subject_id, customer_id,
+          route, channel, ip_address, details, created_at, prev_hash, hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING *
+      `, [
+        ...FIELDS.map(field => row[field]), row.created_at, prevHash, hashEntry(prevHash, row)
+      ]);
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Records what the caller of an API request (req.auth, unless actor is given) did.
+   * Never throws: a failed audit write is logged as an error rather than failing the
+   * pharmacy operation it describes.
+   */
+  static async recordRequest(req, {
+    action, subjectType, subjectId = null, customerId = null, channel = null, details = null, actor = req.auth
+  }) {
+    try {
+      await this.record({
+        actor_type: actor?.type || 'anonymous',
+        actor_id: actor?.id || null,
+        actor_role: actor?.role || null,
+        action,
+        subject_type: subjectType,
+        subject_id: subjectId === null ? null : String(subjectId),
+        customer_id: customerId,
+        route: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+        channel: channel || 'api',
+        ip_address: req.ip || null,
+        details
+      });
+    } catch (error) {
+      logger.error(`Audit write failed for ${action} ${subjectType} ${subjectId || ''}:`, error.message);
+    }
+  }
+
+  static parseFilters(query) {
+    const { value, error } = filterSchema.validate(query, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      throw new ValidationError('Invalid audit filters', error.details.map(detail => detail.message));
+    }
+    return value;
+  }
+
+  static buildWhere(filters) {
+    const conditions = [];
+    const params = [];
+
+    for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+      if (filters[filter] !== undefined) {
+        params.push(filters[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+
+    return { conditions, params };
+  }
+
+  // Entries matching the filters, newest first
+  static async query(query = {}) {
+    const filters = this.parseFilters(query);
+    const { conditions, params } = this.buildWhere(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await DatabaseService.query(`
+      SELECT * FROM audit_log ${where}
+      ORDER BY id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, filters.limit, filters.offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Streams every entry matching the filters (limit and offset are ignored) as CSV,
+   * oldest first, through write(chunk), which may return a promise to apply
+   * backpressure. Returns the number of entries written.
+   */
+  static async exportCsv(query, write) {
+    const filters = this.parseFilters(query);
+    const { conditions, params } = this.buildWhere(filters);
+    let lastId = 0;
+    let count = 0;
+
+    await write(`${CSV_COLUMNS.join(',')}\n`);
+
+    for (;;) {
+      const pageParams = [...params, lastId, PAGE_SIZE];
+      const where = [...conditions, `id > $${params.length + 1}`].join(' AND ');
+      const result = await DatabaseService.query(`
+        SELECT * FROM audit_log WHERE ${where}
+        ORDER BY id
+        LIMIT $${params.length + 2}
+      `, pageParams);
+
+      if (result.rows.length === 0) {
+        return count;
+      }
+
+      await write(result.rows.map(row => `${CSV_COLUMNS.map(column => csvCell(row[column])).join(',')}\n`).join(''));
+      count += result.rows.length;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Recomputes the hash chain from the first entry. Reports the first entry whose hash
+   * does not match its contents or whose prev_hash does not match the entry before it.
+   */
+  static async verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const result = await DatabaseService.query(
+        'SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2',
+        [lastId, PAGE_SIZE]
+      );
+
+      if (result.rows.length === 0) {
+        return { valid: true, checked };
+      }
+
+      for (const row of result.rows) {
+        if (row.prev_hash !== prevHash) {
+          logger.error(`Audit chain broken at entry ${row.id}: previous entry missing or changed`);
+          return { valid: false, checked, brokenAt: row.id, reason: 'prev_hash does not match the previous entry' };
+        }
+        if (row.hash !== hashEntry(prevHash, row)) {
+          logger.error(`Audit chain broken at entry ${row.id}: entry changed`);
+          return { valid: false, checked, brokenAt: row.id, reason: 'hash does not match the entry' };
+        }
+
+        prevHash = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+    }
+  }
+}
+
+module.exports = AuditService;
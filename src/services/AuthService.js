@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const RateLimitService = require('./RateLimitService');
+const {
+  AppError, ValidationError, UnauthorizedError, NotFoundError, ConflictError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Staff roles; integration is for API keys, which are not tied to a person
+const STAFF_ROLES = ['admin', 'pharmacist', 'marketing', 'support'];
+const ROLES = [...STAFF_ROLES, 'integration'];
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+// Integration keys look like phk_<48 hex chars>; the prefix makes leaked keys easy to grep for
+const API_KEY_PREFIX = 'phk_';
+
+const password = Joi.string().min(12).max(128);
+
+const userSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  name: Joi.string().trim().max(255).required(),
+  password: password.required(),
+  role: Joi.string().valid(...STAFF_ROLES).required()
+});
+
+const userUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(255),
+  password,
+  role: Joi.string().valid(...STAFF_ROLES),
+  status: Joi.string().valid('active', 'disabled')
+}).min(1);
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().max(255).required(),
+  role: Joi.string().valid(...ROLES).default('integration'),
+  expiresAt: Joi.date().iso().greater('now').allow(null).default(null)
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const generateId = (prefix) => `${prefix}-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+
+const validate = (schema, data, message) => {
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    throw new ValidationError(message, error.details.map(detail => detail.message));
+  }
+  return value;
+};
+
+// Never hand out password hashes
+const toPublicUser = ({ password_hash, ...user }) => user;
+
+/**
+ * Staff authentication and integration API keys. Staff log in with email and password
+ * and get a short-lived access JWT plus a refresh token; refresh tokens are single use
+ * and stored hashed, as are API keys. Every caller resolves to a principal
+ * { type, id, name, role } that the auth middleware checks routes against.
+ */
+class AuthService {
+  static get ROLES() {
+    return ROLES;
+  }
+
+  static get STAFF_ROLES() {
+    return STAFF_ROLES;
+  }
+
+  static getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new AppError('JWT_SECRET is not configured', 500);
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  static async createUser(data) {
+    const value = validate(userSchema, data, 'Invalid staff user');
+
+    const existing = await DatabaseService.query('SELECT 1 FROM staff_users WHERE email = $1', [value.email]);
+    if (existing.rows.length > 0) {
+      throw new ConflictError(`A staff user with email ${value.email} already exists`);
+    }
+
+    const result = await DatabaseService.query(`
+      INSERT INTO staff_users (user_id, email, name, password_hash, role)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [generateId('STAFF'), value.email, value.name, await bcrypt.hash(value.password, BCRYPT_ROUNDS), value.role]);
+
+    logger.info(`👤 Staff user ${result.rows[0].user_id} created (${value.role})`);
+    return toPublicUser(result.rows[0]);
+  }
+
+  static async getUser(userId) {
+    const result = await DatabaseService.query('SELECT * FROM staff_users WHERE user_id = $1', [userId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Staff user ${userId} not found`);
+    }
+    return toPublicUser(result.rows[0]);
+  }
+
+  static async listUsers() {
+    const result = await DatabaseService.query('SELECT * FROM staff_users ORDER BY created_at');
+    return result.rows.map(toPublicUser);
+  }
+
+  // Disabling a user or changing their password or role also ends their sessions
+  static async updateUser(userId, data) {
+    const value = validate(userUpdateSchema, data, 'Invalid staff user update');
+
+    const result = await DatabaseService.query(`
+      UPDATE staff_users SET
+        name = COALESCE($2, name),
+        password_hash = COALESCE($3, password_hash),
+        role = COALESCE($4, role),
+        status = COALESCE($5, status)
+      WHERE user_id = $1
+      RETURNING *
+    `, [
+      userId, value.name || null, value.password ? await bcrypt.hash(value.password, BCRYPT_ROUNDS) : null,
+      value.role || null, value.status || null
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Staff user ${userId} not found`);
+    }
+
+    if (value.password || value.role || value.status === 'disabled') {
+      await this.revokeRefreshTokens(userId);
+    }
+
+    logger.info(`👤 Staff user ${userId} updated (${Object.keys(value).join(', ')})`);
+    return toPublicUser(result.rows[0]);
+  }
+
+  /**
+   * Email/password login. Attempts per email are rate limited, and an unknown email
+   * fails the same way as a wrong password.
+   */
+  static async login(email, plainPassword) {
+    if (typeof email !== 'string' || typeof plainPassword !== 'string' || !email || !plainPassword) {
+      throw new ValidationError('email and password are required');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const limit = await RateLimitService.consume('login', normalizedEmail);
+    if (!limit.allowed) {
+      throw new AppError(`Too many login attempts. Try again in ${limit.resetSeconds} seconds.`, 429);
+    }
+
+    const result = await DatabaseService.query('SELECT * FROM staff_users WHERE email = $1', [normalizedEmail]);
+    const user = result.rows[0];
+
+    if (!user || user.status !== 'active' || !(await bcrypt.compare(plainPassword, user.password_hash))) {
+      logger.warn(`Failed staff login for ${normalizedEmail}`);
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    await DatabaseService.query('UPDATE staff_users SET last_login_at = NOW() WHERE user_id = $1', [user.user_id]);
+    logger.info(`🔑 Staff user ${user.user_id} logged in`);
+
+    return this.issueTokens(user);
+  }
+
+  static async issueTokens(user) {
+    const accessToken = jwt.sign(
+      { role: user.role, name: user.name },
+      this.getSecret(),
+      { subject: user.user_id, expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    await DatabaseService.query(`
+      INSERT INTO staff_refresh_tokens (token_hash, user_id, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(days => $3::int))
+    `, [sha256(refreshToken), user.user_id, REFRESH_TOKEN_TTL_DAYS]);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: toPublicUser(user)
+    };
+  }
+
+  // Swap a refresh token for a new token pair; the old refresh token stops working
+  static async refresh(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      throw new ValidationError('refreshToken is required');
+    }
+
+    const result = await DatabaseService.query(`
+      UPDATE staff_refresh_tokens SET revoked_at = NOW()
+      WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [sha256(refreshToken)]);
+
+    if (result.rows.length === 0) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+
+    const userResult = await DatabaseService.query(
+      "SELECT * FROM staff_users WHERE user_id = $1 AND status = 'active'",
+      [result.rows[0].user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+
+    return this.issueTokens(userResult.rows[0]);
+  }
+
+  static async logout(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return;
+    }
+
+    await DatabaseService.query(
+      'UPDATE staff_refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+      [sha256(refreshToken)]
+    );
+  }
+
+  static async revokeRefreshTokens(userId) {
+    await DatabaseService.query(
+      'UPDATE staff_refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+
+  // Principal for an access token. Tokens are short-lived, so a disabled user's token runs until it expires
+  static verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    return { type: 'user', id: payload.sub, name: payload.name, role: payload.role };
+  }
+
+  /**
+   * Creates an API key. The plaintext key is only returned here; afterwards
+   * only its hash is known, so a lost key has to be replaced.
+   */
+  static async createApiKey(data, createdBy = null) {
+    const value = validate(apiKeySchema, data, 'Invalid API key');
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+    const result = await DatabaseService.query(`
+      INSERT INTO api_keys (key_id, name, key_prefix, key_hash, role, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING key_id, name, key_prefix, role, created_by, expires_at, created_at
+    `, [generateId('KEY'), value.name, key.slice(0, 12), sha256(key), value.role, createdBy, value.expiresAt]);
+
+    logger.info(`🔑 API key ${result.rows[0].key_id} (${value.name}) created with role ${value.role}`);
+    return { ...result.rows[0], key };
+  }
+
+  static async listApiKeys() {
+    const result = await DatabaseService.query(`
+      SELECT key_id, name, key_prefix, role, created_by, last_used_at, expires_at, revoked_at, created_at
+      FROM api_keys
+      ORDER BY created_at DESC
+    `);
+    return result.rows;
+  }
+
+  static async revokeApiKey(keyId) {
+    const result = await DatabaseService.query(`
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE key_id = $1
+      RETURNING key_id, name, key_prefix, role, revoked_at
+    `, [keyId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`API key ${keyId} not found`);
+    }
+
+    logger.info(`🔑 API key ${keyId} revoked`);
+    return result.rows[0];
+  }
+
+  // Principal for an API key
+  static async verifyApiKey(key) {
+    const result = await DatabaseService.query(`
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      RETURNING key_id, name, role
+    `, [sha256(key)]);
+
+    if (result.rows.length === 0) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    const apiKey = result.rows[0];
+    return { type: 'api_key', id: apiKey.key_id, name: apiKey.name, role: apiKey.role };
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,396 @@
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const PromotionService = require('./PromotionService');
+const OrderService = require('./OrderService');
+const NotificationService = require('./NotificationService');
+const QueueService = require('./QueueService');
+const VerificationService = require('./VerificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Carts never hold more of a product than is in stock
+const assertInStock = (productId, requested, available) => {
+  if (requested > available) {
+    throw new ConflictError('Insufficient stock', {
+      product_id: productId,
+      requested,
+      available
+    });
+  }
+};
+
+class CartService {
+  static async getActiveCart(customerId, client = DatabaseService) {
+    const result = await client.query(
+      "SELECT * FROM carts WHERE customer_id = $1 AND status = 'active'",
+      [customerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async getOrCreateActiveCart(customerId, channel = null) {
+    try {
+      const existing = await this.getActiveCart(customerId);
+      if (existing) return existing;
+
+      const result = await DatabaseService.query(`
+        INSERT INTO carts (cart_id, customer_id, status, channel)
+        VALUES ($1, $2, 'active', $3)
+        ON CONFLICT (customer_id) WHERE status = 'active' DO NOTHING
+        RETURNING *
+      `, [`CART-${uuidv4()}`, customerId, channel]);
+
+      // Another request created the cart first
+      return result.rows[0] || await this.getActiveCart(customerId);
+    } catch (error) {
+      logger.error('Error getting or creating cart:', error);
+      throw error;
+    }
+  }
+
+  static async getCartItems(cartId, client = DatabaseService) {
+    const result = await client.query(`
+      SELECT ci.product_id, ci.quantity, p.name, p.category, p.price,
+             p.stock_quantity, p.prescription_required
+      FROM cart_items ci
+      JOIN products p ON p.product_id = ci.product_id
+      WHERE ci.cart_id = $1
+      ORDER BY ci.created_at
+    `, [cartId]);
+
+    return result.rows.map(row => ({
+      product_id: row.product_id,
+      name: row.name,
+      category: row.category,
+      quantity: row.quantity,
+      unit_price: parseFloat(row.price),
+      line_total: roundCurrency(parseFloat(row.price) * row.quantity),
+      in_stock: row.stock_quantity >= row.quantity,
+      prescription_required: row.prescription_required
+    }));
+  }
+
+  // Prices always come from the current product rows; the promotion is re-evaluated on every read
+  static async calculateTotals(cart, items) {
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.line_total, 0));
+    let discount = 0;
+    let promotion = null;
+    let promotionError = null;
+
+    if (cart.promotion_id && items.length > 0) {
+      const products = items.map(item => ({ product_id: item.product_id, category: item.category }));
+      const result = await PromotionService.applyPromotion(
+        cart.promotion_id, cart.customer_id, subtotal, products, { dryRun: true }
+      );
+
+      if (result.success) {
+        discount = roundCurrency(Math.min(result.discountAmount, subtotal));
+        promotion = result.promotion;
+      } else {
+        promotionError = result.error;
+      }
+    }
+
+    return {
+      subtotal,
+      discount,
+      total: roundCurrency(subtotal - discount),
+      promotion,
+      promotionError
+    };
+  }
+
+  static async getCart(customerId) {
+    try {
+      const cart = await this.getOrCreateActiveCart(customerId);
+      const items = await this.getCartItems(cart.cart_id);
+      const totals = await this.calculateTotals(cart, items);
+
+      return {
+        cart_id: cart.cart_id,
+        customer_id: customerId,
+        promotion_id: cart.promotion_id,
+        items,
+        item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        ...totals
+      };
+    } catch (error) {
+      logger.error('Error getting cart:', error);
+      throw error;
+    }
+  }
+
+  static async addItem(customerId, productId, quantity = 1, channel = null) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError('quantity must be a positive integer');
+    }
+
+    const product = await DatabaseService.query(
+      'SELECT product_id, stock_quantity FROM products WHERE product_id = $1',
+      [productId]
+    );
+
+    if (product.rows.length === 0) {
+      throw new NotFoundError(`Product ${productId} not found`);
+    }
+
+    const cart = await this.getOrCreateActiveCart(customerId, channel);
+
+    const existing = await DatabaseService.query(
+      'SELECT quantity FROM cart_items WHERE cart_id = $1 AND product_id = $2',
+      [cart.cart_id, productId]
+    );
+    const newQuantity = (existing.rows[0]?.quantity || 0) + quantity;
+    assertInStock(productId, newQuantity, product.rows[0].stock_quantity);
+
+    await DatabaseService.query(`
+      INSERT INTO cart_items (cart_id, product_id, quantity)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (cart_id, product_id)
+      DO UPDATE SET quantity = EXCLUDED.quantity
+    `, [cart.cart_id, productId, newQuantity]);
+
+    return await this.getCart(customerId);
+  }
+
+  static async updateItemQuantity(customerId, productId, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new ValidationError('quantity must be a non-negative integer');
+    }
+
+    if (quantity === 0) {
+      return await this.removeItem(customerId, productId);
+    }
+
+    const cart = await this.getOrCreateActiveCart(customerId);
+    const item = await DatabaseService.query(`
+      SELECT p.stock_quantity
+      FROM cart_items ci
+      JOIN products p ON p.product_id = ci.product_id
+      WHERE ci.cart_id = $1 AND ci.product_id = $2
+    `, [cart.cart_id, productId]);
+
+    if (item.rows.length === 0) {
+      throw new NotFoundError(`Product ${productId} is not in the cart`);
+    }
+
+    assertInStock(productId, quantity, item.rows[0].stock_quantity);
+
+    await DatabaseService.query(
+      'UPDATE cart_items SET quantity = $3 WHERE cart_id = $1 AND product_id = $2',
+      [cart.cart_id, productId, quantity]
+    );
+
+    return await this.getCart(customerId);
+  }
+
+  static async removeItem(customerId, productId) {
+    const cart = await this.getOrCreateActiveCart(customerId);
+    await DatabaseService.query(
+      'DELETE FROM cart_items WHERE cart_id = $1 AND product_id = $2',
+      [cart.cart_id, productId]
+    );
+
+    return await this.getCart(customerId);
+  }
+
+  static async clearCart(customerId) {
+    const cart = await this.getOrCreateActiveCart(customerId);
+    await DatabaseService.query('DELETE FROM cart_items WHERE cart_id = $1', [cart.cart_id]);
+    await DatabaseService.query('UPDATE carts SET promotion_id = NULL WHERE cart_id = $1', [cart.cart_id]);
+
+    return await this.getCart(customerId);
+  }
+
+  static async setPromotion(customerId, promotionId) {
+    const cart = await this.getOrCreateActiveCart(customerId);
+
+    if (promotionId) {
+      const promotion = await PromotionService.getPromotionById(promotionId);
+      if (!promotion) {
+        throw new NotFoundError(`Promotion ${promotionId} not found`);
+      }
+
+      // Reject ineligible promotions up front instead of storing one that never applies
+      const items = await this.getCartItems(cart.cart_id);
+      const { promotionError } = await this.calculateTotals({ ...cart, promotion_id: promotionId }, items);
+      if (promotionError) {
+        throw new ValidationError(promotionError);
+      }
+    }
+
+    await DatabaseService.query(
+      'UPDATE carts SET promotion_id = $2 WHERE cart_id = $1',
+      [cart.cart_id, promotionId || null]
+    );
+
+    return await this.getCart(customerId);
+  }
+
+  // Spread the order discount over lines by value; the last line absorbs rounding
+  static allocateDiscount(items, discount, subtotal) {
+    let remaining = discount;
+
+    return items.map((item, index) => {
+      const share = index === items.length - 1
+        ? remaining
+        : roundCurrency(subtotal > 0 ? (discount * item.line_total) / subtotal : 0);
+      remaining = roundCurrency(remaining - share);
+      return share;
+    });
+  }
+
+  static async checkout(customerId, { paymentMethod = 'card', channel = null } = {}) {
+    const orderSuffix = uuidv4().slice(0, 8).toUpperCase();
+    const orderId = `ORD-${Date.now()}-${orderSuffix}`;
+
+    const order = await DatabaseService.transaction(async (client) => {
+      const cartResult = await client.query(
+        "SELECT * FROM carts WHERE customer_id = $1 AND status = 'active' FOR UPDATE",
+        [customerId]
+      );
+      const cart = cartResult.rows[0];
+
+      if (!cart) {
+        throw new ValidationError('Cart is empty');
+      }
+
+      // Lock the product rows so concurrent checkouts cannot oversell
+      await client.query(`
+        SELECT product_id FROM products
+        WHERE product_id IN (SELECT product_id FROM cart_items WHERE cart_id = $1)
+        FOR UPDATE
+      `, [cart.cart_id]);
+
+      const items = await this.getCartItems(cart.cart_id, client);
+
+      if (items.length === 0) {
+        throw new ValidationError('Cart is empty');
+      }
+
+      const outOfStock = items.filter(item => !item.in_stock);
+      if (outOfStock.length > 0) {
+        throw new ConflictError('Insufficient stock', outOfStock.map(item => ({
+          product_id: item.product_id,
+          name: item.name,
+          requested: item.quantity
+        })));
+      }
+
+      const totals = await this.calculateTotals(cart, items);
+      const lineDiscounts = this.allocateDiscount(items, totals.discount, totals.subtotal);
+      const promotionUsed = totals.promotion ? cart.promotion_id : null;
+
+      const salesRecords = [];
+      let loyaltyPoints = 0;
+
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const lineTotal = roundCurrency(item.line_total - lineDiscounts[i]);
+        const pointsEarned = Math.floor(lineTotal);
+        loyaltyPoints += pointsEarned;
+
+        await client.query(
+          'UPDATE products SET stock_quantity = stock_quantity - $2 WHERE product_id = $1',
+          [item.product_id, item.quantity]
+        );
+
+        salesRecords.push(await DatabaseService.createSalesRecord({
+          transaction_id: `TXN-${Date.now()}-${orderSuffix}-${i + 1}`,
+          customer_id: customerId,
+          product_id: item.product_id,
+          product_name: item.name,
+          category: item.category,
+          quantity: item.quantity,
+          unit_price: item.unit_price,
+          total_price: lineTotal,
+          discount_applied: lineDiscounts[i],
+          promotion_used: promotionUsed,
+          payment_method: paymentMethod,
+          loyalty_points_earned: pointsEarned,
+          order_id: orderId
+        }, client));
+      }
+
+      const orderResult = await client.query(`
+        INSERT INTO orders (
+          order_id, customer_id, cart_id, subtotal, discount_total, total,
+          promotion_id, payment_method, loyalty_points_earned, channel
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        orderId, customerId, cart.cart_id, totals.subtotal, totals.discount, totals.total,
+        promotionUsed, paymentMethod, loyaltyPoints, channel || cart.channel
+      ]);
+
+      await client.query(`
+        UPDATE customers
+        SET total_purchases = COALESCE(total_purchases, 0) + $2,
+            loyalty_points = COALESCE(loyalty_points, 0) + $3,
+            last_visit_date = NOW()
+        WHERE customer_id = $1
+      `, [customerId, totals.total, loyaltyPoints]);
+
+      await client.query(
+        "UPDATE carts SET status = 'checked_out', order_id = $2 WHERE cart_id = $1",
+        [cart.cart_id, orderId]
+      );
+
+      await OrderService.recordStatusChange(client, orderId, null, 'pending', {
+        changedBy: customerId,
+        reason: 'Order placed'
+      });
+
+      // Prescription-only lines wait for a pharmacist before the order can be prepared
+      const rxRecords = salesRecords.filter((record, i) => items[i].prescription_required);
+      let placedOrder = orderResult.rows[0];
+      let verifications = [];
+
+      if (rxRecords.length > 0) {
+        verifications = await VerificationService.enqueueOrderLines(client, placedOrder, rxRecords);
+
+        const held = await client.query(`
+          UPDATE orders SET status = 'awaiting_prescription', status_updated_at = NOW()
+          WHERE order_id = $1
+          RETURNING *
+        `, [orderId]);
+        placedOrder = held.rows[0];
+
+        await OrderService.recordStatusChange(client, orderId, 'pending', 'awaiting_prescription', {
+          reason: 'Prescription items require pharmacist verification'
+        });
+      }
+
+      return { ...placedOrder, items: salesRecords, verifications };
+    });
+
+    // Only count the promotion once the order is committed
+    if (order.promotion_id) {
+      try {
+        await PromotionService.incrementPromotionUsage(order.promotion_id);
+      } catch (error) {
+        logger.error(`Could not record promotion usage for order ${orderId}:`, error);
+      }
+    }
+
+    if (order.status === 'awaiting_prescription') {
+      NotificationService.queueNotification(customerId,
+        `📋 Your order ${orderId} includes prescription items. A pharmacist will review them and we'll message you with the decision.`
+      );
+    }
+
+    // The chat reply already confirms the order; the email is the customer's copy
+    QueueService.enqueue('outbound-messages', 'email', {
+      customerId,
+      template: 'order_confirmation',
+      data: { order, items: order.items }
+    });
+
+    logger.info(`🛒 Order ${orderId} placed by customer ${customerId} for $${order.total}`);
+    return order;
+  }
+}
+
+module.exports = CartService;
@@ -0,0 +1,68 @@
+const DatabaseService = require('./DatabaseService');
+const logger = require('../utils/logger');
+
+// Outbound statuses in the order a message moves through them; callbacks can arrive out of order
+const OUTBOUND_STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+
+class ChannelMessageService {
+  /**
+   * Record an inbound message or update ID. Returns false when it was already
+   * recorded, i.e. the platform redelivered something we have processed.
+   */
+  static async recordInbound(channel, messageId, { customerId = null, sender = null, type = null } = {}) {
+    const result = await DatabaseService.query(`
+      INSERT INTO channel_messages (channel, direction, message_id, customer_id, recipient, message_type, status)
+      VALUES ($1, 'inbound', $2, $3, $4, $5, 'received')
+      ON CONFLICT (channel, direction, message_id) DO NOTHING
+      RETURNING id
+    `, [channel, String(messageId), customerId, sender, type]);
+
+    return result.rows.length > 0;
+  }
+
+  static async recordOutbound(channel, messageId, { customerId = null, recipient = null, type = null } = {}) {
+    try {
+      await DatabaseService.query(`
+        INSERT INTO channel_messages (channel, direction, message_id, customer_id, recipient, message_type, status)
+        VALUES ($1, 'outbound', $2, $3, $4, $5, 'accepted')
+        ON CONFLICT (channel, direction, message_id) DO NOTHING
+      `, [channel, String(messageId), customerId, recipient, type]);
+    } catch (error) {
+      // Tracking must never fail a send that already happened
+      logger.error(`Could not record outbound ${channel} message ${messageId}:`, error.message);
+    }
+  }
+
+  /**
+   * Apply a delivery status callback. Statuses only move forward, so a late "sent"
+   * never overwrites "read"; "failed" applies unless the message was already read.
+   */
+  static async updateOutboundStatus(channel, messageId, status, { recipient = null, timestamp = null, errorCode = null, errorMessage = null } = {}) {
+    const result = await DatabaseService.query(`
+      INSERT INTO channel_messages (
+        channel, direction, message_id, recipient, status, status_updated_at, error_code, error_message
+      ) VALUES ($1, 'outbound', $2, $3, $4, COALESCE($5, NOW()), $6, $7)
+      ON CONFLICT (channel, direction, message_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        status_updated_at = EXCLUDED.status_updated_at,
+        error_code = COALESCE(EXCLUDED.error_code, channel_messages.error_code),
+        error_message = COALESCE(EXCLUDED.error_message, channel_messages.error_message)
+      WHERE (EXCLUDED.status = 'failed' AND channel_messages.status <> 'read')
+         OR COALESCE(array_position($8::varchar[], channel_messages.status), 0)
+            < COALESCE(array_position($8::varchar[], EXCLUDED.status), 0)
+      RETURNING status
+    `, [channel, String(messageId), recipient, status, timestamp, errorCode, errorMessage, OUTBOUND_STATUS_ORDER]);
+
+    return result.rows.length > 0;
+  }
+
+  static async getMessage(channel, direction, messageId) {
+    const result = await DatabaseService.query(
+      'SELECT * FROM channel_messages WHERE channel = $1 AND direction = $2 AND message_id = $3',
+      [channel, direction, String(messageId)]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ChannelMessageService;
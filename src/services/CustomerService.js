@@ -1,7 +1,161 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
 const DatabaseService = require('./DatabaseService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+// Contact, identity and medical columns; the API returns them only when asked for by name
+const PII_FIELDS = [
+  'email', 'phone', 'whatsapp_phone', 'telegram_id', 'date_of_birth', 'gender',
+  'address_line1', 'address_line2', 'zip_code', 'insurance_provider', 'insurance_id',
+  'emergency_contact_name', 'emergency_contact_phone', 'allergies', 'medical_conditions'
+];
+
+const DEFAULT_FIELDS = [
+  'customer_id', 'first_name', 'last_name', 'city', 'state', 'country', 'preferred_language',
+  'communication_preference', 'marketing_consent', 'status', 'loyalty_points', 'total_purchases',
+  'prescription_count', 'registration_date', 'last_visit_date', 'created_at', 'updated_at'
+];
+
+const FIELDS = [...DEFAULT_FIELDS, ...PII_FIELDS];
+
+// Guest and Merged come from the web chat identity flow and are not set through the API
+const STATUSES = ['Active', 'Inactive', 'Guest', 'Merged'];
+const EDITABLE_STATUSES = ['Active', 'Inactive'];
+
+// The customer segments promotions target (see PromotionService.checkCustomerEligibility)
+const SEGMENT_CONDITIONS = {
+  seniors: "date_of_birth <= CURRENT_DATE - INTERVAL '65 years'",
+  new_customers: "registration_date > NOW() - INTERVAL '30 days'",
+  loyalty_members: 'loyalty_points > 100',
+  diabetic_customers: "medical_conditions ILIKE '%diabetes%'",
+  regular_customers: 'prescription_count > 5'
+};
+
+// Customers with an address on the channel; chat channels leave placeholder emails
+const CHANNEL_CONDITIONS = {
+  telegram: 'telegram_id IS NOT NULL',
+  whatsapp: 'whatsapp_phone IS NOT NULL',
+  sms: 'phone IS NOT NULL',
+  email: "email IS NOT NULL AND email !~* '@(telegram|whatsapp|sms|web)\\.user$'"
+};
+
+const profileFields = {
+  first_name: Joi.string().trim().max(100),
+  last_name: Joi.string().trim().max(100),
+  email: Joi.string().trim().lowercase().email().max(255).allow(null),
+  phone: Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/).max(20).allow(null),
+  whatsapp_phone: Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/).max(20).allow(null),
+  date_of_birth: Joi.date().iso().max('now').allow(null),
+  gender: Joi.string().trim().max(20).allow(null),
+  address_line1: Joi.string().trim().max(255).allow(null),
+  address_line2: Joi.string().trim().max(255).allow(null),
+  city: Joi.string().trim().max(100).allow(null),
+  state: Joi.string().trim().max(100).allow(null),
+  zip_code: Joi.number().integer().min(0).max(99999).allow(null),
+  country: Joi.string().trim().max(100),
+  insurance_provider: Joi.string().trim().max(255).allow(null),
+  insurance_id: Joi.string().trim().max(255).allow(null),
+  emergency_contact_name: Joi.string().trim().max(255).allow(null),
+  emergency_contact_phone: Joi.string().trim().max(20).allow(null),
+  allergies: Joi.string().allow(null, ''),
+  medical_conditions: Joi.string().allow(null, ''),
+  preferred_language: Joi.string().trim().max(50),
+  communication_preference: Joi.string().trim().max(50),
+  marketing_consent: Joi.boolean()
+};
+
+const createSchema = Joi.object({
+  ...profileFields,
+  customer_id: Joi.string().trim().max(50),
+  first_name: profileFields.first_name.required(),
+  last_name: profileFields.last_name.required()
+});
+
+const updateSchema = Joi.object({
+  ...profileFields,
+  telegram_id: Joi.string().trim().max(50).allow(null),
+  status: Joi.string().valid(...EDITABLE_STATUSES)
+}).min(1);
+
+// "email,phone" or ["email", "phone"]; customer_id is always included
+const fieldList = Joi.array()
+  .items(Joi.string().valid(...FIELDS))
+  .single()
+  .default(DEFAULT_FIELDS)
+  .custom(fields => [...new Set(['customer_id', ...fields])]);
+
+const projectionSchema = Joi.object({
+  fields: fieldList
+});
+
+const pageSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().trim().allow(null, '')
+});
+
+const listSchema = pageSchema.keys({
+  q: Joi.string().trim().min(2).max(100),
+  status: Joi.string().valid(...STATUSES),
+  city: Joi.string().trim().max(100),
+  segment: Joi.string().valid(...Object.keys(SEGMENT_CONDITIONS)),
+  channel: Joi.string().valid(...Object.keys(CHANNEL_CONDITIONS)),
+  fields: fieldList
+});
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+
+const validate = (schema, data, message) => {
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    throw new ValidationError(message, error.details.map(detail => detail.message));
+  }
+  return value;
+};
+
+// The fields query parameter is a comma-separated list
+const splitFields = (value) => (typeof value === 'string' ? value.split(',').map(field => field.trim()).filter(Boolean) : value);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Cursors are opaque to clients: the row id the next page starts below
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const id = Number(Buffer.from(cursor, 'base64url').toString());
+
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return id;
+};
+
+// Rows were fetched with one extra to tell whether another page follows
+const toPage = (rows, limit, map = (row) => row) => {
+  const page = rows.slice(0, limit);
+
+  return {
+    items: page.map(map),
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].id) : null
+  };
+};
+
+// Both customer_id and email are unique
+const uniqueViolation = (error, value) => {
+  if (error.code !== '23505') {
+    return error;
+  }
+  return error.constraint?.includes('email')
+    ? new ConflictError(`A customer with email ${value.email} already exists`)
+    : new ConflictError(`Customer ${value.customer_id} already exists`);
+};
+
 class CustomerService {
+  static get PII_FIELDS() {
+    return PII_FIELDS;
+  }
+
   static async getCustomerById(customerId) {
     try {
       const query = 'SELECT * FROM customers WHERE customer_id = $1';
@@ -25,85 +179,214 @@ class CustomerService {
   }
 
   static async createCustomer(customerData) {
+    const value = validate(createSchema, customerData, 'Invalid customer');
+
     try {
-      const {
-        customer_id, first_name, last_name, email, phone, date_of_birth,
-        gender, address_line1, city, state, zip_code, country
-      } = customerData;
+      const fields = { customer_id: value.customer_id || generateId('CUST'), ...value };
+      const columns = Object.keys(fields);
 
-      const query = `
-        INSERT INTO customers (
-          customer_id, first_name, last_name, email, phone, date_of_birth,
-          gender, address_line1, city, state, zip_code, country,
-          registration_date, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), 'Active')
+      const result = await DatabaseService.query(`
+        INSERT INTO customers (${columns.join(', ')}, registration_date, status)
+        VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}, NOW(), 'Active')
         RETURNING *
-      `;
-
-      const result = await DatabaseService.query(query, [
-        customer_id, first_name, last_name, email, phone, date_of_birth,
-        gender, address_line1, city, state, zip_code, country
-      ]);
+      `, Object.values(fields));
 
+      logger.info(`Created customer ${fields.customer_id}`);
       return result.rows[0];
     } catch (error) {
-      logger.error('Error creating customer:', error);
-      throw error;
+      if (error.code !== '23505') {
+        logger.error('Error creating customer:', error);
+      }
+      throw uniqueViolation(error, value);
     }
   }
 
+  /**
+   * Updates the given fields. Setting status to Inactive deactivates the customer;
+   * Guest and Merged are managed by the web chat identity flow and cannot be set here.
+   */
   static async updateCustomer(customerId, updateData) {
+    const value = validate(updateSchema, updateData, 'Invalid customer update');
+
     try {
-      const fields = Object.keys(updateData);
-      const values = Object.values(updateData);
+      const fields = Object.keys(value);
       const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
 
-      const query = `
+      const result = await DatabaseService.query(`
         UPDATE customers 
         SET ${setClause}, updated_at = NOW()
         WHERE customer_id = $1
         RETURNING *
-      `;
+      `, [customerId, ...Object.values(value)]);
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError(`Customer ${customerId} not found`);
+      }
 
-      const result = await DatabaseService.query(query, [customerId, ...values]);
       return result.rows[0];
     } catch (error) {
-      logger.error('Error updating customer:', error);
+      if (!(error instanceof NotFoundError) && error.code !== '23505') {
+        logger.error('Error updating customer:', error);
+      }
+      throw uniqueViolation(error, value);
+    }
+  }
+
+  // Soft delete: the record, its orders and prescriptions stay for the pharmacy's records
+  static async deactivateCustomer(customerId) {
+    return this.updateCustomer(customerId, { status: 'Inactive' });
+  }
+
+  /**
+   * One page of customers, newest first. Filters: status (Merged customers are left out
+   * unless asked for), city, segment (as used by promotions), channel (customers with an
+   * address on it) and q, matched against name, email and phone numbers. Only the columns
+   * in fields are returned; the default leaves out contact, identity and medical columns.
+   * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+   */
+  static async listCustomers(query = {}) {
+    const filters = validate(listSchema, { ...query, fields: splitFields(query.fields) }, 'Invalid customer filters');
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (filters.status) {
+      conditions.push(`status = ${param(filters.status)}`);
+    } else {
+      conditions.push("status <> 'Merged'");
+    }
+
+    if (filters.city) {
+      conditions.push(`lower(city) = lower(${param(filters.city)})`);
+    }
+
+    if (filters.segment) {
+      conditions.push(SEGMENT_CONDITIONS[filters.segment]);
+    }
+
+    if (filters.channel) {
+      conditions.push(CHANNEL_CONDITIONS[filters.channel]);
+    }
+
+    if (filters.q) {
+      const pattern = param(`%${escapeLike(filters.q)}%`);
+      const matches = [
+        `first_name ILIKE ${pattern}`,
+        `last_name ILIKE ${pattern}`,
+        `(first_name || ' ' || last_name) ILIKE ${pattern}`,
+        `email ILIKE ${pattern}`
+      ];
+
+      // Phone numbers are stored in many formats; compare digits only
+      const digits = filters.q.replace(/\D/g, '');
+      if (digits.length >= 3) {
+        const digitPattern = param(`%${digits}%`);
+        matches.push(
+          `regexp_replace(phone, '\\D', '', 'g') LIKE ${digitPattern}`,
+          `regexp_replace(whatsapp_phone, '\\D', '', 'g') LIKE ${digitPattern}`
+        );
+      }
+
+      conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    if (filters.cursor) {
+      conditions.push(`id < ${param(decodeCursor(filters.cursor))}`);
+    }
+
+    try {
+      const result = await DatabaseService.query(`
+        SELECT id, ${filters.fields.join(', ')} FROM customers
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ${param(filters.limit + 1)}
+      `, params);
+
+      return toPage(result.rows, filters.limit, ({ id, ...customer }) => customer);
+    } catch (error) {
+      logger.error('Error listing customers:', error);
       throw error;
     }
   }
 
-  static async getCustomerPurchaseHistory(customerId, limit = 10) {
+  // A customer with only the requested columns, for the API
+  static async getCustomerProjection(customerId, fields) {
+    const { fields: columns } = validate(projectionSchema, { fields: splitFields(fields) }, 'Invalid fields');
+
+    const result = await DatabaseService.query(
+      `SELECT ${columns.join(', ')} FROM customers WHERE customer_id = $1`,
+      [customerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Customer ${customerId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  // A stored customer row (e.g. a merge snapshot) without the personal columns not named in fields
+  static projectSnapshot(customer, fields) {
+    const { fields: columns } = validate(projectionSchema, { fields: splitFields(fields) }, 'Invalid fields');
+
+    return Object.fromEntries(Object.entries(customer)
+      .filter(([field]) => !PII_FIELDS.includes(field) || columns.includes(field)));
+  }
+
+  // One page of the customer's purchases (sales_history line items), newest first
+  static async getCustomerPurchaseHistory(customerId, { limit = 10, cursor = null } = {}) {
+    const options = validate(pageSchema, { limit, cursor }, 'Invalid pagination');
+
     try {
+      const params = [customerId, options.limit + 1];
+      if (options.cursor) {
+        params.push(decodeCursor(options.cursor));
+      }
+
       const query = `
         SELECT * FROM sales_history 
-        WHERE customer_id = $1 
-        ORDER BY transaction_date DESC 
+        WHERE customer_id = $1 ${options.cursor ? 'AND id < $3' : ''}
+        ORDER BY id DESC 
         LIMIT $2
       `;
       
-      const result = await DatabaseService.query(query, [customerId, limit]);
-      return result.rows;
+      const result = await DatabaseService.query(query, params);
+      return toPage(result.rows, options.limit);
     } catch (error) {
       logger.error('Error getting customer purchase history:', error);
       throw error;
     }
   }
 
+  // Adds (or, with a negative number, takes away) points; the balance cannot go below zero
   static async updateLoyaltyPoints(customerId, pointsToAdd) {
     try {
       const query = `
         UPDATE customers 
         SET loyalty_points = loyalty_points + $2,
             updated_at = NOW()
-        WHERE customer_id = $1
+        WHERE customer_id = $1 AND loyalty_points + $2 >= 0
         RETURNING loyalty_points
       `;
 
       const result = await DatabaseService.query(query, [customerId, pointsToAdd]);
-      return result.rows[0]?.loyalty_points || 0;
+
+      if (result.rows.length === 0) {
+        const customer = await this.getCustomerById(customerId);
+        if (!customer) {
+          throw new NotFoundError(`Customer ${customerId} not found`);
+        }
+        throw new ConflictError(`Customer ${customerId} has only ${customer.loyalty_points} loyalty points`);
+      }
+
+      return result.rows[0].loyalty_points;
     } catch (error) {
-      logger.error('Error updating loyalty points:', error);
+      if (!(error instanceof NotFoundError) && !(error instanceof ConflictError)) {
+        logger.error('Error updating loyalty points:', error);
+      }
       throw error;
     }
   }
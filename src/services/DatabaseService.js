@@ -5,6 +5,7 @@ class DatabaseService {
   constructor() {
     this.pool = null;
     this.isInitialized = false;
+    this.listeners = [];
   }
 
   async initialize() {
@@ -78,6 +79,31 @@ class DatabaseService {
     }
   }
 
+  // Subscribe to a Postgres NOTIFY channel on a dedicated connection
+  async listen(channel, onNotification) {
+    if (!this.isInitialized) {
+      throw new Error('Database not initialized. Call initialize() first.');
+    }
+
+    const client = await this.pool.connect();
+
+    client.on('notification', (msg) => {
+      if (msg.channel === channel) {
+        onNotification(msg.payload);
+      }
+    });
+
+    client.on('error', (error) => {
+      logger.error(`Listener for channel ${channel} failed:`, error.message);
+    });
+
+    await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+    this.listeners.push(client);
+
+    logger.info(`👂 Listening for database notifications on ${channel}`);
+    return client;
+  }
+
   async searchProducts(searchTerm, limit = 10) {
     const query = `
       SELECT * FROM products 
@@ -126,26 +152,27 @@ class DatabaseService {
     return result.rows;
   }
 
-  async createSalesRecord(saleData) {
+  // Pass the transaction client to write the record as part of a transaction()
+  async createSalesRecord(saleData, client = null) {
     const {
       transaction_id, customer_id, product_id, product_name, category,
       quantity, unit_price, total_price, discount_applied, promotion_used,
-      payment_method, loyalty_points_earned
+      payment_method, loyalty_points_earned, order_id = null
     } = saleData;
 
     const query = `
       INSERT INTO sales_history (
         transaction_id, customer_id, transaction_date, product_id, product_name,
         category, quantity, unit_price, total_price, discount_applied,
-        promotion_used, payment_method, loyalty_points_earned
-      ) VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        promotion_used, payment_method, loyalty_points_earned, order_id
+      ) VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
 
-    const result = await this.query(query, [
+    const result = await (client || this).query(query, [
       transaction_id, customer_id, product_id, product_name, category,
       quantity, unit_price, total_price, discount_applied, promotion_used,
-      payment_method, loyalty_points_earned
+      payment_method, loyalty_points_earned, order_id
     ]);
 
     return result.rows[0];
@@ -153,6 +180,8 @@ class DatabaseService {
 
   async close() {
     if (this.pool) {
+      this.listeners.forEach(client => client.release());
+      this.listeners = [];
       await this.pool.end();
       this.isInitialized = false;
       logger.info('✅ Database connections closed');
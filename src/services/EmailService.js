@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const DatabaseService = require('./DatabaseService');
+const CustomerService = require('./CustomerService');
+const PromotionService = require('./PromotionService');
+const { renderTemplate } = require('./email/templates');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Chat channels create customers with placeholder addresses like CUST-TG-123@telegram.user
+const PLACEHOLDER_EMAIL = /@(telegram|whatsapp|sms|web)\.user$/i;
+
+/**
+ * Templated customer email over SMTP. With EMAIL_TEST_MODE=true nothing leaves the
+ * machine: each message is written to EMAIL_CAPTURE_DIR as a raw .eml file plus a
+ * .json summary, so flows can be checked without a mail server.
+ */
+class EmailService {
+  constructor() {
+    this.transport = null;
+    this.captureDir = null;
+    this.from = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    this.from = process.env.EMAIL_FROM || process.env.SMTP_USER;
+
+    if (process.env.EMAIL_TEST_MODE === 'true') {
+      this.captureDir = path.resolve(process.env.EMAIL_CAPTURE_DIR || 'tmp/emails');
+      await fs.promises.mkdir(this.captureDir, { recursive: true });
+
+      this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      this.from = this.from || 'pharmacy@localhost';
+      this.isInitialized = true;
+      logger.info(`✅ Email initialized in test mode; messages are captured in ${this.captureDir}`);
+      return;
+    }
+
+    if (!process.env.SMTP_HOST || !this.from) {
+      throw new Error('SMTP_HOST and EMAIL_FROM (or SMTP_USER) are required to send email');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    await this.transport.verify();
+
+    this.isInitialized = true;
+    logger.info(`✅ Email initialized (SMTP ${process.env.SMTP_HOST}:${port})`);
+  }
+
+  canEmail(customer) {
+    return Boolean(customer?.email) && !PLACEHOLDER_EMAIL.test(customer.email) && customer.status !== 'Merged';
+  }
+
+  async send({ to, subject, text, html, template = null }) {
+    if (!this.isInitialized) {
+      throw new Error('Email service not initialized');
+    }
+
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+
+    if (this.captureDir) {
+      await this.capture(info, { to, subject, template, text, html });
+    }
+
+    logger.info(`✉️ Email "${subject}" sent to ${to}`);
+    return { messageId: info.messageId };
+  }
+
+  async capture(info, mail) {
+    const name = `${Date.now()}-${(mail.template || 'message').replace(/[^a-z0-9_-]/gi, '')}-${info.messageId.replace(/[^a-z0-9]/gi, '').slice(0, 12)}`;
+
+    await fs.promises.writeFile(path.join(this.captureDir, `${name}.eml`), info.message);
+    await fs.promises.writeFile(path.join(this.captureDir, `${name}.json`), JSON.stringify({
+      messageId: info.messageId,
+      from: this.from,
+      ...mail,
+      capturedAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  // false when email is off or the customer has no real address
+  async sendTemplate(customer, template, data = {}) {
+    if (!this.isInitialized || !this.canEmail(customer)) {
+      return false;
+    }
+
+    const rendered = renderTemplate(template, { ...data, customer });
+    await this.send({ to: customer.email, subject: rendered.subject, text: rendered.text, html: rendered.html, template });
+    return true;
+  }
+
+  // Used by NotificationService; callers can attach a template for the email rendering of their message
+  async sendNotification(customer, message, { email } = {}) {
+    return email
+      ? this.sendTemplate(customer, email.template, email.data)
+      : this.sendTemplate(customer, 'notification', { message });
+  }
+
+  // Order flows send these through the outbound-messages queue, which retries on errors
+  async emailCustomer(customerId, template, data = {}) {
+    if (!this.isInitialized) {
+      return false;
+    }
+
+    const customer = await CustomerService.getCustomerById(customerId);
+    return customer ? this.sendTemplate(customer, template, data) : false;
+  }
+
+  // Active promotions each consenting customer is eligible for; customers with none are skipped
+  async sendPromotionDigest() {
+    if (!this.isInitialized) {
+      throw new AppError('Email is not enabled', 503);
+    }
+
+    const promotions = await PromotionService.getActivePromotions();
+    const summary = { promotions: promotions.length, sent: 0, skipped: 0, failed: 0 };
+
+    if (promotions.length === 0) {
+      return summary;
+    }
+
+    const customers = await DatabaseService.query(`
+      SELECT * FROM customers
+      WHERE marketing_consent = TRUE AND status = 'Active' AND email IS NOT NULL
+      ORDER BY customer_id
+    `);
+
+    for (const customer of customers.rows) {
+      const eligible = promotions.filter(promo => PromotionService.checkCustomerEligibility(customer, promo));
+
+      if (eligible.length === 0 || !this.canEmail(customer)) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        await this.sendTemplate(customer, 'promotion_digest', { promotions: eligible });
+        summary.sent++;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Failed to send promotion digest to ${customer.customer_id}:`, error.message);
+      }
+    }
+
+    logger.info(`📰 Promotion digest: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed`);
+    return summary;
+  }
+
+  async stop() {
+    if (this.transport) {
+      this.transport.close();
+    }
+    this.isInitialized = false;
+  }
+
+  isActive() {
+    return this.isInitialized;
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,438 @@
+const DatabaseService = require('./DatabaseService');
+const PrescriptionService = require('./PrescriptionService');
+const logger = require('../utils/logger');
+
+// Customer messages that get the fixed emergency message and a pharmacist instead of
+// the model, checked in this order
+const EMERGENCY_PATTERNS = [
+  {
+    category: 'suicidal_ideation',
+    pattern: /\b(suicid\w*|kill(ing)? myself|end(ing)? (my life|it all)|want(ed)? to die|better off dead|self[- ]harm|hurt(ing)? myself)\b/i
+  },
+  {
+    category: 'overdose',
+    pattern: /\b(overdos\w*|took (way )?too (many|much)|swallowed (a|the|an entire|the whole) (bottle|pack|box))\b/i
+  },
+  {
+    category: 'medical_emergency',
+    pattern: /\b(chest pains?|heart attack|(can'?t|cannot|trouble|difficulty|hard to) breath\w*|having a stroke|seizures?|unconscious|passed out|anaphyla\w*|throat is (closing|swelling))\b/i
+  }
+];
+
+const EMERGENCY_MESSAGES = {
+  suicidal_ideation: "I'm really sorry you're going through this, and you don't have to face it alone. Please call or text 988 (Suicide & Crisis Lifeline) now, or call 911 if you are in immediate danger. I've also asked one of our pharmacists to join this conversation.",
+  overdose: 'This may be a medical emergency. Please call 911 now, or Poison Control at 1-800-222-1222. Do not wait for symptoms. I\'ve also asked one of our pharmacists to join this conversation.',
+  medical_emergency: 'This may be a medical emergency. Please call 911 or your local emergency number now. I\'ve also asked one of our pharmacists to join this conversation.'
+};
+
+const CONDITIONS = 'infection|disease|disorder|syndrome|condition|allerg\\w*|diabetes|flu|influenza|covid(-19)?|strep( throat)?|pneumonia|bronchitis|migraines?|hypertension|asthma|ulcers?|uti|sinusitis|cancer|depression|anxiety|arthritis|eczema|psoriasis|gerd|acid reflux|shingles|gout|anemia|hypothyroidism|conjunctivitis';
+
+const DIAGNOSIS_PATTERN = new RegExp(
+  `\\b(you (most )?(likely|probably|definitely|clearly|may|might|could|must)? ?(have|'ve got|are suffering from|'re suffering from) (an? |the )?([\\w-]+ ){0,3}(${CONDITIONS})\\b` +
+  `|(sounds|looks|seems) like (you have |you've got )?(an? |the )?([\\w-]+ ){0,3}(${CONDITIONS})\\b` +
+  '|my diagnosis|i (would |can )?diagnose|the diagnosis is|you are diagnosed)',
+  'i'
+);
+
+// Maximum daily OTC label dose in mg, by active ingredient
+const LABEL_MAX_DAILY_MG = {
+  acetaminophen: 4000,
+  ibuprofen: 1200,
+  naproxen: 660,
+  aspirin: 4000,
+  diphenhydramine: 300,
+  loratadine: 10,
+  cetirizine: 10,
+  fexofenadine: 180,
+  dextromethorphan: 120,
+  guaifenesin: 2400,
+  pseudoephedrine: 240,
+  famotidine: 40,
+  omeprazole: 20,
+  loperamide: 8
+};
+
+// Brand and regional names the model may use instead of the ingredient
+const INGREDIENT_ALIASES = {
+  paracetamol: 'acetaminophen',
+  tylenol: 'acetaminophen',
+  advil: 'ibuprofen',
+  motrin: 'ibuprofen',
+  aleve: 'naproxen',
+  benadryl: 'diphenhydramine',
+  claritin: 'loratadine',
+  zyrtec: 'cetirizine',
+  allegra: 'fexofenadine',
+  robitussin: 'dextromethorphan',
+  mucinex: 'guaifenesin',
+  sudafed: 'pseudoephedrine',
+  pepcid: 'famotidine',
+  prilosec: 'omeprazole',
+  imodium: 'loperamide'
+};
+
+const INGREDIENT_PATTERN = new RegExp(`\\b(${[...Object.keys(LABEL_MAX_DAILY_MG), ...Object.keys(INGREDIENT_ALIASES)].join('|')})\\b`, 'gi');
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, once: 1, twice: 2, thrice: 3 };
+const toNumber = (word) => NUMBER_WORDS[word.toLowerCase()] ?? parseFloat(word);
+
+// Amounts may use thousands separators ("1,000 mg"); product names may sit between the
+// count and the unit ("3 Tylenol Extra Strength tablets"), but not dosing words
+const DOSE_MG = /(?<![\d,.])((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)\s*(mg|milligrams?|g|grams?)\b/gi;
+const DOSE_UNITS = /\b(\d+|one|two|three|four|five|six)\s+(?:(?!(?:hours?|times?|days?|a|per|every|each|mg|g)\b)[A-Za-z-]+\s+){0,4}?(?:tablets?|capsules?|pills?|caplets?|softgels?|gelcaps?)\b/i;
+const EVERY_HOURS = /\bevery\s+(\d+)(?:\s*(?:-|to)\s*\d+)?\s*hours?\b/i;
+const TIMES_A_DAY = /\b(\d+|one|two|three|four|five|six|once|twice|thrice)(?:\s+times?)?\s+(?:a|per|each)\s+day\b|\b(once|twice)\s+daily\b/i;
+const PER_DAY = /^\s*(?:(?:a|per|each)\s+day|daily|in\s+(?:24|twenty-four)\s+hours)\b/i;
+const EXCEED_LABEL = /\b(double (up )?(the|your) dose|more than (the )?(label|recommended|directed) (dose|amount)|exceed(ing)? the (recommended|label(ed|led)?|maximum) dose|extra dose)\b/i;
+const NEGATION = /\b(don'?t|do not|never|avoid|shouldn'?t|should not|must not|no more than)\b/i;
+
+// The only ways a reply may mention a prescription-only product the customer has no
+// prescription for: saying that it needs one. Negated forms ("doesn't need a
+// prescription", "without a prescription") never count, except "can't be sold without".
+const RX_SAFE_PHRASE = /\b(?:requires?|required|needs?|only with|only available with|available only with)\s+(?:a\s+|your\s+)?(?:valid\s+)?(?:doctor'?s\s+)?(?:prescription|rx)\b/i;
+const RX_CANNOT_WITHOUT = /\b(?:can ?not|can'?t|won'?t)\s+be\s+(?:sold|dispensed|ordered|bought|purchased|filled)\s+without\s+(?:a\s+|your\s+)?(?:valid\s+)?(?:prescription|rx)\b/i;
+const RX_UNSAFE_PHRASE = /\b(?:do(?:es)?n'?t|do(?:es)? not|no longer|never)\s+(?:need|require)|\b(?:without|no)\s+(?:a\s+|any\s+|your\s+)?(?:prescription|rx)\b|\b(?:over[- ]the[- ]counter|otc)\b/i;
+
+const PRICE = /\$\s?(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)/g;
+const MONEY_KEY = /price|total|amount|subtotal|discount|savings|cost/i;
+
+const NOTES = {
+  diagnosis: "I can't diagnose medical conditions. A doctor, or one of our pharmacists, can help work out what's going on.",
+  dosage: 'Please follow the dosing directions on the label, and check with one of our pharmacists before taking more.',
+  prescription_required: 'Some products need a prescription, and a pharmacist has to approve them before we can prepare your order.'
+};
+
+const BLOCKED_MESSAGE = "I'm not able to help with that here. One of our pharmacists can advise you; just ask to speak with a pharmacist.";
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Sentences with the whitespace after each, so the text can be reassembled unchanged
+const splitSentences = (text) => {
+  const parts = text.split(/((?<=[.!?])[ \t]+|\n+)/);
+  const sentences = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    sentences.push({ text: parts[i], separator: parts[i + 1] || '' });
+  }
+  return sentences;
+};
+
+const isSafeRxSentence = (text) =>
+  (RX_SAFE_PHRASE.test(text) || RX_CANNOT_WITHOUT.test(text)) &&
+  !RX_UNSAFE_PHRASE.test(text.replace(RX_CANNOT_WITHOUT, ''));
+
+// Index just past the last complete sentence (and the whitespace after it), or 0
+const completeSentencesEnd = (text) => {
+  let end = 0;
+  for (const match of text.matchAll(/[.!?][ \t]+|\n+/g)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+};
+
+const strengthMg = (strength) => {
+  const match = /(\d+(?:\.\d+)?)\s*mg\b/i.exec(strength || '');
+  return match ? parseFloat(match[1]) : null;
+};
+
+// Every money value anywhere in the tool results: prices, totals, discounts
+const collectAmounts = (value, key = '', amounts = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectAmounts(item, key, amounts));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([childKey, item]) => collectAmounts(item, childKey, amounts));
+  } else if (MONEY_KEY.test(key) && value !== null && value !== '' && !Number.isNaN(Number(value))) {
+    amounts.add(roundCents(Number(value)));
+  }
+  return amounts;
+};
+
+/**
+ * Medical safety checks on what the agent says. detectEmergency() screens the
+ * customer's message before the model runs; review() checks the generated reply for
+ * diagnoses, doses beyond the label, prescription-only products the customer has no
+ * prescription for, and prices that differ from the catalog. Offending sentences are
+ * removed (or a wrong price corrected) and a safe note is added; a reply with nothing
+ * left is replaced by a fixed message.
+ */
+class GuardrailService {
+  static detectEmergency(message) {
+    const match = EMERGENCY_PATTERNS
+      .map(({ category, pattern }) => ({ category, match: pattern.exec(message || '') }))
+      .find(candidate => candidate.match);
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      reason: 'emergency',
+      details: { category: match.category, matched: match.match[0] },
+      response: EMERGENCY_MESSAGES[match.category]
+    };
+  }
+
+  /**
+   * @param {string} content - the generated reply
+   * @param {Object} context - { customerId, actions } (actions as from executeActions)
+   * @returns {Promise<{ content: string, action: 'allow'|'rewrite'|'block', violations: Object[] }>}
+   */
+  static async review(content, { customerId, actions = [] } = {}) {
+    if (!content) {
+      return { content, action: 'allow', violations: [] };
+    }
+
+    const products = await this.findMentionedProducts(content);
+    const uncovered = await this.findUncoveredPrescriptionProducts(customerId, products);
+    const knownAmounts = collectAmounts(actions.map(action => action.data));
+    const promotions = actions.filter(action => action.type === 'promotions').flatMap(action => action.data || []);
+
+    const violations = [];
+    const notes = new Set();
+    let currentIngredient = null;
+
+    const sentences = splitSentences(content).map(sentence => {
+      const lower = sentence.text.toLowerCase();
+      const mentioned = products.filter(product => lower.includes(product.name.toLowerCase()));
+      const found = [];
+
+      if (DIAGNOSIS_PATTERN.test(sentence.text)) {
+        found.push({ type: 'diagnosis' });
+      }
+
+      const ingredient = this.findIngredient(sentence.text, mentioned) || currentIngredient;
+      currentIngredient = ingredient;
+      const dosage = this.checkDosage(sentence.text, ingredient, mentioned);
+      if (dosage) {
+        found.push({ type: 'dosage', details: dosage });
+      }
+
+      const rxProduct = mentioned.find(product => uncovered.has(product.product_id));
+      if (rxProduct && !isSafeRxSentence(sentence.text)) {
+        found.push({ type: 'prescription_required', details: { product_id: rxProduct.product_id, name: rxProduct.name } });
+      }
+
+      if (found.length > 0) {
+        found.forEach(violation => {
+          violations.push({ ...violation, excerpt: sentence.text.trim(), resolution: 'removed' });
+          notes.add(NOTES[violation.type]);
+        });
+        return null;
+      }
+
+      const priced = this.checkPrices(sentence.text, mentioned, knownAmounts, promotions);
+      if (priced.violations.length > 0) {
+        violations.push(...priced.violations.map(violation => ({ ...violation, excerpt: sentence.text.trim() })));
+        return priced.text === null ? null : { ...sentence, text: priced.text };
+      }
+
+      return sentence;
+    });
+
+    if (violations.length === 0) {
+      return { content, action: 'allow', violations };
+    }
+
+    const kept = sentences.filter(Boolean);
+    const remaining = kept.map(sentence => sentence.text + sentence.separator).join('').trim();
+    const action = /\w/.test(remaining) ? 'rewrite' : 'block';
+    const rewritten = action === 'block'
+      ? [...notes, BLOCKED_MESSAGE].join('\n\n')
+      : [remaining, ...notes].join('\n\n');
+
+    logger.warn(`🛡️ Guardrails ${action === 'block' ? 'blocked' : 'rewrote'} a reply to customer ${customerId}: ${violations.map(violation => violation.type).join(', ')}`);
+
+    return { content: rewritten, action, violations };
+  }
+
+  /**
+   * Wraps a streaming token callback so no text reaches the client unreviewed: tokens are
+   * held until a sentence is complete, and the reply so far must pass review() before
+   * that sentence is passed on. After a failed review nothing more is streamed; the
+   * caller sends the rewritten reply instead. Call finish() with the final review's
+   * outcome once the model is done, to release (or drop) the rest.
+   */
+  static createStreamReviewer(context, onToken) {
+    let received = '';
+    let emitted = 0;
+    let halted = false;
+    let queue = Promise.resolve();
+
+    const reviewUpTo = async (end) => {
+      if (halted || end <= emitted) {
+        return;
+      }
+
+      try {
+        const result = await this.review(received.slice(0, end), context);
+        if (result.action !== 'allow') {
+          halted = true;
+          return;
+        }
+        onToken(received.slice(emitted, end));
+        emitted = end;
+      } catch (error) {
+        logger.error('Error reviewing streamed reply:', error.message);
+        halted = true;
+      }
+    };
+
+    return {
+      write: (token) => {
+        received += token;
+        const end = completeSentencesEnd(received);
+        if (end > emitted) {
+          queue = queue.then(() => reviewUpTo(end));
+        }
+      },
+      finish: async (allowed) => {
+        await queue;
+        if (allowed && received.length > emitted) {
+          onToken(received.slice(emitted));
+          emitted = received.length;
+        }
+      }
+    };
+  }
+
+  // Catalog products named in the text
+  static async findMentionedProducts(text) {
+    const result = await DatabaseService.query(`
+      SELECT product_id, name, price, prescription_required, strength, active_ingredients
+      FROM products
+      WHERE length(name) >= 3 AND position(lower(name) IN lower($1)) > 0
+    `, [text]);
+
+    return result.rows;
+  }
+
+  // Prescription-only products among them that no active prescription of the customer covers
+  static async findUncoveredPrescriptionProducts(customerId, products) {
+    const rxProducts = products.filter(product => product.prescription_required);
+
+    if (rxProducts.length === 0) {
+      return new Set();
+    }
+
+    const prescriptions = customerId
+      ? await PrescriptionService.getCustomerPrescriptions(customerId, { status: 'active' })
+      : [];
+
+    const covered = (product) => prescriptions.some(prescription =>
+      prescription.product_id === product.product_id ||
+      product.name.toLowerCase().includes(prescription.drug_name.toLowerCase()));
+
+    return new Set(rxProducts.filter(product => !covered(product)).map(product => product.product_id));
+  }
+
+  static findIngredient(text, products) {
+    const named = [...text.matchAll(INGREDIENT_PATTERN)].map(match => match[1].toLowerCase());
+    if (named.length > 0) {
+      return INGREDIENT_ALIASES[named[0]] || named[0];
+    }
+
+    for (const product of products) {
+      const ingredients = (product.active_ingredients || '').toLowerCase();
+      const ingredient = Object.keys(LABEL_MAX_DAILY_MG).find(key => ingredients.includes(key));
+      if (ingredient) {
+        return ingredient;
+      }
+    }
+
+    return null;
+  }
+
+  // Daily amount a dosing sentence adds up to, when it exceeds the label maximum
+  static checkDosage(text, ingredient, products) {
+    if (EXCEED_LABEL.test(text) && !NEGATION.test(text)) {
+      return { ingredient, reason: 'advises exceeding the label dose' };
+    }
+
+    const maxDaily = LABEL_MAX_DAILY_MG[ingredient];
+    if (!maxDaily) {
+      return null;
+    }
+
+    const everyHours = EVERY_HOURS.exec(text);
+    const timesADay = TIMES_A_DAY.exec(text);
+    const dosesPerDay = everyHours ? Math.floor(24 / Math.max(parseInt(everyHours[1]), 1))
+      : timesADay ? toNumber(timesADay[1] || timesADay[2]) : 1;
+
+    const dailyAmounts = [...text.matchAll(DOSE_MG)].map(match => {
+      const mg = parseFloat(match[1].replace(/,/g, '')) * (/^g/i.test(match[2]) ? 1000 : 1);
+      const perDay = PER_DAY.test(text.slice(match.index + match[0].length));
+      return perDay ? mg : mg * dosesPerDay;
+    });
+
+    const units = DOSE_UNITS.exec(text);
+    const unitMg = strengthMg(products.find(product => strengthMg(product.strength))?.strength);
+    if (units && unitMg) {
+      const mg = toNumber(units[1]) * unitMg;
+      const perDay = PER_DAY.test(text.slice(units.index + units[0].length));
+      dailyAmounts.push(perDay ? mg : mg * dosesPerDay);
+    }
+
+    const dailyMg = Math.max(0, ...dailyAmounts);
+    if (dailyMg > maxDaily) {
+      return { ingredient, daily_mg: dailyMg, label_max_daily_mg: maxDaily };
+    }
+
+    return null;
+  }
+
+  /**
+   * Prices quoted next to a product must be its catalog price, a promotion price for it
+   * or an amount from the tool results (cart totals, discounts). A single wrong price for
+   * a single product is corrected; anything else wrong drops the sentence (text: null).
+   */
+  static checkPrices(text, products, knownAmounts, promotions) {
+    if (products.length === 0) {
+      return { text, violations: [] };
+    }
+
+    const allowed = new Set(knownAmounts);
+    for (const product of products) {
+      const price = Number(product.price);
+      for (let quantity = 1; quantity <= 10; quantity++) {
+        allowed.add(roundCents(price * quantity));
+      }
+      for (const promotion of promotions) {
+        if (promotion.discount_percentage) {
+          allowed.add(roundCents(price * (1 - Number(promotion.discount_percentage) / 100)));
+        }
+        if (promotion.discount_amount) {
+          allowed.add(roundCents(price - Number(promotion.discount_amount)));
+        }
+      }
+    }
+
+    const claims = [...text.matchAll(PRICE)].map(match => ({ raw: match[0], amount: roundCents(parseFloat(match[1].replace(/,/g, ''))) }));
+    const wrong = claims.filter(claim => !allowed.has(claim.amount));
+
+    if (wrong.length === 0) {
+      return { text, violations: [] };
+    }
+
+    if (products.length === 1 && claims.length === 1) {
+      const actual = Number(products[0].price).toFixed(2);
+      return {
+        text: text.replace(wrong[0].raw, `$${actual}`),
+        violations: [{
+          type: 'price_mismatch',
+          resolution: 'corrected',
+          details: { product_id: products[0].product_id, quoted: wrong[0].amount, price: Number(actual) }
+        }]
+      };
+    }
+
+    return {
+      text: null,
+      violations: [{
+        type: 'price_mismatch',
+        resolution: 'removed',
+        details: { product_ids: products.map(product => product.product_id), quoted: wrong.map(claim => claim.amount) }
+      }]
+    };
+  }
+}
+
+module.exports = GuardrailService;
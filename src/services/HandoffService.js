@@ -0,0 +1,305 @@
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.HANDOFF_LOW_CONFIDENCE) || 0.4;
+const LOW_CONFIDENCE_STREAK = parseInt(process.env.HANDOFF_LOW_CONFIDENCE_STREAK) || 2;
+
+const EXPLICIT_REQUEST_PATTERN = /\b(talk|speak|chat|connect)\b.{0,30}\b(pharmacist|human|person|someone|staff|representative|agent)\b|\breal person\b|\bhuman please\b/i;
+
+const HANDOFF_MESSAGES = {
+  high_urgency: "I'm bringing in one of our pharmacists to help you right away. If this is a medical emergency, please call 911 or your local emergency number now.",
+  default: "I've asked one of our pharmacists to join this conversation. They'll reply here shortly."
+};
+
+const OPEN_STATUSES = ['open', 'assigned'];
+
+/**
+ * Escalation of conversations to staff. While a handoff is open the customer's
+ * conversation is paused: AIAgentService stores incoming messages in the staff
+ * inbox instead of answering them, until a staff member resolves the handoff.
+ */
+class HandoffService {
+  /**
+   * Decide whether a message should be escalated. Tracks the low-confidence streak
+   * in conversation.context_data, which AIAgentService persists with the context.
+   */
+  static detectEscalation(message, analysis = {}, conversation = {}) {
+    conversation.context_data = conversation.context_data || {};
+
+    const lowConfidence = typeof analysis.confidence === 'number' && analysis.confidence < LOW_CONFIDENCE_THRESHOLD;
+    const streak = lowConfidence ? (conversation.context_data.low_confidence_streak || 0) + 1 : 0;
+    conversation.context_data.low_confidence_streak = streak;
+
+    if (EXPLICIT_REQUEST_PATTERN.test(message)) {
+      return { reason: 'explicit_request', details: {} };
+    }
+
+    if (analysis.urgency === 'high') {
+      return { reason: 'high_urgency', details: { intent: analysis.intent } };
+    }
+
+    if (analysis.sentiment === 'negative') {
+      return { reason: 'negative_sentiment', details: { intent: analysis.intent } };
+    }
+
+    if (streak >= LOW_CONFIDENCE_STREAK) {
+      return { reason: 'low_confidence', details: { streak, confidence: analysis.confidence } };
+    }
+
+    return null;
+  }
+
+  static getHandoffMessage(reason) {
+    return HANDOFF_MESSAGES[reason] || HANDOFF_MESSAGES.default;
+  }
+
+  static async isBotPaused(customerId) {
+    const result = await DatabaseService.query(
+      'SELECT bot_paused FROM conversations WHERE customer_id = $1',
+      [customerId]
+    );
+    return result.rows[0]?.bot_paused === true;
+  }
+
+  static async getActiveHandoff(customerId, client = DatabaseService) {
+    const result = await client.query(
+      'SELECT * FROM handoffs WHERE customer_id = $1 AND status = ANY($2)',
+      [customerId, OPEN_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async setBotPaused(client, customerId, paused) {
+    await client.query(`
+      INSERT INTO conversations (customer_id, recent_messages, context_data, bot_paused)
+      VALUES ($1, '[]', '{}', $2)
+      ON CONFLICT (customer_id) DO UPDATE SET bot_paused = $2, updated_at = NOW()
+    `, [customerId, paused]);
+  }
+
+  // Open a handoff (or reuse the open one) and pause the bot for the customer
+  static async escalate(customerId, { channel = null, reason = 'manual', details = {}, message = null } = {}) {
+    const handoff = await DatabaseService.transaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO handoffs (handoff_id, customer_id, channel, reason, reason_details)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (customer_id) WHERE status IN ('open', 'assigned') DO NOTHING
+        RETURNING *
+      `, [`HO-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`, customerId, channel, reason, JSON.stringify(details)]);
+
+      const current = inserted.rows[0] || await this.getActiveHandoff(customerId, client);
+
+      await this.setBotPaused(client, customerId, true);
+
+      if (message) {
+        await this.insertMessage(client, current.handoff_id, { sender: 'customer', message, channel });
+      }
+
+      return { ...current, created: inserted.rows.length > 0 };
+    });
+
+    if (handoff.created) {
+      logger.info(`🙋 Conversation with customer ${customerId} escalated to staff (${reason})`);
+    }
+
+    return handoff;
+  }
+
+  static async insertMessage(client, handoffId, { sender, message, channel = null, staffId = null, delivered = true }) {
+    const result = await client.query(`
+      INSERT INTO handoff_messages (handoff_id, sender, staff_id, message, channel, delivered)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [handoffId, sender, staffId, message, channel, delivered]);
+
+    return result.rows[0];
+  }
+
+  // Store a message that arrived while the bot is paused; null when no handoff is open
+  static async recordCustomerMessage(customerId, message, channel) {
+    const handoff = await this.getActiveHandoff(customerId);
+
+    if (!handoff) {
+      // The flag outlived its handoff; let the bot answer again
+      await this.setBotPaused(DatabaseService, customerId, false);
+      return null;
+    }
+
+    await this.insertMessage(DatabaseService, handoff.handoff_id, { sender: 'customer', message, channel });
+    return handoff;
+  }
+
+  static async getInbox({ status = null, assignedTo = null, limit = 50 } = {}) {
+    try {
+      const result = await DatabaseService.query(`
+        SELECT h.*, c.first_name, c.last_name, c.communication_preference,
+               conv.last_intent, last_message.message AS last_message,
+               last_message.sender AS last_message_sender, last_message.created_at AS last_message_at
+        FROM handoffs h
+        JOIN customers c ON c.customer_id = h.customer_id
+        LEFT JOIN conversations conv ON conv.customer_id = h.customer_id
+        LEFT JOIN LATERAL (
+          SELECT message, sender, created_at FROM handoff_messages
+          WHERE handoff_id = h.handoff_id
+          ORDER BY created_at DESC, id DESC
+          LIMIT 1
+        ) last_message ON TRUE
+        WHERE ($1::varchar[] IS NULL OR h.status = ANY($1))
+          AND ($2::varchar IS NULL OR h.assigned_to = $2)
+        ORDER BY COALESCE(last_message.created_at, h.created_at) DESC
+        LIMIT $3
+      `, [status ? [status] : OPEN_STATUSES, assignedTo, limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting handoff inbox:', error);
+      throw error;
+    }
+  }
+
+  static async getHandoffById(handoffId, client = DatabaseService) {
+    const result = await client.query('SELECT * FROM handoffs WHERE handoff_id = $1', [handoffId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Handoff ${handoffId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  // Everything staff need to pick up the conversation
+  static async getHandoffDetail(handoffId) {
+    const handoff = await this.getHandoffById(handoffId);
+
+    const [customer, conversation, logs, messages] = await Promise.all([
+      DatabaseService.query(`
+        SELECT customer_id, first_name, last_name, phone, email, allergies, medical_conditions,
+               preferred_language, communication_preference, loyalty_points
+        FROM customers WHERE customer_id = $1
+      `, [handoff.customer_id]),
+      DatabaseService.query(
+        'SELECT recent_messages, last_intent, bot_paused FROM conversations WHERE customer_id = $1',
+        [handoff.customer_id]
+      ),
+      DatabaseService.query(`
+        SELECT user_message, ai_response, intent, channel, guardrail_action, guardrail_violations, created_at
+        FROM conversation_logs
+        WHERE customer_id = $1
+        ORDER BY created_at DESC
+        LIMIT 20
+      `, [handoff.customer_id]),
+      DatabaseService.query(
+        'SELECT * FROM handoff_messages WHERE handoff_id = $1 ORDER BY created_at, id',
+        [handoffId]
+      )
+    ]);
+
+    return {
+      ...handoff,
+      customer: customer.rows[0] || null,
+      conversation: conversation.rows[0] || null,
+      conversation_logs: logs.rows.reverse(),
+      messages: messages.rows
+    };
+  }
+
+  static async assign(handoffId, staffId) {
+    if (!staffId) {
+      throw new ValidationError('staffId is required');
+    }
+
+    const result = await DatabaseService.query(`
+      UPDATE handoffs SET status = 'assigned', assigned_to = $2
+      WHERE handoff_id = $1 AND status = ANY($3)
+      RETURNING *
+    `, [handoffId, staffId, OPEN_STATUSES]);
+
+    if (result.rows.length === 0) {
+      await this.getHandoffById(handoffId);
+      throw new ConflictError('Handoff is already resolved');
+    }
+
+    logger.info(`🙋 Handoff ${handoffId} assigned to ${staffId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Send a staff reply on the channel the customer escalated from. Replies to web
+   * customers who are not connected to web chat are kept undelivered until fetched.
+   */
+  static async reply(handoffId, staffId, message) {
+    if (!staffId || !message) {
+      throw new ValidationError('staffId and message are required');
+    }
+
+    const handoff = await this.getHandoffById(handoffId);
+
+    if (!OPEN_STATUSES.includes(handoff.status)) {
+      throw new ConflictError('Handoff is already resolved');
+    }
+
+    if (handoff.status === 'open') {
+      await this.assign(handoffId, staffId);
+    }
+
+    const delivery = await NotificationService.notifyCustomerOn(handoff.customer_id, handoff.channel, message);
+
+    const stored = await this.insertMessage(DatabaseService, handoffId, {
+      sender: 'staff',
+      staffId,
+      message,
+      channel: handoff.channel,
+      delivered: delivery.delivered
+    });
+
+    return { message: stored, delivery };
+  }
+
+  static async resolve(handoffId, staffId, { resumeBot = true, note = null } = {}) {
+    const handoff = await DatabaseService.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE handoffs
+        SET status = 'resolved', resolved_by = $2, resolved_at = NOW()
+        WHERE handoff_id = $1 AND status = ANY($3)
+        RETURNING *
+      `, [handoffId, staffId || null, OPEN_STATUSES]);
+
+      if (result.rows.length === 0) {
+        await this.getHandoffById(handoffId, client);
+        throw new ConflictError('Handoff is already resolved');
+      }
+
+      if (note) {
+        await this.insertMessage(client, handoffId, { sender: 'system', staffId, message: note });
+      }
+
+      if (resumeBot) {
+        await this.setBotPaused(client, result.rows[0].customer_id, false);
+      }
+
+      return result.rows[0];
+    });
+
+    logger.info(`🙋 Handoff ${handoffId} resolved by ${staffId || 'unknown'}`);
+    return handoff;
+  }
+
+  // Staff replies a web client has not fetched yet; marks them delivered
+  static async takeUndeliveredReplies(customerId) {
+    const result = await DatabaseService.query(`
+      UPDATE handoff_messages m
+      SET delivered = TRUE
+      FROM handoffs h
+      WHERE h.handoff_id = m.handoff_id AND h.customer_id = $1
+        AND m.sender = 'staff' AND m.delivered = FALSE
+      RETURNING m.*
+    `, [customerId]);
+
+    return result.rows.sort((a, b) => a.id - b.id);
+  }
+}
+
+module.exports = HandoffService;
@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const RateLimitService = require('./RateLimitService');
+const AIAgentService = require('./AIAgentService');
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Tables whose rows follow the customer into the merge. carts and handoffs allow one
+// active row per customer, so the source's active one moves only if the target has none.
+const MOVED_TABLES = [
+  'sales_history', 'orders', 'prescriptions', 'prescription_refills', 'prescription_verifications',
+  'conversation_logs', 'channel_messages', 'analytics_events', 'workflow_logs', 'web_chat_sessions'
+];
+
+const ONE_ACTIVE_TABLES = {
+  carts: "status = 'active'",
+  handoffs: "status IN ('open', 'assigned')"
+};
+
+// Target columns filled from the source when the target has no (real) value
+const FILLED_FIELDS = [
+  'email', 'phone', 'whatsapp_phone', 'telegram_id', 'date_of_birth', 'gender', 'address_line1',
+  'address_line2', 'city', 'state', 'zip_code', 'insurance_provider', 'insurance_id',
+  'emergency_contact_name', 'emergency_contact_phone'
+];
+
+// Channel addresses and the unique email move rather than being copied
+const MOVED_FIELDS = ['email', 'whatsapp_phone', 'telegram_id'];
+
+// Safety information is combined, never dropped
+const COMBINED_FIELDS = ['allergies', 'medical_conditions'];
+
+const SUMMED_FIELDS = ['loyalty_points', 'total_purchases', 'prescription_count'];
+
+// Chat channels create customers with placeholder emails and, on Telegram, usernames as phones
+const PLACEHOLDER_EMAIL = /@(telegram|whatsapp|sms|web)\.user$/i;
+
+const contactSchema = Joi.object({
+  phone: Joi.string().trim().pattern(/^\+?[0-9\s().-]{7,20}$/),
+  email: Joi.string().trim().lowercase().email()
+}).xor('phone', 'email');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+const generateId = (prefix) => `${prefix}-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+
+// Last ten digits, so +1 (555) 123-4567 and 5551234567 match; null for non-numbers
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const isRealEmail = (email) => Boolean(email) && !PLACEHOLDER_EMAIL.test(email);
+
+const hasValue = (customer, field) => {
+  if (field === 'email') return isRealEmail(customer.email);
+  if (field === 'phone') return normalizePhone(customer.phone) !== null;
+  return customer[field] !== null && customer[field] !== undefined && customer[field] !== '';
+};
+
+const combineTerms = (a, b) => {
+  const terms = [a, b]
+    .filter(Boolean)
+    .flatMap(text => text.split(/[,;]+/))
+    .map(term => term.trim())
+    .filter(Boolean);
+
+  const unique = terms.filter((term, index) =>
+    terms.findIndex(other => other.toLowerCase() === term.toLowerCase()) === index);
+
+  return unique.length > 0 ? unique.join(', ') : null;
+};
+
+// Matching SQL: the same number (last ten digits), the same real email, or the same name and birth date
+const PHONE_KEY = (alias, column) => `RIGHT(regexp_replace(${alias}.${column}, '[^0-9]', '', 'g'), 10)`;
+
+const MATCH_RULES = [
+  {
+    reason: 'phone',
+    score: 0.9,
+    condition: ['phone', 'whatsapp_phone'].flatMap(a => ['phone', 'whatsapp_phone'].map(b =>
+      `(length(regexp_replace(a.${a}, '[^0-9]', '', 'g')) >= 7 AND ${PHONE_KEY('a', a)} = ${PHONE_KEY('b', b)})`)).join(' OR ')
+  },
+  {
+    reason: 'email',
+    score: 0.9,
+    condition: `(LOWER(a.email) = LOWER(b.email) AND a.email !~* '@(telegram|whatsapp|sms|web)\\.user$')`
+  },
+  {
+    reason: 'name_dob',
+    score: 0.7,
+    condition: '(LOWER(a.first_name) = LOWER(b.first_name) AND LOWER(a.last_name) = LOWER(b.last_name) AND a.date_of_birth = b.date_of_birth)'
+  }
+];
+
+const MATCH_SELECT = `
+  ${MATCH_RULES.map(rule => `(${rule.condition}) AS match_${rule.reason}`).join(',\n  ')}
+`;
+
+const toMatch = (row) => {
+  const matched = MATCH_RULES.filter(rule => row[`match_${rule.reason}`]);
+  return {
+    reasons: matched.map(rule => rule.reason),
+    // Independent signals add up, capped below certainty
+    score: Math.min(0.99, Math.round((1 - matched.reduce((rest, rule) => rest * (1 - rule.score), 1)) * 100) / 100)
+  };
+};
+
+/**
+ * Cross-channel identity: the same person chatting on Telegram and WhatsApp, or already
+ * in the store database, ends up as one customer. Duplicates are proposed by phone,
+ * email or name plus birth date; customers prove they own another record with a code
+ * sent to it (or, on Telegram, by sharing their own contact); staff can also merge
+ * directly. Every merge records what it moved, so it can be undone.
+ */
+class IdentityService {
+  static normalizePhone(phone) {
+    return normalizePhone(phone);
+  }
+
+  // The customer a merged one now lives on, following chained merges
+  static async resolveMerged(customer) {
+    let current = customer;
+
+    for (let hops = 0; hops < 10 && current?.status === 'Merged' && current.merged_into; hops++) {
+      const result = await DatabaseService.query('SELECT * FROM customers WHERE customer_id = $1', [current.merged_into]);
+      if (!result.rows[0]) {
+        break;
+      }
+      current = result.rows[0];
+    }
+
+    return current;
+  }
+
+  // Active customers that look like the same person as customerId, best match first
+  static async findMatches(customerId) {
+    const result = await DatabaseService.query(`
+      SELECT b.customer_id, b.first_name, b.last_name, b.status, b.communication_preference,
+             b.registration_date, ${MATCH_SELECT}
+      FROM customers a
+      JOIN customers b ON b.customer_id <> a.customer_id AND b.status <> 'Merged'
+      WHERE a.customer_id = $1
+        AND (${MATCH_RULES.map(rule => `(${rule.condition})`).join(' OR ')})
+    `, [customerId]);
+
+    return result.rows
+      .map(({ match_phone, match_email, match_name_dob, ...customer }) => ({
+        ...customer,
+        ...toMatch({ match_phone, match_email, match_name_dob })
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Likely duplicate pairs across all active customers, for staff to review
+  static async findDuplicateCandidates({ limit = 50 } = {}) {
+    const result = await DatabaseService.query(`
+      SELECT a.customer_id AS customer_a, b.customer_id AS customer_b,
+             a.first_name AS first_name_a, a.last_name AS last_name_a,
+             b.first_name AS first_name_b, b.last_name AS last_name_b, ${MATCH_SELECT}
+      FROM customers a
+      JOIN customers b ON a.customer_id < b.customer_id
+      WHERE a.status <> 'Merged' AND b.status <> 'Merged'
+        AND (${MATCH_RULES.map(rule => `(${rule.condition})`).join(' OR ')})
+      LIMIT $1
+    `, [Math.min(parseInt(limit) || 50, 200)]);
+
+    return result.rows
+      .map(row => ({
+        customers: [
+          { customer_id: row.customer_a, first_name: row.first_name_a, last_name: row.last_name_a },
+          { customer_id: row.customer_b, first_name: row.first_name_b, last_name: row.last_name_b }
+        ],
+        ...toMatch(row)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // The active customer, other than customerId, who owns a phone number or email
+  static async findByContact(customerId, { phone = null, email = null }) {
+    const result = await DatabaseService.query(`
+      SELECT * FROM customers
+      WHERE customer_id <> $1 AND status <> 'Merged'
+        AND ((LOWER(email) = $2) OR RIGHT(regexp_replace(phone, '[^0-9]', '', 'g'), 10) = $3
+             OR RIGHT(regexp_replace(whatsapp_phone, '[^0-9]', '', 'g'), 10) = $3)
+      ORDER BY registration_date
+    `, [customerId, email, normalizePhone(phone)]);
+
+    return result.rows;
+  }
+
+  /**
+   * A chatting customer claims a phone number or email that belongs to another customer.
+   * A code goes to that customer's own channels; confirmVerification() merges on success.
+   */
+  static async requestVerification(customerId, contact) {
+    const { value, error } = contactSchema.validate(contact || {}, { stripUnknown: true });
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    // Counted before the lookup, so the command cannot be used to probe for contacts
+    const limit = await RateLimitService.consume('identity_code', customerId);
+    if (!limit.allowed) {
+      throw new AppError(`Too many codes requested. Try again in ${Math.ceil(limit.resetSeconds / 60)} minutes.`, 429);
+    }
+
+    const [target] = await this.findByContact(customerId, value);
+    if (!target) {
+      return { status: 'not_found' };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const delivery = await NotificationService.notifyCustomer(
+      target.customer_id,
+      `Your pharmacy account linking code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not ask for it, ignore this message.`
+    );
+
+    if (!delivery.delivered) {
+      throw new AppError('We could not send a code to that account. Please contact the pharmacy.', 422);
+    }
+
+    await DatabaseService.transaction(async (client) => {
+      await client.query(
+        "UPDATE identity_verifications SET status = 'superseded' WHERE customer_id = $1 AND status = 'pending'",
+        [customerId]
+      );
+
+      await client.query(`
+        INSERT INTO identity_verifications (verification_id, customer_id, target_customer_id, channel, code_hash, expires_at)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6::int))
+      `, [generateId('IDV'), customerId, target.customer_id, delivery.channel, hashCode(code), CODE_TTL_MINUTES]);
+    });
+
+    logger.info(`🔗 Linking code for ${customerId} sent to ${target.customer_id} via ${delivery.channel}`);
+    return { status: 'verification_required', channel: delivery.channel };
+  }
+
+  static async confirmVerification(customerId, code) {
+    const result = await DatabaseService.query(`
+      SELECT * FROM identity_verifications
+      WHERE customer_id = $1 AND status = 'pending'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [customerId]);
+    const verification = result.rows[0];
+
+    if (!verification) {
+      throw new ValidationError('No account linking is in progress');
+    }
+
+    if (new Date(verification.expires_at) < new Date()) {
+      throw new ValidationError('The code has expired; please ask for a new one');
+    }
+
+    if (verification.attempts >= MAX_CODE_ATTEMPTS) {
+      throw new ValidationError('Too many incorrect codes; please ask for a new one');
+    }
+
+    const expected = Buffer.from(verification.code_hash);
+    const received = Buffer.from(hashCode(String(code || '').trim()));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      await DatabaseService.query(
+        'UPDATE identity_verifications SET attempts = attempts + 1 WHERE id = $1',
+        [verification.id]
+      );
+      throw new ValidationError('Invalid code');
+    }
+
+    await DatabaseService.query(
+      "UPDATE identity_verifications SET status = 'verified', verified_at = NOW() WHERE id = $1",
+      [verification.id]
+    );
+
+    return this.mergeCustomers(customerId, verification.target_customer_id, { reason: 'verified_code' });
+  }
+
+  /**
+   * A phone number the channel itself has verified (Telegram contact sharing). The
+   * customer takes the number; if exactly one other customer already has it, the two
+   * are merged into that one. Several matches are left for staff to resolve.
+   */
+  static async linkVerifiedPhone(customerId, phone, reason) {
+    const matches = await this.findByContact(customerId, { phone });
+
+    if (matches.length !== 1) {
+      await DatabaseService.query(
+        'UPDATE customers SET phone = $2, updated_at = NOW() WHERE customer_id = $1',
+        [customerId, phone]
+      );
+      return { status: matches.length === 0 ? 'updated' : 'ambiguous', customer_id: customerId };
+    }
+
+    const merge = await this.mergeCustomers(customerId, matches[0].customer_id, { reason });
+    return { status: 'merged', customer_id: merge.target_customer_id, merge_id: merge.merge_id };
+  }
+
+  // Merge and drop the shared conversation copies, which still hold the pre-merge context
+  static async mergeCustomers(sourceId, targetId, options = {}) {
+    const merge = await DatabaseService.transaction(client => this.merge(client, sourceId, targetId, options));
+
+    await AIAgentService.forgetConversation(sourceId);
+    await AIAgentService.forgetConversation(targetId);
+
+    return merge;
+  }
+
+  /**
+   * Moves everything of the source customer to the target inside the caller's
+   * transaction: related rows, the conversation (the target's wins if both have one),
+   * loyalty points and totals (summed), missing contact details and channel addresses.
+   * The source is left with status Merged and merged_into set.
+   */
+  static async merge(client, sourceId, targetId, { reason = 'manual', mergedBy = null } = {}) {
+    if (sourceId === targetId) {
+      throw new ValidationError('Cannot merge a customer into itself');
+    }
+
+    const customers = await client.query(
+      'SELECT * FROM customers WHERE customer_id = ANY($1) FOR UPDATE',
+      [[sourceId, targetId]]
+    );
+    const source = customers.rows.find(customer => customer.customer_id === sourceId);
+    const target = customers.rows.find(customer => customer.customer_id === targetId);
+
+    if (!source || !target) {
+      throw new NotFoundError(`Customer ${source ? targetId : sourceId} not found`);
+    }
+    if (source.status === 'Merged' || target.status === 'Merged') {
+      throw new ConflictError(`Customer ${source.status === 'Merged' ? sourceId : targetId} has already been merged`);
+    }
+
+    const movedRows = {};
+
+    for (const table of MOVED_TABLES) {
+      const moved = await client.query(
+        `UPDATE ${table} SET customer_id = $2 WHERE customer_id = $1 RETURNING id`,
+        [sourceId, targetId]
+      );
+      movedRows[table] = moved.rows.map(row => row.id);
+    }
+
+    for (const [table, active] of Object.entries(ONE_ACTIVE_TABLES)) {
+      const moved = await client.query(`
+        UPDATE ${table} SET customer_id = $2
+        WHERE customer_id = $1
+          AND (NOT (${active}) OR NOT EXISTS (SELECT 1 FROM ${table} WHERE customer_id = $2 AND ${active}))
+        RETURNING id
+      `, [sourceId, targetId]);
+      movedRows[table] = moved.rows.map(row => row.id);
+    }
+
+    let droppedConversation = null;
+    const targetConversation = await client.query('SELECT 1 FROM conversations WHERE customer_id = $1', [targetId]);
+    if (targetConversation.rows.length === 0) {
+      const moved = await client.query(
+        'UPDATE conversations SET customer_id = $2 WHERE customer_id = $1 RETURNING id',
+        [sourceId, targetId]
+      );
+      movedRows.conversations = moved.rows.map(row => row.id);
+    } else {
+      const dropped = await client.query('DELETE FROM conversations WHERE customer_id = $1 RETURNING *', [sourceId]);
+      droppedConversation = dropped.rows[0] || null;
+    }
+
+    // Target columns, then source columns: the source gives up what moved first, as email is unique
+    const filledFields = {};
+    for (const field of FILLED_FIELDS) {
+      if (!hasValue(target, field) && hasValue(source, field)) {
+        filledFields[field] = source[field];
+      }
+    }
+    for (const field of COMBINED_FIELDS) {
+      const combined = combineTerms(target[field], source[field]);
+      if (combined !== target[field]) {
+        filledFields[field] = combined;
+      }
+    }
+
+    const sourceUpdates = {
+      status: 'Merged',
+      merged_into: targetId,
+      ...Object.fromEntries(SUMMED_FIELDS.map(field => [field, 0])),
+      ...Object.fromEntries(MOVED_FIELDS.filter(field => field in filledFields).map(field => [field, null]))
+    };
+    await this.updateColumns(client, sourceId, sourceUpdates);
+
+    const targetUpdates = { ...filledFields };
+    for (const field of SUMMED_FIELDS) {
+      targetUpdates[field] = Number(target[field] || 0) + Number(source[field] || 0);
+    }
+    await this.updateColumns(client, targetId, targetUpdates);
+
+    const result = await client.query(`
+      INSERT INTO customer_merges (
+        merge_id, source_customer_id, target_customer_id, reason, merged_by, moved_rows,
+        filled_fields, source_before, target_before, dropped_conversation
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      generateId('MRG'), sourceId, targetId, reason, mergedBy, JSON.stringify(movedRows),
+      JSON.stringify(filledFields), JSON.stringify(source), JSON.stringify(target),
+      droppedConversation ? JSON.stringify(droppedConversation) : null
+    ]);
+
+    logger.info(`🔗 Customer ${sourceId} merged into ${targetId} (${reason})`);
+    return result.rows[0];
+  }
+
+  /**
+   * Reverses a merge: the recorded rows go back to the source, the dropped conversation
+   * is restored, the target's totals drop by what the source brought, and filled-in
+   * columns are cleared unless they were changed since. Merges involving either customer
+   * that came later must be undone first.
+   */
+  static async undoMerge(mergeId, { undoneBy = null } = {}) {
+    const merge = await DatabaseService.transaction(async (client) => {
+      const found = await client.query('SELECT * FROM customer_merges WHERE merge_id = $1 FOR UPDATE', [mergeId]);
+      const record = found.rows[0];
+
+      if (!record) {
+        throw new NotFoundError(`Merge ${mergeId} not found`);
+      }
+      if (record.status !== 'merged') {
+        throw new ConflictError(`Merge ${mergeId} has already been undone`);
+      }
+
+      const { source_customer_id: sourceId, target_customer_id: targetId } = record;
+
+      const later = await client.query(`
+        SELECT merge_id FROM customer_merges
+        WHERE id > $1 AND status = 'merged'
+          AND (source_customer_id = ANY($2) OR target_customer_id = ANY($2))
+        ORDER BY id
+      `, [record.id, [sourceId, targetId]]);
+
+      if (later.rows.length > 0) {
+        throw new ConflictError('Later merges involve these customers; undo them first', {
+          merge_ids: later.rows.map(row => row.merge_id)
+        });
+      }
+
+      const customers = await client.query(
+        'SELECT * FROM customers WHERE customer_id = ANY($1) FOR UPDATE',
+        [[sourceId, targetId]]
+      );
+      const target = customers.rows.find(customer => customer.customer_id === targetId);
+
+      for (const [table, ids] of Object.entries(record.moved_rows)) {
+        if (ids.length > 0) {
+          await client.query(
+            `UPDATE ${table} SET customer_id = $1 WHERE id = ANY($2) AND customer_id = $3`,
+            [sourceId, ids, targetId]
+          );
+        }
+      }
+
+      const conversation = record.dropped_conversation;
+      if (conversation) {
+        await client.query(`
+          INSERT INTO conversations (customer_id, recent_messages, context_data, last_intent, bot_paused, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (customer_id) DO NOTHING
+        `, [
+          sourceId, JSON.stringify(conversation.recent_messages), JSON.stringify(conversation.context_data),
+          conversation.last_intent, conversation.bot_paused, conversation.created_at, conversation.updated_at
+        ]);
+      }
+
+      // Filled columns go back only where nobody has edited them since the merge; both
+      // sides are compared in their JSON form, as that is how the merge recorded them
+      const reverted = Object.keys(record.filled_fields).filter(field =>
+        JSON.stringify(target[field]) === JSON.stringify(record.filled_fields[field]));
+
+      const targetUpdates = Object.fromEntries(reverted.map(field => [field, record.target_before[field]]));
+      for (const field of SUMMED_FIELDS) {
+        targetUpdates[field] = Math.max(Number(target[field] || 0) - Number(record.source_before[field] || 0), 0);
+      }
+      await this.updateColumns(client, targetId, targetUpdates);
+
+      // Channel addresses return to the source only once the target has given them up
+      const sourceUpdates = {
+        status: record.source_before.status,
+        merged_into: null,
+        ...Object.fromEntries(SUMMED_FIELDS.map(field => [field, record.source_before[field]])),
+        ...Object.fromEntries(MOVED_FIELDS
+          .filter(field => !(field in record.filled_fields) || reverted.includes(field))
+          .map(field => [field, record.source_before[field]]))
+      };
+      await this.updateColumns(client, sourceId, sourceUpdates);
+
+      const updated = await client.query(`
+        UPDATE customer_merges SET status = 'undone', undone_by = $2, undone_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [record.id, undoneBy]);
+
+      return updated.rows[0];
+    });
+
+    await AIAgentService.forgetConversation(merge.source_customer_id);
+    await AIAgentService.forgetConversation(merge.target_customer_id);
+
+    logger.info(`🔗 Merge ${mergeId} undone: ${merge.source_customer_id} split from ${merge.target_customer_id}`);
+    return merge;
+  }
+
+  static async getMerge(mergeId) {
+    const result = await DatabaseService.query('SELECT * FROM customer_merges WHERE merge_id = $1', [mergeId]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`Merge ${mergeId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  static async getMerges(customerId) {
+    const result = await DatabaseService.query(`
+      SELECT merge_id, source_customer_id, target_customer_id, reason, merged_by, status,
+             undone_by, undone_at, created_at
+      FROM customer_merges
+      WHERE source_customer_id = $1 OR target_customer_id = $1
+      ORDER BY id DESC
+    `, [customerId]);
+
+    return result.rows;
+  }
+
+  static async updateColumns(client, customerId, updates) {
+    const fields = Object.keys(updates);
+
+    await client.query(`
+      UPDATE customers
+      SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+      WHERE customer_id = $1
+    `, [customerId, ...Object.values(updates)]);
+  }
+}
+
+module.exports = IdentityService;
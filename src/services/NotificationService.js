@@ -0,0 +1,96 @@
+const CustomerService = require('./CustomerService');
+const QueueService = require('./QueueService');
+const logger = require('../utils/logger');
+
+class NotificationService {
+  constructor() {
+    // channel name -> async (customer, message, options) => boolean (false when the customer can't be reached there).
+    // options.email = { template, data } lets the email channel send a templated message instead of the plain text.
+    this.channels = new Map();
+  }
+
+  registerChannel(name, send) {
+    this.channels.set(name.toLowerCase(), send);
+    logger.info(`Notification channel registered: ${name}`);
+  }
+
+  unregisterChannel(name) {
+    this.channels.delete(name.toLowerCase());
+  }
+
+  // Preferred channel first, then any other channel the customer can be reached on
+  getChannelOrder(customer) {
+    const preferred = (customer.communication_preference || '').toLowerCase();
+    const others = Array.from(this.channels.keys()).filter(name => name !== preferred);
+    return this.channels.has(preferred) ? [preferred, ...others] : others;
+  }
+
+  async notifyCustomer(customerId, message, options = {}) {
+    try {
+      const customer = await CustomerService.getCustomerById(customerId);
+
+      if (!customer) {
+        logger.warn(`Cannot notify unknown customer ${customerId}`);
+        return { delivered: false, reason: 'Customer not found' };
+      }
+
+      const failures = [];
+
+      for (const channel of this.getChannelOrder(customer)) {
+        try {
+          const delivered = await this.channels.get(channel)(customer, message, options);
+          if (delivered) {
+            logger.info(`📣 Notified customer ${customerId} via ${channel}`);
+            return { delivered: true, channel };
+          }
+        } catch (error) {
+          logger.error(`Failed to notify customer ${customerId} via ${channel}:`, error.message);
+          failures.push(`${channel}: ${error.message}`);
+        }
+      }
+
+      // A channel that threw may work on a retry; one that reported "not reachable" will not
+      if (failures.length > 0) {
+        return { delivered: false, reason: `Delivery failed (${failures.join('; ')})`, transient: true };
+      }
+
+      logger.warn(`No reachable notification channel for customer ${customerId}`);
+      return { delivered: false, reason: 'No reachable channel' };
+    } catch (error) {
+      logger.error('Error notifying customer:', error);
+      return { delivered: false, reason: error.message, transient: true };
+    }
+  }
+
+  // Fire-and-forget delivery through the notifications queue, retried while a channel is failing
+  queueNotification(customerId, message, options = {}) {
+    return QueueService.enqueue('notifications', 'notify', { customerId, message, options });
+  }
+
+  // Deliver on one specific channel only, e.g. to answer on the channel the customer wrote from
+  async notifyCustomerOn(customerId, channel, message, options = {}) {
+    const send = this.channels.get((channel || '').toLowerCase());
+
+    if (!send) {
+      return { delivered: false, reason: `Channel ${channel} is not available` };
+    }
+
+    try {
+      const customer = await CustomerService.getCustomerById(customerId);
+
+      if (!customer) {
+        return { delivered: false, reason: 'Customer not found' };
+      }
+
+      const delivered = await send(customer, message, options);
+      return delivered
+        ? { delivered: true, channel }
+        : { delivered: false, reason: `Customer cannot be reached via ${channel}` };
+    } catch (error) {
+      logger.error(`Failed to notify customer ${customerId} via ${channel}:`, error.message);
+      return { delivered: false, reason: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,202 @@
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const EmailService = require('./EmailService');
+const QueueService = require('./QueueService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Legal next statuses for each order status
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'awaiting_prescription', 'cancelled'],
+  awaiting_prescription: ['confirmed', 'cancelled'],
+  confirmed: ['ready_for_pickup', 'out_for_delivery', 'cancelled'],
+  ready_for_pickup: ['delivered', 'cancelled'],
+  out_for_delivery: ['delivered', 'ready_for_pickup'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+// Statuses from which cancelling puts the items back on the shelf
+const RESTOCK_ON_CANCEL = ['pending', 'awaiting_prescription', 'confirmed', 'ready_for_pickup'];
+
+const STATUS_MESSAGES = {
+  confirmed: (order) => `✅ Your order ${order.order_id} has been confirmed and is being prepared.`,
+  awaiting_prescription: (order) => `📋 Your order ${order.order_id} is waiting for a valid prescription before we can prepare it.`,
+  ready_for_pickup: (order) => `🏪 Your order ${order.order_id} is ready for pickup!`,
+  out_for_delivery: (order) => `🚚 Your order ${order.order_id} is out for delivery.`,
+  delivered: (order) => `📦 Your order ${order.order_id} has been delivered. Thank you for shopping with us!`,
+  cancelled: (order) => `❌ Your order ${order.order_id} has been cancelled.${order.reason ? ` Reason: ${order.reason}` : ''}`,
+  refunded: (order) => `💸 Your order ${order.order_id} has been refunded ($${parseFloat(order.total).toFixed(2)}).`
+};
+
+class OrderService {
+  static get STATUSES() {
+    return Object.keys(ORDER_TRANSITIONS);
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  static async recordStatusChange(client, orderId, fromStatus, toStatus, { changedBy = 'system', reason = null } = {}) {
+    await client.query(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [orderId, fromStatus, toStatus, changedBy, reason]);
+  }
+
+  static async transitionStatus(orderId, toStatus, { changedBy = 'system', reason = null, notify = true } = {}) {
+    if (!ORDER_TRANSITIONS[toStatus]) {
+      throw new ValidationError(`Unknown order status: ${toStatus}`, { allowed: this.STATUSES });
+    }
+
+    const order = await DatabaseService.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM orders WHERE order_id = $1 FOR UPDATE', [orderId]);
+
+      if (current.rows.length === 0) {
+        throw new NotFoundError(`Order ${orderId} not found`);
+      }
+
+      const fromStatus = current.rows[0].status;
+
+      if (!this.canTransition(fromStatus, toStatus)) {
+        throw new ConflictError(`Cannot move order from ${fromStatus} to ${toStatus}`, {
+          allowed: ORDER_TRANSITIONS[fromStatus]
+        });
+      }
+
+      // Prescription items are confirmed by the pharmacist's decision (VerificationService.settleOrder)
+      if (toStatus === 'confirmed') {
+        const outstanding = await client.query(`
+          SELECT COUNT(*)::int AS count FROM prescription_verifications
+          WHERE order_id = $1 AND status IN ('pending', 'claimed')
+        `, [orderId]);
+
+        if (outstanding.rows[0].count > 0) {
+          throw new ConflictError(`Order ${orderId} has prescription items awaiting pharmacist verification`, {
+            outstanding_verifications: outstanding.rows[0].count
+          });
+        }
+      }
+
+      if (toStatus === 'cancelled') {
+        await client.query(`
+          UPDATE prescription_verifications
+          SET status = 'cancelled', decided_at = NOW()
+          WHERE order_id = $1 AND status IN ('pending', 'claimed')
+        `, [orderId]);
+      }
+
+      if (toStatus === 'cancelled' && RESTOCK_ON_CANCEL.includes(fromStatus)) {
+        await client.query(`
+          UPDATE products p
+          SET stock_quantity = p.stock_quantity + sh.quantity
+          FROM sales_history sh
+          WHERE sh.order_id = $1 AND sh.product_id = p.product_id
+        `, [orderId]);
+      }
+
+      const updated = await client.query(`
+        UPDATE orders
+        SET status = $2, status_updated_at = NOW()
+        WHERE order_id = $1
+        RETURNING *
+      `, [orderId, toStatus]);
+
+      await this.recordStatusChange(client, orderId, fromStatus, toStatus, { changedBy, reason });
+
+      return updated.rows[0];
+    });
+
+    logger.info(`📦 Order ${orderId} moved to ${toStatus} by ${changedBy}`);
+
+    if (notify && STATUS_MESSAGES[toStatus]) {
+      // Delivery problems are retried by the notifications queue and must not undo the transition
+      NotificationService.queueNotification(order.customer_id, STATUS_MESSAGES[toStatus]({ ...order, reason }));
+    }
+
+    if (toStatus === 'delivered') {
+      QueueService.enqueue('outbound-messages', 'receipt', { orderId });
+    }
+
+    return order;
+  }
+
+  static async getStatusHistory(orderId) {
+    try {
+      const result = await DatabaseService.query(`
+        SELECT from_status, to_status, changed_by, reason, created_at
+        FROM order_status_history
+        WHERE order_id = $1
+        ORDER BY created_at, id
+      `, [orderId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting order status history:', error);
+      throw error;
+    }
+  }
+
+  static async getOrderItems(orderId) {
+    const result = await DatabaseService.query(`
+      SELECT sh.transaction_id, sh.product_id, sh.product_name, sh.category, sh.quantity,
+             sh.unit_price, sh.total_price, sh.discount_applied, sh.promotion_used,
+             sh.loyalty_points_earned, sh.pharmacist_id, v.status AS verification_status
+      FROM sales_history sh
+      LEFT JOIN prescription_verifications v ON v.transaction_id = sh.transaction_id
+      WHERE sh.order_id = $1
+      ORDER BY sh.id
+    `, [orderId]);
+
+    return result.rows;
+  }
+
+  static async getOrderById(orderId) {
+    try {
+      const result = await DatabaseService.query('SELECT * FROM orders WHERE order_id = $1', [orderId]);
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError(`Order ${orderId} not found`);
+      }
+
+      const items = await this.getOrderItems(orderId);
+      const history = await this.getStatusHistory(orderId);
+      return { ...result.rows[0], items, history };
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        logger.error('Error getting order by ID:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Emails the receipt built from the order's sales_history lines; false when the customer has no usable address
+  static async sendReceipt(orderId) {
+    const order = await this.getOrderById(orderId);
+    return EmailService.emailCustomer(order.customer_id, 'receipt', { order, items: order.items });
+  }
+
+  static async getCustomerOrders(customerId, limit = 10) {
+    try {
+      const query = `
+        SELECT o.*, COUNT(sh.id)::int AS item_count
+        FROM orders o
+        LEFT JOIN sales_history sh ON sh.order_id = o.order_id
+        WHERE o.customer_id = $1
+        GROUP BY o.id
+        ORDER BY o.created_at DESC
+        LIMIT $2
+      `;
+
+      const result = await DatabaseService.query(query, [customerId, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting customer orders:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,228 @@
+// Customer record fields whose values are replaced wherever they appear, by placeholder type
+const KNOWN_FIELDS = {
+  first_name: 'NAME',
+  last_name: 'NAME',
+  emergency_contact_name: 'NAME',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  whatsapp_phone: 'PHONE',
+  emergency_contact_phone: 'PHONE',
+  insurance_id: 'INSURANCE_ID',
+  address_line1: 'ADDRESS',
+  address_line2: 'ADDRESS',
+  date_of_birth: 'DOB'
+};
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// Street suffixes match capitalized or not; the street name itself must be capitalized,
+// or "2 tablets for my dr" would read as an address
+const STREET_SUFFIXES = [
+  'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Lane', 'Ln', 'Drive', 'Dr',
+  'Court', 'Ct', 'Way', 'Place', 'Pl', 'Terrace', 'Circle'
+].map(suffix => `[${suffix[0]}${suffix[0].toLowerCase()}]${suffix.slice(1)}`).join('|');
+
+// Detectors for PII typed by the customer, in the order they run. `group` is the capture
+// group to replace when the pattern includes a cue such as "my name is"; `test` can veto
+// a match. Free-text-only detectors are skipped for structured data.
+const DETECTORS = [
+  { type: 'EMAIL', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { type: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: 'INSURANCE_ID',
+    pattern: /\b(?:insurance|member|policy|subscriber|group)\s*(?:id|number|no\.?|#)?\s*(?:is|:|#)?\s*([A-Z0-9][A-Z0-9-]{4,19})\b/gi,
+    group: 1,
+    test: (value) => /\d/.test(value)
+  },
+  {
+    type: 'DATE',
+    pattern: new RegExp(`\\b(?:\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})|(?:19|20)\\d{2}-\\d{2}-\\d{2}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}\\s+(?:${MONTHS})\\.?,?\\s+\\d{4})\\b`, 'gi'),
+    freeTextOnly: true
+  },
+  {
+    type: 'PHONE',
+    // A parenthesized area code belongs to the number: "(555) 987-6543"
+    pattern: /(?<![\w-])(?:\+?\d|\(\d{1,4}\))[\d\s().-]{5,}\d(?![\w-])/g,
+    // Dates such as 2024-01-15 are not phone numbers, and in structured data a bare run
+    // of digits is far more likely an ID than a phone number
+    test: (value, freeText) => /^\d{7,15}$/.test(value.replace(/\D/g, ''))
+      && !/^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(value)
+      && (freeText || /\D/.test(value))
+  },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][\\w.]*\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:[Aa]pt|[Aa]partment|[Ss]uite|[Uu]nit|#)\\s*[\\w-]+)?`, 'g')
+  },
+  { type: 'NAME', pattern: /\b(?:[Mm]y name is|[Nn]ame:)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g, group: 1, freeTextOnly: true }
+];
+
+const PLACEHOLDER = /\[(NAME|EMAIL|PHONE|SSN|INSURANCE_ID|ADDRESS|DATE|DOB)_(\d+)\]/g;
+
+// A trailing fragment that could still grow into a placeholder, e.g. "[PHO"
+const PARTIAL_PLACEHOLDER = /\[[A-Z_]*\d*$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Replaces personal details with placeholders such as [PHONE_1] before text is sent to
+ * the language model, and puts the real values back into what the model returns. One
+ * redactor serves one request: the same value always gets the same placeholder, so the
+ * model can still refer to it, and the mapping never leaves the process.
+ *
+ * The customer's own record supplies exact values (names are matched case-sensitively,
+ * so "May" the name does not swallow "may"); detectors catch what customers type.
+ */
+class PiiRedactor {
+  constructor({ enabled = true } = {}) {
+    this.enabled = enabled;
+    this.known = [];
+    this.valueToPlaceholder = new Map();
+    this.placeholderToValue = new Map();
+    this.counters = {};
+  }
+
+  static isEnabled() {
+    return process.env.PII_REDACTION !== 'false';
+  }
+
+  static forCustomer(customer) {
+    const redactor = new PiiRedactor({ enabled: this.isEnabled() });
+
+    if (customer) {
+      for (const [field, type] of Object.entries(KNOWN_FIELDS)) {
+        const value = customer[field];
+        if (value) {
+          redactor.addKnownValue(type, type === 'DOB' ? formatDate(value) : String(value));
+        }
+      }
+
+      if (customer.first_name && customer.last_name) {
+        redactor.addKnownValue('NAME', `${customer.first_name} ${customer.last_name}`);
+      }
+    }
+
+    return redactor;
+  }
+
+  addKnownValue(type, value) {
+    const trimmed = value.trim();
+
+    // Very short values (initials, "Al") would match inside ordinary words
+    if (trimmed.length < 3) {
+      return;
+    }
+
+    const flags = type === 'NAME' ? 'g' : 'gi';
+    this.known.push({ type, value: trimmed, pattern: new RegExp(`(?<![\\w@])${escapeRegExp(trimmed)}(?![\\w@])`, flags) });
+
+    // Longest first, so a full name is replaced before its parts
+    this.known.sort((a, b) => b.value.length - a.value.length);
+  }
+
+  placeholderFor(type, value) {
+    const key = `${type}:${value.toLowerCase()}`;
+
+    if (!this.valueToPlaceholder.has(key)) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+      const placeholder = `[${type}_${this.counters[type]}]`;
+      this.valueToPlaceholder.set(key, placeholder);
+      this.placeholderToValue.set(placeholder, value);
+    }
+
+    return this.valueToPlaceholder.get(key);
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.freeText=true] - false for structured data (tool results,
+   *   system context), where dates are order and expiry dates rather than personal ones
+   */
+  redact(text, { freeText = true } = {}) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    let redacted = text;
+
+    for (const { type, pattern } of this.known) {
+      redacted = redacted.replace(pattern, (match) => this.placeholderFor(type, match));
+    }
+
+    for (const detector of DETECTORS) {
+      if (detector.freeTextOnly && !freeText) {
+        continue;
+      }
+
+      redacted = redacted.replace(detector.pattern, (match, ...groups) => {
+        const value = detector.group ? groups[detector.group - 1] : match;
+        if (!value || (detector.test && !detector.test(value, freeText))) {
+          return match;
+        }
+        return match.replace(value, this.placeholderFor(detector.type, value));
+      });
+    }
+
+    return redacted;
+  }
+
+  // Placeholders the model wrote back, replaced by the values they stand for
+  restore(text) {
+    if (typeof text !== 'string' || this.placeholderToValue.size === 0) {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER, (placeholder) => this.placeholderToValue.get(placeholder) ?? placeholder);
+  }
+
+  // restore() applied to every string in a parsed JSON value
+  restoreValue(value) {
+    if (typeof value === 'string') {
+      return this.restore(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restoreValue(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreValue(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Wraps a streaming token callback so placeholders split across deltas are restored
+   * whole. Call flush() once the stream ends to emit anything still held back.
+   */
+  createStreamRestorer(onToken) {
+    let pending = '';
+
+    const emit = (text) => {
+      if (text) {
+        onToken(this.restore(text));
+      }
+    };
+
+    return {
+      write: (token) => {
+        pending += token;
+        const partial = PARTIAL_PLACEHOLDER.exec(pending);
+        const cut = partial && partial[0].length <= 20 ? partial.index : pending.length;
+        emit(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      },
+      flush: () => {
+        emit(pending);
+        pending = '';
+      }
+    };
+  }
+}
+
+PiiRedactor.PROMPT_NOTE = 'Text in square brackets such as [NAME_1] or [PHONE_2] stands for private customer details that have been hidden. Repeat a placeholder exactly where the detail belongs; never guess or invent the value behind it.';
+
+module.exports = PiiRedactor;
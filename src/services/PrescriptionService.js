@@ -0,0 +1,288 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const PRESCRIPTION_STATUSES = ['active', 'completed', 'expired', 'cancelled'];
+
+// Legal next statuses for a refill request
+const REFILL_TRANSITIONS = {
+  requested: ['processing', 'ready', 'cancelled'],
+  processing: ['ready', 'cancelled'],
+  ready: ['picked_up', 'cancelled'],
+  picked_up: [],
+  cancelled: []
+};
+
+const prescriptionSchema = Joi.object({
+  customer_id: Joi.string().trim().required(),
+  prescription_number: Joi.string().trim().max(100).allow(null, ''),
+  product_id: Joi.string().trim().allow(null, ''),
+  drug_name: Joi.string().trim().max(255).required(),
+  strength: Joi.string().trim().max(100).allow(null, ''),
+  dosage_instructions: Joi.string().allow(null, ''),
+  quantity: Joi.number().integer().min(1).required(),
+  refills_authorized: Joi.number().integer().min(0).default(0),
+  prescriber_name: Joi.string().trim().max(255).required(),
+  prescriber_npi: Joi.string().trim().max(20).allow(null, ''),
+  prescriber_phone: Joi.string().trim().max(20).allow(null, ''),
+  written_date: Joi.date().iso().default(() => new Date()),
+  expiry_date: Joi.date().iso().greater(Joi.ref('written_date')).required(),
+  notes: Joi.string().allow(null, '')
+});
+
+const updateSchema = Joi.object({
+  status: Joi.string().valid(...PRESCRIPTION_STATUSES),
+  refills_remaining: Joi.number().integer().min(0),
+  expiry_date: Joi.date().iso(),
+  dosage_instructions: Joi.string().allow(null, ''),
+  notes: Joi.string().allow(null, '')
+}).min(1);
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+
+class PrescriptionService {
+  static get REFILL_STATUSES() {
+    return Object.keys(REFILL_TRANSITIONS);
+  }
+
+  static async createPrescription(data) {
+    const { value, error } = prescriptionSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      throw new ValidationError('Invalid prescription', error.details.map(detail => detail.message));
+    }
+
+    try {
+      const result = await DatabaseService.query(`
+        INSERT INTO prescriptions (
+          prescription_id, prescription_number, customer_id, product_id, drug_name, strength,
+          dosage_instructions, quantity, refills_authorized, refills_remaining,
+          prescriber_name, prescriber_npi, prescriber_phone, written_date, expiry_date, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      `, [
+        generateId('RX'), value.prescription_number || null, value.customer_id, value.product_id || null,
+        value.drug_name, value.strength || null, value.dosage_instructions || null, value.quantity,
+        value.refills_authorized, value.prescriber_name, value.prescriber_npi || null,
+        value.prescriber_phone || null, value.written_date, value.expiry_date, value.notes || null
+      ]);
+
+      logger.info(`💊 Prescription ${result.rows[0].prescription_id} created for customer ${value.customer_id}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating prescription:', error);
+      throw error;
+    }
+  }
+
+  // Active prescriptions past their expiry date are marked expired before they are read
+  static async expireOverdue(customerId = null) {
+    await DatabaseService.query(`
+      UPDATE prescriptions
+      SET status = 'expired'
+      WHERE status = 'active' AND expiry_date < CURRENT_DATE
+        AND ($1::varchar IS NULL OR customer_id = $1)
+    `, [customerId]);
+  }
+
+  static async getPrescriptionById(prescriptionId) {
+    try {
+      await this.expireOverdue();
+      const result = await DatabaseService.query(
+        'SELECT * FROM prescriptions WHERE prescription_id = $1',
+        [prescriptionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError(`Prescription ${prescriptionId} not found`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        logger.error('Error getting prescription by ID:', error);
+      }
+      throw error;
+    }
+  }
+
+  static async getCustomerPrescriptions(customerId, { status = null } = {}) {
+    try {
+      await this.expireOverdue(customerId);
+
+      const result = await DatabaseService.query(`
+        SELECT * FROM prescriptions
+        WHERE customer_id = $1 AND ($2::varchar IS NULL OR status = $2)
+        ORDER BY (status = 'active') DESC, expiry_date DESC
+      `, [customerId, status]);
+
+      return result.rows.map(prescription => ({
+        ...prescription,
+        refill_eligibility: this.checkRefillEligibility(prescription)
+      }));
+    } catch (error) {
+      logger.error('Error getting customer prescriptions:', error);
+      throw error;
+    }
+  }
+
+  static async updatePrescription(prescriptionId, updates) {
+    const { value, error } = updateSchema.validate(updates, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      throw new ValidationError('Invalid prescription update', error.details.map(detail => detail.message));
+    }
+
+    const fields = Object.keys(value);
+    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+
+    const result = await DatabaseService.query(
+      `UPDATE prescriptions SET ${setClause} WHERE prescription_id = $1 RETURNING *`,
+      [prescriptionId, ...fields.map(field => value[field])]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Prescription ${prescriptionId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  static checkRefillEligibility(prescription) {
+    if (prescription.status !== 'active') {
+      return { eligible: false, reason: `Prescription is ${prescription.status}` };
+    }
+
+    if (new Date(prescription.expiry_date) < new Date(new Date().toDateString())) {
+      return { eligible: false, reason: 'Prescription has expired' };
+    }
+
+    if (prescription.refills_remaining <= 0) {
+      return { eligible: false, reason: 'No refills remaining' };
+    }
+
+    return { eligible: true, refills_remaining: prescription.refills_remaining };
+  }
+
+  static async requestRefill(prescriptionId, { customerId = null, channel = null } = {}) {
+    const refill = await DatabaseService.transaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM prescriptions WHERE prescription_id = $1 FOR UPDATE',
+        [prescriptionId]
+      );
+      const prescription = current.rows[0];
+
+      // A customer asking about someone else's prescription gets the same answer as a missing one
+      if (!prescription || (customerId && prescription.customer_id !== customerId)) {
+        throw new NotFoundError(`Prescription ${prescriptionId} not found`);
+      }
+
+      const eligibility = this.checkRefillEligibility(prescription);
+      if (!eligibility.eligible) {
+        throw new ConflictError(eligibility.reason, { prescription_id: prescriptionId });
+      }
+
+      const open = await client.query(`
+        SELECT request_id FROM prescription_refills
+        WHERE prescription_id = $1 AND status IN ('requested', 'processing', 'ready')
+      `, [prescriptionId]);
+
+      if (open.rows.length > 0) {
+        throw new ConflictError('A refill is already in progress', { request_id: open.rows[0].request_id });
+      }
+
+      const refillsRemaining = prescription.refills_remaining - 1;
+      await client.query(`
+        UPDATE prescriptions
+        SET refills_remaining = $2,
+            status = CASE WHEN $2 = 0 THEN 'completed' ELSE status END
+        WHERE prescription_id = $1
+      `, [prescriptionId, refillsRemaining]);
+
+      const result = await client.query(`
+        INSERT INTO prescription_refills (request_id, prescription_id, customer_id, refill_number, channel)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [
+        generateId('RF'), prescriptionId, prescription.customer_id,
+        prescription.refills_authorized - refillsRemaining, channel
+      ]);
+
+      return { ...result.rows[0], drug_name: prescription.drug_name, refills_remaining: refillsRemaining };
+    });
+
+    logger.info(`💊 Refill ${refill.request_id} requested for prescription ${prescriptionId}`);
+    return refill;
+  }
+
+  static async getRefills(prescriptionId) {
+    const result = await DatabaseService.query(`
+      SELECT * FROM prescription_refills
+      WHERE prescription_id = $1
+      ORDER BY created_at DESC
+    `, [prescriptionId]);
+
+    return result.rows;
+  }
+
+  static async updateRefillStatus(requestId, status, { handledBy = null, notes = null } = {}) {
+    if (!REFILL_TRANSITIONS[status]) {
+      throw new ValidationError(`Unknown refill status: ${status}`, { allowed: this.REFILL_STATUSES });
+    }
+
+    const refill = await DatabaseService.transaction(async (client) => {
+      const current = await client.query(`
+        SELECT r.*, p.drug_name
+        FROM prescription_refills r
+        JOIN prescriptions p ON p.prescription_id = r.prescription_id
+        WHERE r.request_id = $1
+        FOR UPDATE OF r
+      `, [requestId]);
+      const existing = current.rows[0];
+
+      if (!existing) {
+        throw new NotFoundError(`Refill request ${requestId} not found`);
+      }
+
+      if (!REFILL_TRANSITIONS[existing.status].includes(status)) {
+        throw new ConflictError(`Cannot move refill from ${existing.status} to ${status}`, {
+          allowed: REFILL_TRANSITIONS[existing.status]
+        });
+      }
+
+      // A cancelled refill was never dispensed, so the customer keeps it
+      if (status === 'cancelled') {
+        await client.query(`
+          UPDATE prescriptions
+          SET refills_remaining = refills_remaining + 1,
+              status = CASE WHEN status = 'completed' THEN 'active' ELSE status END
+          WHERE prescription_id = $1
+        `, [existing.prescription_id]);
+      }
+
+      const result = await client.query(`
+        UPDATE prescription_refills
+        SET status = $2, handled_by = COALESCE($3, handled_by), notes = COALESCE($4, notes)
+        WHERE request_id = $1
+        RETURNING *
+      `, [requestId, status, handledBy, notes]);
+
+      return { ...result.rows[0], drug_name: existing.drug_name };
+    });
+
+    if (status === 'ready') {
+      NotificationService.queueNotification(
+        refill.customer_id,
+        `💊 Your refill of ${refill.drug_name} is ready for pickup (request ${refill.request_id}).`,
+        { email: { template: 'refill_ready', data: { refill } } }
+      );
+    }
+
+    return refill;
+  }
+}
+
+module.exports = PrescriptionService;
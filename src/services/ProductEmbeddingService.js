@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const QueueService = require('./QueueService');
+const { createLLMProvider } = require('./llm');
+const logger = require('../utils/logger');
+
+const STALE_CHANNEL = 'product_embedding_stale';
+
+class ProductEmbeddingService {
+  constructor() {
+    this.llm = null;
+    this.pending = new Set();
+    this.processing = false;
+  }
+
+  getProvider() {
+    if (!this.llm) {
+      this.llm = createLLMProvider();
+    }
+    return this.llm;
+  }
+
+  // Text that represents a product for semantic search
+  buildProductText(product) {
+    return [
+      product.name,
+      product.brand,
+      product.category,
+      product.description,
+      product.active_ingredients && `Active ingredients: ${product.active_ingredients}`,
+      product.side_effects && `Side effects: ${product.side_effects}`
+    ].filter(Boolean).join('\n');
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  toVectorLiteral(embedding) {
+    return `[${embedding.join(',')}]`;
+  }
+
+  async embedText(text) {
+    const [embedding] = await this.getProvider().embed(text);
+    return embedding;
+  }
+
+  async indexProduct(productId, { force = false } = {}) {
+    try {
+      const result = await DatabaseService.query(`
+        SELECT p.*, pe.content_hash
+        FROM products p
+        LEFT JOIN product_embeddings pe ON pe.product_id = p.product_id
+        WHERE p.product_id = $1
+      `, [productId]);
+
+      const product = result.rows[0];
+      if (!product) {
+        return { productId, indexed: false, reason: 'Product not found' };
+      }
+
+      const text = this.buildProductText(product);
+      const contentHash = this.hashText(text);
+
+      if (!force && product.content_hash === contentHash) {
+        return { productId, indexed: false, reason: 'Unchanged' };
+      }
+
+      const embedding = await this.embedText(text);
+
+      await DatabaseService.query(`
+        INSERT INTO product_embeddings (product_id, embedding, content_hash, model, updated_at)
+        VALUES ($1, $2::vector, $3, $4, NOW())
+        ON CONFLICT (product_id)
+        DO UPDATE SET
+          embedding = EXCLUDED.embedding,
+          content_hash = EXCLUDED.content_hash,
+          model = EXCLUDED.model,
+          updated_at = NOW()
+      `, [productId, this.toVectorLiteral(embedding), contentHash, this.getProvider().embeddingModel || this.getProvider().name]);
+
+      logger.debug(`Indexed embedding for product ${productId}`);
+      return { productId, indexed: true };
+    } catch (error) {
+      logger.error(`Error indexing embedding for product ${productId}:`, error);
+      throw error;
+    }
+  }
+
+  async reindexAll({ force = false } = {}) {
+    const result = await DatabaseService.query('SELECT product_id FROM products ORDER BY product_id');
+    const summary = { total: result.rows.length, indexed: 0, skipped: 0, failed: 0 };
+
+    for (const { product_id } of result.rows) {
+      try {
+        const outcome = await this.indexProduct(product_id, { force });
+        if (outcome.indexed) {
+          summary.indexed++;
+        } else {
+          summary.skipped++;
+        }
+      } catch (error) {
+        summary.failed++;
+      }
+    }
+
+    logger.info(`Product embedding reindex finished: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // Re-embed products whenever the products trigger reports a change; with job queues
+  // running the worker does the embedding, otherwise it happens here one product at a time
+  async startChangeListener() {
+    await DatabaseService.listen(STALE_CHANNEL, (productId) => {
+      if (QueueService.isInitialized) {
+        QueueService.enqueue('embeddings', 'index-product', { productId });
+        return;
+      }
+
+      this.pending.add(productId);
+      this.processPending();
+    });
+  }
+
+  async processPending() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.pending.size > 0) {
+        const [productId] = this.pending;
+        this.pending.delete(productId);
+
+        try {
+          await this.indexProduct(productId);
+        } catch (error) {
+          // Already logged; the next change to the product will retry
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+module.exports = new ProductEmbeddingService();
@@ -1,4 +1,5 @@
 const DatabaseService = require('./DatabaseService');
+const ProductEmbeddingService = require('./ProductEmbeddingService');
 const logger = require('../utils/logger');
 
 class ProductService {
@@ -24,6 +25,71 @@ class ProductService {
     }
   }
 
+  /**
+   * Hybrid search: full-text rank over the name/description GIN indexes blended
+   * with cosine similarity against product_embeddings. Falls back to the plain
+   * ILIKE search when embeddings are unavailable.
+   */
+  static async semanticSearch(searchTerm, limit = 10) {
+    const semanticWeight = parseFloat(process.env.SEMANTIC_SEARCH_WEIGHT) || 0.6;
+    const candidateLimit = Math.max(limit * 4, 20);
+
+    let embedding;
+    try {
+      embedding = await ProductEmbeddingService.embedText(searchTerm);
+    } catch (error) {
+      logger.warn(`Semantic search unavailable, falling back to keyword search: ${error.message}`);
+      return await this.searchProducts(searchTerm, limit);
+    }
+
+    try {
+      const query = `
+        WITH search AS (
+          SELECT plainto_tsquery('english', $1) AS q
+        ),
+        semantic AS (
+          SELECT pe.product_id, 1 - (pe.embedding <=> $2::vector) AS similarity
+          FROM product_embeddings pe
+          ORDER BY pe.embedding <=> $2::vector
+          LIMIT $3
+        ),
+        lexical AS (
+          SELECT p.product_id,
+                 2 * ts_rank(to_tsvector('english', p.name), search.q)
+                   + ts_rank(to_tsvector('english', COALESCE(p.description, '')), search.q) AS text_rank
+          FROM products p, search
+          WHERE to_tsvector('english', p.name) @@ search.q
+             OR to_tsvector('english', p.description) @@ search.q
+          ORDER BY text_rank DESC
+          LIMIT $3
+        )
+        SELECT p.*,
+               COALESCE(s.similarity, 0) AS similarity,
+               COALESCE(l.text_rank, 0) AS text_rank,
+               $4 * COALESCE(s.similarity, 0) + (1 - $4) * LEAST(COALESCE(l.text_rank, 0), 1) AS score
+        FROM products p
+        LEFT JOIN semantic s ON s.product_id = p.product_id
+        LEFT JOIN lexical l ON l.product_id = p.product_id
+        WHERE s.product_id IS NOT NULL OR l.product_id IS NOT NULL
+        ORDER BY score DESC
+        LIMIT $5
+      `;
+
+      const result = await DatabaseService.query(query, [
+        searchTerm,
+        ProductEmbeddingService.toVectorLiteral(embedding),
+        candidateLimit,
+        semanticWeight,
+        limit
+      ]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error in semantic product search:', error);
+      throw error;
+    }
+  }
+
   static async searchBySymptom(symptom) {
     try {
       // Map common symptoms to product categories
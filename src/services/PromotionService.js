@@ -135,7 +135,8 @@ class PromotionService {
     return age;
   }
 
-  static async applyPromotion(promotionId, customerId, orderTotal, products = []) {
+  // Pass { dryRun: true } to price a cart without consuming a promotion use
+  static async applyPromotion(promotionId, customerId, orderTotal, products = [], { dryRun = false } = {}) {
     try {
       const promotion = await this.getPromotionById(promotionId);
       
@@ -180,7 +181,9 @@ class PromotionService {
       }
 
       // Update promotion usage
-      await this.incrementPromotionUsage(promotionId);
+      if (!dryRun) {
+        await this.incrementPromotionUsage(promotionId);
+      }
 
       return {
         success: true,
@@ -0,0 +1,242 @@
+const Queue = require('bull');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEAD_LETTER_QUEUE = 'dead-letter';
+
+// How long startup waits for Redis before giving up
+const READY_TIMEOUT_MS = 10000;
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+  backoff: { type: 'exponential', delay: parseInt(process.env.QUEUE_BACKOFF_MS) || 2000 },
+  removeOnComplete: 500,
+  removeOnFail: 1000
+};
+
+/**
+ * Bull queues on REDIS_URL. Until initialize() has run (ENABLE_QUEUES is not set, or in
+ * scripts) enqueue() runs the job handler in-process instead, so callers never need to
+ * know whether Redis is there. Jobs that exhaust their attempts are copied to the
+ * dead-letter queue, which has no consumer and is inspected through the admin API.
+ */
+class QueueService {
+  constructor() {
+    this.queues = new Map();
+    this.deadLetter = null;
+    this.isInitialized = false;
+  }
+
+  isEnabled() {
+    return process.env.ENABLE_QUEUES === 'true';
+  }
+
+  // Job modules require the services that enqueue them, so they load on first use
+  getDefinitions() {
+    return require('./jobs');
+  }
+
+  createQueue(name) {
+    const queue = new Queue(name, process.env.REDIS_URL || 'redis://localhost:6379', {
+      prefix: process.env.QUEUE_PREFIX || 'pharmacy',
+      defaultJobOptions: DEFAULT_JOB_OPTIONS
+    });
+
+    queue.on('error', (error) => logger.error(`Queue ${name} error:`, error.message));
+    return queue;
+  }
+
+  async initialize() {
+    const { QUEUES } = this.getDefinitions();
+
+    for (const name of Object.keys(QUEUES)) {
+      this.queues.set(name, this.createQueue(name));
+    }
+    this.deadLetter = this.createQueue(DEAD_LETTER_QUEUE);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Redis not reachable at ${process.env.REDIS_URL || 'redis://localhost:6379'}`)), READY_TIMEOUT_MS);
+    });
+
+    try {
+      await Promise.race([
+        // isReady() only loads the Lua scripts; the ping waits for an actual connection
+        Promise.all([...this.queues.values(), this.deadLetter].map(queue => queue.isReady().then(() => queue.client.ping()))),
+        timeout
+      ]);
+    } catch (error) {
+      await this.close();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.isInitialized = true;
+    logger.info(`✅ Job queues ready: ${Array.from(this.queues.keys()).join(', ')}`);
+  }
+
+  getQueue(name) {
+    const queue = name === DEAD_LETTER_QUEUE ? this.deadLetter : this.queues.get(name);
+
+    if (!queue) {
+      throw new NotFoundError(`Queue ${name} not found`);
+    }
+    return queue;
+  }
+
+  getHandler(queueName, jobName) {
+    const handler = this.getDefinitions().QUEUES[queueName]?.handlers[jobName];
+
+    if (!handler) {
+      throw new Error(`No handler for job ${queueName}/${jobName}`);
+    }
+    return handler;
+  }
+
+  /**
+   * Adds a job, or runs it right away when queues are not initialized. Callers treat
+   * this as fire-and-forget; inline failures are logged, not thrown.
+   */
+  async enqueue(queueName, jobName, data = {}, options = {}) {
+    const handler = this.getHandler(queueName, jobName);
+
+    if (!this.isInitialized) {
+      try {
+        await handler(data);
+      } catch (error) {
+        logger.error(`Job ${queueName}/${jobName} failed:`, error);
+      }
+      return null;
+    }
+
+    try {
+      return await this.getQueue(queueName).add(jobName, data, options);
+    } catch (error) {
+      logger.error(`Could not enqueue ${queueName}/${jobName}:`, error);
+      return null;
+    }
+  }
+
+  // Start consuming the queues assigned to this process ('server' or 'worker')
+  process(runsIn) {
+    const { QUEUES } = this.getDefinitions();
+    const consumed = [];
+
+    for (const [name, definition] of Object.entries(QUEUES)) {
+      if (definition.runsIn !== runsIn) continue;
+
+      const queue = this.getQueue(name);
+      for (const [jobName, handler] of Object.entries(definition.handlers)) {
+        queue.process(jobName, definition.concurrency, (job) => handler(job.data, job));
+      }
+
+      queue.on('failed', (job, error) => this.handleFailure(name, job, error));
+      consumed.push(name);
+    }
+
+    logger.info(`⚙️ Consuming queues (${runsIn}): ${consumed.join(', ') || 'none'}`);
+  }
+
+  async handleFailure(queueName, job, error) {
+    if (job.attemptsMade < (job.opts.attempts || 1)) {
+      logger.warn(`Job ${queueName}/${job.name} #${job.id} failed (attempt ${job.attemptsMade}), retrying: ${error.message}`);
+      return;
+    }
+
+    logger.error(`Job ${queueName}/${job.name} #${job.id} failed after ${job.attemptsMade} attempts; moved to dead letter`);
+
+    try {
+      await this.deadLetter.add(job.name, {
+        queue: queueName,
+        jobId: job.id,
+        data: job.data,
+        failedReason: error.message,
+        stacktrace: job.stacktrace,
+        attemptsMade: job.attemptsMade,
+        failedAt: new Date().toISOString()
+      }, { attempts: 1, removeOnComplete: false, removeOnFail: false });
+    } catch (deadLetterError) {
+      logger.error(`Could not dead-letter job ${queueName}/${job.name} #${job.id}:`, deadLetterError);
+    }
+  }
+
+  // Register recurring jobs, replacing any left over from an earlier cron setting
+  async scheduleRecurringJobs() {
+    const { SCHEDULES } = this.getDefinitions();
+
+    for (const { queue: queueName, job: jobName, cron } of SCHEDULES) {
+      const queue = this.getQueue(queueName);
+      const existing = (await queue.getRepeatableJobs()).filter(repeatable => repeatable.name === jobName);
+
+      for (const repeatable of existing.filter(repeatable => repeatable.cron !== cron)) {
+        await queue.removeRepeatableByKey(repeatable.key);
+      }
+
+      if (cron && !existing.some(repeatable => repeatable.cron === cron)) {
+        await queue.add(jobName, {}, { repeat: { cron }, jobId: jobName });
+        logger.info(`🗓️ Scheduled ${queueName}/${jobName} (${cron})`);
+      }
+    }
+  }
+
+  serializeJob(job) {
+    return {
+      id: job.id,
+      name: job.name,
+      data: job.data,
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason || null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    };
+  }
+
+  async getStats() {
+    const stats = {};
+
+    for (const [name, queue] of [...this.queues.entries(), [DEAD_LETTER_QUEUE, this.deadLetter]]) {
+      stats[name] = await queue.getJobCounts();
+    }
+    return stats;
+  }
+
+  // Failed jobs of a queue, newest first; for the dead-letter queue, the jobs it holds
+  async getFailedJobs(queueName, limit = 20) {
+    const queue = this.getQueue(queueName);
+    const jobs = queueName === DEAD_LETTER_QUEUE
+      ? await queue.getWaiting(0, limit - 1)
+      : await queue.getFailed(0, limit - 1);
+
+    return jobs.filter(Boolean).map(job => this.serializeJob(job));
+  }
+
+  // Put a dead-lettered job back on its original queue with a fresh set of attempts
+  async retryDeadLetter(jobId) {
+    const job = await this.deadLetter.getJob(jobId);
+
+    if (!job) {
+      throw new NotFoundError(`Dead-letter job ${jobId} not found`);
+    }
+    if (!this.queues.has(job.data.queue)) {
+      throw new ValidationError(`Queue ${job.data.queue} no longer exists`);
+    }
+
+    const retried = await this.getQueue(job.data.queue).add(job.name, job.data.data);
+    await job.remove();
+
+    logger.info(`Dead-letter job ${jobId} requeued on ${job.data.queue} as #${retried.id}`);
+    return retried;
+  }
+
+  async close() {
+    const queues = [...this.queues.values(), this.deadLetter].filter(Boolean);
+    await Promise.all(queues.map(queue => queue.close().catch(() => {})));
+
+    this.queues.clear();
+    this.deadLetter = null;
+    this.isInitialized = false;
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,134 @@
+const { createClient } = require('redis');
+const { RateLimiterMemory, RateLimiterRedis } = require('rate-limiter-flexible');
+const logger = require('../utils/logger');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Named budgets. `api` covers the REST API in general, `llm` the routes that call the
+ * language model, `bot_daily` caps the messages one customer can send a bot per day,
+ * `login` the staff login attempts per email address, and `identity_code` the account
+ * linking codes one customer can request.
+ */
+const POLICIES = {
+  api: {
+    points: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    duration: Math.round((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000) / 1000)
+  },
+  llm: {
+    points: parseInt(process.env.RATE_LIMIT_LLM_MAX_REQUESTS) || 10,
+    duration: Math.round((parseInt(process.env.RATE_LIMIT_LLM_WINDOW_MS) || 60000) / 1000)
+  },
+  bot_daily: {
+    points: parseInt(process.env.BOT_DAILY_MESSAGE_LIMIT) || 200,
+    duration: DAY_SECONDS
+  },
+  login: {
+    points: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    duration: 15 * 60
+  },
+  identity_code: {
+    points: parseInt(process.env.IDENTITY_CODE_MAX_REQUESTS) || 3,
+    duration: 60 * 60
+  }
+};
+
+/**
+ * Rate limit counters. With RATE_LIMIT_STORE=redis every replica draws from the same
+ * budgets; if Redis becomes unreachable each process falls back to its own in-memory
+ * counters rather than failing requests.
+ */
+class RateLimitService {
+  constructor() {
+    this.redis = null;
+    this.limiters = this.createLimiters();
+  }
+
+  createLimiters(storeClient = null) {
+    const limiters = {};
+
+    for (const [name, policy] of Object.entries(POLICIES)) {
+      const memory = new RateLimiterMemory({ keyPrefix: `rl_${name}`, ...policy });
+
+      limiters[name] = storeClient
+        ? new RateLimiterRedis({
+          storeClient,
+          keyPrefix: `${process.env.RATE_LIMIT_PREFIX || 'pharmacy'}:rl_${name}`,
+          ...policy,
+          insuranceLimiter: memory
+        })
+        : memory;
+    }
+
+    return limiters;
+  }
+
+  async initialize() {
+    if (process.env.RATE_LIMIT_STORE !== 'redis') {
+      logger.info('Rate limiting uses in-memory counters (per process)');
+      return;
+    }
+
+    // rate-limiter-flexible drives the client with callbacks; without the offline queue,
+    // commands fail fast while Redis is down and the in-memory insurance limiter takes over
+    this.redis = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      legacyMode: true,
+      disableOfflineQueue: true
+    });
+    this.redis.on('error', (error) => logger.error('Rate limit Redis error:', error.message));
+    await this.redis.connect();
+
+    this.limiters = this.createLimiters(this.redis);
+    logger.info('✅ Rate limiting uses Redis');
+  }
+
+  getPolicy(name) {
+    return POLICIES[name];
+  }
+
+  /**
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetSeconds: number,
+   *                     firstRejection: boolean }>}
+   */
+  async consume(policyName, key, points = 1) {
+    const policy = POLICIES[policyName];
+
+    try {
+      const res = await this.limiters[policyName].consume(key, points);
+      return this.toResult(policy, res, true);
+    } catch (rejection) {
+      if (rejection instanceof Error) {
+        // Neither Redis nor the insurance limiter answered; let the request through
+        logger.error(`Rate limiter ${policyName} failed:`, rejection.message);
+        return { allowed: true, limit: policy.points, remaining: policy.points, resetSeconds: 0, firstRejection: false };
+      }
+      return this.toResult(policy, rejection, false);
+    }
+  }
+
+  toResult(policy, res, allowed) {
+    return {
+      allowed,
+      limit: policy.points,
+      remaining: res.remainingPoints,
+      resetSeconds: Math.ceil(res.msBeforeNext / 1000) || 1,
+      // The first message over the limit is the one that gets the explanation
+      firstRejection: !allowed && res.consumedPoints === policy.points + 1
+    };
+  }
+
+  // Daily cap on messages from one customer to one bot channel
+  consumeDailyMessage(channel, customerId) {
+    return this.consume('bot_daily', `${channel}:${customerId}`);
+  }
+
+  async close() {
+    if (this.redis?.isOpen) {
+      await this.redis.disconnect();
+    }
+    this.redis = null;
+  }
+}
+
+module.exports = new RateLimitService();
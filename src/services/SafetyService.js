@@ -0,0 +1,212 @@
+const DatabaseService = require('./DatabaseService');
+const logger = require('../utils/logger');
+
+const SEVERITY_RANK = { none: 0, low: 1, moderate: 2, high: 3 };
+
+// Products with a flag at or above this severity are withheld from recommendations
+const WITHHOLD_SEVERITY = 'high';
+
+// Purchases older than this are not considered current medication
+const INTERACTION_LOOKBACK_DAYS = parseInt(process.env.SAFETY_INTERACTION_LOOKBACK_DAYS) || 90;
+
+// Allergy terms that cover a whole drug class rather than one ingredient
+const ALLERGY_CLASSES = {
+  penicillin: ['amoxicillin', 'ampicillin', 'penicillin', 'dicloxacillin'],
+  nsaid: ['ibuprofen', 'naproxen', 'aspirin', 'diclofenac', 'celecoxib', 'ketoprofen'],
+  nsaids: ['ibuprofen', 'naproxen', 'aspirin', 'diclofenac', 'celecoxib', 'ketoprofen'],
+  sulfa: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+  salicylate: ['aspirin', 'salicylic acid', 'bismuth subsalicylate'],
+  salicylates: ['aspirin', 'salicylic acid', 'bismuth subsalicylate']
+};
+
+const NO_VALUE_TERMS = ['none', 'n/a', 'na', 'no known allergies', 'nkda', 'nka', 'unknown'];
+
+// Split a free-text list column into normalized terms, dropping doses and placeholders
+const parseTerms = (text) => {
+  if (!text) return [];
+
+  return text
+    .split(/[,;|/\n]+/)
+    .map(term => term
+      .toLowerCase()
+      .replace(/\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)?\b/g, '')
+      .replace(/[^a-z\s-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(term => term.length > 1 && !NO_VALUE_TERMS.includes(term));
+};
+
+// Terms match when one contains the other; short terms must match exactly
+const termsMatch = (a, b) => {
+  if (a === b) return true;
+  if (a.length < 4 || b.length < 4) return false;
+  return a.includes(b) || b.includes(a);
+};
+
+const maxSeverity = (flags) => flags.reduce(
+  (max, flag) => (SEVERITY_RANK[flag.severity] > SEVERITY_RANK[max] ? flag.severity : max),
+  'none'
+);
+
+class SafetyService {
+  static async getCustomerProfile(customerId) {
+    const result = await DatabaseService.query(
+      'SELECT customer_id, allergies, medical_conditions FROM customers WHERE customer_id = $1',
+      [customerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Ingredients of everything the customer bought recently, keyed by ingredient
+  static async getRecentIngredients(customerId) {
+    const result = await DatabaseService.query(`
+      SELECT DISTINCT p.product_id, p.name, p.active_ingredients
+      FROM sales_history sh
+      JOIN products p ON p.product_id = sh.product_id
+      WHERE sh.customer_id = $1
+        AND sh.transaction_date >= NOW() - make_interval(days => $2::int)
+        AND p.active_ingredients IS NOT NULL
+    `, [customerId, INTERACTION_LOOKBACK_DAYS]);
+
+    const ingredients = new Map();
+    result.rows.forEach(product => {
+      parseTerms(product.active_ingredients).forEach(ingredient => {
+        if (!ingredients.has(ingredient)) {
+          ingredients.set(ingredient, { product_id: product.product_id, name: product.name });
+        }
+      });
+    });
+
+    return ingredients;
+  }
+
+  static async findInteractions(candidateIngredients, recentIngredients) {
+    if (candidateIngredients.length === 0 || recentIngredients.length === 0) {
+      return [];
+    }
+
+    const result = await DatabaseService.query(`
+      SELECT ingredient_a, ingredient_b, severity, description
+      FROM drug_interactions
+      WHERE (ingredient_a = ANY($1) AND ingredient_b = ANY($2))
+         OR (ingredient_a = ANY($2) AND ingredient_b = ANY($1))
+    `, [candidateIngredients, recentIngredients]);
+
+    return result.rows;
+  }
+
+  static checkAllergies(product, allergies) {
+    const ingredients = parseTerms(product.active_ingredients);
+    const productName = (product.name || '').toLowerCase();
+    const flags = [];
+
+    allergies.forEach(allergen => {
+      const related = ALLERGY_CLASSES[allergen] || [allergen];
+      const hit = ingredients.find(ingredient => related.some(term => termsMatch(ingredient, term)))
+        || (related.some(term => term.length >= 4 && productName.includes(term)) ? productName : null);
+
+      if (hit) {
+        flags.push({
+          type: 'allergy',
+          severity: 'high',
+          allergen,
+          ingredient: hit,
+          message: `Contains ${hit}, which matches the customer's ${allergen} allergy`
+        });
+      }
+    });
+
+    return flags;
+  }
+
+  static checkContraindications(product, conditions) {
+    const contraindications = parseTerms(product.contraindications);
+    const flags = [];
+
+    conditions.forEach(condition => {
+      const hit = contraindications.find(term => termsMatch(term, condition));
+      if (hit) {
+        flags.push({
+          type: 'contraindication',
+          severity: 'high',
+          condition,
+          message: `Contraindicated for ${hit}; the customer has ${condition}`
+        });
+      }
+    });
+
+    return flags;
+  }
+
+  /**
+   * Check candidate products against a customer's allergies, medical conditions and
+   * recent purchases. Returns the products annotated with `safety` ({ severity, flags })
+   * and split into those that may be recommended and those withheld.
+   */
+  static async checkProducts(customerId, products = []) {
+    if (!customerId || products.length === 0) {
+      return { products, withheld: [] };
+    }
+
+    const customer = await this.getCustomerProfile(customerId);
+    if (!customer) {
+      return { products, withheld: [] };
+    }
+
+    const allergies = parseTerms(customer.allergies);
+    const conditions = parseTerms(customer.medical_conditions);
+    const recentIngredients = await this.getRecentIngredients(customerId);
+
+    const candidateIngredients = [...new Set(products.flatMap(product => parseTerms(product.active_ingredients)))];
+    const interactions = await this.findInteractions(candidateIngredients, [...recentIngredients.keys()]);
+
+    const allowed = [];
+    const withheld = [];
+
+    products.forEach(product => {
+      const ingredients = parseTerms(product.active_ingredients);
+
+      const interactionFlags = interactions.flatMap(interaction => [
+        [interaction.ingredient_a, interaction.ingredient_b],
+        [interaction.ingredient_b, interaction.ingredient_a]
+      ]
+        // Buying the same product again is not an interaction with itself
+        .filter(([own, other]) => ingredients.includes(own) && recentIngredients.has(other)
+          && recentIngredients.get(other).product_id !== product.product_id)
+        .map(([own, other]) => ({
+          type: 'interaction',
+          severity: interaction.severity,
+          ingredient: own,
+          interacts_with: other,
+          recent_product: recentIngredients.get(other).name,
+          message: `${own} interacts with ${other} (in ${recentIngredients.get(other).name}, bought recently): ${interaction.description}`
+        })));
+
+      const flags = [
+        ...this.checkAllergies(product, allergies),
+        ...this.checkContraindications(product, conditions),
+        ...interactionFlags
+      ];
+      const severity = maxSeverity(flags);
+      const annotated = { ...product, safety: { severity, flags } };
+
+      if (SEVERITY_RANK[severity] >= SEVERITY_RANK[WITHHOLD_SEVERITY]) {
+        withheld.push({
+          product_id: product.product_id,
+          name: product.name,
+          reasons: flags.filter(flag => SEVERITY_RANK[flag.severity] >= SEVERITY_RANK[WITHHOLD_SEVERITY]).map(flag => flag.message)
+        });
+      } else {
+        allowed.push(annotated);
+      }
+    });
+
+    if (withheld.length > 0) {
+      logger.info(`🛡️ Withheld ${withheld.length} product(s) from customer ${customerId} for safety reasons`);
+    }
+
+    return { products: allowed, withheld };
+  }
+}
+
+module.exports = SafetyService;
@@ -0,0 +1,156 @@
+const CustomerService = require('./CustomerService');
+const ChannelMessageService = require('./ChannelMessageService');
+const SmsAdapter = require('./channels/SmsAdapter');
+const { createSmsProvider } = require('./sms');
+const logger = require('../utils/logger');
+
+// Carrier-standard keywords; compared against the whole message, case-insensitively
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const KEYWORD_REPLIES = {
+  stop: "You've been unsubscribed from pharmacy promotions. You'll still get order and prescription updates. Reply START to subscribe again.",
+  start: "You're subscribed to pharmacy promotions again. Reply STOP to unsubscribe.",
+  help: 'Text us your question and our assistant will reply. Reply STOP to stop promotions, START to resume. For help call (555) 123-CARE.'
+};
+
+class SmsBotService {
+  constructor() {
+    // Gateway selected with SMS_PROVIDER: stub (local outbox) or twilio
+    this.provider = createSmsProvider();
+    this.adapter = new SmsAdapter(this);
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      await this.provider.initialize();
+
+      this.isInitialized = true;
+      logger.info(`✅ SMS channel initialized (${this.provider.name} provider)`);
+    } catch (error) {
+      logger.error('❌ SMS channel initialization failed:', error);
+      throw error;
+    }
+  }
+
+  async sendMessage(to, body, customerId = null) {
+    if (!this.isInitialized) {
+      throw new Error('SMS service not initialized');
+    }
+
+    const result = await this.provider.send(to, body);
+    await ChannelMessageService.recordOutbound('sms', result.messageId, { customerId, recipient: to, type: 'text' });
+
+    logger.info(`SMS sent to ${to} (${result.messageId})`);
+    return result;
+  }
+
+  verifyRequest(req) {
+    return this.provider.verifyRequest(req);
+  }
+
+  acknowledge(res) {
+    this.provider.acknowledge(res);
+  }
+
+  // Runs after the webhook has been acknowledged
+  async processWebhook(body) {
+    const { messages, statuses } = this.provider.parseWebhook(body);
+
+    for (const status of statuses) {
+      try {
+        await ChannelMessageService.updateOutboundStatus('sms', status.messageId, status.status, status);
+        if (status.status === 'failed') {
+          logger.warn(`SMS ${status.messageId} to ${status.recipient} failed: ${status.errorCode || status.errorMessage}`);
+        }
+      } catch (error) {
+        logger.error(`Error recording SMS status for ${status.messageId}:`, error);
+      }
+    }
+
+    for (const message of messages) {
+      try {
+        const isNew = await ChannelMessageService.recordInbound('sms', message.messageId, {
+          sender: message.from,
+          type: 'text'
+        });
+
+        if (!isNew) {
+          logger.debug(`Skipping redelivered SMS ${message.messageId}`);
+          continue;
+        }
+
+        await this.handleIncomingMessage(message);
+      } catch (error) {
+        logger.error(`Error processing SMS ${message.messageId}:`, error);
+      }
+    }
+  }
+
+  async handleIncomingMessage(message) {
+    try {
+      if (await this.handleKeyword(message)) {
+        return;
+      }
+
+      await this.adapter.handleInbound(message);
+    } catch (error) {
+      logger.error('Error handling SMS message:', error);
+
+      await this.sendMessage(
+        message.from,
+        "I'm having trouble processing your request right now. Please try again in a moment."
+      );
+    }
+  }
+
+  // STOP and START switch marketing consent; neither reaches the assistant
+  async handleKeyword(message) {
+    const keyword = (message.text || '').trim().toUpperCase();
+
+    let action = null;
+    if (STOP_KEYWORDS.includes(keyword)) action = 'stop';
+    else if (START_KEYWORDS.includes(keyword)) action = 'start';
+    else if (HELP_KEYWORDS.includes(keyword)) action = 'help';
+
+    if (!action) {
+      return false;
+    }
+
+    const customer = await this.adapter.resolveCustomer(this.adapter.normalizeInbound(message));
+
+    if (action !== 'help') {
+      await CustomerService.updateCustomer(customer.customer_id, { marketing_consent: action === 'start' });
+      logger.info(`📵 Customer ${customer.customer_id} sent ${keyword} by SMS; marketing consent ${action === 'start' ? 'granted' : 'withdrawn'}`);
+    }
+
+    if (action === 'help' || !this.provider.repliesToOptOutKeywords) {
+      await this.sendMessage(message.from, KEYWORD_REPLIES[action], customer.customer_id);
+    }
+    return true;
+  }
+
+  // Used by NotificationService; order and prescription updates are transactional, so STOP does not block them
+  async sendNotification(customer, message) {
+    // Telegram customers may have an @username stored as their phone
+    if (!customer.phone || !/^\+?[0-9\s().-]{7,20}$/.test(customer.phone)) {
+      return false;
+    }
+
+    await this.adapter.send(customer.phone, { text: message });
+    return true;
+  }
+
+  async stop() {
+    this.isInitialized = false;
+    logger.info('SMS channel stopped');
+  }
+
+  isActive() {
+    return this.isInitialized;
+  }
+}
+
+module.exports = SmsBotService;
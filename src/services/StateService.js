@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStateStore } = require('./state');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Attempts at an optimistic update before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const LOCK_POLL_MS = 50;
+const LOCK_POLL_MAX_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Shared state for anything that must look the same from every replica:
+ * conversation context, channel sessions, per-customer locks. The backing store
+ * is chosen with STATE_STORE (memory for development, redis for more than one
+ * instance).
+ */
+class StateService {
+  constructor() {
+    this.store = createStateStore();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    this.isInitialized = true;
+    logger.info(`✅ State store initialized (${this.store.name})`);
+  }
+
+  async get(key) {
+    const entry = await this.store.get(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Read-modify-write that survives concurrent writers: mutate receives the current
+   * value (null if absent) and returns the new one; if another writer got in first,
+   * mutate runs again on the fresh value. Returns the value that was written.
+   */
+  async update(key, mutate, { ttlMs = 0 } = {}) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const entry = await this.store.get(key);
+      const next = await mutate(entry ? entry.value : null);
+
+      if (await this.store.compareAndSet(key, next, entry ? entry.version : 0, ttlMs)) {
+        return next;
+      }
+
+      logger.debug(`State key ${key} changed concurrently; retrying update (attempt ${attempt})`);
+    }
+
+    throw new ConflictError(`State key ${key} is being updated too often to write`);
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  /**
+   * Runs fn while holding a lock on key, so work for the same key is serialized across
+   * replicas. If the lock is still taken after waitMs, fn runs anyway: callers must stay
+   * correct without it (update() is), the lock only avoids wasted work and interleaving.
+   */
+  async withLock(key, fn, { ttlMs = 60000, waitMs = 30000 } = {}) {
+    const token = uuidv4();
+    const deadline = Date.now() + waitMs;
+    let delay = LOCK_POLL_MS;
+    let locked = false;
+
+    try {
+      locked = await this.store.acquireLock(key, token, ttlMs);
+
+      while (!locked && Date.now() < deadline) {
+        await sleep(delay);
+        delay = Math.min(delay * 2, LOCK_POLL_MAX_MS);
+        locked = await this.store.acquireLock(key, token, ttlMs);
+      }
+
+      if (!locked) {
+        logger.warn(`Lock ${key} still held after ${waitMs}ms; continuing without it`);
+      }
+    } catch (error) {
+      logger.error(`Could not acquire lock ${key}; continuing without it:`, error.message);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      if (locked) {
+        await this.store.releaseLock(key, token).catch(error =>
+          logger.error(`Could not release lock ${key}:`, error.message));
+      }
+    }
+  }
+
+  async count(prefix) {
+    return this.store.count(prefix);
+  }
+
+  async close() {
+    await this.store.close();
+    this.isInitialized = false;
+  }
+}
+
+module.exports = new StateService();
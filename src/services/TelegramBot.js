@@ -1,15 +1,39 @@
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
-const AIAgentService = require('./AIAgentService');
 const DatabaseService = require('./DatabaseService');
 const ProductService = require('./ProductService');
 const PromotionService = require('./PromotionService');
+const CartService = require('./CartService');
+const OrderService = require('./OrderService');
+const PrescriptionService = require('./PrescriptionService');
+const ChannelMessageService = require('./ChannelMessageService');
+const StateService = require('./StateService');
+const IdentityService = require('./IdentityService');
+const TelegramAdapter = require('./channels/TelegramAdapter');
 const logger = require('../utils/logger');
 
+// Sessions of users who have been quiet this long are dropped
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ORDER_STATUS_LABELS = {
+  pending: '🕒 Pending',
+  confirmed: '✅ Confirmed',
+  awaiting_prescription: '📋 Awaiting prescription',
+  ready_for_pickup: '🏪 Ready for pickup',
+  out_for_delivery: '🚚 Out for delivery',
+  delivered: '📦 Delivered',
+  cancelled: '❌ Cancelled',
+  refunded: '💸 Refunded'
+};
+
 class TelegramBotService {
   constructor() {
     this.bot = null;
     this.isInitialized = false;
-    this.userSessions = new Map(); // Store user conversation state
+    // polling for a single instance; webhook lets several replicas share one bot
+    this.mode = process.env.TELEGRAM_MODE === 'webhook' ? 'webhook' : 'polling';
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    this.adapter = new TelegramAdapter(this);
   }
 
   async initialize() {
@@ -19,7 +43,7 @@ class TelegramBotService {
       }
 
       this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { 
-        polling: true,
+        polling: this.mode === 'polling',
         request: {
           agentOptions: {
             keepAlive: true,
@@ -28,14 +52,15 @@ class TelegramBotService {
         }
       });
 
+      if (this.mode === 'webhook') {
+        await this.registerWebhook();
+      }
+
       await this.setupEventHandlers();
       await this.setupCommands();
       
-      // Start session cleanup interval
-      this.startSessionCleanup();
-      
       this.isInitialized = true;
-      logger.info('✅ Telegram bot initialized successfully');
+      logger.info(`✅ Telegram bot initialized successfully (${this.mode} mode)`);
       
     } catch (error) {
       logger.error('❌ Telegram bot initialization failed:', error);
@@ -43,6 +68,51 @@ class TelegramBotService {
     }
   }
 
+  async registerWebhook() {
+    const url = process.env.TELEGRAM_WEBHOOK_URL;
+
+    if (!url || !this.webhookSecret) {
+      throw new Error('TELEGRAM_WEBHOOK_URL and TELEGRAM_WEBHOOK_SECRET are required in webhook mode');
+    }
+
+    await this.bot.setWebHook(url, {
+      secret_token: this.webhookSecret,
+      allowed_updates: JSON.stringify(['message', 'callback_query'])
+    });
+
+    logger.info(`Telegram webhook registered at ${url}`);
+  }
+
+  verifySecretToken(token) {
+    if (!this.webhookSecret || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Feed a webhook update through the same handlers polling uses, once per update_id
+  async processWebhookUpdate(update) {
+    if (typeof update?.update_id !== 'number') {
+      logger.warn('Ignoring Telegram webhook update without update_id');
+      return;
+    }
+
+    const isNew = await ChannelMessageService.recordInbound('telegram', update.update_id, {
+      sender: (update.message?.from || update.callback_query?.from)?.id?.toString(),
+      type: Object.keys(update).find(key => key !== 'update_id')
+    });
+
+    if (!isNew) {
+      logger.debug(`Skipping redelivered Telegram update ${update.update_id}`);
+      return;
+    }
+
+    this.bot.processUpdate(update);
+  }
+
   async setupEventHandlers() {
     // Handle text messages
     this.bot.on('message', async (msg) => {
@@ -105,7 +175,9 @@ class TelegramBotService {
       { command: 'promotions', description: 'View current promotions and discounts' },
       { command: 'contact', description: 'Get pharmacy contact information' },
       { command: 'nearest', description: 'Find nearest pharmacy location' },
-      { command: 'profile', description: 'View and manage your profile' }
+      { command: 'profile', description: 'View and manage your profile' },
+      { command: 'link', description: 'Link another account by its phone number or email' },
+      { command: 'verify', description: 'Confirm account linking with your code' }
     ];
 
     await this.bot.setMyCommands(commands);
@@ -150,33 +222,20 @@ class TelegramBotService {
     this.bot.onText(/\/profile/, async (msg) => {
       await this.handleProfileCommand(msg);
     });
+
+    // Account linking is handled by the channel adapter, like on every other channel
+    this.bot.onText(/^\/(link|verify)\b/, async (msg) => {
+      try {
+        await this.adapter.handleInbound(msg);
+      } catch (error) {
+        logger.error('Error handling account linking command:', error);
+        await this.sendErrorMessage(msg.chat.id);
+      }
+    });
   }
 
   async handleTextMessage(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id.toString();
-    const userMessage = msg.text;
-
-    logger.info(`Telegram message from ${userId}: ${userMessage}`);
-
-    // Show typing indicator
-    await this.bot.sendChatAction(chatId, 'typing');
-
-    // Get or create customer
-    const customer = await this.getOrCreateCustomer(msg.from);
-
-    // Update user session
-    this.updateUserSession(chatId, msg.from, userMessage);
-
-    // Process message with AI agent
-    const response = await AIAgentService.processMessage(
-      customer.customer_id, 
-      userMessage, 
-      'telegram'
-    );
-
-    // Send response
-    await this.sendResponse(chatId, response);
+    await this.adapter.handleInbound(msg);
   }
 
   async handleStartCommand(msg) {
@@ -226,7 +285,7 @@ Just type your question or need, and I'll help you right away!
     });
 
     // Initialize user session
-    this.updateUserSession(chatId, msg.from);
+    await this.updateUserSession(chatId, msg.from);
   }
 
   async handleHelpCommand(msg) {
@@ -243,6 +302,7 @@ Just type your question or need, and I'll help you right away!
 • /contact - Store information
 • /nearest - Find nearest location
 • /profile - Manage your profile
+• /link [phone or email] - Link your existing pharmacy account
 
 **What you can ask me:**
 • "I need pain relief medication"
@@ -515,19 +575,23 @@ Just type your question naturally - I understand regular language! 😊
     }
   }
 
+  // Telegram vouches for a contact the user shares about themselves, so the number is
+  // treated as verified: it is saved, and an existing customer with it is merged in
   async handleContactShare(msg) {
     const chatId = msg.chat.id;
     const contact = msg.contact;
     
     if (contact.user_id === msg.from.id) {
-      // User shared their own contact
       try {
-        await DatabaseService.query(
-          'UPDATE customers SET phone = $1 WHERE telegram_id = $2',
-          [contact.phone_number, msg.from.id.toString()]
-        );
-        
-        await this.bot.sendMessage(chatId, '✅ Your phone number has been updated successfully!');
+        const customer = await this.getOrCreateCustomer(msg.from);
+        const link = await IdentityService.linkVerifiedPhone(customer.customer_id, contact.phone_number, 'telegram_contact');
+
+        const replies = {
+          merged: '✅ Thanks! We found your existing pharmacy account and linked it to this chat. Your orders, prescriptions and loyalty points are now here.',
+          ambiguous: '✅ Your phone number has been saved. Several accounts use this number, so please ask our pharmacy team to link the right one.',
+          updated: '✅ Your phone number has been updated successfully!'
+        };
+        await this.bot.sendMessage(chatId, replies[link.status]);
       } catch (error) {
         logger.error('Error updating phone number:', error);
         await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t update your phone number.');
@@ -556,6 +620,7 @@ Just type your question naturally - I understand regular language! 😊
         break;
         
       case 'my_prescriptions':
+      case 'prescription_refill':
         await this.showPrescriptions(chatId, customer.customer_id);
         break;
         
@@ -579,6 +644,19 @@ Just type your question naturally - I understand regular language! 😊
         await this.handleOrderProcess(chatId, customer.customer_id);
         break;
 
+      case 'view_cart':
+        await this.showCart(chatId, customer.customer_id);
+        break;
+
+      case 'checkout':
+        await this.handleCheckout(chatId, customer.customer_id);
+        break;
+
+      case 'clear_cart':
+        await CartService.clearCart(customer.customer_id);
+        await this.bot.sendMessage(chatId, '🗑️ Your cart has been emptied.');
+        break;
+
       case 'update_phone':
         await this.bot.sendMessage(chatId, '📞 Please share your contact to update your phone number:', {
           reply_markup: {
@@ -599,6 +677,9 @@ Just type your question naturally - I understand regular language! 😊
         } else if (data.startsWith('order_')) {
           const productId = data.replace('order_', '');
           await this.handleProductOrder(chatId, productId, customer.customer_id);
+        } else if (data.startsWith('refill_')) {
+          const prescriptionId = data.replace('refill_', '');
+          await this.handleRefillRequest(chatId, prescriptionId, customer.customer_id);
         }
     }
   }
@@ -628,6 +709,7 @@ Choose how you'd like to order:
           { text: '💊 Prescription Refill', callback_data: 'prescription_refill' }
         ],
         [
+          { text: '🛒 View Cart', callback_data: 'view_cart' },
           { text: '📞 Call to Order', url: 'tel:+15551234567' }
         ]
       ]
@@ -639,6 +721,107 @@ Choose how you'd like to order:
     });
   }
 
+  async handleProductOrder(chatId, productId, customerId) {
+    try {
+      const cart = await CartService.addItem(customerId, productId, 1, 'telegram');
+      const item = cart.items.find(line => line.product_id === productId);
+
+      await this.bot.sendMessage(chatId,
+        `✅ Added **${item?.name || productId}** to your cart.\n\n🛒 ${cart.item_count} item(s) - $${cart.total.toFixed(2)}`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '🛒 View Cart', callback_data: 'view_cart' },
+              { text: '✅ Checkout', callback_data: 'checkout' }
+            ]]
+          }
+        }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        await this.bot.sendMessage(chatId, `❌ ${error.message}. Please choose a different product or quantity.`);
+        return;
+      }
+      logger.error('Error adding product to cart:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t add that item to your cart right now.');
+    }
+  }
+
+  async showCart(chatId, customerId) {
+    try {
+      const cart = await CartService.getCart(customerId);
+
+      if (cart.items.length === 0) {
+        await this.bot.sendMessage(chatId, '🛒 Your cart is empty. Search or browse products to add items.', {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '💊 Browse Products', callback_data: 'browse_products' }
+            ]]
+          }
+        });
+        return;
+      }
+
+      let message = '🛒 **Your Cart**\n\n';
+
+      cart.items.forEach((item, index) => {
+        message += `${index + 1}. **${item.name}** x${item.quantity}\n`;
+        message += `   💰 $${item.line_total.toFixed(2)}\n`;
+        if (!item.in_stock) {
+          message += `   ⚠️ Not enough stock\n`;
+        }
+      });
+
+      message += `\nSubtotal: $${cart.subtotal.toFixed(2)}\n`;
+      if (cart.discount > 0) {
+        message += `Discount (${cart.promotion.name}): -$${cart.discount.toFixed(2)}\n`;
+      }
+      message += `**Total: $${cart.total.toFixed(2)}**`;
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ Checkout', callback_data: 'checkout' },
+              { text: '🗑️ Empty Cart', callback_data: 'clear_cart' }
+            ]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.error('Error showing cart:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t load your cart right now.');
+    }
+  }
+
+  async handleCheckout(chatId, customerId) {
+    try {
+      const order = await CartService.checkout(customerId, { paymentMethod: 'pay_at_pickup', channel: 'telegram' });
+
+      let message = `🎉 **Order placed!**\n\n📋 Order: \`${order.order_id}\`\n`;
+      message += `💰 Total: $${parseFloat(order.total).toFixed(2)}\n`;
+      if (order.loyalty_points_earned > 0) {
+        message += `⭐ Loyalty points earned: ${order.loyalty_points_earned}\n`;
+      }
+      if (order.status === 'awaiting_prescription') {
+        message += '\n📋 Your order includes prescription items, so a pharmacist will review it first. We\'ll message you with their decision.';
+      } else {
+        message += '\nWe\'ll let you know when it\'s ready.';
+      }
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      if (error.statusCode) {
+        await this.bot.sendMessage(chatId, `❌ ${error.message}. Please review your cart.`);
+        return;
+      }
+      logger.error('Error during checkout:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t place your order right now.');
+    }
+  }
+
   async showCategoryProducts(chatId, category) {
     try {
       const products = await DatabaseService.getProductsByCategory(category, 10);
@@ -714,8 +897,29 @@ Choose how you'd like to order:
     }
   }
 
+  async handleOrdersCommand(msg) {
+    const customer = await this.getOrCreateCustomer(msg.from);
+    await this.showRecentOrders(msg.chat.id, customer.customer_id);
+  }
+
   async showRecentOrders(chatId, customerId) {
     try {
+      const placedOrders = await OrderService.getCustomerOrders(customerId, 5);
+
+      if (placedOrders.length > 0) {
+        let message = '🛒 **Your Recent Orders**\n\n';
+
+        placedOrders.forEach((order, index) => {
+          message += `${index + 1}. **${order.order_id}**\n`;
+          message += `   📍 Status: ${ORDER_STATUS_LABELS[order.status] || order.status}\n`;
+          message += `   💰 $${order.total} (${order.item_count} item(s))\n`;
+          message += `   📅 ${new Date(order.created_at).toLocaleDateString()}\n\n`;
+        });
+
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        return;
+      }
+
       const orders = await DatabaseService.getCustomerPurchaseHistory(customerId, 5);
       
       if (orders.length === 0) {
@@ -739,40 +943,51 @@ Choose how you'd like to order:
     }
   }
 
+  async handlePrescriptionsCommand(msg) {
+    const customer = await this.getOrCreateCustomer(msg.from);
+    await this.showPrescriptions(msg.chat.id, customer.customer_id);
+  }
+
   async showPrescriptions(chatId, customerId) {
     try {
-      // This would integrate with your prescription management system
-      const prescriptionMessage = `
-💊 **Your Prescriptions**
+      const prescriptions = await PrescriptionService.getCustomerPrescriptions(customerId);
 
-📋 Currently, prescription management is being set up. In the meantime:
+      if (prescriptions.length === 0) {
+        await this.bot.sendMessage(chatId,
+          '💊 We don\'t have any prescriptions on file for you yet.\n\n' +
+          'Ask your prescriber to send them to PharmaCare, or call us at (555) RX-REFILL.'
+        );
+        return;
+      }
 
-📞 **Call us:** (555) RX-REFILL
-📧 **Email:** prescriptions@pharmacare.com
-🌐 **Online:** www.pharmacare.com/prescriptions
+      let message = '💊 **Your Prescriptions**\n\n';
+      const refillButtons = [];
 
-**What we can help with:**
-• Prescription refills
-• Transfer prescriptions
-• Medication reminders
-• Insurance verification
-• Dosage questions
+      prescriptions.forEach((prescription, index) => {
+        const eligibility = prescription.refill_eligibility;
 
-*We'll notify you when online prescription management is ready!*
-      `;
+        message += `${index + 1}. **${prescription.drug_name}**${prescription.strength ? ` ${prescription.strength}` : ''}\n`;
+        message += `   👨‍⚕️ ${prescription.prescriber_name}\n`;
+        message += `   🔄 Refills left: ${prescription.refills_remaining}\n`;
+        message += `   📅 Expires: ${new Date(prescription.expiry_date).toLocaleDateString()}\n`;
+        message += eligibility.eligible ? '\n' : `   ⚠️ ${eligibility.reason}\n\n`;
 
-      const keyboard = {
-        inline_keyboard: [
-          [
-            { text: '📞 Call Prescription Dept', url: 'tel:+15555551234' },
-            { text: '🌐 Visit Website', url: 'https://pharmacare.com' }
-          ]
-        ]
-      };
+        if (eligibility.eligible) {
+          refillButtons.push([{
+            text: `🔄 Refill ${prescription.drug_name}`,
+            callback_data: `refill_${prescription.prescription_id}`
+          }]);
+        }
+      });
 
-      await this.bot.sendMessage(chatId, prescriptionMessage, {
+      await this.bot.sendMessage(chatId, message, {
         parse_mode: 'Markdown',
-        reply_markup: keyboard
+        reply_markup: {
+          inline_keyboard: [
+            ...refillButtons,
+            [{ text: '📞 Call Prescription Dept', url: 'tel:+15555551234' }]
+          ]
+        }
       });
       
     } catch (error) {
@@ -781,126 +996,69 @@ Choose how you'd like to order:
     }
   }
 
-  updateUserSession(chatId, user, message = null) {
-    const session = this.userSessions.get(chatId) || {
-      userId: user.id,
-      userName: user.first_name || 'User',
-      lastActivity: new Date(),
-      conversationHistory: []
-    };
-
-    session.lastActivity = new Date();
-    
-    if (message) {
-      session.conversationHistory.push({
-        role: 'user',
-        content: message,
-        timestamp: new Date()
-      });
-
-      // Keep only last 20 messages
-      if (session.conversationHistory.length > 20) {
-        session.conversationHistory = session.conversationHistory.slice(-20);
-      }
-    }
-
-    this.userSessions.set(chatId, session);
-  }
-
-  startSessionCleanup() {
-    // Clean old sessions every hour
-    setInterval(() => {
-      this.cleanOldSessions();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanOldSessions() {
-    const now = new Date();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-    for (const [chatId, session] of this.userSessions.entries()) {
-      if (now - session.lastActivity > maxAge) {
-        this.userSessions.delete(chatId);
-        logger.info(`🧹 Cleaned old session for user: ${session.userName}`);
+  async handleRefillRequest(chatId, prescriptionId, customerId) {
+    try {
+      const refill = await PrescriptionService.requestRefill(prescriptionId, { customerId, channel: 'telegram' });
+
+      await this.bot.sendMessage(chatId,
+        `✅ Refill requested for **${refill.drug_name}**.\n\n` +
+        `📋 Request: \`${refill.request_id}\`\n` +
+        `🔄 Refills left after this one: ${refill.refills_remaining}\n\n` +
+        'We\'ll message you as soon as it\'s ready for pickup.',
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        await this.bot.sendMessage(chatId, `❌ This refill can't be requested: ${error.message}. Please contact your prescriber or call (555) RX-REFILL.`);
+        return;
       }
+      logger.error('Error requesting refill:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t request that refill right now.');
     }
   }
 
-  async getOrCreateCustomer(telegramUser) {
+  // Sessions live in the shared state store so every replica sees the same one
+  async updateUserSession(chatId, user, message = null) {
     try {
-      // Try to find existing customer by Telegram ID
-      let customer = await DatabaseService.query(
-        'SELECT * FROM customers WHERE telegram_id = $1', 
-        [telegramUser.id.toString()]
-      );
-
-      if (customer.rows.length > 0) {
-        return customer.rows[0];
-      }
-
-      // Create new customer
-      const customerId = `CUST-TG-${Date.now()}`;
-      const newCustomer = {
-        customer_id: customerId,
-        first_name: telegramUser.first_name || 'Telegram',
-        last_name: telegramUser.last_name || 'User',
-        email: `${customerId}@telegram.user`,
-        phone: telegramUser.username ? `@${telegramUser.username}` : customerId,
-        telegram_id: telegramUser.id.toString(),
-        preferred_language: telegramUser.language_code || 'English',
-        communication_preference: 'Telegram'
-      };
-
-      const result = await DatabaseService.query(`
-        INSERT INTO customers (
-          customer_id, first_name, last_name, email, phone, telegram_id,
-          preferred_language, communication_preference, registration_date, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), 'Active')
-        RETURNING *
-      `, [
-        newCustomer.customer_id, newCustomer.first_name, newCustomer.last_name,
-        newCustomer.email, newCustomer.phone, newCustomer.telegram_id,
-        newCustomer.preferred_language, newCustomer.communication_preference
-      ]);
-
-      logger.info(`Created new Telegram customer: ${customerId}`);
-      return result.rows[0];
+      await StateService.update(`telegram:session:${chatId}`, (current) => {
+        const session = current || {
+          userId: user.id,
+          userName: user.first_name || 'User',
+          conversationHistory: []
+        };
+
+        session.lastActivity = new Date();
+
+        if (message) {
+          // Keep only last 20 messages
+          session.conversationHistory = [
+            ...session.conversationHistory,
+            { role: 'user', content: message, timestamp: new Date() }
+          ].slice(-20);
+        }
 
+        return session;
+      }, { ttlMs: SESSION_TTL_MS });
     } catch (error) {
-      logger.error('Error getting/creating customer:', error);
-      throw error;
+      logger.error(`Error updating Telegram session for chat ${chatId}:`, error.message);
     }
   }
 
-  async sendResponse(chatId, response) {
-    try {
-      let message = response.response;
-      
-      // Add quick action buttons if relevant
-      let keyboard = null;
-      
-      if (response.intent === 'product_search' && response.actions?.length > 0) {
-        const products = response.actions.find(a => a.type === 'product_search')?.data || [];
-        
-        if (products.length > 0) {
-          keyboard = {
-            inline_keyboard: products.slice(0, 3).map(product => [{
-              text: `🛒 Order ${product.name} - $${product.price}`,
-              callback_data: `order_${product.id}`
-            }])
-          };
-        }
-      }
+  async getOrCreateCustomer(telegramUser) {
+    return this.adapter.resolveCustomer({
+      senderId: telegramUser.id.toString(),
+      profile: telegramUser
+    });
+  }
 
-      await this.bot.sendMessage(chatId, message, {
-        parse_mode: 'Markdown',
-        reply_markup: keyboard
-      });
-      
-    } catch (error) {
-      logger.error('Error sending response:', error);
-      await this.sendErrorMessage(chatId);
+  // Used by NotificationService; Telegram private chat IDs equal the user's ID
+  async sendNotification(customer, message) {
+    if (!customer.telegram_id) {
+      return false;
     }
+
+    await this.bot.sendMessage(customer.telegram_id, message);
+    return true;
   }
 
   async sendErrorMessage(chatId) {
@@ -921,7 +1079,10 @@ If the problem persists, you can contact our support team at (555) 123-CARE.
 
   async stop() {
     if (this.bot) {
-      await this.bot.stopPolling();
+      // The webhook stays registered so other replicas keep receiving updates
+      if (this.mode === 'polling') {
+        await this.bot.stopPolling();
+      }
       this.isInitialized = false;
       logger.info('✅ Telegram bot stopped');
     }
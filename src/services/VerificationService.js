@@ -0,0 +1,270 @@
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const OrderService = require('./OrderService');
+const NotificationService = require('./NotificationService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const VERIFICATION_STATUSES = ['pending', 'claimed', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Pharmacist verification queue. Every order line for a prescription-required product
+ * is held here; the order stays in awaiting_prescription until each line is decided.
+ * All lines approved confirms the order, any rejection cancels it.
+ */
+class VerificationService {
+  static get STATUSES() {
+    return VERIFICATION_STATUSES;
+  }
+
+  // Called from checkout inside its transaction, with the sales_history rows of Rx lines
+  static async enqueueOrderLines(client, order, salesRecords) {
+    const verifications = [];
+
+    for (const record of salesRecords) {
+      // Suggest the customer's active prescription for this product, if one is on file
+      const prescription = await client.query(`
+        SELECT prescription_id FROM prescriptions
+        WHERE customer_id = $1 AND product_id = $2 AND status = 'active' AND expiry_date >= CURRENT_DATE
+        ORDER BY expiry_date DESC
+        LIMIT 1
+      `, [order.customer_id, record.product_id]);
+
+      const result = await client.query(`
+        INSERT INTO prescription_verifications (
+          verification_id, order_id, transaction_id, customer_id, product_id, prescription_id
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        `VER-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`, order.order_id, record.transaction_id,
+        order.customer_id, record.product_id, prescription.rows[0]?.prescription_id || null
+      ]);
+
+      verifications.push(result.rows[0]);
+    }
+
+    return verifications;
+  }
+
+  static async getQueue({ status = 'pending', pharmacistId = null, limit = 50 } = {}) {
+    if (status && !VERIFICATION_STATUSES.includes(status)) {
+      throw new ValidationError(`Unknown verification status: ${status}`, { allowed: VERIFICATION_STATUSES });
+    }
+
+    try {
+      const result = await DatabaseService.query(`
+        SELECT v.*, sh.product_name, sh.quantity, c.first_name, c.last_name,
+               c.allergies, c.medical_conditions, p.drug_name, p.strength,
+               p.refills_remaining, p.expiry_date AS prescription_expiry_date
+        FROM prescription_verifications v
+        JOIN sales_history sh ON sh.transaction_id = v.transaction_id
+        JOIN customers c ON c.customer_id = v.customer_id
+        LEFT JOIN prescriptions p ON p.prescription_id = v.prescription_id
+        WHERE ($1::varchar IS NULL OR v.status = $1)
+          AND ($2::varchar IS NULL OR v.pharmacist_id = $2)
+        ORDER BY v.created_at
+        LIMIT $3
+      `, [status, pharmacistId, limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting verification queue:', error);
+      throw error;
+    }
+  }
+
+  static async getVerificationById(verificationId, client = DatabaseService) {
+    const result = await client.query(`
+      SELECT v.*, sh.product_name
+      FROM prescription_verifications v
+      JOIN sales_history sh ON sh.transaction_id = v.transaction_id
+      WHERE v.verification_id = $1
+    `, [verificationId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Verification ${verificationId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  static async claim(verificationId, pharmacistId) {
+    if (!pharmacistId) {
+      throw new ValidationError('pharmacistId is required');
+    }
+
+    return await DatabaseService.transaction(async (client) => {
+      const verification = await this.lockVerification(client, verificationId);
+
+      if (verification.status === 'claimed' && verification.pharmacist_id === pharmacistId) {
+        return verification;
+      }
+
+      if (verification.status !== 'pending') {
+        throw new ConflictError(`Verification is already ${verification.status}`, {
+          pharmacist_id: verification.pharmacist_id
+        });
+      }
+
+      const result = await client.query(`
+        UPDATE prescription_verifications
+        SET status = 'claimed', pharmacist_id = $2, claimed_at = NOW()
+        WHERE verification_id = $1
+        RETURNING *
+      `, [verificationId, pharmacistId]);
+
+      logger.info(`🧑‍⚕️ Verification ${verificationId} claimed by pharmacist ${pharmacistId}`);
+      return result.rows[0];
+    });
+  }
+
+  static async approve(verificationId, pharmacistId, { prescriptionId = null, notes = null } = {}) {
+    return await this.decide(verificationId, pharmacistId, 'approved', { prescriptionId, notes });
+  }
+
+  static async reject(verificationId, pharmacistId, { reason = null } = {}) {
+    if (!reason) {
+      throw new ValidationError('A reason is required to reject a verification');
+    }
+
+    return await this.decide(verificationId, pharmacistId, 'rejected', { notes: reason });
+  }
+
+  static async decide(verificationId, pharmacistId, decision, { prescriptionId = null, notes = null } = {}) {
+    if (!pharmacistId) {
+      throw new ValidationError('pharmacistId is required');
+    }
+
+    const verification = await DatabaseService.transaction(async (client) => {
+      const current = await this.lockVerification(client, verificationId);
+
+      // Unclaimed items can be decided directly; claimed ones only by the claiming pharmacist
+      if (!['pending', 'claimed'].includes(current.status)) {
+        throw new ConflictError(`Verification is already ${current.status}`);
+      }
+      if (current.status === 'claimed' && current.pharmacist_id !== pharmacistId) {
+        throw new ConflictError('Verification is claimed by another pharmacist', {
+          pharmacist_id: current.pharmacist_id
+        });
+      }
+
+      const linkedPrescriptionId = prescriptionId || current.prescription_id;
+      let prescriptionNumber = null;
+
+      if (decision === 'approved' && linkedPrescriptionId) {
+        const prescription = await client.query(
+          'SELECT prescription_number FROM prescriptions WHERE prescription_id = $1 AND customer_id = $2',
+          [linkedPrescriptionId, current.customer_id]
+        );
+        if (prescription.rows.length === 0) {
+          throw new ValidationError(`Prescription ${linkedPrescriptionId} does not belong to this customer`);
+        }
+        prescriptionNumber = prescription.rows[0].prescription_number;
+      }
+
+      const result = await client.query(`
+        UPDATE prescription_verifications
+        SET status = $2, pharmacist_id = $3, prescription_id = $4, decision_notes = $5,
+            claimed_at = COALESCE(claimed_at, NOW()), decided_at = NOW()
+        WHERE verification_id = $1
+        RETURNING *
+      `, [verificationId, decision, pharmacistId, linkedPrescriptionId, notes]);
+
+      await client.query(`
+        UPDATE sales_history
+        SET pharmacist_id = $2, prescription_number = COALESCE($3, prescription_number)
+        WHERE transaction_id = $1
+      `, [current.transaction_id, pharmacistId, prescriptionNumber]);
+
+      // A rejected line cancels the order, so nothing else on it needs review
+      if (decision === 'rejected') {
+        await client.query(`
+          UPDATE prescription_verifications
+          SET status = 'cancelled', decided_at = NOW()
+          WHERE order_id = $1 AND status IN ('pending', 'claimed')
+        `, [current.order_id]);
+      }
+
+      return { ...result.rows[0], product_name: current.product_name };
+    });
+
+    logger.info(`🧑‍⚕️ Verification ${verificationId} ${decision} by pharmacist ${pharmacistId}`);
+
+    await this.settleOrder(verification);
+    return verification;
+  }
+
+  // Move the order on once the decision leaves nothing outstanding
+  static async settleOrder(verification) {
+    const { order_id: orderId, product_name: productName } = verification;
+
+    try {
+      if (verification.status === 'rejected') {
+        await OrderService.transitionStatus(orderId, 'cancelled', {
+          changedBy: verification.pharmacist_id,
+          reason: `Prescription not approved for ${productName}: ${verification.decision_notes}`,
+          notify: false
+        });
+
+        NotificationService.queueNotification(verification.customer_id,
+          `❌ Our pharmacist could not approve ${productName} on order ${orderId}: ${verification.decision_notes}\n\n` +
+          'The order has been cancelled. Please contact the pharmacy if you have any questions.'
+        );
+        return;
+      }
+
+      const outstanding = await DatabaseService.query(`
+        SELECT COUNT(*)::int AS count FROM prescription_verifications
+        WHERE order_id = $1 AND status IN ('pending', 'claimed')
+      `, [orderId]);
+
+      if (outstanding.rows[0].count > 0) {
+        NotificationService.queueNotification(verification.customer_id,
+          `✅ Our pharmacist approved ${productName} on order ${orderId}. We're still reviewing the rest of your prescription items.`
+        );
+        return;
+      }
+
+      await OrderService.transitionStatus(orderId, 'confirmed', {
+        changedBy: verification.pharmacist_id,
+        reason: 'Prescription items approved by pharmacist'
+      });
+    } catch (error) {
+      // A concurrent decision may already have moved the order
+      if (error instanceof ConflictError) {
+        logger.warn(`Order ${orderId} was not moved after verification: ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  static async getOrderVerifications(orderId) {
+    const result = await DatabaseService.query(`
+      SELECT verification_id, transaction_id, product_id, status, pharmacist_id, decided_at, decision_notes
+      FROM prescription_verifications
+      WHERE order_id = $1
+      ORDER BY id
+    `, [orderId]);
+
+    return result.rows;
+  }
+
+  static async lockVerification(client, verificationId) {
+    const result = await client.query(`
+      SELECT v.*, sh.product_name
+      FROM prescription_verifications v
+      JOIN sales_history sh ON sh.transaction_id = v.transaction_id
+      WHERE v.verification_id = $1
+      FOR UPDATE OF v
+    `, [verificationId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Verification ${verificationId} not found`);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = VerificationService;
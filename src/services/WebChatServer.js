@@ -0,0 +1,289 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const WebChatService = require('./WebChatService');
+const HandoffService = require('./HandoffService');
+const ChannelMessageService = require('./ChannelMessageService');
+const { WebAdapter } = require('./channels');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * WebSocket chat for the website, attached to the Express HTTP server.
+ *
+ * Clients connect to WEB_CHAT_PATH, optionally with ?token=<session token>&lastMessageId=<id>
+ * to resume a session and receive replies they missed. Frames are JSON:
+ *
+ *   client -> server  { type: 'message', id, text }   id is the client's own message ID
+ *                     { type: 'identify', phone?, email? }
+ *                     { type: 'verify', code }
+ *   server -> client  { type: 'session', token, session_id, customer_id, guest, resumed }
+ *                     { type: 'ack', id, duplicate? }
+ *                     { type: 'typing', active }
+ *                     { type: 'reply', id, reply_to, text, buttons, list, media, replayed? }
+ *                     { type: 'notification', text, created_at }   staff replies, order updates
+ *                     { type: 'identify', status, ... }
+ *                     { type: 'error', id?, message }
+ */
+class WebChatServer {
+  constructor() {
+    this.path = process.env.WEB_CHAT_PATH || '/ws/chat';
+    this.allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'];
+    this.wss = null;
+    this.heartbeat = null;
+    this.sockets = new Map(); // customer_id -> Set of open sockets (one per tab)
+    this.adapter = new WebAdapter({ transport: (customerId, message) => this.push(customerId, message) });
+  }
+
+  attach(server) {
+    if (!WebChatService.getSecret()) {
+      throw new Error('WEB_CHAT_SESSION_SECRET is required for web chat');
+    }
+
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      maxPayload: 16 * 1024,
+      // Browsers always send Origin; other clients (tests, native apps) may not
+      verifyClient: ({ origin }) => !origin || this.allowedOrigins.includes(origin)
+    });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    logger.info(`✅ Web chat listening on ${this.path}`);
+  }
+
+  handleConnection(socket, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const lastMessageId = parseInt(url.searchParams.get('lastMessageId'));
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    // Frames are handled one at a time, after the session is ready
+    socket.queue = this.openSession(socket, url.searchParams.get('token'), lastMessageId)
+      .catch(error => {
+        logger.error('Error opening web chat session:', error);
+        socket.close(1011, 'Session could not be started');
+      });
+
+    socket.on('message', (data) => {
+      socket.queue = socket.queue
+        .then(() => socket.session && this.handleFrame(socket, data))
+        .catch(error => logger.error('Error handling web chat frame:', error));
+    });
+
+    socket.on('close', () => this.unbind(socket));
+  }
+
+  async openSession(socket, token, lastMessageId) {
+    let session = token ? await WebChatService.resumeSession(token) : null;
+    const resumed = Boolean(session);
+
+    if (!session) {
+      const guest = await this.adapter.resolveCustomer({ senderId: null });
+      session = await WebChatService.createSession(guest.customer_id);
+    }
+
+    this.bind(socket, session);
+    this.sendSession(socket, resumed);
+
+    if (resumed && !Number.isNaN(lastMessageId)) {
+      const missed = await WebChatService.getMissedMessages(session.customer_id, lastMessageId);
+      missed.forEach(log => this.send(socket, {
+        type: 'reply',
+        id: log.id,
+        reply_to: null,
+        text: log.ai_response,
+        buttons: [],
+        list: null,
+        media: [],
+        user_message: log.user_message,
+        created_at: log.created_at,
+        replayed: true
+      }));
+    }
+
+    // Staff replies sent while the customer was away
+    const staffReplies = await HandoffService.takeUndeliveredReplies(session.customer_id);
+    staffReplies.forEach(reply => this.send(socket, {
+      type: 'notification',
+      text: reply.message,
+      created_at: reply.created_at
+    }));
+  }
+
+  async handleFrame(socket, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(socket, { type: 'error', message: 'Frames must be JSON' });
+      return;
+    }
+
+    try {
+      switch (frame.type) {
+        case 'message':
+          await this.handleChatMessage(socket, frame);
+          break;
+
+        case 'identify': {
+          const result = await WebChatService.identify(socket.session.session_id, frame);
+          await this.afterIdentify(socket, result);
+          break;
+        }
+
+        case 'verify': {
+          const result = await WebChatService.verifyIdentity(socket.session.session_id, frame.code);
+          await this.afterIdentify(socket, result);
+          break;
+        }
+
+        default:
+          this.send(socket, { type: 'error', id: frame.id, message: `Unknown frame type "${frame.type}"` });
+      }
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('Error in web chat:', error);
+      }
+
+      this.send(socket, {
+        type: 'error',
+        id: frame.id,
+        message: error.statusCode && error.statusCode < 500 ? error.message : 'Something went wrong, please try again'
+      });
+    }
+  }
+
+  async handleChatMessage(socket, frame) {
+    const text = typeof frame.text === 'string' ? frame.text.trim() : '';
+
+    if (!frame.id || !text || text.length > MAX_MESSAGE_LENGTH) {
+      this.send(socket, {
+        type: 'error',
+        id: frame.id,
+        message: `Messages need an id and between 1 and ${MAX_MESSAGE_LENGTH} characters of text`
+      });
+      return;
+    }
+
+    const { session_id: sessionId, customer_id: customerId } = socket.session;
+
+    // Clients resend unacknowledged messages after reconnecting; answer each only once
+    const isNew = await ChannelMessageService.recordInbound('web', `${sessionId}:${frame.id}`, {
+      customerId,
+      sender: sessionId,
+      type: 'text'
+    });
+
+    this.send(socket, { type: 'ack', id: frame.id, ...(isNew ? {} : { duplicate: true }) });
+
+    if (!isNew) {
+      return;
+    }
+
+    this.push(customerId, { type: 'typing', active: true });
+
+    try {
+      await this.adapter.handleInbound({ customerId, message: text, messageId: frame.id });
+    } finally {
+      this.push(customerId, { type: 'typing', active: false });
+    }
+  }
+
+  async afterIdentify(socket, result) {
+    if (result.status === 'linked') {
+      const session = await WebChatService.getSession(socket.session.session_id);
+      this.unbind(socket);
+      this.bind(socket, session);
+      this.sendSession(socket, true);
+    }
+
+    this.send(socket, { type: 'identify', ...result });
+  }
+
+  bind(socket, session) {
+    socket.session = session;
+
+    if (!this.sockets.has(session.customer_id)) {
+      this.sockets.set(session.customer_id, new Set());
+    }
+    this.sockets.get(session.customer_id).add(socket);
+  }
+
+  // A fresh token each time, so clients keep their session alive by storing the latest
+  sendSession(socket, resumed) {
+    const { session } = socket;
+
+    this.send(socket, {
+      type: 'session',
+      token: WebChatService.issueToken(session),
+      session_id: session.session_id,
+      customer_id: session.customer_id,
+      guest: !session.identified_at,
+      resumed
+    });
+  }
+
+  unbind(socket) {
+    const customerSockets = socket.session && this.sockets.get(socket.session.customer_id);
+    if (!customerSockets) return;
+
+    customerSockets.delete(socket);
+    if (customerSockets.size === 0) {
+      this.sockets.delete(socket.session.customer_id);
+    }
+  }
+
+  send(socket, payload) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(payload));
+    }
+  }
+
+  // Send to every open tab of the customer; false when none is connected
+  push(customerId, payload) {
+    const customerSockets = this.sockets.get(customerId);
+    if (!customerSockets || customerSockets.size === 0) {
+      return false;
+    }
+
+    customerSockets.forEach(socket => this.send(socket, payload));
+    return true;
+  }
+
+  // Used by NotificationService
+  async sendNotification(customer, message) {
+    return this.push(customer.customer_id, {
+      type: 'notification',
+      text: message,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+      await new Promise(resolve => this.wss.close(resolve));
+    }
+  }
+}
+
+module.exports = WebChatServer;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const AIAgentService = require('./AIAgentService');
+const IdentityService = require('./IdentityService');
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const SESSION_TTL = process.env.WEB_CHAT_SESSION_TTL || '30d';
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const REPLAY_LIMIT = 100;
+
+const identifySchema = Joi.object({
+  phone: Joi.string().trim().pattern(/^\+?[0-9\s().-]{7,20}$/),
+  email: Joi.string().trim().lowercase().email()
+}).or('phone', 'email');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Web chat sessions. A session token is a signed session ID, so it stays valid when
+ * the session is later linked to a different customer. Guests link by identifying
+ * with a phone or email: an unknown contact turns the guest into a regular customer,
+ * a known one must first confirm a code sent to that customer's own channels.
+ */
+class WebChatService {
+  static getSecret() {
+    return process.env.WEB_CHAT_SESSION_SECRET;
+  }
+
+  static async createSession(customerId) {
+    const result = await DatabaseService.query(`
+      INSERT INTO web_chat_sessions (session_id, customer_id, guest_customer_id)
+      VALUES ($1, $2, $2)
+      RETURNING *
+    `, [`WS-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`, customerId]);
+
+    logger.info(`💬 Web chat session ${result.rows[0].session_id} started for ${customerId}`);
+    return result.rows[0];
+  }
+
+  static issueToken(session) {
+    return jwt.sign({ sid: session.session_id }, this.getSecret(), { expiresIn: SESSION_TTL });
+  }
+
+  // Session for a token; null when the token is invalid or expired, or the session is gone
+  static async resumeSession(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      return null;
+    }
+
+    const result = await DatabaseService.query(`
+      UPDATE web_chat_sessions SET last_seen_at = NOW()
+      WHERE session_id = $1
+      RETURNING *
+    `, [payload.sid]);
+
+    return result.rows[0] || null;
+  }
+
+  static async getSession(sessionId, client = DatabaseService) {
+    const result = await client.query('SELECT * FROM web_chat_sessions WHERE session_id = $1', [sessionId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Web chat session ${sessionId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  // Web replies logged after the last one the client saw
+  static async getMissedMessages(customerId, afterId) {
+    const result = await DatabaseService.query(`
+      SELECT id, user_message, ai_response, created_at
+      FROM conversation_logs
+      WHERE customer_id = $1 AND channel = 'web' AND id > $2
+      ORDER BY id
+      LIMIT $3
+    `, [customerId, afterId, REPLAY_LIMIT]);
+
+    return result.rows;
+  }
+
+  static async identify(sessionId, contact) {
+    const { error, value } = identifySchema.validate(contact || {}, { stripUnknown: true });
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const session = await this.getSession(sessionId);
+    if (session.identified_at) {
+      throw new ConflictError('This chat is already linked to a customer');
+    }
+
+    const existing = await DatabaseService.query(`
+      SELECT customer_id FROM customers
+      WHERE customer_id <> $3 AND status <> 'Merged'
+        AND ((LOWER(email) = $1) OR (phone = $2 OR whatsapp_phone = $2))
+      LIMIT 1
+    `, [value.email || null, value.phone || null, session.guest_customer_id]);
+
+    if (existing.rows.length === 0) {
+      return this.promoteGuest(session, value);
+    }
+
+    const customerId = existing.rows[0].customer_id;
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    const delivery = await NotificationService.notifyCustomer(
+      customerId,
+      `Your pharmacy chat verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not ask for it, ignore this message.`
+    );
+
+    if (!delivery.delivered) {
+      throw new AppError('We could not send a verification code to that customer. Please contact the pharmacy.', 422);
+    }
+
+    await DatabaseService.query(`
+      UPDATE web_chat_sessions
+      SET pending_customer_id = $2, verification_code_hash = $3,
+          verification_expires_at = NOW() + make_interval(mins => $4::int), verification_attempts = 0
+      WHERE session_id = $1
+    `, [sessionId, customerId, hashCode(code), CODE_TTL_MINUTES]);
+
+    return { status: 'verification_required', channel: delivery.channel };
+  }
+
+  // Nobody has this contact yet, so the guest simply becomes a regular customer
+  static async promoteGuest(session, { phone = null, email = null }) {
+    await DatabaseService.transaction(async (client) => {
+      await client.query(`
+        UPDATE customers
+        SET phone = COALESCE($2, phone), email = COALESCE($3, email), status = 'Active'
+        WHERE customer_id = $1
+      `, [session.guest_customer_id, phone, email]);
+
+      await client.query(
+        'UPDATE web_chat_sessions SET identified_at = NOW() WHERE session_id = $1',
+        [session.session_id]
+      );
+    });
+
+    logger.info(`💬 Guest ${session.guest_customer_id} registered from web chat`);
+    return { status: 'linked', customer_id: session.guest_customer_id, created: true };
+  }
+
+  static async verifyIdentity(sessionId, code) {
+    const session = await this.getSession(sessionId);
+
+    if (!session.pending_customer_id) {
+      throw new ValidationError('No verification is in progress for this chat');
+    }
+
+    if (new Date(session.verification_expires_at) < new Date()) {
+      throw new ValidationError('The verification code has expired; please identify again');
+    }
+
+    if (session.verification_attempts >= MAX_CODE_ATTEMPTS) {
+      throw new ValidationError('Too many incorrect codes; please identify again');
+    }
+
+    const expected = Buffer.from(session.verification_code_hash || '');
+    const received = Buffer.from(hashCode(String(code || '').trim()));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      await DatabaseService.query(
+        'UPDATE web_chat_sessions SET verification_attempts = verification_attempts + 1 WHERE session_id = $1',
+        [sessionId]
+      );
+      throw new ValidationError('Invalid verification code');
+    }
+
+    return this.linkToCustomer(session, session.pending_customer_id);
+  }
+
+  // Merge the guest into the customer, which hands over its chat history, conversation
+  // context and open cart; the merge can be undone like any other
+  static async linkToCustomer(session, customerId) {
+    const guestId = session.guest_customer_id;
+
+    await DatabaseService.transaction(async (client) => {
+      await IdentityService.merge(client, guestId, customerId, { reason: 'web_chat' });
+
+      await client.query(`
+        UPDATE web_chat_sessions
+        SET customer_id = $2, identified_at = NOW(), pending_customer_id = NULL,
+            verification_code_hash = NULL, verification_expires_at = NULL
+        WHERE session_id = $1
+      `, [session.session_id, customerId]);
+    });
+
+    // The shared copies still hold the pre-merge context; both reload from the database
+    await AIAgentService.forgetConversation(guestId);
+    await AIAgentService.forgetConversation(customerId);
+
+    logger.info(`💬 Web chat session ${session.session_id} linked guest ${guestId} to customer ${customerId}`);
+    return { status: 'linked', customer_id: customerId, created: false };
+  }
+}
+
+module.exports = WebChatService;
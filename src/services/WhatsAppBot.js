@@ -1,6 +1,7 @@
+const crypto = require('crypto');
 const axios = require('axios');
-const AIAgentService = require('./AIAgentService');
-const DatabaseService = require('./DatabaseService');
+const ChannelMessageService = require('./ChannelMessageService');
+const WhatsAppAdapter = require('./channels/WhatsAppAdapter');
 const logger = require('../utils/logger');
 
 class WhatsAppBotService {
@@ -8,8 +9,10 @@ class WhatsAppBotService {
     this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
     this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
     this.webhookVerifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+    this.appSecret = process.env.WHATSAPP_APP_SECRET;
     this.apiUrl = `https://graph.facebook.com/v18.0/${this.phoneNumberId}/messages`;
     this.isInitialized = false;
+    this.adapter = new WhatsAppAdapter(this);
   }
 
   async initialize() {
@@ -67,6 +70,8 @@ class WhatsAppBotService {
         payload.template = message;
       } else if (messageType === 'interactive') {
         payload.interactive = message;
+      } else if (messageType === 'image' || messageType === 'document') {
+        payload[messageType] = message;
       }
 
       const response = await axios.post(this.apiUrl, payload, {
@@ -77,6 +82,12 @@ class WhatsAppBotService {
       });
 
       logger.info(`WhatsApp message sent to ${to}:`, response.data);
+
+      const messageId = response.data?.messages?.[0]?.id;
+      if (messageId) {
+        await ChannelMessageService.recordOutbound('whatsapp', messageId, { recipient: to, type: messageType });
+      }
+
       return response.data;
 
     } catch (error) {
@@ -86,69 +97,18 @@ class WhatsAppBotService {
   }
 
   async sendInteractiveMessage(to, message, buttons = []) {
-    try {
-      const interactiveMessage = {
-        type: 'button',
-        body: { text: message },
-        action: {
-          buttons: buttons.map((button, index) => ({
-            type: 'reply',
-            reply: {
-              id: `btn_${index}`,
-              title: button.title || button
-            }
-          }))
-        }
-      };
-
-      return await this.sendMessage(to, interactiveMessage, 'interactive');
-    } catch (error) {
-      logger.error('Error sending interactive WhatsApp message:', error);
-      // Fallback to regular text message
-      return await this.sendMessage(to, message);
-    }
+    return this.adapter.send(to, {
+      text: message,
+      buttons: buttons.map((button, index) => ({
+        id: button.id || `btn_${index}`,
+        title: button.title || button
+      }))
+    });
   }
 
   async handleIncomingMessage(messageData) {
     try {
-      const { from, text, timestamp, name } = messageData;
-      const userMessage = text?.body || '';
-
-      if (!userMessage) {
-        logger.warn('Received empty WhatsApp message');
-        return;
-      }
-
-      logger.info(`WhatsApp message from ${from} (${name}): ${userMessage}`);
-
-      // Get or create customer
-      const customer = await this.getOrCreateCustomer(from, name);
-
-      // Process message with AI agent
-      const response = await AIAgentService.processMessage(
-        customer.customer_id,
-        userMessage,
-        'whatsapp'
-      );
-
-      // Send response based on intent
-      if (response.intent === 'product_search' && response.actions?.length > 0) {
-        const products = response.actions.find(a => a.type === 'product_search')?.data || [];
-        
-        if (products.length > 0) {
-          // Send response with product buttons
-          const buttons = products.slice(0, 3).map(product => ({
-            title: `${product.name} - $${product.price}`
-          }));
-
-          await this.sendInteractiveMessage(from, response.response, buttons);
-        } else {
-          await this.sendMessage(from, response.response);
-        }
-      } else {
-        await this.sendMessage(from, response.response);
-      }
-
+      await this.adapter.handleInbound(messageData);
     } catch (error) {
       logger.error('Error handling WhatsApp message:', error);
       
@@ -163,49 +123,20 @@ class WhatsAppBotService {
   }
 
   async getOrCreateCustomer(phoneNumber, displayName) {
-    try {
-      // Try to find existing customer by WhatsApp phone
-      let customer = await DatabaseService.query(
-        'SELECT * FROM customers WHERE whatsapp_phone = $1 OR phone = $1',
-        [phoneNumber]
-      );
-
-      if (customer.rows.length > 0) {
-        return customer.rows[0];
-      }
-
-      // Create new customer
-      const customerId = `CUST-WA-${Date.now()}`;
-      const customerData = {
-        customer_id: customerId,
-        first_name: displayName || 'WhatsApp',
-        last_name: 'User',
-        email: `${customerId}@whatsapp.user`,
-        phone: phoneNumber,
-        whatsapp_phone: phoneNumber,
-        preferred_language: 'English',
-        communication_preference: 'WhatsApp'
-      };
-
-      const result = await DatabaseService.query(`
-        INSERT INTO customers (
-          customer_id, first_name, last_name, email, phone, whatsapp_phone,
-          preferred_language, communication_preference, registration_date, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), 'Active')
-        RETURNING *
-      `, [
-        customerData.customer_id, customerData.first_name, customerData.last_name,
-        customerData.email, customerData.phone, customerData.whatsapp_phone,
-        customerData.preferred_language, customerData.communication_preference
-      ]);
-
-      logger.info(`Created new WhatsApp customer: ${customerId}`);
-      return result.rows[0];
+    return this.adapter.resolveCustomer({
+      senderId: phoneNumber,
+      profile: { name: displayName }
+    });
+  }
 
-    } catch (error) {
-      logger.error('Error getting/creating WhatsApp customer:', error);
-      throw error;
+  // Used by NotificationService
+  async sendNotification(customer, message) {
+    if (!customer.whatsapp_phone) {
+      return false;
     }
+
+    await this.sendMessage(customer.whatsapp_phone, message);
+    return true;
   }
 
   // Webhook verification for WhatsApp
@@ -219,31 +150,103 @@ class WhatsAppBotService {
     }
   }
 
-  // Parse webhook payload
+  // Check X-Hub-Signature-256: HMAC-SHA256 of the raw request body keyed with the app secret
+  verifySignature(rawBody, signatureHeader) {
+    if (!this.appSecret) {
+      logger.error('WHATSAPP_APP_SECRET is not set; rejecting webhook');
+      return false;
+    }
+
+    if (!rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signatureHeader);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Parse webhook payload into incoming messages and outbound status callbacks
   parseWebhookPayload(body) {
-    try {
-      const entry = body.entry?.[0];
-      const changes = entry?.changes?.[0];
-      const value = changes?.value;
-
-      if (value?.messages) {
-        const message = value.messages[0];
-        const contact = value.contacts?.[0];
-
-        return {
-          from: message.from,
-          text: message.text,
-          timestamp: message.timestamp,
-          name: contact?.profile?.name,
-          messageId: message.id,
-          type: message.type
-        };
-      }
+    const messages = [];
+    const statuses = [];
 
-      return null;
+    try {
+      (body?.entry || []).forEach(entry => {
+        (entry.changes || []).forEach(change => {
+          const value = change.value || {};
+          const contactsById = new Map((value.contacts || []).map(contact => [contact.wa_id, contact]));
+
+          (value.messages || []).forEach(message => {
+            // Button and list replies arrive as interactive messages; treat the chosen title as text
+            const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+
+            messages.push({
+              from: message.from,
+              text: message.text || (reply ? { body: reply.title } : message.button ? { body: message.button.text } : undefined),
+              timestamp: message.timestamp,
+              // The id of the chosen button or row, as set when the reply was rendered
+              payload: reply?.id || message.button?.payload || null,
+              name: contactsById.get(message.from)?.profile?.name,
+              messageId: message.id,
+              type: message.type
+            });
+          });
+
+          (value.statuses || []).forEach(status => {
+            statuses.push({
+              messageId: status.id,
+              status: status.status,
+              recipient: status.recipient_id,
+              timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : null,
+              errorCode: status.errors?.[0]?.code?.toString() || null,
+              errorMessage: status.errors?.[0]?.title || status.errors?.[0]?.message || null
+            });
+          });
+        });
+      });
     } catch (error) {
       logger.error('Error parsing WhatsApp webhook payload:', error);
-      return null;
+    }
+
+    return { messages, statuses };
+  }
+
+  // Runs after the webhook has been acknowledged
+  async processWebhook(body) {
+    const { messages, statuses } = this.parseWebhookPayload(body);
+
+    for (const status of statuses) {
+      try {
+        await ChannelMessageService.updateOutboundStatus('whatsapp', status.messageId, status.status, status);
+        if (status.status === 'failed') {
+          logger.warn(`WhatsApp message ${status.messageId} to ${status.recipient} failed: ${status.errorMessage}`);
+        }
+      } catch (error) {
+        logger.error(`Error recording WhatsApp status for ${status.messageId}:`, error);
+      }
+    }
+
+    for (const message of messages) {
+      try {
+        const isNew = await ChannelMessageService.recordInbound('whatsapp', message.messageId, {
+          sender: message.from,
+          type: message.type
+        });
+
+        if (!isNew) {
+          logger.debug(`Skipping redelivered WhatsApp message ${message.messageId}`);
+          continue;
+        }
+
+        await this.markAsRead(message.messageId);
+        await this.handleIncomingMessage(message);
+      } catch (error) {
+        logger.error(`Error processing WhatsApp message ${message.messageId}:`, error);
+      }
     }
   }
 
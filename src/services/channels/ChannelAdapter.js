@@ -0,0 +1,201 @@
+const DatabaseService = require('../DatabaseService');
+const AIAgentService = require('../AIAgentService');
+const RateLimitService = require('../RateLimitService');
+const IdentityService = require('../IdentityService');
+const { AppError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+// Account linking, answered here rather than by the agent: "/link <phone or email>" sends a
+// code to the other account and "/verify <code>" merges this customer into it
+const LINK_COMMAND = /^\/link(?:@\w+)?\s+(.+?)\s*$/i;
+const VERIFY_COMMAND = /^\/verify(?:@\w+)?\s+(\S+)\s*$/i;
+
+const DAILY_LIMIT_REPLY = "You've reached today's message limit with our assistant. Please message us again tomorrow, or call (555) 123-CARE if you need help now.";
+
+/**
+ * Base class for messaging channel adapters.
+ *
+ * An adapter turns a channel's raw inbound message into a normalized one, finds or
+ * creates the customer behind it, and renders the agent's channel-neutral reply into
+ * the channel's native messages. The reply model produced by AIAgentService.buildReply:
+ *
+ *   {
+ *     text: string,
+ *     buttons: [{ id, title, url? }],            // url buttons open a link instead of replying
+ *     list: { title, button, items: [{ id, title, description? }] } | null,
+ *     media: [{ type: 'image'|'document', url, caption? }]
+ *   }
+ *
+ * Adding a channel means subclassing this and implementing normalizeInbound,
+ * findCustomer, newCustomerFields, render and deliver.
+ */
+class ChannelAdapter {
+  constructor(channel) {
+    this.channel = channel;
+  }
+
+  /**
+   * @param {Object} raw - the channel's inbound message or update
+   * @returns {{ address: string, senderId: string, text: string, payload: string|null, messageId: string|null, profile: Object }|null}
+   *   address is where replies go, senderId identifies the customer on the channel
+   */
+  normalizeInbound(raw) {
+    throw new Error(`${this.channel} adapter does not implement normalizeInbound`);
+  }
+
+  // Existing customer for the sender, or null
+  async findCustomer(inbound) {
+    throw new Error(`${this.channel} adapter does not implement findCustomer`);
+  }
+
+  // Column values for a customer first seen on this channel
+  newCustomerFields(inbound) {
+    throw new Error(`${this.channel} adapter does not implement newCustomerFields`);
+  }
+
+  /**
+   * @param {Object} reply - channel-neutral reply model
+   * @returns {Object[]} native messages, sent in order by deliver
+   */
+  render(reply) {
+    throw new Error(`${this.channel} adapter does not implement render`);
+  }
+
+  /**
+   * @param {Object} context - { inbound, result } when answering an inbound message
+   */
+  async deliver(address, message, context) {
+    throw new Error(`${this.channel} adapter does not implement deliver`);
+  }
+
+  // Called once the customer is known, before the agent runs (typing indicators, sessions)
+  async beforeProcessing(inbound, customer) {}
+
+  // A sender whose customer was merged away continues as the customer it was merged into
+  async resolveCustomer(inbound) {
+    try {
+      const existing = await this.findCustomer(inbound);
+      if (existing) {
+        return IdentityService.resolveMerged(existing);
+      }
+
+      return await this.createCustomer(this.newCustomerFields(inbound));
+    } catch (error) {
+      logger.error(`Error getting/creating ${this.channel} customer:`, error);
+      throw error;
+    }
+  }
+
+  async createCustomer({ status = 'Active', ...fields }) {
+    const columns = Object.keys(fields);
+
+    const result = await DatabaseService.query(`
+      INSERT INTO customers (${columns.join(', ')}, registration_date, status)
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}, NOW(), $${columns.length + 1})
+      RETURNING *
+    `, [...Object.values(fields), status]);
+
+    logger.info(`Created new ${this.channel} customer: ${fields.customer_id}`);
+    return result.rows[0];
+  }
+
+  async send(address, reply, context = {}) {
+    const results = [];
+
+    for (const message of this.render(ChannelAdapter.normalizeReply(reply))) {
+      results.push(await this.deliver(address, message, context));
+    }
+
+    return results;
+  }
+
+  // Normalize, identify the customer, run the agent and send its reply
+  async handleInbound(raw) {
+    const inbound = this.normalizeInbound(raw);
+
+    if (!inbound?.text) {
+      logger.warn(`Received empty ${this.channel} message`);
+      return null;
+    }
+
+    logger.info(`${this.channel} message from ${inbound.senderId}: ${inbound.text}`);
+
+    const customer = await this.resolveCustomer(inbound);
+
+    const quota = await RateLimitService.consumeDailyMessage(this.channel, customer.customer_id);
+    if (!quota.allowed) {
+      logger.warn(`${this.channel} customer ${customer.customer_id} is over the daily message limit`);
+
+      // Explain once; later messages that day are dropped quietly
+      if (quota.firstRejection) {
+        await this.send(inbound.address, { text: DAILY_LIMIT_REPLY }, { inbound });
+      }
+      return { response: null, reply: null, rateLimited: true };
+    }
+
+    const linkReply = await this.handleLinkCommand(inbound.text, customer);
+    if (linkReply) {
+      await this.send(inbound.address, { text: linkReply }, { inbound });
+      return { response: linkReply, reply: { text: linkReply } };
+    }
+
+    await this.beforeProcessing(inbound, customer);
+
+    const result = await AIAgentService.processMessage(customer.customer_id, inbound.text, this.channel);
+
+    // No reply while a staff member has taken over the conversation
+    if (result.reply) {
+      await this.send(inbound.address, result.reply, { inbound, result });
+    }
+
+    return result;
+  }
+
+  // Reply text for a /link or /verify command, or null for any other message
+  async handleLinkCommand(text, customer) {
+    const link = LINK_COMMAND.exec(text);
+    const verify = VERIFY_COMMAND.exec(text);
+
+    if (!link && !verify) {
+      return null;
+    }
+
+    try {
+      if (verify) {
+        await IdentityService.confirmVerification(customer.customer_id, verify[1]);
+        return '✅ Your accounts are linked. Your orders, prescriptions and loyalty points are now in one place.';
+      }
+
+      const contact = link[1].includes('@') ? { email: link[1] } : { phone: link[1] };
+      const result = await IdentityService.requestVerification(customer.customer_id, contact);
+
+      return result.status === 'verification_required'
+        ? `I sent a 6-digit code to that account by ${result.channel}. Reply "/verify <code>" here within 10 minutes to link it.`
+        : "I couldn't find another account with that phone number or email.";
+    } catch (error) {
+      if (error instanceof AppError && error.statusCode < 500) {
+        return error.message;
+      }
+      throw error;
+    }
+  }
+
+  // Fill in missing parts so renderers can rely on the full shape
+  static normalizeReply(reply) {
+    const model = typeof reply === 'string' ? { text: reply } : reply || {};
+
+    return {
+      text: model.text || '',
+      buttons: model.buttons || [],
+      list: model.list?.items?.length > 0 ? model.list : null,
+      media: model.media || []
+    };
+  }
+
+  static truncate(value, max) {
+    const text = String(value || '');
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+}
+
+module.exports = ChannelAdapter;
@@ -0,0 +1,196 @@
+const DatabaseService = require('../DatabaseService');
+const ChannelAdapter = require('./ChannelAdapter');
+
+// Longer replies are sent as several messages of at most this many segments each
+const MAX_SEGMENTS = parseInt(process.env.SMS_MAX_SEGMENTS) || 4;
+
+// Numbered options stay answerable for this long
+const OPTIONS_TTL_MS = 30 * 60 * 1000;
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€';
+
+// Characters per segment: a single message, and each part of a concatenated one
+const SEGMENT_SIZES = {
+  'GSM-7': { single: 160, part: 153 },
+  'UCS-2': { single: 70, part: 67 }
+};
+
+/**
+ * GSM-7 text costs one septet per character (two for the extension table); anything
+ * else, emoji included, forces UCS-2 for the whole message.
+ */
+const segmentInfo = (text) => {
+  let septets = 0;
+  for (const char of text) {
+    if (GSM_BASIC.includes(char)) {
+      septets += 1;
+    } else if (GSM_EXTENDED.includes(char)) {
+      septets += 2;
+    } else {
+      const units = text.length;
+      const size = SEGMENT_SIZES['UCS-2'];
+      return { encoding: 'UCS-2', units, segments: units <= size.single ? 1 : Math.ceil(units / size.part) };
+    }
+  }
+
+  const size = SEGMENT_SIZES['GSM-7'];
+  return { encoding: 'GSM-7', units: septets, segments: septets <= size.single ? 1 : Math.ceil(septets / size.part) };
+};
+
+// Split into parts of at most maxSegments, keeping paragraphs whole where they fit,
+// then lines, then words
+const splitIntoParts = (text, maxSegments = MAX_SEGMENTS) => {
+  const fits = (value) => segmentInfo(value).segments <= maxSegments;
+
+  const pack = (pieces, separator, splitPiece) => {
+    const parts = [];
+    let current = '';
+
+    for (const piece of pieces) {
+      if (!fits(piece)) {
+        if (current) parts.push(current);
+        const split = splitPiece(piece);
+        parts.push(...split.slice(0, -1));
+        current = split[split.length - 1];
+        continue;
+      }
+
+      const candidate = current ? `${current}${separator}${piece}` : piece;
+      if (fits(candidate)) {
+        current = candidate;
+      } else {
+        parts.push(current);
+        current = piece;
+      }
+    }
+
+    if (current) parts.push(current);
+    return parts;
+  };
+
+  // A single word longer than a whole part is left for the gateway to split
+  const byWords = (paragraph) => pack(paragraph.split(' '), ' ', word => [word]);
+  const byLines = (paragraph) => pack(paragraph.split('\n'), '\n', byWords);
+
+  return fits(text) ? [text] : pack(text.split('\n\n'), '\n\n', byLines);
+};
+
+// Replies are written for Markdown channels; SMS shows the asterisks literally, and a
+// single emoji switches the whole message to UCS-2, more than doubling its segments
+const toPlainText = (text) => text
+  .replace(/\*\*(.+?)\*\*/g, '$1')
+  .replace(/\*(\S.*?)\*/g, '$1')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/\p{Extended_Pictographic}\uFE0F?\s?/gu, '');
+
+/**
+ * Renders replies as plain text. Buttons and list items become numbered options;
+ * a reply consisting of just one of those numbers is read as choosing that option.
+ */
+class SmsAdapter extends ChannelAdapter {
+  constructor(botService) {
+    super('sms');
+    this.botService = botService;
+    this.pendingOptions = new Map(); // phone -> { options, expiresAt }
+  }
+
+  // Takes the messages produced by the SMS provider's parseWebhook
+  normalizeInbound(message) {
+    const text = (message.text || '').trim();
+    const option = /^\d{1,2}$/.test(text) ? this.takeOption(message.from, parseInt(text)) : null;
+
+    return {
+      address: message.from,
+      senderId: message.from,
+      text: option ? option.title : text,
+      payload: option ? option.id : null,
+      messageId: message.messageId || null,
+      profile: {}
+    };
+  }
+
+  takeOption(phone, number) {
+    const pending = this.pendingOptions.get(phone);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.pendingOptions.delete(phone);
+      return null;
+    }
+
+    const option = pending.options[number - 1] || null;
+    if (option) {
+      this.pendingOptions.delete(phone);
+    }
+    return option;
+  }
+
+  // Numbers are compared on their last ten digits so +1 (555) 123-4567 matches 5551234567
+  async findCustomer(inbound) {
+    const digits = inbound.senderId.replace(/\D/g, '');
+
+    const result = await DatabaseService.query(`
+      SELECT * FROM customers
+      WHERE status <> 'Merged'
+        AND (phone = $1 OR RIGHT(regexp_replace(phone, '[^0-9]', '', 'g'), 10) = RIGHT($2, 10))
+      ORDER BY (phone = $1) DESC, registration_date
+      LIMIT 1
+    `, [inbound.senderId, digits]);
+
+    return result.rows[0] || null;
+  }
+
+  newCustomerFields({ senderId }) {
+    const customerId = `CUST-SMS-${Date.now()}`;
+
+    return {
+      customer_id: customerId,
+      first_name: 'SMS',
+      last_name: 'User',
+      email: `${customerId}@sms.user`,
+      phone: senderId,
+      preferred_language: 'English',
+      communication_preference: 'SMS'
+    };
+  }
+
+  render(reply) {
+    const options = [
+      ...(reply.list?.items || []).map(item => ({
+        id: item.id,
+        title: item.description ? `${item.title} - ${item.description}` : item.title
+      })),
+      ...reply.buttons.filter(button => !button.url).map(button => ({ id: button.id, title: button.title }))
+    ].slice(0, 9);
+
+    const sections = [reply.text];
+
+    if (options.length > 0) {
+      sections.push([
+        'Reply with a number:',
+        ...options.map((option, index) => `${index + 1}. ${option.title}`)
+      ].join('\n'));
+    }
+
+    reply.buttons.filter(button => button.url).forEach(button => sections.push(`${button.title}: ${button.url}`));
+    reply.media.forEach(media => sections.push(media.caption ? `${media.caption}: ${media.url}` : media.url));
+
+    return splitIntoParts(toPlainText(sections.filter(Boolean).join('\n\n'))).map((body, index, parts) => ({
+      body: body.trim(),
+      // Remember the options once the message listing them has gone out
+      options: index === parts.length - 1 && options.length > 0 ? options : null
+    }));
+  }
+
+  async deliver(phone, message) {
+    const result = await this.botService.sendMessage(phone, message.body);
+
+    if (message.options) {
+      this.pendingOptions.set(phone, { options: message.options, expiresAt: Date.now() + OPTIONS_TTL_MS });
+    }
+
+    return result;
+  }
+}
+
+module.exports = SmsAdapter;
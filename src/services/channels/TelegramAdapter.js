@@ -0,0 +1,107 @@
+const DatabaseService = require('../DatabaseService');
+const ChannelAdapter = require('./ChannelAdapter');
+
+// Telegram rejects callback_data longer than 64 bytes
+const CALLBACK_DATA_LIMIT = 64;
+
+const MEDIA_METHODS = {
+  image: 'sendPhoto',
+  document: 'sendDocument'
+};
+
+/**
+ * Renders replies as Markdown messages with an inline keyboard. Telegram has no
+ * native list, so list items become one keyboard row each, above any buttons.
+ */
+class TelegramAdapter extends ChannelAdapter {
+  constructor(botService) {
+    super('telegram');
+    this.botService = botService;
+  }
+
+  normalizeInbound(msg) {
+    return {
+      address: msg.chat.id,
+      senderId: msg.from.id.toString(),
+      text: msg.text || '',
+      payload: null,
+      messageId: msg.message_id ? String(msg.message_id) : null,
+      profile: msg.from
+    };
+  }
+
+  async findCustomer(inbound) {
+    const result = await DatabaseService.query(
+      'SELECT * FROM customers WHERE telegram_id = $1',
+      [inbound.senderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  newCustomerFields({ senderId, profile = {} }) {
+    const customerId = `CUST-TG-${Date.now()}`;
+
+    return {
+      customer_id: customerId,
+      first_name: profile.first_name || 'Telegram',
+      last_name: profile.last_name || 'User',
+      email: `${customerId}@telegram.user`,
+      phone: profile.username ? `@${profile.username}` : customerId,
+      telegram_id: senderId,
+      preferred_language: profile.language_code || 'English',
+      communication_preference: 'Telegram'
+    };
+  }
+
+  async beforeProcessing(inbound) {
+    await this.botService.bot.sendChatAction(inbound.address, 'typing');
+    await this.botService.updateUserSession(inbound.address, inbound.profile, inbound.text);
+  }
+
+  renderButton(button) {
+    if (button.url) {
+      return { text: button.title, url: button.url };
+    }
+
+    return { text: button.title, callback_data: String(button.id).slice(0, CALLBACK_DATA_LIMIT) };
+  }
+
+  render(reply) {
+    const rows = [
+      ...(reply.list?.items || []).map(item => [this.renderButton({
+        id: item.id,
+        title: item.description ? `${item.title} - ${item.description}` : item.title
+      })]),
+      ...reply.buttons.map(button => [this.renderButton(button)])
+    ];
+
+    const messages = [];
+
+    if (reply.text || rows.length > 0) {
+      messages.push({
+        method: 'sendMessage',
+        content: reply.text || reply.list?.title || '👇',
+        options: {
+          parse_mode: 'Markdown',
+          reply_markup: rows.length > 0 ? { inline_keyboard: rows } : undefined
+        }
+      });
+    }
+
+    reply.media.forEach(media => {
+      messages.push({
+        method: MEDIA_METHODS[media.type] || MEDIA_METHODS.document,
+        content: media.url,
+        options: media.caption ? { caption: media.caption } : {}
+      });
+    });
+
+    return messages;
+  }
+
+  async deliver(chatId, message) {
+    return this.botService.bot[message.method](chatId, message.content, message.options);
+  }
+}
+
+module.exports = TelegramAdapter;
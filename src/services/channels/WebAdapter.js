@@ -0,0 +1,64 @@
+const { v4: uuidv4 } = require('uuid');
+const CustomerService = require('../CustomerService');
+const ChannelAdapter = require('./ChannelAdapter');
+
+/**
+ * Web clients render the reply model themselves, so render passes it through as JSON.
+ * Visitors who are not yet known get a guest customer until they identify (see
+ * WebChatService). Replies go out through the transport a live connection provides;
+ * without one, they are only returned to the caller.
+ */
+class WebAdapter extends ChannelAdapter {
+  constructor({ transport = null } = {}) {
+    super('web');
+    this.transport = transport;
+  }
+
+  // Takes { customerId, message, messageId? } as sent by the web client
+  normalizeInbound(body) {
+    return {
+      address: body.customerId,
+      senderId: body.customerId,
+      text: body.message || '',
+      payload: body.payload || null,
+      messageId: body.messageId || null,
+      profile: {}
+    };
+  }
+
+  async findCustomer(inbound) {
+    return inbound.senderId ? CustomerService.getCustomerById(inbound.senderId) : null;
+  }
+
+  newCustomerFields() {
+    const customerId = `CUST-WEB-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`;
+
+    return {
+      customer_id: customerId,
+      first_name: 'Guest',
+      last_name: 'Visitor',
+      preferred_language: 'English',
+      communication_preference: 'Web',
+      status: 'Guest'
+    };
+  }
+
+  render(reply) {
+    return [{ type: 'reply', ...reply }];
+  }
+
+  // The conversation log id lets reconnecting clients ask for what they missed
+  async deliver(customerId, message, { inbound, result } = {}) {
+    if (!this.transport) {
+      return false;
+    }
+
+    return this.transport(customerId, {
+      ...message,
+      id: result?.metadata?.logId || null,
+      reply_to: inbound?.messageId || null
+    });
+  }
+}
+
+module.exports = WebAdapter;
@@ -0,0 +1,141 @@
+const DatabaseService = require('../DatabaseService');
+const ChannelAdapter = require('./ChannelAdapter');
+const logger = require('../../utils/logger');
+
+// Cloud API limits for interactive messages
+const LIMITS = {
+  buttons: 3,
+  buttonTitle: 20,
+  listRows: 10,
+  listButton: 20,
+  rowTitle: 24,
+  rowDescription: 72,
+  sectionTitle: 24,
+  body: 1024
+};
+
+const { truncate } = ChannelAdapter;
+
+/**
+ * Renders replies as WhatsApp Cloud API messages. Up to three short choices become
+ * reply buttons; anything more, or a list, becomes an interactive list. WhatsApp has
+ * no link buttons, so url buttons are appended to the text.
+ */
+class WhatsAppAdapter extends ChannelAdapter {
+  constructor(botService) {
+    super('whatsapp');
+    this.botService = botService;
+  }
+
+  // Takes the messages produced by WhatsAppBotService.parseWebhookPayload
+  normalizeInbound(message) {
+    return {
+      address: message.from,
+      senderId: message.from,
+      text: message.text?.body || '',
+      payload: message.payload || null,
+      messageId: message.messageId || null,
+      profile: { name: message.name }
+    };
+  }
+
+  async findCustomer(inbound) {
+    // Prefer a live customer over one that has been merged away
+    const result = await DatabaseService.query(
+      "SELECT * FROM customers WHERE whatsapp_phone = $1 OR phone = $1 ORDER BY (status = 'Merged'), registration_date LIMIT 1",
+      [inbound.senderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  newCustomerFields({ senderId, profile = {} }) {
+    const customerId = `CUST-WA-${Date.now()}`;
+
+    return {
+      customer_id: customerId,
+      first_name: profile.name || 'WhatsApp',
+      last_name: 'User',
+      email: `${customerId}@whatsapp.user`,
+      phone: senderId,
+      whatsapp_phone: senderId,
+      preferred_language: 'English',
+      communication_preference: 'WhatsApp'
+    };
+  }
+
+  render(reply) {
+    const links = reply.buttons.filter(button => button.url);
+    const choices = reply.buttons.filter(button => !button.url);
+    const text = [reply.text, ...links.map(button => `${button.title}: ${button.url}`)].filter(Boolean).join('\n\n');
+
+    const useButtons = !reply.list && choices.length > 0 && choices.length <= LIMITS.buttons
+      && choices.every(button => button.title.length <= LIMITS.buttonTitle);
+    const rows = [...(reply.list?.items || []), ...choices];
+
+    const messages = [];
+
+    if (useButtons || rows.length > 0) {
+      // Interactive bodies are short; send long text on its own first
+      let body = text;
+      if (!body || body.length > LIMITS.body) {
+        if (body) {
+          messages.push({ type: 'text', content: body });
+        }
+        body = reply.list?.title || 'Please choose an option:';
+      }
+
+      const action = useButtons
+        ? {
+          buttons: choices.map(button => ({
+            type: 'reply',
+            reply: { id: String(button.id), title: button.title }
+          }))
+        }
+        : {
+          button: truncate(reply.list?.button || 'Options', LIMITS.listButton),
+          sections: [{
+            title: truncate(reply.list?.title || 'Options', LIMITS.sectionTitle),
+            rows: rows.slice(0, LIMITS.listRows).map(row => ({
+              id: String(row.id),
+              title: truncate(row.title, LIMITS.rowTitle),
+              ...(row.description ? { description: truncate(row.description, LIMITS.rowDescription) } : {})
+            }))
+          }]
+        };
+
+      messages.push({
+        type: 'interactive',
+        content: { type: useButtons ? 'button' : 'list', body: { text: body }, action },
+        // Sent instead if the interactive message is rejected
+        fallback: [body, ...rows.map(row => `• ${row.title}${row.description ? ` - ${row.description}` : ''}`)].join('\n')
+      });
+    } else if (text) {
+      messages.push({ type: 'text', content: text });
+    }
+
+    reply.media.forEach(media => {
+      const type = media.type === 'image' ? 'image' : 'document';
+      messages.push({
+        type,
+        content: { link: media.url, ...(media.caption ? { caption: media.caption } : {}) }
+      });
+    });
+
+    return messages;
+  }
+
+  async deliver(to, message) {
+    try {
+      return await this.botService.sendMessage(to, message.content, message.type);
+    } catch (error) {
+      if (!message.fallback) {
+        throw error;
+      }
+
+      logger.error('Error sending interactive WhatsApp message:', error.message);
+      return this.botService.sendMessage(to, message.fallback);
+    }
+  }
+}
+
+module.exports = WhatsAppAdapter;
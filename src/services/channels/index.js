@@ -0,0 +1,31 @@
+const ChannelAdapter = require('./ChannelAdapter');
+const TelegramAdapter = require('./TelegramAdapter');
+const WhatsAppAdapter = require('./WhatsAppAdapter');
+const WebAdapter = require('./WebAdapter');
+const SmsAdapter = require('./SmsAdapter');
+
+const adapters = {
+  telegram: TelegramAdapter,
+  whatsapp: WhatsAppAdapter,
+  web: WebAdapter,
+  sms: SmsAdapter
+};
+
+const createChannelAdapter = (channel, ...args) => {
+  const Adapter = adapters[channel];
+
+  if (!Adapter) {
+    throw new Error(`Unknown channel "${channel}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return new Adapter(...args);
+};
+
+module.exports = {
+  createChannelAdapter,
+  ChannelAdapter,
+  TelegramAdapter,
+  WhatsAppAdapter,
+  WebAdapter,
+  SmsAdapter
+};
@@ -0,0 +1,82 @@
+const { money, date } = require('./format');
+
+const LOCALE = 'en-US';
+
+const greeting = (customer) => `Hi ${customer.first_name || 'there'},`;
+
+module.exports = {
+  locale: LOCALE,
+
+  footer: 'Questions? Reply to this email or call us at (555) 123-CARE.',
+  unsubscribe: 'You are receiving this because you opted in to pharmacy promotions. Reply STOP on chat or SMS, or ask our assistant, to unsubscribe.',
+
+  notification: ({ customer, message }) => ({
+    subject: 'An update from your pharmacy',
+    greeting: greeting(customer),
+    paragraphs: [message]
+  }),
+
+  order_confirmation: ({ customer, order, items }) => ({
+    subject: `Order ${order.order_id} confirmed`,
+    greeting: greeting(customer),
+    paragraphs: [
+      `Thank you for your order placed on ${date(order.created_at, LOCALE)}. Here is what you ordered:`,
+      order.status === 'awaiting_prescription'
+        ? 'Some items need a valid prescription. A pharmacist will review them and we will let you know the decision.'
+        : 'We are preparing your order and will let you know as soon as it is ready.'
+    ],
+    table: {
+      columns: ['Item', 'Qty', 'Price'],
+      rows: items.map(item => [item.product_name, item.quantity, money(item.total_price)]),
+      summary: [
+        ['Subtotal', money(order.subtotal)],
+        ...(parseFloat(order.discount_total) > 0 ? [['Discount', `-${money(order.discount_total)}`]] : []),
+        ['Total', money(order.total)]
+      ]
+    }
+  }),
+
+  receipt: ({ customer, order, items }) => ({
+    subject: `Your receipt for order ${order.order_id}`,
+    greeting: greeting(customer),
+    paragraphs: [`Thank you for shopping with us. This is your receipt for order ${order.order_id}.`],
+    table: {
+      columns: ['Item', 'Qty', 'Unit price', 'Discount', 'Total'],
+      rows: items.map(item => [
+        item.product_name,
+        item.quantity,
+        money(item.unit_price),
+        parseFloat(item.discount_applied) > 0 ? `-${money(item.discount_applied)}` : '',
+        money(item.total_price)
+      ]),
+      summary: [
+        ['Subtotal', money(order.subtotal)],
+        ['Discount', `-${money(order.discount_total)}`],
+        ...(order.promotion_id ? [['Promotion', order.promotion_id]] : []),
+        ['Total paid', money(order.total)],
+        ['Payment method', order.payment_method || 'n/a'],
+        ['Loyalty points earned', order.loyalty_points_earned || 0]
+      ]
+    }
+  }),
+
+  refill_ready: ({ customer, refill }) => ({
+    subject: `Your refill of ${refill.drug_name} is ready`,
+    greeting: greeting(customer),
+    paragraphs: [
+      `Your refill of ${refill.drug_name} is ready for pickup (request ${refill.request_id}).`,
+      'Please bring a photo ID when you collect it.'
+    ]
+  }),
+
+  promotion_digest: ({ customer, promotions }) => ({
+    subject: 'This week\'s pharmacy offers',
+    greeting: greeting(customer),
+    paragraphs: ['Here are the offers running at your pharmacy right now:'],
+    table: {
+      columns: ['Offer', 'Details', 'Ends'],
+      rows: promotions.map(promo => [promo.name, promo.description || '', date(promo.end_date, LOCALE)])
+    },
+    marketing: true
+  })
+};
@@ -0,0 +1,82 @@
+const { money, date } = require('./format');
+
+const LOCALE = 'es-ES';
+
+const greeting = (customer) => (customer.first_name ? `Hola ${customer.first_name},` : 'Hola,');
+
+module.exports = {
+  locale: LOCALE,
+
+  footer: '¿Preguntas? Responda a este correo o llámenos al (555) 123-CARE.',
+  unsubscribe: 'Recibe este correo porque aceptó recibir promociones de la farmacia. Para darse de baja, responda STOP por chat o SMS, o pídalo a nuestro asistente.',
+
+  notification: ({ customer, message }) => ({
+    subject: 'Novedades de su farmacia',
+    greeting: greeting(customer),
+    paragraphs: [message]
+  }),
+
+  order_confirmation: ({ customer, order, items }) => ({
+    subject: `Pedido ${order.order_id} confirmado`,
+    greeting: greeting(customer),
+    paragraphs: [
+      `Gracias por su pedido del ${date(order.created_at, LOCALE)}. Esto es lo que ha pedido:`,
+      order.status === 'awaiting_prescription'
+        ? 'Algunos artículos requieren una receta válida. Un farmacéutico los revisará y le informaremos de la decisión.'
+        : 'Estamos preparando su pedido y le avisaremos en cuanto esté listo.'
+    ],
+    table: {
+      columns: ['Artículo', 'Cant.', 'Precio'],
+      rows: items.map(item => [item.product_name, item.quantity, money(item.total_price)]),
+      summary: [
+        ['Subtotal', money(order.subtotal)],
+        ...(parseFloat(order.discount_total) > 0 ? [['Descuento', `-${money(order.discount_total)}`]] : []),
+        ['Total', money(order.total)]
+      ]
+    }
+  }),
+
+  receipt: ({ customer, order, items }) => ({
+    subject: `Su recibo del pedido ${order.order_id}`,
+    greeting: greeting(customer),
+    paragraphs: [`Gracias por su compra. Este es el recibo de su pedido ${order.order_id}.`],
+    table: {
+      columns: ['Artículo', 'Cant.', 'Precio unitario', 'Descuento', 'Total'],
+      rows: items.map(item => [
+        item.product_name,
+        item.quantity,
+        money(item.unit_price),
+        parseFloat(item.discount_applied) > 0 ? `-${money(item.discount_applied)}` : '',
+        money(item.total_price)
+      ]),
+      summary: [
+        ['Subtotal', money(order.subtotal)],
+        ['Descuento', `-${money(order.discount_total)}`],
+        ...(order.promotion_id ? [['Promoción', order.promotion_id]] : []),
+        ['Total pagado', money(order.total)],
+        ['Forma de pago', order.payment_method || 'n/d'],
+        ['Puntos de fidelidad obtenidos', order.loyalty_points_earned || 0]
+      ]
+    }
+  }),
+
+  refill_ready: ({ customer, refill }) => ({
+    subject: `Su reposición de ${refill.drug_name} está lista`,
+    greeting: greeting(customer),
+    paragraphs: [
+      `Su reposición de ${refill.drug_name} está lista para recoger (solicitud ${refill.request_id}).`,
+      'Por favor, traiga un documento de identidad con foto.'
+    ]
+  }),
+
+  promotion_digest: ({ customer, promotions }) => ({
+    subject: 'Ofertas de la semana en su farmacia',
+    greeting: greeting(customer),
+    paragraphs: ['Estas son las ofertas vigentes en su farmacia:'],
+    table: {
+      columns: ['Oferta', 'Detalles', 'Termina'],
+      rows: promotions.map(promo => [promo.name, promo.description || '', date(promo.end_date, LOCALE)])
+    },
+    marketing: true
+  })
+};
@@ -0,0 +1,13 @@
+const money = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+
+const date = (value, locale) => (value
+  ? new Date(value).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })
+  : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = { money, date, escapeHtml };
@@ -0,0 +1,96 @@
+const en = require('./en');
+const es = require('./es');
+const { escapeHtml } = require('./format');
+
+const languages = { en, es };
+
+const DEFAULT_LANGUAGE = 'en';
+
+// preferred_language holds names ("English") for most customers and codes ("es", "en-US") for Telegram ones
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  spanish: 'es',
+  español: 'es',
+  espanol: 'es'
+};
+
+const resolveLanguage = (preferredLanguage) => {
+  const value = String(preferredLanguage || '').trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[value] || value.split(/[-_]/)[0];
+  return languages[code] ? code : DEFAULT_LANGUAGE;
+};
+
+const renderText = (content, strings) => {
+  const lines = [content.greeting, '', ...content.paragraphs.flatMap(paragraph => [paragraph, ''])];
+
+  if (content.table) {
+    const { columns, rows, summary = [] } = content.table;
+    lines.push(columns.join(' | '));
+    rows.forEach(row => lines.push(row.join(' | ')));
+    lines.push('');
+    summary.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    if (summary.length > 0) lines.push('');
+  }
+
+  lines.push(strings.footer);
+  if (content.marketing) lines.push('', strings.unsubscribe);
+
+  return lines.join('\n');
+};
+
+const renderHtml = (content, strings) => {
+  const cell = 'padding:6px 8px;border-bottom:1px solid #e5e5e5;text-align:left';
+  const parts = [
+    `<p>${escapeHtml(content.greeting)}</p>`,
+    ...content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`)
+  ];
+
+  if (content.table) {
+    const { columns, rows, summary = [] } = content.table;
+    parts.push(
+      '<table style="border-collapse:collapse;width:100%">',
+      `<tr>${columns.map(column => `<th style="${cell}">${escapeHtml(column)}</th>`).join('')}</tr>`,
+      ...rows.map(row => `<tr>${row.map(value => `<td style="${cell}">${escapeHtml(value)}</td>`).join('')}</tr>`),
+      ...summary.map(([label, value]) =>
+        `<tr><td colspan="${columns.length - 1}" style="${cell};text-align:right"><strong>${escapeHtml(label)}</strong></td>` +
+        `<td style="${cell}">${escapeHtml(value)}</td></tr>`),
+      '</table>'
+    );
+  }
+
+  parts.push(`<p style="color:#666;font-size:13px">${escapeHtml(strings.footer)}</p>`);
+  if (content.marketing) {
+    parts.push(`<p style="color:#999;font-size:12px">${escapeHtml(strings.unsubscribe)}</p>`);
+  }
+
+  return `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#222;max-width:640px">${parts.join('\n')}</body></html>`;
+};
+
+/**
+ * Renders a named template in the customer's language, falling back to English.
+ * Returns { subject, text, html, language }.
+ */
+const renderTemplate = (name, data) => {
+  const language = resolveLanguage(data.customer?.preferred_language);
+  const strings = languages[language];
+  const template = strings[name] || languages[DEFAULT_LANGUAGE][name];
+
+  if (typeof template !== 'function') {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const content = template(data);
+
+  return {
+    subject: content.subject,
+    text: renderText(content, strings),
+    html: renderHtml(content, strings),
+    language
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  resolveLanguage,
+  TEMPLATES: Object.keys(en).filter(key => typeof en[key] === 'function')
+};
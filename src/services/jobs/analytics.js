@@ -0,0 +1,54 @@
+const DatabaseService = require('../DatabaseService');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  // Enriches the conversation_logs row written during the request and records the analytics event
+  'conversation-metrics': async ({ logId, customerId, channel, intent, confidence, responseTimeMs, tokensUsed }) => {
+    if (logId) {
+      await DatabaseService.query(`
+        UPDATE conversation_logs
+        SET intent = $2, confidence = $3, response_time_ms = $4, tokens_used = $5
+        WHERE id = $1
+      `, [logId, intent || null, confidence ?? null, responseTimeMs ?? null, tokensUsed ?? null]);
+    }
+
+    await DatabaseService.query(`
+      INSERT INTO analytics_events (event_type, customer_id, channel, metadata)
+      VALUES ('conversation', $1, $2, $3)
+    `, [customerId, channel, JSON.stringify({ intent, confidence, responseTimeMs, tokensUsed, logId })]);
+  },
+
+  // Per-channel totals for one day, yesterday by default; rerunning a day overwrites it
+  'daily-rollup': async ({ date = null } = {}) => {
+    const result = await DatabaseService.query(`
+      WITH day AS (
+        SELECT COALESCE($1::date, CURRENT_DATE - 1) AS d
+      )
+      INSERT INTO analytics_daily_rollups (rollup_date, channel, conversations, orders, revenue, discounts)
+      SELECT (SELECT d FROM day), channel, SUM(conversations), SUM(orders), SUM(revenue), SUM(discounts)
+      FROM (
+        SELECT COALESCE(channel, 'unknown') AS channel, COUNT(*) AS conversations,
+               0 AS orders, 0 AS revenue, 0 AS discounts
+        FROM conversation_logs
+        WHERE created_at >= (SELECT d FROM day) AND created_at < (SELECT d FROM day) + 1
+        GROUP BY 1
+        UNION ALL
+        SELECT COALESCE(channel, 'unknown'), 0, COUNT(*), SUM(total), SUM(discount_total)
+        FROM orders
+        WHERE created_at >= (SELECT d FROM day) AND created_at < (SELECT d FROM day) + 1
+          AND status NOT IN ('cancelled', 'refunded')
+        GROUP BY 1
+      ) totals
+      GROUP BY channel
+      ON CONFLICT (rollup_date, channel) DO UPDATE
+      SET conversations = EXCLUDED.conversations,
+          orders = EXCLUDED.orders,
+          revenue = EXCLUDED.revenue,
+          discounts = EXCLUDED.discounts
+      RETURNING *
+    `, [date]);
+
+    logger.info(`📊 Analytics rollup written for ${result.rows.length} channel(s)`);
+    return { channels: result.rows.length };
+  }
+};
@@ -0,0 +1,5 @@
+const EmailService = require('../EmailService');
+
+module.exports = {
+  'promotion-digest': () => EmailService.sendPromotionDigest()
+};
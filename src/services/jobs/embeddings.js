@@ -0,0 +1,7 @@
+const ProductEmbeddingService = require('../ProductEmbeddingService');
+
+module.exports = {
+  'index-product': ({ productId, force = false }) => ProductEmbeddingService.indexProduct(productId, { force }),
+
+  'reindex-all': ({ force = false }) => ProductEmbeddingService.reindexAll({ force })
+};
@@ -0,0 +1,26 @@
+const notifications = require('./notifications');
+const outboundMessages = require('./outboundMessages');
+const embeddings = require('./embeddings');
+const analytics = require('./analytics');
+const campaigns = require('./campaigns');
+
+/**
+ * Queue name -> job handlers. `runsIn` says which process consumes the queue:
+ * notifications need the channel connections held by the API server (web chat
+ * sockets, the Telegram bot); everything else runs in src/worker.js.
+ */
+const QUEUES = {
+  notifications: { runsIn: 'server', concurrency: 5, handlers: notifications },
+  'outbound-messages': { runsIn: 'worker', concurrency: 5, handlers: outboundMessages },
+  embeddings: { runsIn: 'worker', concurrency: 1, handlers: embeddings },
+  analytics: { runsIn: 'worker', concurrency: 2, handlers: analytics },
+  campaigns: { runsIn: 'worker', concurrency: 1, handlers: campaigns }
+};
+
+// Recurring jobs the worker registers at startup; an empty cron disables the job
+const SCHEDULES = [
+  { queue: 'analytics', job: 'daily-rollup', cron: process.env.ANALYTICS_ROLLUP_CRON ?? '15 0 * * *' },
+  { queue: 'campaigns', job: 'promotion-digest', cron: process.env.PROMOTION_DIGEST_CRON || '' }
+];
+
+module.exports = { QUEUES, SCHEDULES };
@@ -0,0 +1,21 @@
+const NotificationService = require('../NotificationService');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  // Only transport errors (a channel or the database failing) are thrown, so Bull retries
+  // them; a customer who cannot be reached on any channel will not be reachable on a
+  // retry either, so that outcome completes the job instead of ending up dead-lettered
+  notify: async ({ customerId, message, options = {} }) => {
+    const result = await NotificationService.notifyCustomer(customerId, message, options);
+
+    if (!result.delivered && result.transient) {
+      throw new Error(`Notification not delivered: ${result.reason}`);
+    }
+
+    if (!result.delivered) {
+      logger.warn(`Notification for customer ${customerId} not delivered: ${result.reason}`);
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,12 @@
+const EmailService = require('../EmailService');
+const OrderService = require('../OrderService');
+
+module.exports = {
+  email: async ({ customerId, template, data = {} }) => ({
+    sent: await EmailService.emailCustomer(customerId, template, data)
+  }),
+
+  receipt: async ({ orderId }) => ({
+    sent: await OrderService.sendReceipt(orderId)
+  })
+};
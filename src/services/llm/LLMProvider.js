@@ -0,0 +1,59 @@
+/**
+ * Base class for language model providers used by the AI agent.
+ *
+ * Providers return OpenAI-shaped assistant messages so the agent's tool loop
+ * can append them to the conversation unchanged, whatever backend produced them.
+ */
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {Object} options - { model, messages, tools, toolChoice, temperature, maxTokens }
+   * @returns {Promise<{ message: Object, content: string|null, toolCalls: Array, usage: Object|null, model: string }>}
+   */
+  async chatCompletion(options) {
+    throw new Error(`${this.name} provider does not implement chatCompletion`);
+  }
+
+  /**
+   * Streams a completion without tools, calling onToken for each content delta.
+   * @param {Object} options - same as chatCompletion, without tools
+   * @param {Function} onToken - called with each text fragment as it arrives
+   * @returns {Promise<{ content: string, usage: Object|null, model: string }>}
+   */
+  async streamChatCompletion(options, onToken) {
+    throw new Error(`${this.name} provider does not implement streamChatCompletion`);
+  }
+
+  /**
+   * Runs a completion that must answer with a JSON object and returns it parsed.
+   * @param {Object} options - same as chatCompletion, without tools
+   * @returns {Promise<Object>}
+   */
+  async completeJson(options) {
+    throw new Error(`${this.name} provider does not implement completeJson`);
+  }
+
+  /**
+   * @param {string|string[]} input - text(s) to embed
+   * @returns {Promise<number[][]>} one vector per input
+   */
+  async embed(input) {
+    throw new Error(`${this.name} provider does not implement embed`);
+  }
+
+  // Models often wrap JSON in prose or code fences; pull out the first object
+  static parseJson(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const match = /\{[\s\S]*\}/.exec(content || '');
+      if (!match) throw error;
+      return JSON.parse(match[0]);
+    }
+  }
+}
+
+module.exports = LLMProvider;
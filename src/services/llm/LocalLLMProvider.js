@@ -0,0 +1,157 @@
+const fs = require('fs');
+const LLMProvider = require('./LLMProvider');
+const logger = require('../../utils/logger');
+
+const EMBEDDING_DIMENSIONS = 1536;
+
+// Built-in script used when AI_LOCAL_SCRIPT is not set
+const DEFAULT_RULES = [
+  {
+    pattern: /\b(order|delivery|shipped|track)\b/i,
+    analysis: { intent: 'order_status', confidence: 0.8 },
+    toolCalls: [{ name: 'get_recent_orders', arguments: {} }],
+    response: 'Here is the latest information I have on your recent orders.'
+  },
+  {
+    pattern: /\b(refill|prescription|rx)\b/i,
+    analysis: { intent: 'prescription_refill', confidence: 0.8 },
+    toolCalls: [{ name: 'get_prescription_history', arguments: {} }],
+    response: 'I can help with your prescription. Here is what I found on file.'
+  },
+  {
+    pattern: /\b(discount|promo|promotion|deal|cheaper|price)\b/i,
+    analysis: { intent: 'price_negotiation', confidence: 0.8 },
+    toolCalls: [{ name: 'get_applicable_promotions', arguments: {} }],
+    response: 'Here are the promotions currently available to you.'
+  },
+  {
+    pattern: /\b(headache|pain|cold|flu|allergy|vitamin|need|looking for)\b/i,
+    analysis: { intent: 'product_search', confidence: 0.7 },
+    toolCalls: [{ name: 'search_products', arguments: { products: ['$message'] } }],
+    response: 'Here are some products that may help. Please check the label and ask a pharmacist if you are unsure.'
+  }
+];
+
+const DEFAULT_RESPONSE = 'Thanks for your message! How can I help you with your pharmacy needs today?';
+
+/**
+ * Offline provider that answers from a script of pattern rules instead of a model.
+ *
+ * Each rule may define `analysis` (returned by completeJson), `toolCalls` (returned
+ * on the first tool-enabled turn) and `response` (the final reply). The first rule
+ * whose pattern matches the latest user message wins. `$message` in tool arguments
+ * is replaced with that message.
+ */
+class LocalLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('local');
+    this.rules = options.rules || this.loadRules(options.scriptPath || process.env.AI_LOCAL_SCRIPT);
+    this.defaultResponse = options.defaultResponse || DEFAULT_RESPONSE;
+  }
+
+  loadRules(scriptPath) {
+    if (!scriptPath) {
+      return DEFAULT_RULES;
+    }
+
+    try {
+      const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      return script.map(rule => ({
+        ...rule,
+        pattern: new RegExp(rule.pattern, rule.flags || 'i')
+      }));
+    } catch (error) {
+      logger.error(`Could not load local AI script ${scriptPath}:`, error);
+      throw error;
+    }
+  }
+
+  lastUserMessage(messages = []) {
+    const message = [...messages].reverse().find(m => m.role === 'user');
+    return typeof message?.content === 'string' ? message.content : '';
+  }
+
+  matchRule(text) {
+    return this.rules.find(rule => rule.pattern.test(text)) || null;
+  }
+
+  buildToolCalls(rule, text) {
+    return (rule.toolCalls || []).map((call, index) => ({
+      id: `local_call_${index}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: JSON.stringify(call.arguments || {}).replace(/"\$message"/g, JSON.stringify(text))
+      }
+    }));
+  }
+
+  async chatCompletion({ model, messages, tools }) {
+    const text = this.lastUserMessage(messages);
+    const rule = this.matchRule(text);
+    const toolsAlreadyCalled = messages.some(m => m.role === 'tool');
+
+    let message;
+
+    if (tools?.length > 0 && !toolsAlreadyCalled && rule?.toolCalls?.length > 0) {
+      message = { role: 'assistant', content: null, tool_calls: this.buildToolCalls(rule, text) };
+    } else {
+      message = { role: 'assistant', content: rule?.response || this.defaultResponse };
+    }
+
+    return {
+      message,
+      content: message.content,
+      toolCalls: message.tool_calls || [],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: model || 'local'
+    };
+  }
+
+  async streamChatCompletion(options, onToken) {
+    const { content, usage, model } = await this.chatCompletion({ ...options, tools: undefined });
+
+    // Emit word by word so clients exercise the same incremental rendering path
+    (content.match(/\S+\s*/g) || []).forEach(token => onToken(token));
+
+    return { content, usage, model };
+  }
+
+  async completeJson({ messages }) {
+    const text = this.lastUserMessage(messages);
+    const rule = this.matchRule(text);
+
+    return {
+      intent: 'general_inquiry',
+      confidence: 0.5,
+      entities: {},
+      sentiment: 'neutral',
+      urgency: 'low',
+      ...(rule?.analysis || {})
+    };
+  }
+
+  // Hashed bag-of-words vectors: deterministic, and similar texts land close together
+  async embed(input) {
+    const texts = Array.isArray(input) ? input : [input];
+
+    return texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      const tokens = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+      tokens.forEach(token => {
+        let hash = 2166136261;
+        for (let i = 0; i < token.length; i++) {
+          hash ^= token.charCodeAt(i);
+          hash = Math.imul(hash, 16777619);
+        }
+        vector[Math.abs(hash) % EMBEDDING_DIMENSIONS] += 1;
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+  }
+}
+
+module.exports = LocalLLMProvider;
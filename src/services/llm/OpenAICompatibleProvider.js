@@ -0,0 +1,26 @@
+const OpenAIProvider = require('./OpenAIProvider');
+
+/**
+ * Self-hosted models served behind an OpenAI-compatible API (vLLM, Ollama, LM Studio, ...).
+ * JSON mode is off by default because many of these servers reject `response_format`.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || process.env.AI_BASE_URL;
+
+    if (!baseURL) {
+      throw new Error('AI_BASE_URL is required for the openai-compatible provider');
+    }
+
+    super({
+      name: 'openai-compatible',
+      baseURL,
+      // The SDK refuses to start without a key; local servers usually ignore it
+      apiKey: options.apiKey || process.env.AI_API_KEY || 'not-needed',
+      supportsJsonMode: options.supportsJsonMode ?? process.env.AI_JSON_MODE === 'true',
+      embeddingModel: options.embeddingModel
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
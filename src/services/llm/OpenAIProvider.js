@@ -0,0 +1,95 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./LLMProvider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'openai');
+
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      baseURL: options.baseURL
+    });
+
+    this.supportsJsonMode = options.supportsJsonMode !== false;
+    this.embeddingModel = options.embeddingModel || process.env.AI_EMBEDDING_MODEL || 'text-embedding-ada-002';
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, temperature, maxTokens }) {
+    const request = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (tools?.length > 0) {
+      request.tools = tools;
+      request.tool_choice = toolChoice || 'auto';
+    }
+
+    return request;
+  }
+
+  async chatCompletion(options) {
+    const response = await this.client.chat.completions.create(this.buildRequest(options));
+    const message = response.choices[0].message;
+
+    return {
+      message,
+      content: message.content,
+      toolCalls: message.tool_calls || [],
+      usage: response.usage || null,
+      model: response.model || options.model
+    };
+  }
+
+  async streamChatCompletion(options, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest({ ...options, tools: undefined }),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let content = '';
+    let usage = null;
+    let model = options.model;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) model = chunk.model;
+    }
+
+    return { content, usage, model };
+  }
+
+  async completeJson(options) {
+    const request = this.buildRequest(options);
+
+    if (this.supportsJsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const response = await this.client.chat.completions.create(request);
+    return LLMProvider.parseJson(response.choices[0].message.content);
+  }
+
+  async embed(input) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,78 @@
+const LLMProvider = require('./LLMProvider');
+
+/**
+ * Wraps another provider so personal details never reach it: outbound messages are
+ * redacted with a PiiRedactor and placeholders in what the model returns (content,
+ * tool call arguments, streamed tokens, parsed JSON) are restored before the agent
+ * sees them. Create one per request, as the redactor holds that request's mapping.
+ */
+class RedactingLLMProvider extends LLMProvider {
+  constructor(provider, redactor) {
+    super(provider.name);
+    this.provider = provider;
+    this.redactor = redactor;
+  }
+
+  // Customer and model turns are free text; system prompts and tool results are data
+  redactMessage(message) {
+    const freeText = message.role === 'user' || message.role === 'assistant';
+    const redacted = { ...message, content: this.redactor.redact(message.content, { freeText }) };
+
+    if (message.tool_calls) {
+      redacted.tool_calls = message.tool_calls.map(toolCall => this.mapArguments(toolCall, args =>
+        this.redactor.redact(args, { freeText: false })));
+    }
+
+    return redacted;
+  }
+
+  restoreMessage(message) {
+    const restored = { ...message, content: this.redactor.restore(message.content) };
+
+    if (message.tool_calls) {
+      restored.tool_calls = message.tool_calls.map(toolCall => this.mapArguments(toolCall, args =>
+        this.redactor.restore(args)));
+    }
+
+    return restored;
+  }
+
+  mapArguments(toolCall, map) {
+    return { ...toolCall, function: { ...toolCall.function, arguments: map(toolCall.function.arguments) } };
+  }
+
+  redactOptions(options) {
+    return { ...options, messages: options.messages.map(message => this.redactMessage(message)) };
+  }
+
+  async chatCompletion(options) {
+    const completion = await this.provider.chatCompletion(this.redactOptions(options));
+    const message = this.restoreMessage(completion.message);
+
+    return {
+      ...completion,
+      message,
+      content: message.content,
+      toolCalls: message.tool_calls || []
+    };
+  }
+
+  async streamChatCompletion(options, onToken) {
+    const restorer = this.redactor.createStreamRestorer(onToken);
+    const completion = await this.provider.streamChatCompletion(this.redactOptions(options), restorer.write);
+    restorer.flush();
+
+    return { ...completion, content: this.redactor.restore(completion.content) };
+  }
+
+  async completeJson(options) {
+    return this.redactor.restoreValue(await this.provider.completeJson(this.redactOptions(options)));
+  }
+
+  // Embeddings are computed for catalog text, not customer messages
+  async embed(input) {
+    return this.provider.embed(input);
+  }
+}
+
+module.exports = RedactingLLMProvider;
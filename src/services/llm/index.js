@@ -0,0 +1,30 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const LocalLLMProvider = require('./LocalLLMProvider');
+const LLMProvider = require('./LLMProvider');
+const RedactingLLMProvider = require('./RedactingLLMProvider');
+
+const providers = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  local: LocalLLMProvider
+};
+
+const createLLMProvider = (name = process.env.AI_PROVIDER || 'openai', options = {}) => {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+};
+
+module.exports = {
+  createLLMProvider,
+  LLMProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  LocalLLMProvider,
+  RedactingLLMProvider
+};
@@ -0,0 +1,49 @@
+/**
+ * Base class for SMS gateways used by the SMS channel.
+ *
+ * Providers only move plain text; rendering and segmentation happen in the SMS
+ * channel adapter. Webhook payloads are translated into the same
+ * { messages, statuses } shape the WhatsApp bot uses.
+ */
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+    // Gateways that answer STOP/START themselves (and block our reply to STOP)
+    this.repliesToOptOutKeywords = false;
+  }
+
+  // Check credentials or prepare storage; throw to keep the channel disabled
+  async initialize() {}
+
+  /**
+   * @param {string} to - E.164 phone number
+   * @param {string} body - one message; the gateway may still split it into segments
+   * @returns {Promise<{ messageId: string, status: string }>}
+   */
+  async send(to, body) {
+    throw new Error(`${this.name} SMS provider does not implement send`);
+  }
+
+  /**
+   * @param {Object} req - Express request for the inbound webhook
+   * @returns {boolean} whether the request really comes from the gateway
+   */
+  verifyRequest(req) {
+    throw new Error(`${this.name} SMS provider does not implement verifyRequest`);
+  }
+
+  /**
+   * @returns {{ messages: Array<{ from, text, messageId }>,
+   *             statuses: Array<{ messageId, status, recipient, errorCode, errorMessage }> }}
+   */
+  parseWebhook(body) {
+    throw new Error(`${this.name} SMS provider does not implement parseWebhook`);
+  }
+
+  // Response sent to the gateway once the webhook is verified
+  acknowledge(res) {
+    res.sendStatus(200);
+  }
+}
+
+module.exports = SmsProvider;
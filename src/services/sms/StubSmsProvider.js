@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const SmsProvider = require('./SmsProvider');
+const logger = require('../../utils/logger');
+
+// Messages kept in memory; the outbox file, when set, keeps everything
+const OUTBOX_LIMIT = 500;
+
+/**
+ * Local gateway for development and tests. Sent messages go to an in-memory outbox
+ * and, with SMS_STUB_OUTBOX_FILE, are appended to that file as JSON lines. Inbound
+ * messages are posted to /webhook/sms as { from, text, messageId? }, and delivery
+ * statuses as { messageId, status }.
+ */
+class StubSmsProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('stub');
+    this.outboxFile = options.outboxFile || process.env.SMS_STUB_OUTBOX_FILE || null;
+    this.webhookSecret = options.webhookSecret || process.env.SMS_WEBHOOK_SECRET || null;
+    this.outbox = [];
+  }
+
+  async initialize() {
+    if (this.outboxFile) {
+      await fs.promises.mkdir(path.dirname(this.outboxFile), { recursive: true });
+    }
+
+    if (!this.webhookSecret) {
+      logger.warn('SMS_WEBHOOK_SECRET is not set; the stub SMS webhook accepts any request');
+    }
+  }
+
+  async send(to, body) {
+    const message = {
+      messageId: `SMS-STUB-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    this.outbox.push(message);
+    if (this.outbox.length > OUTBOX_LIMIT) {
+      this.outbox.shift();
+    }
+
+    if (this.outboxFile) {
+      await fs.promises.appendFile(this.outboxFile, `${JSON.stringify(message)}\n`);
+    }
+
+    return { messageId: message.messageId, status: 'sent' };
+  }
+
+  getOutbox(to = null) {
+    return to ? this.outbox.filter(message => message.to === to) : [...this.outbox];
+  }
+
+  clearOutbox() {
+    this.outbox = [];
+  }
+
+  // Shared secret in X-SMS-Webhook-Secret, when one is configured
+  verifyRequest(req) {
+    if (!this.webhookSecret) {
+      return true;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(req.get('X-SMS-Webhook-Secret') || '');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseWebhook(body = {}) {
+    const messages = [];
+    const statuses = [];
+
+    if (body.from && typeof body.text === 'string') {
+      messages.push({
+        from: body.from,
+        text: body.text,
+        messageId: body.messageId || `SMS-STUB-IN-${Date.now()}-${uuidv4().slice(0, 6).toUpperCase()}`
+      });
+    } else if (body.messageId && body.status) {
+      statuses.push({
+        messageId: body.messageId,
+        status: body.status,
+        recipient: body.to || null,
+        errorCode: body.errorCode || null,
+        errorMessage: body.errorMessage || null
+      });
+    }
+
+    return { messages, statuses };
+  }
+}
+
+module.exports = StubSmsProvider;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const SmsProvider = require('./SmsProvider');
+
+// Twilio message statuses mapped onto the ones ChannelMessageService tracks
+const STATUS_MAP = {
+  accepted: 'accepted',
+  queued: 'accepted',
+  sending: 'accepted',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+/**
+ * Twilio Programmable Messaging over its REST API. Inbound messages and status
+ * callbacks both arrive at SMS_WEBHOOK_URL, which must be the exact public URL
+ * configured in Twilio because it is part of the request signature.
+ */
+class TwilioSmsProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('twilio');
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.from = options.from || process.env.TWILIO_FROM_NUMBER;
+    this.webhookUrl = options.webhookUrl || process.env.SMS_WEBHOOK_URL;
+    this.repliesToOptOutKeywords = true;
+  }
+
+  async initialize() {
+    if (!this.accountSid || !this.authToken || !this.from || !this.webhookUrl) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER and SMS_WEBHOOK_URL are required for Twilio SMS');
+    }
+  }
+
+  async send(to, body) {
+    const params = new URLSearchParams({
+      To: to,
+      From: this.from,
+      Body: body,
+      StatusCallback: this.webhookUrl
+    });
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      params.toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    return { messageId: response.data.sid, status: STATUS_MAP[response.data.status] || 'accepted' };
+  }
+
+  // X-Twilio-Signature: base64 HMAC-SHA1 of the URL followed by the POST params sorted by name
+  verifyRequest(req) {
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+      return false;
+    }
+
+    const params = req.body || {};
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], this.webhookUrl);
+
+    const expected = Buffer.from(crypto.createHmac('sha1', this.authToken).update(data).digest('base64'));
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseWebhook(body = {}) {
+    const messages = [];
+    const statuses = [];
+
+    if (typeof body.Body === 'string') {
+      messages.push({ from: body.From, text: body.Body, messageId: body.MessageSid });
+    } else if (body.MessageStatus) {
+      statuses.push({
+        messageId: body.MessageSid,
+        status: STATUS_MAP[body.MessageStatus] || body.MessageStatus,
+        recipient: body.To || null,
+        errorCode: body.ErrorCode || null,
+        errorMessage: body.ErrorMessage || null
+      });
+    }
+
+    return { messages, statuses };
+  }
+
+  // Twilio expects TwiML; an empty response means "no automatic reply"
+  acknowledge(res) {
+    res.type('text/xml').send('<Response></Response>');
+  }
+}
+
+module.exports = TwilioSmsProvider;
@@ -0,0 +1,25 @@
+const SmsProvider = require('./SmsProvider');
+const StubSmsProvider = require('./StubSmsProvider');
+const TwilioSmsProvider = require('./TwilioSmsProvider');
+
+const providers = {
+  stub: StubSmsProvider,
+  twilio: TwilioSmsProvider
+};
+
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'stub', options = {}) => {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+};
+
+module.exports = {
+  createSmsProvider,
+  SmsProvider,
+  StubSmsProvider,
+  TwilioSmsProvider
+};
@@ -0,0 +1,97 @@
+const StateStore = require('./StateStore');
+
+// Expired keys are also dropped lazily on access
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Process-local store for development and single-instance deployments. Same
+ * semantics as the Redis store, including JSON round-tripping of values, but two
+ * replicas using it do not see each other's state.
+ */
+class MemoryStateStore extends StateStore {
+  constructor() {
+    super('memory');
+    this.entries = new Map(); // key -> { json, version, expiresAt }
+    this.locks = new Map(); // key -> { token, expiresAt }
+    this.sweepTimer = null;
+  }
+
+  async initialize() {
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  sweep() {
+    for (const map of [this.entries, this.locks]) {
+      for (const [key, entry] of map) {
+        if (this.isExpired(entry)) map.delete(key);
+      }
+    }
+  }
+
+  getEntry(map, key) {
+    const entry = map.get(key);
+    if (entry && this.isExpired(entry)) {
+      map.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(this.entries, key);
+    return entry ? { value: JSON.parse(entry.json), version: entry.version } : null;
+  }
+
+  async compareAndSet(key, value, expectedVersion, ttlMs = 0) {
+    const entry = this.getEntry(this.entries, key);
+
+    if ((entry?.version || 0) !== expectedVersion) {
+      return false;
+    }
+
+    this.entries.set(key, {
+      json: JSON.stringify(value),
+      version: expectedVersion + 1,
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+    });
+    return true;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async acquireLock(key, token, ttlMs) {
+    if (this.getEntry(this.locks, key)) {
+      return false;
+    }
+
+    this.locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLock(key, token) {
+    if (this.locks.get(key)?.token === token) {
+      this.locks.delete(key);
+    }
+  }
+
+  async count(prefix) {
+    let total = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix) && this.getEntry(this.entries, key)) total++;
+    }
+    return total;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = MemoryStateStore;
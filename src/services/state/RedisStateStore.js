@@ -0,0 +1,90 @@
+const { createClient } = require('redis');
+const StateStore = require('./StateStore');
+const logger = require('../../utils/logger');
+
+// Values live in a hash of { value, version } so both change in one atomic script
+const COMPARE_AND_SET = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if current ~= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'value', ARGV[2], 'version', current + 1)
+if tonumber(ARGV[3]) > 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+else
+  redis.call('PERSIST', KEYS[1])
+end
+return 1
+`;
+
+const RELEASE_LOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Shared store on REDIS_URL, so every replica sees the same conversation state.
+ * Keys are namespaced with STATE_PREFIX.
+ */
+class RedisStateStore extends StateStore {
+  constructor(options = {}) {
+    super('redis');
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.prefix = options.prefix || process.env.STATE_PREFIX || 'pharmacy:state:';
+    this.client = null;
+  }
+
+  async initialize() {
+    this.client = createClient({ url: this.url });
+    this.client.on('error', (error) => logger.error('Redis state store error:', error.message));
+    await this.client.connect();
+  }
+
+  async get(key) {
+    const data = await this.client.hGetAll(this.prefix + key);
+
+    if (!data.version) {
+      return null;
+    }
+    return { value: JSON.parse(data.value), version: parseInt(data.version) };
+  }
+
+  async compareAndSet(key, value, expectedVersion, ttlMs = 0) {
+    const result = await this.client.eval(COMPARE_AND_SET, {
+      keys: [this.prefix + key],
+      arguments: [String(expectedVersion), JSON.stringify(value), String(ttlMs)]
+    });
+    return result === 1;
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async acquireLock(key, token, ttlMs) {
+    const result = await this.client.set(`${this.prefix}lock:${key}`, token, { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  async releaseLock(key, token) {
+    await this.client.eval(RELEASE_LOCK, { keys: [`${this.prefix}lock:${key}`], arguments: [token] });
+  }
+
+  async count(prefix) {
+    let total = 0;
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}${prefix}*`, COUNT: 100 })) {
+      if (key) total++;
+    }
+    return total;
+  }
+
+  async close() {
+    if (this.client?.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisStateStore;
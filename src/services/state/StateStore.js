@@ -0,0 +1,58 @@
+/**
+ * Base class for the shared key-value store behind conversation context and
+ * channel sessions.
+ *
+ * Every key carries a version that increases on each write. Writers read a value
+ * and its version, then compareAndSet with that version; a concurrent write in
+ * between makes the call return false and the writer retries on fresh data.
+ * Values are stored as JSON, so Dates come back as ISO strings.
+ */
+class StateStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Connect to the backing service; throw to stop startup
+  async initialize() {}
+
+  /**
+   * @returns {Promise<{ value: *, version: number } | null>}
+   */
+  async get(key) {
+    throw new Error(`${this.name} state store does not implement get`);
+  }
+
+  /**
+   * @param {number} expectedVersion - version read earlier; 0 when the key did not exist
+   * @param {number} ttlMs - expiry, refreshed on every write; 0 keeps the key forever
+   * @returns {Promise<boolean>} false when the key changed since expectedVersion
+   */
+  async compareAndSet(key, value, expectedVersion, ttlMs = 0) {
+    throw new Error(`${this.name} state store does not implement compareAndSet`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.name} state store does not implement delete`);
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether the lock was taken; it expires after ttlMs
+   */
+  async acquireLock(key, token, ttlMs) {
+    throw new Error(`${this.name} state store does not implement acquireLock`);
+  }
+
+  // Only releases the lock if it is still held with this token
+  async releaseLock(key, token) {
+    throw new Error(`${this.name} state store does not implement releaseLock`);
+  }
+
+  // Number of live keys starting with prefix
+  async count(prefix) {
+    throw new Error(`${this.name} state store does not implement count`);
+  }
+
+  async close() {}
+}
+
+module.exports = StateStore;
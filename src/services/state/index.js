@@ -0,0 +1,25 @@
+const StateStore = require('./StateStore');
+const MemoryStateStore = require('./MemoryStateStore');
+const RedisStateStore = require('./RedisStateStore');
+
+const stores = {
+  memory: MemoryStateStore,
+  redis: RedisStateStore
+};
+
+const createStateStore = (name = process.env.STATE_STORE || 'memory', options = {}) => {
+  const Store = stores[name];
+
+  if (!Store) {
+    throw new Error(`Unknown STATE_STORE "${name}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store(options);
+};
+
+module.exports = {
+  createStateStore,
+  StateStore,
+  MemoryStateStore,
+  RedisStateStore
+};
@@ -0,0 +1,66 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const DatabaseService = require('./services/DatabaseService');
+const EmailService = require('./services/EmailService');
+const QueueService = require('./services/QueueService');
+const logger = require('./utils/logger');
+
+/**
+ * Background job worker. Consumes the queues that do not depend on the API server's
+ * channel connections (see services/jobs) and registers the recurring jobs. Several
+ * workers can share one Redis; each job is handed to exactly one of them.
+ */
+class PharmacyJobWorker {
+  async start() {
+    try {
+      if (!QueueService.isEnabled()) {
+        throw new Error('ENABLE_QUEUES=true and a reachable REDIS_URL are required to run the worker');
+      }
+
+      await DatabaseService.initialize();
+      logger.info('Database service initialized');
+
+      if (process.env.ENABLE_EMAIL === 'true') {
+        await EmailService.initialize();
+      }
+
+      await QueueService.initialize();
+      QueueService.process('worker');
+      await QueueService.scheduleRecurringJobs();
+
+      process.on('SIGTERM', () => this.shutdown());
+      process.on('SIGINT', () => this.shutdown());
+
+      logger.info('🚀 Job worker started');
+    } catch (error) {
+      logger.error('Failed to start job worker:', error);
+      process.exit(1);
+    }
+  }
+
+  async shutdown() {
+    logger.info('🛑 Shutting down job worker...');
+
+    try {
+      // Waits for the jobs in progress to finish
+      await QueueService.close();
+      await EmailService.stop();
+      await DatabaseService.close();
+
+      logger.info('👋 Worker shutdown completed');
+      process.exit(0);
+    } catch (error) {
+      logger.error('❌ Error during worker shutdown:', error);
+      process.exit(1);
+    }
+  }
+}
+
+if (require.main === module) {
+  new PharmacyJobWorker().start();
+}
+
+module.exports = PharmacyJobWorker;
@@ -0,0 +1,72 @@
+jest.mock('../../src/services/AuthService', () => ({
+  ROLES: ['admin', 'pharmacist', 'marketing', 'support', 'integration'],
+  verifyApiKey: jest.fn(),
+  verifyAccessToken: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../../src/services/AuthService');
+const { UnauthorizedError } = require('../../src/utils/errors');
+const { authorize, authenticate, actingStaffId } = require('../../src/middleware/auth');
+
+const buildApp = () => {
+  const app = express();
+  app.get('/pharmacy', authorize('pharmacist'), (req, res) => res.json({ auth: req.auth }));
+  app.get('/any', authenticate, (req, res) => res.json({ auth: req.auth }));
+  return app;
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('authorize', () => {
+  it('lets a caller with the role through and sets req.auth', async () => {
+    AuthService.verifyAccessToken.mockReturnValue({ type: 'user', id: 'STAFF-1', role: 'pharmacist' });
+
+    const res = await request(buildApp()).get('/pharmacy').set('Authorization', 'Bearer token').expect(200);
+
+    expect(AuthService.verifyAccessToken).toHaveBeenCalledWith('token');
+    expect(res.body.auth).toEqual({ type: 'user', id: 'STAFF-1', role: 'pharmacist' });
+  });
+
+  it('lets admins through every check', async () => {
+    AuthService.verifyAccessToken.mockReturnValue({ type: 'user', id: 'STAFF-0', role: 'admin' });
+
+    await request(buildApp()).get('/pharmacy').set('Authorization', 'Bearer token').expect(200);
+  });
+
+  it('forbids callers without the role', async () => {
+    AuthService.verifyApiKey.mockResolvedValue({ type: 'api_key', id: 'KEY-1', role: 'integration' });
+
+    const res = await request(buildApp()).get('/pharmacy').set('X-API-Key', 'phk_key').expect(403);
+
+    expect(res.body.error).toBe('Requires one of the roles: admin, pharmacist');
+  });
+
+  it('prefers the API key over a bearer token', async () => {
+    AuthService.verifyApiKey.mockResolvedValue({ type: 'api_key', id: 'KEY-1', role: 'integration' });
+
+    await request(buildApp()).get('/any').set('X-API-Key', 'phk_key').set('Authorization', 'Bearer token').expect(200);
+
+    expect(AuthService.verifyAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('challenges callers without valid credentials', async () => {
+    const missing = await request(buildApp()).get('/any').expect(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+    await request(buildApp()).get('/any').set('Authorization', 'Basic abc').expect(401);
+
+    AuthService.verifyAccessToken.mockImplementation(() => { throw new UnauthorizedError('Access token expired'); });
+    const expired = await request(buildApp()).get('/any').set('Authorization', 'Bearer old').expect(401);
+    expect(expired.body.error).toBe('Access token expired');
+  });
+});
+
+describe('actingStaffId', () => {
+  it('records staff under their own login and integrations under the staff they name', () => {
+    expect(actingStaffId({ auth: { type: 'user', id: 'STAFF-1' } }, 'STAFF-9')).toBe('STAFF-1');
+    expect(actingStaffId({ auth: { type: 'api_key', id: 'KEY-1' } }, 'STAFF-9')).toBe('STAFF-9');
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../src/services/AuthService', () => ({
+  ROLES: ['integration', 'support', 'pharmacist'],
+  verifyApiKey: jest.fn(),
+  verifyAccessToken: jest.fn()
+}));
+jest.mock('../../src/services/RateLimitService', () => ({}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const AuthService = require('../../src/services/AuthService');
+const { UnauthorizedError } = require('../../src/utils/errors');
+const { identify } = require('../../src/middleware/rateLimiter');
+
+const request = ({ headers = {}, body = {}, query = {} } = {}) => ({
+  ip: '203.0.113.7',
+  body,
+  query,
+  get: (name) => headers[name]
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('rateLimiter identify', () => {
+  it('counts anonymous callers per IP whatever customerId they send', async () => {
+    await expect(identify(request({ body: { customerId: 'CUST-1' } }))).resolves.toBe('ip:203.0.113.7');
+    await expect(identify(request({ query: { customerId: 'CUST-2' } }))).resolves.toBe('ip:203.0.113.7');
+  });
+
+  it('counts callers with an invalid API key per IP', async () => {
+    AuthService.verifyApiKey.mockRejectedValue(new UnauthorizedError('Invalid API key'));
+
+    const req = request({ headers: { 'X-API-Key': 'made-up' }, body: { customerId: 'CUST-1' } });
+
+    await expect(identify(req)).resolves.toBe('ip:203.0.113.7');
+    expect(req.auth).toBeUndefined();
+  });
+
+  it('counts verified API keys per key and keeps the principal', async () => {
+    const principal = { type: 'api_key', id: 'KEY-1', role: 'integration' };
+    AuthService.verifyApiKey.mockResolvedValue(principal);
+
+    const req = request({ headers: { 'X-API-Key': 'pk_live' }, body: { customerId: 'CUST-1' } });
+
+    await expect(identify(req)).resolves.toBe('key:KEY-1');
+    expect(req.auth).toBe(principal);
+  });
+
+  it('counts verified staff per customer they act for, else per user', async () => {
+    AuthService.verifyAccessToken.mockReturnValue({ type: 'user', id: 'USR-1', role: 'support' });
+    const headers = { Authorization: 'Bearer token' };
+
+    await expect(identify(request({ headers, query: { customerId: 'CUST-1' } }))).resolves.toBe('customer:CUST-1');
+    await expect(identify(request({ headers }))).resolves.toBe('user:USR-1');
+  });
+});
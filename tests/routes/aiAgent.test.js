@@ -0,0 +1,85 @@
+jest.mock('../../src/services/AuthService', () => ({ ROLES: ['integration', 'support', 'pharmacist'] }));
+jest.mock('../../src/services/AIAgentService', () => ({ processMessage: jest.fn() }));
+jest.mock('../../src/services/StateService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({ recordRequest: jest.fn() }));
+jest.mock('../../src/services/PiiRedactor', () => ({}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const AIAgentService = require('../../src/services/AIAgentService');
+const aiAgentRoutes = require('../../src/routes/aiAgent');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.auth = { type: 'api_key', id: 'KEY-1', role: 'integration' };
+  next();
+});
+app.use('/api/v1/ai-agent', aiAgentRoutes);
+
+const parseEvents = (body) => body.trim().split('\n\n').map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('POST /api/v1/ai-agent/stream', () => {
+  it('requires a customer and a message', async () => {
+    const response = await request(app).post('/api/v1/ai-agent/stream').send({ customerId: 'CUST-1' });
+
+    expect(response.status).toBe(400);
+    expect(AIAgentService.processMessage).not.toHaveBeenCalled();
+  });
+
+  it('streams progress events and finishes with done', async () => {
+    AIAgentService.processMessage.mockImplementation(async (customerId, message, channel, hooks) => {
+      hooks.onAnalysis({ intent: 'product_search', confidence: 0.9 });
+      hooks.onAction({ type: 'product_search', data: [] });
+      hooks.onToken('We have ');
+      hooks.onToken('ibuprofen.');
+      return {
+        response: 'We have ibuprofen.',
+        intent: 'product_search',
+        confidence: 0.9,
+        reply: { text: 'We have ibuprofen.', buttons: [], list: null, media: [] },
+        metadata: { logId: 7 }
+      };
+    });
+
+    const response = await request(app).post('/api/v1/ai-agent/stream').send({ customerId: 'CUST-1', message: 'ibuprofen?' });
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(AIAgentService.processMessage).toHaveBeenCalledWith('CUST-1', 'ibuprofen?', 'web', expect.any(Object));
+    const events = parseEvents(response.text);
+    expect(events.map(({ event }) => event)).toEqual(['analysis', 'action', 'token', 'token', 'done']);
+    expect(events[2].data).toEqual({ text: 'We have ' });
+    expect(events[4].data).toMatchObject({ response: 'We have ibuprofen.', intent: 'product_search', logId: 7 });
+  });
+
+  it('sends a revision when the guardrails rewrite the reply', async () => {
+    AIAgentService.processMessage.mockImplementation(async (customerId, message, channel, hooks) => {
+      hooks.onRevision('Please ask our pharmacist about dosing.');
+      return { response: 'Please ask our pharmacist about dosing.', metadata: {} };
+    });
+
+    const response = await request(app).post('/api/v1/ai-agent/stream').send({ customerId: 'CUST-1', message: 'dose?' });
+
+    expect(parseEvents(response.text).map(({ event, data }) => [event, data.text || data.response])).toEqual([
+      ['revision', 'Please ask our pharmacist about dosing.'],
+      ['done', 'Please ask our pharmacist about dosing.']
+    ]);
+  });
+
+  it('ends with an error event when processing fails', async () => {
+    AIAgentService.processMessage.mockResolvedValueOnce({ response: 'Technical difficulties', error: 'timeout' });
+    const failed = await request(app).post('/api/v1/ai-agent/stream').send({ customerId: 'CUST-1', message: 'hi' });
+
+    AIAgentService.processMessage.mockRejectedValueOnce(new Error('boom'));
+    const thrown = await request(app).post('/api/v1/ai-agent/stream').send({ customerId: 'CUST-1', message: 'hi' });
+
+    expect(parseEvents(failed.text)).toEqual([{ event: 'error', data: { message: 'Technical difficulties' } }]);
+    expect(parseEvents(thrown.text)).toEqual([{ event: 'error', data: { message: 'Failed to process message with AI agent' } }]);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../src/services/AuthService', () => ({ ROLES: ['integration', 'support', 'pharmacist'] }));
+jest.mock('../../src/services/CartService', () => ({ getCart: jest.fn(), addItem: jest.fn(), clearCart: jest.fn() }));
+jest.mock('../../src/services/AuditService', () => ({ recordRequest: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const CartService = require('../../src/services/CartService');
+const AuditService = require('../../src/services/AuditService');
+const cartRoutes = require('../../src/routes/cart');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.auth = { type: 'user', id: 'USR-1', role: 'support' };
+  next();
+});
+app.use('/api/v1/cart', cartRoutes);
+
+const cart = { cart_id: 'CART-1', customer_id: 'CUST-1', items: [] };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('cart routes', () => {
+  it('audits reading a cart', async () => {
+    CartService.getCart.mockResolvedValue(cart);
+
+    const response = await request(app).get('/api/v1/cart/CUST-1');
+
+    expect(response.status).toBe(200);
+    expect(AuditService.recordRequest).toHaveBeenCalledWith(expect.anything(), {
+      action: 'read',
+      subjectType: 'cart',
+      subjectId: 'CART-1',
+      customerId: 'CUST-1',
+      details: null
+    });
+  });
+
+  it('audits changes to a cart', async () => {
+    CartService.addItem.mockResolvedValue(cart);
+    CartService.clearCart.mockResolvedValue(cart);
+
+    await request(app).post('/api/v1/cart/CUST-1/items').send({ productId: 'PROD-1', quantity: 2 });
+    await request(app).delete('/api/v1/cart/CUST-1');
+
+    expect(AuditService.recordRequest.mock.calls.map(([, entry]) => [entry.action, entry.details])).toEqual([
+      ['add_item', { productId: 'PROD-1', quantity: 2 }],
+      ['clear', null]
+    ]);
+  });
+
+  it('does not audit a read that failed', async () => {
+    CartService.getCart.mockRejectedValue(new Error('connection refused'));
+
+    const response = await request(app).get('/api/v1/cart/CUST-1');
+
+    expect(response.status).toBe(500);
+    expect(AuditService.recordRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../src/services/AuthService', () => ({ ROLES: ['integration', 'support', 'pharmacist'] }));
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/IdentityService', () => ({ getMerge: jest.fn(), undoMerge: jest.fn() }));
+jest.mock('../../src/services/AuditService', () => ({ recordRequest: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const IdentityService = require('../../src/services/IdentityService');
+const AuditService = require('../../src/services/AuditService');
+const customerRoutes = require('../../src/routes/customers');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.auth = { type: 'user', id: 'USR-1', role: 'support' };
+  next();
+});
+app.use('/api/v1/customers', customerRoutes);
+
+const snapshot = (customerId) => ({
+  customer_id: customerId,
+  first_name: 'Ana',
+  status: 'Active',
+  loyalty_points: 10,
+  email: `${customerId}@example.com`,
+  date_of_birth: '1980-02-03T00:00:00.000Z',
+  insurance_id: 'INS-1',
+  allergies: 'Sulfa'
+});
+
+const merge = () => ({
+  merge_id: 'MRG-1',
+  source_customer_id: 'CUST-2',
+  target_customer_id: 'CUST-1',
+  status: 'merged',
+  source_before: snapshot('CUST-2'),
+  target_before: snapshot('CUST-1')
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('GET /api/v1/customers/merges/:mergeId', () => {
+  it('leaves personal columns out of the customer snapshots by default', async () => {
+    IdentityService.getMerge.mockResolvedValue(merge());
+
+    const response = await request(app).get('/api/v1/customers/merges/MRG-1');
+
+    expect(response.status).toBe(200);
+    for (const customer of [response.body.data.source_before, response.body.data.target_before]) {
+      expect(Object.keys(customer)).toEqual(['customer_id', 'first_name', 'status', 'loyalty_points']);
+    }
+    expect(AuditService.recordRequest).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'read',
+      subjectType: 'customer_merge',
+      details: { fields: [] }
+    }));
+  });
+
+  it('returns and audits the personal columns named in fields', async () => {
+    IdentityService.getMerge.mockResolvedValue(merge());
+
+    const response = await request(app).get('/api/v1/customers/merges/MRG-1?fields=email,allergies');
+
+    expect(response.body.data.source_before).toMatchObject({ email: 'CUST-2@example.com', allergies: 'Sulfa' });
+    expect(response.body.data.target_before).not.toHaveProperty('insurance_id');
+    expect(response.body.data.target_before).not.toHaveProperty('date_of_birth');
+    expect(AuditService.recordRequest).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      details: { fields: ['email', 'allergies'] }
+    }));
+  });
+
+  it('rejects unknown fields', async () => {
+    IdentityService.getMerge.mockResolvedValue(merge());
+
+    const response = await request(app).get('/api/v1/customers/merges/MRG-1?fields=password_hash');
+
+    expect(response.status).toBe(400);
+    expect(AuditService.recordRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/customers/merges/:mergeId/undo', () => {
+  it('leaves personal columns out of the returned merge', async () => {
+    IdentityService.undoMerge.mockResolvedValue({ ...merge(), status: 'undone' });
+
+    const response = await request(app).post('/api/v1/customers/merges/MRG-1/undo');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.target_before).not.toHaveProperty('allergies');
+    expect(response.body.data.source_before).not.toHaveProperty('email');
+  });
+});
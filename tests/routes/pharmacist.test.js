@@ -0,0 +1,54 @@
+jest.mock('../../src/services/AuthService', () => ({ ROLES: ['integration', 'support', 'pharmacist'] }));
+jest.mock('../../src/services/VerificationService', () => ({ getQueue: jest.fn() }));
+jest.mock('../../src/services/CustomerService', () => ({ PII_FIELDS: ['email', 'allergies', 'medical_conditions'] }));
+jest.mock('../../src/services/AuditService', () => ({ recordRequest: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const VerificationService = require('../../src/services/VerificationService');
+const AuditService = require('../../src/services/AuditService');
+const pharmacistRoutes = require('../../src/routes/pharmacist');
+
+const app = express();
+app.use((req, res, next) => {
+  req.auth = { type: 'user', id: 'USR-1', role: 'pharmacist' };
+  next();
+});
+app.use('/api/v1/pharmacist', pharmacistRoutes);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('GET /api/v1/pharmacist/queue', () => {
+  it('audits the customers and medical fields it returns', async () => {
+    VerificationService.getQueue.mockResolvedValue([
+      { verification_id: 'VER-1', customer_id: 'CUST-1', first_name: 'Ana', allergies: 'Sulfa', medical_conditions: null },
+      { verification_id: 'VER-2', customer_id: 'CUST-1', first_name: 'Ana', allergies: 'Sulfa', medical_conditions: null },
+      { verification_id: 'VER-3', customer_id: 'CUST-2', first_name: 'Ben', allergies: null, medical_conditions: 'Asthma' }
+    ]);
+
+    const response = await request(app).get('/api/v1/pharmacist/queue');
+
+    expect(response.status).toBe(200);
+    expect(AuditService.recordRequest).toHaveBeenCalledWith(expect.anything(), {
+      action: 'list',
+      subjectType: 'verification',
+      details: {
+        status: 'pending',
+        verificationIds: ['VER-1', 'VER-2', 'VER-3'],
+        customerIds: ['CUST-1', 'CUST-2'],
+        fields: ['allergies', 'medical_conditions']
+      }
+    });
+  });
+
+  it('audits an empty queue', async () => {
+    VerificationService.getQueue.mockResolvedValue([]);
+
+    await request(app).get('/api/v1/pharmacist/queue?status=all');
+
+    expect(AuditService.recordRequest).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      details: { status: 'all', verificationIds: [], customerIds: [], fields: [] }
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../src/services/AuthService', () => ({ ROLES: ['integration', 'support', 'pharmacist'] }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const webhookRoutes = require('../../src/routes/webhooks');
+
+// Same raw-body capture as the server
+const buildApp = (locals) => {
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  Object.assign(app.locals, locals);
+  app.use('/webhook', webhookRoutes);
+  return app;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('POST /webhook/telegram', () => {
+  let telegramBot;
+
+  beforeEach(() => {
+    telegramBot = {
+      mode: 'webhook',
+      verifySecretToken: jest.fn(token => token === 'tg-secret'),
+      processWebhookUpdate: jest.fn().mockResolvedValue()
+    };
+  });
+
+  it('acknowledges an update with the right secret and processes it afterwards', async () => {
+    await request(buildApp({ telegramBot }))
+      .post('/webhook/telegram')
+      .set('X-Telegram-Bot-Api-Secret-Token', 'tg-secret')
+      .send({ update_id: 7, message: { text: 'hi' } })
+      .expect(200);
+
+    await flush();
+    expect(telegramBot.processWebhookUpdate).toHaveBeenCalledWith({ update_id: 7, message: { text: 'hi' } });
+  });
+
+  it('rejects an update with a wrong secret', async () => {
+    await request(buildApp({ telegramBot }))
+      .post('/webhook/telegram')
+      .set('X-Telegram-Bot-Api-Secret-Token', 'guess')
+      .send({ update_id: 7 })
+      .expect(401);
+
+    await flush();
+    expect(telegramBot.processWebhookUpdate).not.toHaveBeenCalled();
+  });
+
+  it('returns 503 while the bot is polling', async () => {
+    telegramBot.mode = 'polling';
+
+    await request(buildApp({ telegramBot })).post('/webhook/telegram').send({ update_id: 7 }).expect(503);
+  });
+});
+
+describe('POST /webhook/whatsapp', () => {
+  const body = JSON.stringify({ entry: [{ changes: [{ value: { messages: [] } }] }] });
+  const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(body).digest('hex')}`;
+  let whatsappBot;
+
+  beforeEach(() => {
+    whatsappBot = {
+      verifySignature: jest.fn((rawBody, header) => Boolean(rawBody) && rawBody.toString() === body && header === signature),
+      processWebhook: jest.fn().mockResolvedValue()
+    };
+  });
+
+  it('acknowledges a signed payload and processes it afterwards', async () => {
+    await request(buildApp({ whatsappBot }))
+      .post('/webhook/whatsapp')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', signature)
+      .send(body)
+      .expect(200);
+
+    await flush();
+    expect(whatsappBot.verifySignature).toHaveBeenCalledWith(Buffer.from(body), signature);
+    expect(whatsappBot.processWebhook).toHaveBeenCalledWith(JSON.parse(body));
+  });
+
+  it('rejects a payload with a bad signature without processing it', async () => {
+    await request(buildApp({ whatsappBot }))
+      .post('/webhook/whatsapp')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', 'sha256=forged')
+      .send(body)
+      .expect(401);
+
+    await flush();
+    expect(whatsappBot.processWebhook).not.toHaveBeenCalled();
+  });
+
+  it('returns 503 when WhatsApp is not enabled', async () => {
+    await request(buildApp({})).post('/webhook/whatsapp').send({}).expect(503);
+  });
+});
+
+describe('GET /webhook/whatsapp', () => {
+  it('answers the verification handshake', async () => {
+    const whatsappBot = { verifyWebhook: jest.fn((mode, token, challenge) => (token === 'verify-me' ? challenge : null)) };
+    const app = buildApp({ whatsappBot });
+
+    const ok = await request(app).get('/webhook/whatsapp?hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=42').expect(200);
+    expect(ok.text).toBe('42');
+
+    await request(app).get('/webhook/whatsapp?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=42').expect(403);
+  });
+});
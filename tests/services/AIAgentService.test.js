@@ -0,0 +1,183 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const AIAgentService = require('../../src/services/AIAgentService');
+const HandoffService = require('../../src/services/HandoffService');
+const GuardrailService = require('../../src/services/GuardrailService');
+const QueueService = require('../../src/services/QueueService');
+const CustomerService = require('../../src/services/CustomerService');
+const StateService = require('../../src/services/StateService');
+const { MemoryStateStore } = require('../../src/services/state');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+beforeEach(() => {
+  StateService.store = new MemoryStateStore();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('AIAgentService.processMessage', () => {
+  it('processes messages from the same customer one at a time', async () => {
+    const events = [];
+    const firstRunning = deferred();
+    const releaseFirst = deferred();
+
+    jest.spyOn(AIAgentService, 'processMessageLocked').mockImplementation(async (customerId, message) => {
+      events.push(`start ${message}`);
+      if (message === 'first') {
+        firstRunning.resolve();
+        await releaseFirst.promise;
+      }
+      events.push(`end ${message}`);
+      return { response: message };
+    });
+
+    const first = AIAgentService.processMessage('CUST-1', 'first');
+    await firstRunning.promise;
+    const second = AIAgentService.processMessage('CUST-1', 'second');
+
+    // Give the second call time to poll for the lock
+    await new Promise(resolve => setTimeout(resolve, 120));
+    expect(events).toEqual(['start first']);
+
+    releaseFirst.resolve();
+    await expect(Promise.all([first, second])).resolves.toEqual([{ response: 'first' }, { response: 'second' }]);
+    expect(events).toEqual(['start first', 'end first', 'start second', 'end second']);
+  });
+
+  it('does not make different customers wait for each other', async () => {
+    const releaseFirst = deferred();
+    const events = [];
+
+    jest.spyOn(AIAgentService, 'processMessageLocked').mockImplementation(async (customerId) => {
+      events.push(`start ${customerId}`);
+      if (customerId === 'CUST-1') {
+        await releaseFirst.promise;
+      }
+      return { response: customerId };
+    });
+
+    const first = AIAgentService.processMessage('CUST-1', 'hi');
+    await expect(AIAgentService.processMessage('CUST-2', 'hi')).resolves.toEqual({ response: 'CUST-2' });
+    expect(events).toEqual(['start CUST-1', 'start CUST-2']);
+
+    releaseFirst.resolve();
+    await first;
+  });
+});
+
+describe('AIAgentService while staff own the conversation', () => {
+  it('files the message with the handoff instead of answering', async () => {
+    jest.spyOn(HandoffService, 'isBotPaused').mockResolvedValue(true);
+    jest.spyOn(HandoffService, 'recordCustomerMessage').mockResolvedValue({ handoff_id: 'HO-1', status: 'assigned' });
+    const analyze = jest.spyOn(AIAgentService, 'analyzeMessage');
+
+    const result = await AIAgentService.processMessage('CUST-1', 'any update?', 'whatsapp');
+
+    expect(result).toMatchObject({ response: null, intent: 'handoff', handoff: { handoff_id: 'HO-1', status: 'assigned' } });
+    expect(HandoffService.recordCustomerMessage).toHaveBeenCalledWith('CUST-1', 'any update?', 'whatsapp');
+    expect(analyze).not.toHaveBeenCalled();
+  });
+});
+
+describe('AIAgentService low-confidence escalation', () => {
+  beforeEach(() => {
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(HandoffService, 'isBotPaused').mockResolvedValue(false);
+    jest.spyOn(HandoffService, 'escalate').mockResolvedValue({ handoff_id: 'HO-1', status: 'open' });
+    jest.spyOn(AIAgentService, 'createRedactingLLM').mockResolvedValue({});
+    jest.spyOn(AIAgentService, 'analyzeMessage').mockResolvedValue({ intent: 'general_inquiry', confidence: 0.2 });
+    jest.spyOn(AIAgentService, 'executeActions').mockResolvedValue([]);
+    jest.spyOn(AIAgentService, 'generateResponse').mockResolvedValue({ content: 'Could you tell me more?' });
+    jest.spyOn(AIAgentService, 'logConversation').mockResolvedValue(1);
+    jest.spyOn(GuardrailService, 'review').mockResolvedValue({ action: 'allow', violations: [] });
+    jest.spyOn(QueueService, 'enqueue').mockImplementation(() => {});
+  });
+
+  it('hands off after two low-confidence messages in a row', async () => {
+    const first = await AIAgentService.processMessage('CUST-1', 'hmm the thing');
+    expect(first.handoff).toBeUndefined();
+    expect(HandoffService.escalate).not.toHaveBeenCalled();
+
+    const second = await AIAgentService.processMessage('CUST-1', 'the other thing');
+    expect(second.handoff).toMatchObject({ handoff_id: 'HO-1', reason: 'low_confidence' });
+    expect(HandoffService.escalate).toHaveBeenCalledWith('CUST-1', expect.objectContaining({ reason: 'low_confidence' }));
+  });
+
+  it('resets the streak after a confident answer', async () => {
+    await AIAgentService.processMessage('CUST-1', 'hmm the thing');
+    AIAgentService.analyzeMessage.mockResolvedValueOnce({ intent: 'product_search', confidence: 0.9 });
+    await AIAgentService.processMessage('CUST-1', 'do you have ibuprofen');
+    await AIAgentService.processMessage('CUST-1', 'the other thing');
+
+    expect(HandoffService.escalate).not.toHaveBeenCalled();
+  });
+});
+
+describe('AIAgentService.executeActions', () => {
+  const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+  const completion = (toolCalls) => ({ message: { role: 'assistant', tool_calls: toolCalls }, toolCalls });
+
+  beforeEach(() => {
+    jest.spyOn(CustomerService, 'getCustomerById').mockResolvedValue({ customer_id: 'CUST-1' });
+  });
+
+  it('runs the tools the model calls and feeds their results back', async () => {
+    jest.spyOn(AIAgentService, 'searchProducts').mockResolvedValue([{ product_id: 'PROD-1' }]);
+    jest.spyOn(AIAgentService, 'addToCart').mockResolvedValue({ cart_id: 'CART-1' });
+    const llm = {
+      chatCompletion: jest.fn()
+        .mockResolvedValueOnce(completion([toolCall('call-1', 'search_products', { products: ['ibuprofen'] })]))
+        .mockResolvedValueOnce(completion([toolCall('call-2', 'add_to_cart', { product_id: 'PROD-1', quantity: 2 })]))
+        .mockResolvedValueOnce(completion([]))
+    };
+
+    const actions = await AIAgentService.executeActions({ intent: 'purchase' }, 'CUST-1', 'two ibuprofen please', {}, {}, 'web', llm);
+
+    expect(actions.map(action => action.type)).toEqual(['product_search', 'cart', 'customer_context']);
+    expect(AIAgentService.addToCart).toHaveBeenCalledWith('CUST-1', 'PROD-1', 2);
+    const lastMessages = llm.chatCompletion.mock.calls[2][0].messages;
+    expect(lastMessages.filter(entry => entry.role === 'tool')).toEqual([
+      { role: 'tool', tool_call_id: 'call-1', content: JSON.stringify([{ product_id: 'PROD-1' }]) },
+      { role: 'tool', tool_call_id: 'call-2', content: JSON.stringify({ cart_id: 'CART-1' }) }
+    ]);
+  });
+
+  it('stops after the configured number of steps', async () => {
+    jest.spyOn(AIAgentService, 'searchProducts').mockResolvedValue([]);
+    const llm = {
+      chatCompletion: jest.fn().mockResolvedValue(completion([toolCall('call-1', 'search_products', { symptoms: ['cough'] })]))
+    };
+
+    await AIAgentService.executeActions({ intent: 'product_search' }, 'CUST-1', 'cough', {}, {}, 'web', llm);
+
+    expect(llm.chatCompletion).toHaveBeenCalledTimes(AIAgentService.config.maxToolSteps);
+  });
+
+  it('runs the default tool for an intent when the model skipped it', async () => {
+    jest.spyOn(AIAgentService, 'getRecentOrders').mockResolvedValue([{ order_id: 'ORD-1' }]);
+    const llm = { chatCompletion: jest.fn().mockResolvedValue(completion([])) };
+
+    const actions = await AIAgentService.executeActions({ intent: 'order_status' }, 'CUST-1', 'where is my order', {}, {}, 'web', llm);
+
+    expect(actions[0]).toMatchObject({ type: 'orders', tool: 'get_recent_orders', data: [{ order_id: 'ORD-1' }] });
+  });
+
+  it('turns invalid tool arguments into an error action', async () => {
+    const llm = {
+      chatCompletion: jest.fn()
+        .mockResolvedValueOnce(completion([toolCall('call-1', 'get_order_status', {})]))
+        .mockResolvedValueOnce(completion([]))
+    };
+
+    const actions = await AIAgentService.executeActions({ intent: 'general_inquiry' }, 'CUST-1', 'status?', {}, {}, 'web', llm);
+
+    expect(actions[0]).toMatchObject({ type: 'error', tool: 'get_order_status', data: { message: '"order_id" is required' } });
+  });
+});
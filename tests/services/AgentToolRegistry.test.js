@@ -0,0 +1,120 @@
+jest.mock('../../src/services/ProductService', () => ({ checkAvailability: jest.fn(), getProductById: jest.fn() }));
+jest.mock('../../src/services/PromotionService', () => ({ getApplicablePromotions: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const Joi = require('joi');
+const ProductService = require('../../src/services/ProductService');
+const { AgentToolRegistry, createDefaultRegistry } = require('../../src/services/AgentToolRegistry');
+
+const echoTool = (overrides = {}) => ({
+  name: 'echo',
+  actionType: 'echo_action',
+  description: 'Echo the arguments',
+  parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  schema: Joi.object({ text: Joi.string().required(), times: Joi.number().integer().default(1) }),
+  execute: jest.fn(async (args) => args),
+  ...overrides
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('AgentToolRegistry', () => {
+  it('refuses tools without a name or execute function', () => {
+    const registry = new AgentToolRegistry();
+
+    expect(() => registry.register({ name: 'broken' })).toThrow('Tool must have a name and an execute function');
+    expect(() => registry.register({ execute: () => {} })).toThrow();
+  });
+
+  it('describes its tools in the chat completions format', () => {
+    const registry = new AgentToolRegistry().register(echoTool());
+
+    expect(registry.getDefinitions()).toEqual([{
+      type: 'function',
+      function: {
+        name: 'echo',
+        description: 'Echo the arguments',
+        parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+      }
+    }]);
+  });
+
+  it('parses JSON arguments, applies defaults and drops unknown keys', async () => {
+    const tool = echoTool();
+    const registry = new AgentToolRegistry().register(tool);
+
+    const result = await registry.execute('echo', '{"text":"hi","extra":true}', { customerId: 'CUST-1' });
+
+    expect(result).toMatchObject({ success: true, arguments: { text: 'hi', times: 1 }, data: { text: 'hi', times: 1 } });
+    expect(tool.execute).toHaveBeenCalledWith({ text: 'hi', times: 1 }, { customerId: 'CUST-1' });
+  });
+
+  it('reports invalid arguments without running the tool', async () => {
+    const tool = echoTool();
+    const registry = new AgentToolRegistry().register(tool);
+
+    await expect(registry.execute('echo', '{not json')).resolves.toMatchObject({
+      success: false,
+      error: expect.stringContaining('Arguments are not valid JSON')
+    });
+    await expect(registry.execute('echo', {})).resolves.toMatchObject({
+      success: false,
+      error: '"text" is required'
+    });
+    expect(tool.execute).not.toHaveBeenCalled();
+  });
+
+  it('reports unknown tools and tool failures as results', async () => {
+    const registry = new AgentToolRegistry().register(echoTool({
+      execute: jest.fn().mockRejectedValue(new Error('database unavailable'))
+    }));
+
+    await expect(registry.execute('missing', {})).resolves.toEqual({ success: false, error: 'Unknown tool: missing' });
+    await expect(registry.execute('echo', { text: 'hi' })).resolves.toMatchObject({
+      success: false,
+      arguments: { text: 'hi', times: 1 },
+      error: 'database unavailable'
+    });
+  });
+});
+
+describe('createDefaultRegistry', () => {
+  it('requires at least one search criterion', async () => {
+    const agent = { searchProducts: jest.fn() };
+
+    const result = await createDefaultRegistry().execute('search_products', {}, { agent, customerId: 'CUST-1' });
+
+    expect(result.success).toBe(false);
+    expect(agent.searchProducts).not.toHaveBeenCalled();
+  });
+
+  it('passes the customer from the context, never from the model', async () => {
+    const agent = { addToCart: jest.fn().mockResolvedValue({ cart_id: 'CART-1' }) };
+
+    await createDefaultRegistry().execute('add_to_cart', { product_id: 'PROD-1', customer_id: 'CUST-2' }, {
+      agent,
+      customerId: 'CUST-1'
+    });
+
+    expect(agent.addToCart).toHaveBeenCalledWith('CUST-1', 'PROD-1', 1);
+  });
+
+  it('summarizes availability for the model', async () => {
+    ProductService.checkAvailability.mockResolvedValue({
+      available: true,
+      product: { stock_quantity: 12, price: '4.99', prescription_required: false }
+    });
+
+    const result = await createDefaultRegistry().execute('check_availability', { product_id: 'PROD-1', quantity: 2 });
+
+    expect(result.data).toEqual({
+      product_id: 'PROD-1',
+      requested_quantity: 2,
+      available: true,
+      reason: undefined,
+      available_quantity: 12,
+      price: '4.99',
+      prescription_required: false
+    });
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const AuditService = require('../../src/services/AuditService');
+
+// audit_log as Postgres would hold it: rows come back as copies, JSONB details re-parsed
+let rows;
+
+const fakeQuery = async (sql, params = []) => {
+  if (/^SELECT pg_advisory_xact_lock/.test(sql)) {
+    return { rows: [] };
+  }
+  if (/SELECT hash FROM audit_log ORDER BY id DESC/.test(sql)) {
+    return { rows: rows.slice(-1).map(row => ({ hash: row.hash })) };
+  }
+  if (/INSERT INTO audit_log/.test(sql)) {
+    const columns = sql.match(/\(([^)]*)\)\s*VALUES/)[1].split(',').map(column => column.trim());
+    const row = { id: rows.length > 0 ? rows[rows.length - 1].id + 1 : 1 };
+    columns.forEach((column, index) => { row[column] = params[index]; });
+    row.details = row.details === null ? null : JSON.parse(JSON.stringify(row.details));
+    rows.push(row);
+    return { rows: [{ ...row }] };
+  }
+  if (/SELECT \* FROM audit_log WHERE id > \$1\s+ORDER BY id/.test(sql)) {
+    const [lastId, limit] = params;
+    return { rows: rows.filter(row => row.id > lastId).slice(0, limit).map(row => ({ ...row })) };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const entry = (overrides = {}) => ({
+  actor_type: 'user',
+  actor_id: 'USR-1',
+  actor_role: 'support',
+  action: 'read',
+  subject_type: 'customer',
+  subject_id: 'CUST-1',
+  customer_id: 'CUST-1',
+  details: { fields: ['email', 'phone'], nested: { b: 1, a: 2 } },
+  ...overrides
+});
+
+beforeEach(async () => {
+  rows = [];
+  DatabaseService.query.mockImplementation(fakeQuery);
+  DatabaseService.transaction.mockImplementation(fn => fn({ query: fakeQuery }));
+
+  for (let i = 1; i <= 3; i++) {
+    await AuditService.record(entry({ subject_id: `CUST-${i}` }));
+  }
+});
+
+describe('AuditService hash chain', () => {
+  it('chains each entry to the one before it', () => {
+    expect(rows[0].prev_hash).toBe('0'.repeat(64));
+    expect(rows[1].prev_hash).toBe(rows[0].hash);
+    expect(rows[2].prev_hash).toBe(rows[1].hash);
+  });
+
+  it('verifies an untouched chain', async () => {
+    await expect(AuditService.verifyChain()).resolves.toEqual({ valid: true, checked: 3 });
+  });
+
+  it('detects an edited entry', async () => {
+    rows[1].subject_id = 'CUST-99';
+
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      checked: 1,
+      brokenAt: 2,
+      reason: 'hash does not match the entry'
+    });
+  });
+
+  it('detects edited details', async () => {
+    rows[0].details.fields.push('insurance_id');
+
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({ valid: false, brokenAt: 1 });
+  });
+
+  it('detects a deleted entry', async () => {
+    rows.splice(1, 1);
+
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      checked: 1,
+      brokenAt: 3,
+      reason: 'prev_hash does not match the previous entry'
+    });
+  });
+
+  it('detects a deleted first entry', async () => {
+    rows.shift();
+
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({ valid: false, checked: 0, brokenAt: 2 });
+  });
+});
+
+describe('AuditService.exportCsv', () => {
+  const exportAll = async () => {
+    let csv = '';
+    const count = await AuditService.exportCsv({}, (chunk) => { csv += chunk; });
+    return { csv, count };
+  };
+
+  it('writes a header and one quoted line per entry', async () => {
+    const { csv, count } = await exportAll();
+    const lines = csv.trim().split('\n');
+
+    expect(count).toBe(3);
+    expect(lines[0]).toBe('id,created_at,actor_type,actor_id,actor_role,action,subject_type,subject_id,customer_id,route,channel,ip_address,details,prev_hash,hash');
+    expect(lines[1]).toContain('"CUST-1"');
+    expect(lines[1]).toContain('"{""fields"":[""email"",""phone""],""nested"":{""b"":1,""a"":2}}"');
+  });
+
+  it.each(['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)'])('defuses a value starting like a formula: %s', async (value) => {
+    await AuditService.record(entry({ subject_id: value }));
+
+    const { csv } = await exportAll();
+    const last = csv.trim().split('\n').pop();
+
+    expect(last).toContain(`,"'${value.replace(/"/g, '""')}",`);
+  });
+});
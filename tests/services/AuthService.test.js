@@ -0,0 +1,159 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/RateLimitService', () => ({ consume: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const DatabaseService = require('../../src/services/DatabaseService');
+const RateLimitService = require('../../src/services/RateLimitService');
+const AuthService = require('../../src/services/AuthService');
+const { AppError, UnauthorizedError, ValidationError } = require('../../src/utils/errors');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+let staffUser;
+
+beforeAll(async () => {
+  staffUser = {
+    user_id: 'STAFF-1',
+    email: 'sam@pharmacy.example',
+    name: 'Sam',
+    role: 'pharmacist',
+    status: 'active',
+    password_hash: await bcrypt.hash('correct horse battery', 4)
+  };
+});
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'jwt-secret';
+  RateLimitService.consume.mockResolvedValue({ allowed: true });
+});
+
+afterEach(() => {
+  delete process.env.JWT_SECRET;
+  DatabaseService.query.mockReset();
+  jest.clearAllMocks();
+});
+
+describe('AuthService.login', () => {
+  it('issues an access token carrying the role and a stored refresh token', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [staffUser] }).mockResolvedValue({ rows: [] });
+
+    const tokens = await AuthService.login(' Sam@Pharmacy.example ', 'correct horse battery');
+
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual(['sam@pharmacy.example']);
+    expect(jwt.verify(tokens.accessToken, 'jwt-secret')).toMatchObject({ sub: 'STAFF-1', role: 'pharmacist', name: 'Sam' });
+    expect(tokens.user).not.toHaveProperty('password_hash');
+
+    const stored = DatabaseService.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO staff_refresh_tokens'));
+    expect(stored[1][0]).toBe(sha256(tokens.refreshToken));
+  });
+
+  it('fails the same way for a wrong password, an unknown email and a disabled user', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [staffUser] });
+    await expect(AuthService.login('sam@pharmacy.example', 'wrong password!')).rejects.toThrow('Invalid email or password');
+
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] });
+    await expect(AuthService.login('nobody@pharmacy.example', 'correct horse battery')).rejects.toThrow('Invalid email or password');
+
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ ...staffUser, status: 'disabled' }] });
+    await expect(AuthService.login('sam@pharmacy.example', 'correct horse battery')).rejects.toBeInstanceOf(UnauthorizedError);
+  });
+
+  it('rate limits attempts per email', async () => {
+    RateLimitService.consume.mockResolvedValue({ allowed: false, resetSeconds: 60 });
+
+    await expect(AuthService.login('sam@pharmacy.example', 'x')).rejects.toMatchObject({ statusCode: 429 });
+    expect(RateLimitService.consume).toHaveBeenCalledWith('login', 'sam@pharmacy.example');
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+  });
+
+  it('requires both fields', async () => {
+    await expect(AuthService.login('sam@pharmacy.example')).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('AuthService.refresh', () => {
+  it('swaps a refresh token for a new pair once', async () => {
+    DatabaseService.query
+      .mockResolvedValueOnce({ rows: [{ user_id: 'STAFF-1' }] })
+      .mockResolvedValueOnce({ rows: [staffUser] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const tokens = await AuthService.refresh('old-token');
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual([sha256('old-token')]);
+    expect(tokens.refreshToken).not.toBe('old-token');
+
+    await expect(AuthService.refresh('old-token')).rejects.toThrow('Invalid or expired refresh token');
+  });
+});
+
+describe('AuthService.verifyAccessToken', () => {
+  it('resolves a valid token to the user principal', () => {
+    const token = jwt.sign({ role: 'support', name: 'Jo' }, 'jwt-secret', { subject: 'STAFF-2' });
+
+    expect(AuthService.verifyAccessToken(token)).toEqual({ type: 'user', id: 'STAFF-2', name: 'Jo', role: 'support' });
+  });
+
+  it('rejects expired and forged tokens', () => {
+    const expired = jwt.sign({ role: 'admin' }, 'jwt-secret', { subject: 'STAFF-1', expiresIn: -10 });
+    const forged = jwt.sign({ role: 'admin' }, 'not-the-secret', { subject: 'STAFF-1' });
+
+    expect(() => AuthService.verifyAccessToken(expired)).toThrow('Access token expired');
+    expect(() => AuthService.verifyAccessToken(forged)).toThrow('Invalid access token');
+  });
+
+  it('refuses to run without a secret', () => {
+    delete process.env.JWT_SECRET;
+
+    expect(() => AuthService.verifyAccessToken('token')).toThrow(AppError);
+  });
+});
+
+describe('AuthService API keys', () => {
+  it('returns the key once and stores only its hash', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ key_id: 'KEY-1', name: 'n8n', role: 'integration' }] });
+
+    const created = await AuthService.createApiKey({ name: 'n8n' }, 'STAFF-1');
+
+    expect(created.key).toMatch(/^phk_[0-9a-f]{48}$/);
+    const params = DatabaseService.query.mock.calls[0][1];
+    expect(params.slice(1)).toEqual(['n8n', created.key.slice(0, 12), sha256(created.key), 'integration', 'STAFF-1', null]);
+    expect(params).not.toContain(created.key);
+  });
+
+  it('resolves a live key to its principal and rejects others', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ key_id: 'KEY-1', name: 'n8n', role: 'integration' }] });
+    await expect(AuthService.verifyApiKey('phk_live')).resolves.toEqual({ type: 'api_key', id: 'KEY-1', name: 'n8n', role: 'integration' });
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual([sha256('phk_live')]);
+
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] });
+    await expect(AuthService.verifyApiKey('phk_revoked')).rejects.toThrow('Invalid API key');
+  });
+
+  it('only gives API keys known roles', async () => {
+    await expect(AuthService.createApiKey({ name: 'n8n', role: 'superuser' })).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('AuthService.updateUser', () => {
+  it('ends the sessions of a disabled user', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ ...staffUser, status: 'disabled' }] });
+
+    await AuthService.updateUser('STAFF-1', { status: 'disabled' });
+
+    expect(DatabaseService.query.mock.calls[1][0]).toContain('UPDATE staff_refresh_tokens SET revoked_at = NOW() WHERE user_id = $1');
+  });
+
+  it('keeps sessions for a name change', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [staffUser] });
+
+    await AuthService.updateUser('STAFF-1', { name: 'Samantha' });
+
+    expect(DatabaseService.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn(), createSalesRecord: jest.fn() }));
+jest.mock('../../src/services/PromotionService', () => ({ applyPromotion: jest.fn(), incrementPromotionUsage: jest.fn() }));
+jest.mock('../../src/services/OrderService', () => ({ recordStatusChange: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ queueNotification: jest.fn() }));
+jest.mock('../../src/services/QueueService', () => ({ enqueue: jest.fn() }));
+jest.mock('../../src/services/VerificationService', () => ({ enqueueOrderLines: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const OrderService = require('../../src/services/OrderService');
+const NotificationService = require('../../src/services/NotificationService');
+const VerificationService = require('../../src/services/VerificationService');
+const CartService = require('../../src/services/CartService');
+const { ConflictError, NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+const cart = { cart_id: 'CART-1', customer_id: 'CUST-1', status: 'active', promotion_id: null, channel: 'web' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(CartService, 'getCart').mockResolvedValue({ cart_id: 'CART-1' });
+  jest.spyOn(CartService, 'getOrCreateActiveCart').mockResolvedValue(cart);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('CartService.addItem', () => {
+  it('refuses to hold more than is in stock, counting what is already in the cart', async () => {
+    DatabaseService.query
+      .mockResolvedValueOnce({ rows: [{ product_id: 'PROD-1', stock_quantity: 5 }] })
+      .mockResolvedValueOnce({ rows: [{ quantity: 4 }] });
+
+    await expect(CartService.addItem('CUST-1', 'PROD-1', 2)).rejects.toMatchObject({
+      statusCode: 409,
+      details: { product_id: 'PROD-1', requested: 6, available: 5 }
+    });
+    expect(DatabaseService.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('adds to the existing quantity', async () => {
+    DatabaseService.query
+      .mockResolvedValueOnce({ rows: [{ product_id: 'PROD-1', stock_quantity: 10 }] })
+      .mockResolvedValueOnce({ rows: [{ quantity: 1 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await CartService.addItem('CUST-1', 'PROD-1', 2);
+
+    expect(DatabaseService.query).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO cart_items'), ['CART-1', 'PROD-1', 3]);
+  });
+
+  it('rejects unknown products and non-positive quantities', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(CartService.addItem('CUST-1', 'PROD-404')).rejects.toBeInstanceOf(NotFoundError);
+    await expect(CartService.addItem('CUST-1', 'PROD-1', 0)).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('CartService.updateItemQuantity', () => {
+  it('checks the new quantity against stock', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ stock_quantity: 3 }] });
+
+    await expect(CartService.updateItemQuantity('CUST-1', 'PROD-1', 4)).rejects.toBeInstanceOf(ConflictError);
+    expect(DatabaseService.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to update a product that is not in the cart', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(CartService.updateItemQuantity('CUST-1', 'PROD-9', 1)).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('removes the line when the quantity is zero', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+
+    await CartService.updateItemQuantity('CUST-1', 'PROD-1', 0);
+
+    expect(DatabaseService.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM cart_items'), ['CART-1', 'PROD-1']);
+  });
+});
+
+describe('CartService.allocateDiscount', () => {
+  it('spreads the discount by line value and keeps the rounding on the last line', () => {
+    const items = [{ line_total: 10 }, { line_total: 10 }, { line_total: 10 }];
+
+    expect(CartService.allocateDiscount(items, 1, 30)).toEqual([0.33, 0.33, 0.34]);
+  });
+});
+
+describe('CartService.checkout', () => {
+  const lines = [
+    { product_id: 'PROD-1', name: 'Ibuprofen', category: 'Pain Relief', quantity: 2, price: '5.00', stock_quantity: 10, prescription_required: false },
+    { product_id: 'PROD-2', name: 'Amoxicillin', category: 'Antibiotics', quantity: 1, price: '12.50', stock_quantity: 4, prescription_required: true }
+  ];
+
+  let client;
+
+  const checkoutWith = (items, activeCart = cart) => {
+    client = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM carts')) return { rows: activeCart ? [activeCart] : [] };
+        if (sql.includes('FROM cart_items ci')) return { rows: items };
+        if (sql.includes('INSERT INTO orders')) return { rows: [{ order_id: params[0], customer_id: 'CUST-1', status: 'pending', total: params[5] }] };
+        if (sql.includes("SET status = 'awaiting_prescription'")) return { rows: [{ order_id: params[0], customer_id: 'CUST-1', status: 'awaiting_prescription', total: '22.50' }] };
+        return { rows: [] };
+      })
+    };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+    DatabaseService.createSalesRecord.mockImplementation(async (record) => record);
+    return CartService.checkout('CUST-1', { paymentMethod: 'card' });
+  };
+
+  it('holds orders with prescription items for pharmacist verification', async () => {
+    VerificationService.enqueueOrderLines.mockResolvedValue([{ verification_id: 'VER-1' }]);
+
+    const order = await checkoutWith(lines);
+
+    expect(order.status).toBe('awaiting_prescription');
+    expect(order.verifications).toEqual([{ verification_id: 'VER-1' }]);
+    const [, , rxRecords] = VerificationService.enqueueOrderLines.mock.calls[0];
+    expect(rxRecords.map(record => record.product_id)).toEqual(['PROD-2']);
+    expect(OrderService.recordStatusChange).toHaveBeenCalledWith(client, order.order_id, 'pending', 'awaiting_prescription', expect.any(Object));
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1', expect.stringContaining('prescription items'));
+  });
+
+  it('places other orders as pending and takes the stock', async () => {
+    const order = await checkoutWith([lines[0]]);
+
+    expect(order.status).toBe('pending');
+    expect(VerificationService.enqueueOrderLines).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('stock_quantity = stock_quantity - $2'), ['PROD-1', 2]);
+  });
+
+  it('refuses empty carts and lines that are out of stock', async () => {
+    await expect(checkoutWith([], null)).rejects.toThrow('Cart is empty');
+    await expect(checkoutWith([])).rejects.toThrow('Cart is empty');
+    await expect(checkoutWith([{ ...lines[0], stock_quantity: 1 }])).rejects.toMatchObject({
+      statusCode: 409,
+      details: [{ product_id: 'PROD-1', name: 'Ibuprofen', requested: 2 }]
+    });
+  });
+});
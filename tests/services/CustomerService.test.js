@@ -0,0 +1,142 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const CustomerService = require('../../src/services/CustomerService');
+const { ConflictError, NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+const uniqueViolation = (constraint) => Object.assign(new Error('duplicate key'), { code: '23505', constraint });
+const cursorFor = (id) => Buffer.from(String(id)).toString('base64url');
+
+beforeEach(() => {
+  DatabaseService.query.mockResolvedValue({ rows: [] });
+});
+
+afterEach(() => {
+  DatabaseService.query.mockReset();
+  jest.clearAllMocks();
+});
+
+describe('CustomerService.createCustomer', () => {
+  it('inserts only validated columns', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ customer_id: 'CUST-1' }] });
+
+    await CustomerService.createCustomer({
+      customer_id: 'CUST-1', first_name: ' Ana ', last_name: 'Diaz', email: 'Ana@Example.com', loyalty_points: 9999
+    });
+
+    const [sql, params] = DatabaseService.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO customers (customer_id, first_name, last_name, email, registration_date, status)');
+    expect(params).toEqual(['CUST-1', 'Ana', 'Diaz', 'ana@example.com']);
+  });
+
+  it('reports every invalid field', async () => {
+    const error = await CustomerService.createCustomer({ first_name: 'Ana', email: 'not-an-email', phone: 'call me' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual(expect.arrayContaining([
+      expect.stringContaining('"last_name" is required'),
+      expect.stringContaining('"email" must be a valid email'),
+      expect.stringContaining('"phone"')
+    ]));
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+  });
+
+  it('turns duplicate emails and IDs into conflicts', async () => {
+    DatabaseService.query.mockRejectedValueOnce(uniqueViolation('customers_email_key'));
+    await expect(CustomerService.createCustomer({ first_name: 'Ana', last_name: 'Diaz', email: 'ana@example.com' }))
+      .rejects.toThrow(new ConflictError('A customer with email ana@example.com already exists'));
+
+    DatabaseService.query.mockRejectedValueOnce(uniqueViolation('customers_customer_id_key'));
+    await expect(CustomerService.createCustomer({ customer_id: 'CUST-1', first_name: 'Ana', last_name: 'Diaz' }))
+      .rejects.toThrow('Customer CUST-1 already exists');
+  });
+});
+
+describe('CustomerService.updateCustomer', () => {
+  it('cannot set the statuses the identity flow manages', async () => {
+    await expect(CustomerService.updateCustomer('CUST-1', { status: 'Merged' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(CustomerService.updateCustomer('CUST-1', {})).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('deactivates instead of deleting', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ customer_id: 'CUST-1', status: 'Inactive' }] });
+
+    await expect(CustomerService.deactivateCustomer('CUST-1')).resolves.toMatchObject({ status: 'Inactive' });
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual(['CUST-1', 'Inactive']);
+  });
+
+  it('reports unknown customers', async () => {
+    await expect(CustomerService.updateCustomer('CUST-404', { city: 'Austin' })).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('CustomerService.listCustomers', () => {
+  it('leaves out merged customers and personal columns by default', async () => {
+    await CustomerService.listCustomers();
+
+    const [sql, params] = DatabaseService.query.mock.calls[0];
+    expect(sql).toContain("status <> 'Merged'");
+    expect(sql).not.toMatch(/\bemail\b|\bphone\b|allergies/);
+    expect(params).toEqual([26]);
+  });
+
+  it('combines filters and searches phone numbers by digits', async () => {
+    await CustomerService.listCustomers({ q: '(555) 12', city: 'Austin', segment: 'seniors', channel: 'whatsapp', fields: 'email,phone' });
+
+    const [sql, params] = DatabaseService.query.mock.calls[0];
+    expect(sql).toContain('SELECT id, customer_id, email, phone FROM customers');
+    expect(sql).toContain("date_of_birth <= CURRENT_DATE - INTERVAL '65 years'");
+    expect(sql).toContain('whatsapp_phone IS NOT NULL');
+    expect(params).toEqual(['Austin', '%(555) 12%', '%55512%', 26]);
+  });
+
+  it('escapes LIKE wildcards in the search', async () => {
+    await CustomerService.listCustomers({ q: '50%_off' });
+
+    expect(DatabaseService.query.mock.calls[0][1][0]).toBe('%50\\%\\_off%');
+  });
+
+  it('pages with an opaque cursor', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ id: 30, customer_id: 'C30' }, { id: 29, customer_id: 'C29' }, { id: 28, customer_id: 'C28' }] });
+
+    const page = await CustomerService.listCustomers({ limit: 2 });
+    expect(page).toEqual({ items: [{ customer_id: 'C30' }, { customer_id: 'C29' }], nextCursor: cursorFor(29) });
+
+    await CustomerService.listCustomers({ limit: 2, cursor: page.nextCursor });
+    expect(DatabaseService.query.mock.calls[1][0]).toContain('id < $1');
+    expect(DatabaseService.query.mock.calls[1][1]).toEqual([29, 3]);
+  });
+
+  it('rejects unknown fields, filters and cursors', async () => {
+    await expect(CustomerService.listCustomers({ fields: 'password_hash' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(CustomerService.listCustomers({ segment: 'everyone' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(CustomerService.listCustomers({ cursor: 'bm90LWEtbnVtYmVy' })).rejects.toThrow('Invalid cursor');
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('CustomerService projections', () => {
+  it('selects only the requested columns', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ customer_id: 'CUST-1', allergies: 'penicillin' }] });
+
+    await CustomerService.getCustomerProjection('CUST-1', 'allergies');
+
+    expect(DatabaseService.query.mock.calls[0][0]).toBe('SELECT customer_id, allergies FROM customers WHERE customer_id = $1');
+  });
+
+  it('drops personal columns from snapshots unless asked for', () => {
+    const snapshot = { customer_id: 'CUST-1', first_name: 'Ana', email: 'ana@example.com', allergies: 'penicillin' };
+
+    expect(CustomerService.projectSnapshot(snapshot)).toEqual({ customer_id: 'CUST-1', first_name: 'Ana' });
+    expect(CustomerService.projectSnapshot(snapshot, 'email')).toEqual({ customer_id: 'CUST-1', first_name: 'Ana', email: 'ana@example.com' });
+  });
+});
+
+describe('CustomerService.updateLoyaltyPoints', () => {
+  it('refuses to take the balance below zero', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ customer_id: 'CUST-1', loyalty_points: 40 }] });
+
+    await expect(CustomerService.updateLoyaltyPoints('CUST-1', -50)).rejects.toThrow('Customer CUST-1 has only 40 loyalty points');
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/CustomerService', () => ({ getCustomerById: jest.fn() }));
+jest.mock('../../src/services/PromotionService', () => ({ getActivePromotions: jest.fn(), checkCustomerEligibility: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../../src/services/DatabaseService');
+const CustomerService = require('../../src/services/CustomerService');
+const PromotionService = require('../../src/services/PromotionService');
+const EmailService = require('../../src/services/EmailService');
+
+const customer = (overrides = {}) => ({
+  customer_id: 'CUST-1',
+  first_name: 'Ana',
+  email: 'ana@example.com',
+  status: 'Active',
+  preferred_language: 'English',
+  ...overrides
+});
+
+const captured = async (dir) => {
+  const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  return Promise.all(files.map(async file => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))));
+};
+
+let captureDir;
+
+beforeEach(async () => {
+  captureDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'emails-'));
+  process.env.EMAIL_TEST_MODE = 'true';
+  process.env.EMAIL_CAPTURE_DIR = captureDir;
+  await EmailService.initialize();
+});
+
+afterEach(async () => {
+  await EmailService.stop();
+  delete process.env.EMAIL_TEST_MODE;
+  delete process.env.EMAIL_CAPTURE_DIR;
+  await fs.promises.rm(captureDir, { recursive: true, force: true });
+  jest.clearAllMocks();
+});
+
+describe('EmailService test mode', () => {
+  it('captures templated email instead of sending it', async () => {
+    await expect(EmailService.sendTemplate(customer(), 'notification', { message: 'Your order is ready' })).resolves.toBe(true);
+
+    const [mail] = await captured(captureDir);
+    expect(mail).toMatchObject({ to: 'ana@example.com', subject: 'An update from your pharmacy', template: 'notification', from: 'pharmacy@localhost' });
+    expect(mail.text).toContain('Your order is ready');
+
+    const eml = (await fs.promises.readdir(captureDir)).find(file => file.endsWith('.eml'));
+    expect(await fs.promises.readFile(path.join(captureDir, eml), 'utf8')).toContain('Subject: An update from your pharmacy');
+  });
+
+  it('skips placeholder addresses and merged customers', async () => {
+    await expect(EmailService.sendTemplate(customer({ email: 'CUST-TG-1@telegram.user' }), 'notification', { message: 'x' })).resolves.toBe(false);
+    await expect(EmailService.sendTemplate(customer({ status: 'Merged' }), 'notification', { message: 'x' })).resolves.toBe(false);
+    await expect(captured(captureDir)).resolves.toEqual([]);
+  });
+
+  it('uses the template a notification asks for', async () => {
+    await EmailService.sendNotification(customer(), 'Refill ready', {
+      email: { template: 'refill_ready', data: { refill: { drug_name: 'Lisinopril', request_id: 'REF-1' } } }
+    });
+
+    const [mail] = await captured(captureDir);
+    expect(mail.subject).toBe('Your refill of Lisinopril is ready');
+  });
+
+  it('looks the customer up for order email', async () => {
+    CustomerService.getCustomerById.mockResolvedValueOnce(customer({ preferred_language: 'Spanish' })).mockResolvedValueOnce(null);
+
+    await expect(EmailService.emailCustomer('CUST-1', 'notification', { message: 'Hola' })).resolves.toBe(true);
+    await expect(EmailService.emailCustomer('CUST-404', 'notification', { message: 'Hola' })).resolves.toBe(false);
+
+    const [mail] = await captured(captureDir);
+    expect(mail.subject).toBe('Novedades de su farmacia');
+  });
+});
+
+describe('EmailService.sendPromotionDigest', () => {
+  it('emails each consenting customer the offers they are eligible for', async () => {
+    PromotionService.getActivePromotions.mockResolvedValue([{ promotion_id: 'P1', name: 'Spring sale', end_date: '2026-04-30' }]);
+    PromotionService.checkCustomerEligibility.mockImplementation(c => c.customer_id !== 'CUST-2');
+    DatabaseService.query.mockResolvedValue({
+      rows: [customer(), customer({ customer_id: 'CUST-2', email: 'bo@example.com' }), customer({ customer_id: 'CUST-3', email: 'CUST-3@sms.user' })]
+    });
+
+    await expect(EmailService.sendPromotionDigest()).resolves.toEqual({ promotions: 1, sent: 1, skipped: 2, failed: 0 });
+
+    const mails = await captured(captureDir);
+    expect(mails).toHaveLength(1);
+    expect(mails[0]).toMatchObject({ to: 'ana@example.com', template: 'promotion_digest' });
+  });
+
+  it('does nothing without active promotions', async () => {
+    PromotionService.getActivePromotions.mockResolvedValue([]);
+
+    await expect(EmailService.sendPromotionDigest()).resolves.toEqual({ promotions: 0, sent: 0, skipped: 0, failed: 0 });
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+  });
+
+  it('refuses to run while email is off', async () => {
+    await EmailService.stop();
+
+    await expect(EmailService.sendPromotionDigest()).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
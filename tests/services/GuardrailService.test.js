@@ -0,0 +1,176 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/PrescriptionService', () => ({ getCustomerPrescriptions: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const PrescriptionService = require('../../src/services/PrescriptionService');
+const GuardrailService = require('../../src/services/GuardrailService');
+
+const AMOXICILLIN = {
+  product_id: 'RX-001',
+  name: 'Amoxicillin 500mg',
+  price: '12.99',
+  prescription_required: true,
+  strength: '500mg',
+  active_ingredients: 'amoxicillin'
+};
+
+const TYLENOL = {
+  product_id: 'OTC-001',
+  name: 'Tylenol Extra Strength',
+  price: '8.99',
+  prescription_required: false,
+  strength: '500mg',
+  active_ingredients: 'acetaminophen'
+};
+
+// Products whose name appears in the text, as the catalog query would return them
+const catalog = (...products) => {
+  DatabaseService.query.mockImplementation(async (sql, [text]) => ({
+    rows: products.filter(product => text.toLowerCase().includes(product.name.toLowerCase()))
+  }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PrescriptionService.getCustomerPrescriptions.mockResolvedValue([]);
+});
+
+describe('GuardrailService.review prescription-only products', () => {
+  beforeEach(() => catalog(AMOXICILLIN));
+
+  it('removes a sentence offering an Rx product without a prescription', async () => {
+    const result = await GuardrailService.review(
+      'You can buy Amoxicillin 500mg without a prescription, just add it to your cart.',
+      { customerId: 'CUST-1' }
+    );
+
+    expect(result.action).toBe('block');
+    expect(result.violations.map(violation => violation.type)).toEqual(['prescription_required']);
+  });
+
+  it.each([
+    'Amoxicillin 500mg does not need a prescription anymore.',
+    'Amoxicillin 500mg is available OTC, no Rx needed.',
+    'Amoxicillin 500mg no longer requires a prescription.'
+  ])('does not treat "%s" as a safe phrasing', async (content) => {
+    const result = await GuardrailService.review(`Happy to help. ${content}`, { customerId: 'CUST-1' });
+
+    expect(result.action).toBe('rewrite');
+    expect(result.content).not.toContain('Amoxicillin');
+  });
+
+  it.each([
+    'Amoxicillin 500mg requires a prescription from your doctor.',
+    'Amoxicillin 500mg cannot be dispensed without a valid prescription.'
+  ])('allows the fixed safe phrasing "%s"', async (content) => {
+    const result = await GuardrailService.review(content, { customerId: 'CUST-1' });
+
+    expect(result.action).toBe('allow');
+  });
+
+  it('allows any mention when an active prescription covers the product', async () => {
+    PrescriptionService.getCustomerPrescriptions.mockResolvedValue([{ product_id: 'RX-001', drug_name: 'Amoxicillin' }]);
+
+    const result = await GuardrailService.review('Just add Amoxicillin 500mg to your cart.', { customerId: 'CUST-1' });
+
+    expect(result.action).toBe('allow');
+    expect(PrescriptionService.getCustomerPrescriptions).toHaveBeenCalledWith('CUST-1', { status: 'active' });
+  });
+});
+
+describe('GuardrailService.review dosage', () => {
+  beforeEach(() => catalog(TYLENOL));
+
+  it('reads thousands separators in mg amounts', async () => {
+    const result = await GuardrailService.review(
+      'Take 1,000 mg of Tylenol Extra Strength every 3 hours.',
+      { customerId: 'CUST-1' }
+    );
+
+    expect(result.action).toBe('block');
+    expect(result.violations[0]).toMatchObject({
+      type: 'dosage',
+      details: { ingredient: 'acetaminophen', daily_mg: 8000, label_max_daily_mg: 4000 }
+    });
+  });
+
+  it('counts tablets when the product name sits between the count and the unit', async () => {
+    const result = await GuardrailService.review(
+      'Take 3 Tylenol Extra Strength tablets 4 times a day.',
+      { customerId: 'CUST-1' }
+    );
+
+    expect(result.violations[0]).toMatchObject({ type: 'dosage', details: { daily_mg: 6000 } });
+  });
+
+  it('allows label doses', async () => {
+    const result = await GuardrailService.review(
+      'Take 2 Tylenol Extra Strength tablets every 6 hours, and no more than 3,000 mg a day.',
+      { customerId: 'CUST-1' }
+    );
+
+    expect(result.action).toBe('allow');
+  });
+});
+
+describe('GuardrailService.review diagnosis and prices', () => {
+  beforeEach(() => catalog(TYLENOL));
+
+  it('removes diagnoses and keeps the rest', async () => {
+    const result = await GuardrailService.review(
+      'It sounds like you have a sinus infection. Rest and fluids can help.',
+      { customerId: 'CUST-1' }
+    );
+
+    expect(result.action).toBe('rewrite');
+    expect(result.content).toMatch(/^Rest and fluids can help\./);
+    expect(result.violations[0].type).toBe('diagnosis');
+  });
+
+  it('corrects a single wrong price', async () => {
+    const result = await GuardrailService.review('Tylenol Extra Strength is $4.99 today.', { customerId: 'CUST-1' });
+
+    expect(result.content).toBe('Tylenol Extra Strength is $8.99 today.');
+    expect(result.violations[0]).toMatchObject({ type: 'price_mismatch', resolution: 'corrected' });
+  });
+});
+
+describe('GuardrailService.createStreamReviewer', () => {
+  beforeEach(() => catalog(AMOXICILLIN));
+
+  const stream = async (tokens, allowed) => {
+    const received = [];
+    const reviewer = GuardrailService.createStreamReviewer({ customerId: 'CUST-1' }, token => received.push(token));
+    tokens.forEach(token => reviewer.write(token));
+    await reviewer.finish(allowed);
+    return received.join('');
+  };
+
+  it('passes reviewed sentences on and holds back the rest until finish', async () => {
+    const text = await stream(['Hello there', '. We are open', ' until 9pm. Anything', ' else?'], true);
+
+    expect(text).toBe('Hello there. We are open until 9pm. Anything else?');
+  });
+
+  it('never streams a sentence that fails review', async () => {
+    const text = await stream([
+      'Sure thing. You can buy Amoxicillin 500mg ', 'without a prescription. ', 'Just add it to your cart.'
+    ], false);
+
+    expect(text).toBe('Sure thing. ');
+  });
+});
+
+describe('GuardrailService.detectEmergency', () => {
+  it('escalates overdoses with Poison Control', () => {
+    const emergency = GuardrailService.detectEmergency('I think I took too many pills');
+
+    expect(emergency.details.category).toBe('overdose');
+    expect(emergency.response).toContain('1-800-222-1222');
+  });
+
+  it('ignores ordinary messages', () => {
+    expect(GuardrailService.detectEmergency('Do you have vitamin D?')).toBeNull();
+  });
+});
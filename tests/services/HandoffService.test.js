@@ -0,0 +1,173 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ notifyCustomerOn: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const NotificationService = require('../../src/services/NotificationService');
+const HandoffService = require('../../src/services/HandoffService');
+const { ConflictError } = require('../../src/utils/errors');
+
+const handoff = (overrides = {}) => ({
+  handoff_id: 'HO-1',
+  customer_id: 'CUST-1',
+  channel: 'whatsapp',
+  status: 'open',
+  ...overrides
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('HandoffService.detectEscalation', () => {
+  it('escalates when the customer asks for a person', () => {
+    expect(HandoffService.detectEscalation('Can I talk to a pharmacist please?', { confidence: 0.9 }))
+      .toEqual({ reason: 'explicit_request', details: {} });
+    expect(HandoffService.detectEscalation('real person', {})).toMatchObject({ reason: 'explicit_request' });
+  });
+
+  it('escalates urgent and unhappy messages', () => {
+    expect(HandoffService.detectEscalation('my chest hurts', { urgency: 'high', intent: 'health_concern' }))
+      .toEqual({ reason: 'high_urgency', details: { intent: 'health_concern' } });
+    expect(HandoffService.detectEscalation('this is useless', { sentiment: 'negative', intent: 'complaint' }))
+      .toEqual({ reason: 'negative_sentiment', details: { intent: 'complaint' } });
+  });
+
+  it('escalates on the second low-confidence message in a row', () => {
+    const conversation = {};
+
+    expect(HandoffService.detectEscalation('hmm', { confidence: 0.2 }, conversation)).toBeNull();
+    expect(conversation.context_data.low_confidence_streak).toBe(1);
+
+    expect(HandoffService.detectEscalation('the thing', { confidence: 0.3 }, conversation))
+      .toEqual({ reason: 'low_confidence', details: { streak: 2, confidence: 0.3 } });
+  });
+
+  it('resets the streak after a confident message', () => {
+    const conversation = { context_data: { low_confidence_streak: 1 } };
+
+    expect(HandoffService.detectEscalation('ibuprofen please', { confidence: 0.9 }, conversation)).toBeNull();
+    expect(conversation.context_data.low_confidence_streak).toBe(0);
+  });
+
+  it('leaves ordinary messages with the bot', () => {
+    expect(HandoffService.detectEscalation('Do you have vitamin D?', { confidence: 0.8, sentiment: 'neutral' })).toBeNull();
+  });
+});
+
+describe('HandoffService.getHandoffMessage', () => {
+  it('points urgent cases to emergency services', () => {
+    expect(HandoffService.getHandoffMessage('high_urgency')).toMatch(/911/);
+    expect(HandoffService.getHandoffMessage('explicit_request')).toMatch(/pharmacists to join/);
+  });
+});
+
+describe('HandoffService.isBotPaused', () => {
+  it('reads the flag from the conversation', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ bot_paused: true }] });
+    await expect(HandoffService.isBotPaused('CUST-1')).resolves.toBe(true);
+
+    DatabaseService.query.mockResolvedValueOnce({ rows: [] });
+    await expect(HandoffService.isBotPaused('CUST-2')).resolves.toBe(false);
+  });
+});
+
+describe('HandoffService.escalate', () => {
+  let client;
+
+  const withClient = (insertedRows) => {
+    client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('INSERT INTO handoffs')) return { rows: insertedRows };
+        if (sql.includes('SELECT * FROM handoffs')) return { rows: [handoff()] };
+        return { rows: [] };
+      })
+    };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+  };
+
+  const calls = (fragment) => client.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+  it('opens a handoff, pauses the bot and stores the message', async () => {
+    withClient([handoff()]);
+
+    const result = await HandoffService.escalate('CUST-1', { channel: 'whatsapp', reason: 'explicit_request', message: 'human please' });
+
+    expect(result).toMatchObject({ handoff_id: 'HO-1', created: true });
+    expect(calls('INSERT INTO conversations')[0][1]).toEqual(['CUST-1', true]);
+    expect(calls('INSERT INTO handoff_messages')[0][1]).toEqual(['HO-1', 'customer', null, 'human please', 'whatsapp', true]);
+  });
+
+  it('reuses the open handoff instead of opening another', async () => {
+    withClient([]);
+
+    const result = await HandoffService.escalate('CUST-1', { reason: 'negative_sentiment' });
+
+    expect(result).toMatchObject({ handoff_id: 'HO-1', created: false });
+    expect(calls('INSERT INTO conversations')).toHaveLength(1);
+    expect(calls('INSERT INTO handoff_messages')).toHaveLength(0);
+  });
+});
+
+describe('HandoffService.recordCustomerMessage', () => {
+  it('adds the message to the open handoff', async () => {
+    jest.spyOn(HandoffService, 'getActiveHandoff').mockResolvedValue(handoff());
+    DatabaseService.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+    await expect(HandoffService.recordCustomerMessage('CUST-1', 'still there?', 'whatsapp')).resolves.toMatchObject({ handoff_id: 'HO-1' });
+    expect(DatabaseService.query.mock.calls[0][0]).toContain('INSERT INTO handoff_messages');
+  });
+
+  it('unpauses the bot when no handoff is open any more', async () => {
+    jest.spyOn(HandoffService, 'getActiveHandoff').mockResolvedValue(null);
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+
+    await expect(HandoffService.recordCustomerMessage('CUST-1', 'hello?', 'web')).resolves.toBeNull();
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual(['CUST-1', false]);
+  });
+});
+
+describe('HandoffService.reply', () => {
+  it('delivers on the escalation channel and takes the handoff', async () => {
+    jest.spyOn(HandoffService, 'getHandoffById').mockResolvedValue(handoff());
+    jest.spyOn(HandoffService, 'assign').mockResolvedValue(handoff({ status: 'assigned' }));
+    jest.spyOn(HandoffService, 'insertMessage').mockImplementation(async (client, handoffId, message) => message);
+    NotificationService.notifyCustomerOn.mockResolvedValue({ delivered: false, channel: 'web' });
+
+    const result = await HandoffService.reply('HO-1', 'USR-1', 'Hi, this is Sam from the pharmacy');
+
+    expect(HandoffService.assign).toHaveBeenCalledWith('HO-1', 'USR-1');
+    expect(NotificationService.notifyCustomerOn).toHaveBeenCalledWith('CUST-1', 'whatsapp', 'Hi, this is Sam from the pharmacy');
+    expect(result.message).toMatchObject({ sender: 'staff', staffId: 'USR-1', delivered: false });
+  });
+
+  it('refuses to reply to a resolved handoff', async () => {
+    jest.spyOn(HandoffService, 'getHandoffById').mockResolvedValue(handoff({ status: 'resolved' }));
+
+    await expect(HandoffService.reply('HO-1', 'USR-1', 'hello')).rejects.toBeInstanceOf(ConflictError);
+    expect(NotificationService.notifyCustomerOn).not.toHaveBeenCalled();
+  });
+});
+
+describe('HandoffService.resolve', () => {
+  it('closes the handoff and resumes the bot', async () => {
+    const client = {
+      query: jest.fn(async (sql) => (sql.includes('UPDATE handoffs') ? { rows: [handoff({ status: 'resolved' })] } : { rows: [] }))
+    };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+
+    await expect(HandoffService.resolve('HO-1', 'USR-1')).resolves.toMatchObject({ status: 'resolved' });
+    const unpause = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO conversations'));
+    expect(unpause[1]).toEqual(['CUST-1', false]);
+  });
+
+  it('rejects a handoff that is already resolved', async () => {
+    const client = {
+      query: jest.fn(async (sql) => (sql.includes('SELECT * FROM handoffs') ? { rows: [handoff({ status: 'resolved' })] } : { rows: [] }))
+    };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+
+    await expect(HandoffService.resolve('HO-1', 'USR-1')).rejects.toBeInstanceOf(ConflictError);
+  });
+});
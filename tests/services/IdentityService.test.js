@@ -0,0 +1,329 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/AIAgentService', () => ({ forgetConversation: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ notifyCustomer: jest.fn() }));
+jest.mock('../../src/services/RateLimitService', () => ({ consume: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const AIAgentService = require('../../src/services/AIAgentService');
+const IdentityService = require('../../src/services/IdentityService');
+const { ConflictError, ValidationError } = require('../../src/utils/errors');
+
+const ACTIVE = {
+  carts: row => row.status === 'active',
+  handoffs: row => ['open', 'assigned'].includes(row.status)
+};
+
+// Column types as Postgres returns them
+const coerce = (column, value) => {
+  if (value === null || value === undefined) return null;
+  if (column === 'total_purchases') return Number(value).toFixed(2);
+  if (['loyalty_points', 'prescription_count'].includes(column)) return Number(value);
+  if (column === 'date_of_birth') return new Date(value);
+  return value;
+};
+
+/**
+ * Just enough of Postgres for the statements merge() and undoMerge() issue, over
+ * in-memory tables. JSONB parameters are parsed back, as Postgres would return them.
+ */
+const createDatabase = (tables) => {
+  let nextId = 1000;
+
+  const query = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    let match;
+
+    if ((match = /^SELECT \* FROM customers WHERE customer_id = ANY\(\$1\)/.exec(text))) {
+      return { rows: tables.customers.filter(row => params[0].includes(row.customer_id)).map(row => ({ ...row })) };
+    }
+
+    if ((match = /^UPDATE customers SET (.*), updated_at = NOW\(\) WHERE customer_id = \$1$/.exec(text))) {
+      const row = tables.customers.find(customer => customer.customer_id === params[0]);
+      match[1].split(', ').forEach(assignment => {
+        const [column, placeholder] = assignment.split(' = ');
+        row[column] = coerce(column, params[Number(placeholder.slice(1)) - 1]);
+      });
+      return { rows: [] };
+    }
+
+    if ((match = /^UPDATE (\w+) SET customer_id = \$2 WHERE customer_id = \$1( AND .*)? RETURNING id$/.exec(text))) {
+      const table = match[1];
+      const targetHasActive = ACTIVE[table] && tables[table].some(row => row.customer_id === params[1] && ACTIVE[table](row));
+      const moved = tables[table].filter(row => row.customer_id === params[0] &&
+        !(ACTIVE[table] && ACTIVE[table](row) && targetHasActive));
+      moved.forEach(row => { row.customer_id = params[1]; });
+      return { rows: moved.map(row => ({ id: row.id })) };
+    }
+
+    if ((match = /^UPDATE (\w+) SET customer_id = \$1 WHERE id = ANY\(\$2\) AND customer_id = \$3$/.exec(text))) {
+      tables[match[1]]
+        .filter(row => params[1].includes(row.id) && row.customer_id === params[2])
+        .forEach(row => { row.customer_id = params[0]; });
+      return { rows: [] };
+    }
+
+    if (/^SELECT 1 FROM conversations WHERE customer_id = \$1$/.test(text)) {
+      return { rows: tables.conversations.filter(row => row.customer_id === params[0]).map(() => ({})) };
+    }
+
+    if (/^DELETE FROM conversations WHERE customer_id = \$1 RETURNING \*$/.test(text)) {
+      const deleted = tables.conversations.filter(row => row.customer_id === params[0]);
+      tables.conversations = tables.conversations.filter(row => row.customer_id !== params[0]);
+      return { rows: deleted };
+    }
+
+    if (/^INSERT INTO conversations/.test(text)) {
+      const [customerId, recentMessages, contextData, lastIntent, botPaused, createdAt, updatedAt] = params;
+      if (!tables.conversations.some(row => row.customer_id === customerId)) {
+        tables.conversations.push({
+          id: nextId++,
+          customer_id: customerId,
+          recent_messages: JSON.parse(recentMessages),
+          context_data: JSON.parse(contextData),
+          last_intent: lastIntent,
+          bot_paused: botPaused,
+          created_at: createdAt,
+          updated_at: updatedAt
+        });
+      }
+      return { rows: [] };
+    }
+
+    if (/^INSERT INTO customer_merges/.test(text)) {
+      const [mergeId, source, target, reason, mergedBy, movedRows, filledFields, sourceBefore, targetBefore, dropped] = params;
+      const row = {
+        id: tables.customer_merges.length + 1,
+        merge_id: mergeId,
+        source_customer_id: source,
+        target_customer_id: target,
+        reason,
+        merged_by: mergedBy,
+        moved_rows: JSON.parse(movedRows),
+        filled_fields: JSON.parse(filledFields),
+        source_before: JSON.parse(sourceBefore),
+        target_before: JSON.parse(targetBefore),
+        dropped_conversation: dropped === null ? null : JSON.parse(dropped),
+        status: 'merged',
+        undone_by: null,
+        undone_at: null
+      };
+      tables.customer_merges.push(row);
+      return { rows: [{ ...row }] };
+    }
+
+    if (/^SELECT \* FROM customer_merges WHERE merge_id = \$1 FOR UPDATE$/.test(text)) {
+      return { rows: tables.customer_merges.filter(row => row.merge_id === params[0]).map(row => ({ ...row })) };
+    }
+
+    if (/^SELECT merge_id FROM customer_merges WHERE id > \$1/.test(text)) {
+      return {
+        rows: tables.customer_merges.filter(row => row.id > params[0] && row.status === 'merged' &&
+          (params[1].includes(row.source_customer_id) || params[1].includes(row.target_customer_id)))
+      };
+    }
+
+    if (/^UPDATE customer_merges SET status = 'undone'/.test(text)) {
+      const row = tables.customer_merges.find(merge => merge.id === params[0]);
+      Object.assign(row, { status: 'undone', undone_by: params[1], undone_at: new Date() });
+      return { rows: [{ ...row }] };
+    }
+
+    throw new Error(`Unexpected query: ${text}`);
+  };
+
+  return { query };
+};
+
+const MOVED_TABLES = [
+  'sales_history', 'orders', 'prescriptions', 'prescription_refills', 'prescription_verifications',
+  'conversation_logs', 'channel_messages', 'analytics_events', 'workflow_logs', 'web_chat_sessions'
+];
+
+const seed = () => {
+  const tables = Object.fromEntries([...MOVED_TABLES, 'carts', 'handoffs', 'conversations', 'customer_merges'].map(table => [table, []]));
+
+  tables.customers = [
+    {
+      customer_id: 'CUST-TG-1', first_name: 'Ana', last_name: 'Ruiz', status: 'Active', merged_into: null,
+      email: 'CUST-TG-1@telegram.user', phone: '@ana', telegram_id: '111', whatsapp_phone: null,
+      date_of_birth: null, city: null, zip_code: null, loyalty_points: 10, total_purchases: '5.00',
+      prescription_count: 0, allergies: 'Penicillin', medical_conditions: null
+    },
+    {
+      customer_id: 'CUST-1', first_name: 'Ana', last_name: 'Ruiz', status: 'Active', merged_into: null,
+      email: 'ana@example.com', phone: '555-123-4567', telegram_id: null, whatsapp_phone: null,
+      date_of_birth: new Date('1980-02-03T00:00:00Z'), city: 'Austin', zip_code: 78701, loyalty_points: 100,
+      total_purchases: '50.00', prescription_count: 2, allergies: 'sulfa, penicillin', medical_conditions: 'Asthma'
+    },
+    {
+      customer_id: 'CUST-2', first_name: 'Ben', last_name: 'Ortiz', status: 'Active', merged_into: null,
+      email: 'ben@example.com', phone: null, telegram_id: null, whatsapp_phone: null,
+      date_of_birth: null, city: null, zip_code: null, loyalty_points: 0, total_purchases: '0.00',
+      prescription_count: 0, allergies: null, medical_conditions: null
+    }
+  ];
+
+  tables.sales_history.push(
+    { id: 1, customer_id: 'CUST-TG-1' }, { id: 2, customer_id: 'CUST-TG-1' }, { id: 3, customer_id: 'CUST-1' }
+  );
+  tables.orders.push({ id: 1, customer_id: 'CUST-TG-1' });
+  tables.conversation_logs.push({ id: 1, customer_id: 'CUST-TG-1' }, { id: 2, customer_id: 'CUST-1' });
+  tables.carts.push(
+    { id: 1, customer_id: 'CUST-TG-1', status: 'active' },
+    { id: 2, customer_id: 'CUST-TG-1', status: 'abandoned' },
+    { id: 3, customer_id: 'CUST-1', status: 'active' }
+  );
+  tables.handoffs.push(
+    { id: 1, customer_id: 'CUST-TG-1', status: 'open' },
+    { id: 2, customer_id: 'CUST-TG-1', status: 'resolved' }
+  );
+  tables.conversations.push(
+    { id: 1, customer_id: 'CUST-TG-1', recent_messages: [{ role: 'user', content: 'hi' }], context_data: { cart: 1 }, last_intent: 'greeting', bot_paused: false, created_at: '2024-01-01T00:00:00.000Z', updated_at: '2024-01-02T00:00:00.000Z' },
+    { id: 2, customer_id: 'CUST-1', recent_messages: [], context_data: {}, last_intent: null, bot_paused: false, created_at: '2024-01-01T00:00:00.000Z', updated_at: '2024-01-01T00:00:00.000Z' }
+  );
+
+  return tables;
+};
+
+// Everything but surrogate ids and row order, which a re-inserted row does not keep
+const snapshot = (tables) => JSON.parse(JSON.stringify({
+  ...tables,
+  conversations: tables.conversations
+    .map(({ id, ...row }) => row)
+    .sort((a, b) => a.customer_id.localeCompare(b.customer_id)),
+  customer_merges: undefined
+}));
+
+const owners = (rows) => Object.fromEntries(rows.map(row => [row.id, row.customer_id]));
+const customer = (tables, customerId) => tables.customers.find(row => row.customer_id === customerId);
+
+let tables;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tables = seed();
+  const database = createDatabase(tables);
+  DatabaseService.query.mockImplementation(database.query);
+  DatabaseService.transaction.mockImplementation(fn => fn({ query: database.query }));
+});
+
+describe('IdentityService.mergeCustomers', () => {
+  it('moves related rows, keeping one active cart and open handoff per customer', async () => {
+    const merge = await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1', { reason: 'manual', mergedBy: 'USR-1' });
+
+    expect(owners(tables.sales_history)).toEqual({ 1: 'CUST-1', 2: 'CUST-1', 3: 'CUST-1' });
+    expect(owners(tables.orders)).toEqual({ 1: 'CUST-1' });
+    expect(owners(tables.conversation_logs)).toEqual({ 1: 'CUST-1', 2: 'CUST-1' });
+    // The target already has an active cart; the source's stays behind
+    expect(owners(tables.carts)).toEqual({ 1: 'CUST-TG-1', 2: 'CUST-1', 3: 'CUST-1' });
+    expect(owners(tables.handoffs)).toEqual({ 1: 'CUST-1', 2: 'CUST-1' });
+    // The target's conversation wins; the source's is kept on the merge record
+    expect(tables.conversations.map(row => row.customer_id)).toEqual(['CUST-1']);
+
+    expect(merge).toMatchObject({
+      source_customer_id: 'CUST-TG-1',
+      target_customer_id: 'CUST-1',
+      merged_by: 'USR-1',
+      moved_rows: { sales_history: [1, 2], carts: [2], handoffs: [1, 2] },
+      dropped_conversation: { customer_id: 'CUST-TG-1', last_intent: 'greeting' }
+    });
+    expect(AIAgentService.forgetConversation).toHaveBeenCalledWith('CUST-TG-1');
+    expect(AIAgentService.forgetConversation).toHaveBeenCalledWith('CUST-1');
+  });
+
+  it('sums counters, fills missing fields, combines safety information and moves channel addresses', async () => {
+    await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1');
+
+    expect(customer(tables, 'CUST-1')).toMatchObject({
+      loyalty_points: 110,
+      total_purchases: '55.00',
+      prescription_count: 2,
+      telegram_id: '111',
+      email: 'ana@example.com',
+      phone: '555-123-4567',
+      allergies: 'sulfa, penicillin',
+      medical_conditions: 'Asthma'
+    });
+    expect(customer(tables, 'CUST-TG-1')).toMatchObject({
+      status: 'Merged',
+      merged_into: 'CUST-1',
+      telegram_id: null,
+      loyalty_points: 0,
+      total_purchases: '0.00'
+    });
+  });
+
+  it('fills the target from the source and combines allergies', async () => {
+    await IdentityService.mergeCustomers('CUST-1', 'CUST-2');
+
+    expect(customer(tables, 'CUST-2')).toMatchObject({
+      email: 'ben@example.com',
+      phone: '555-123-4567',
+      city: 'Austin',
+      zip_code: 78701,
+      date_of_birth: new Date('1980-02-03T00:00:00Z'),
+      allergies: 'sulfa, penicillin',
+      medical_conditions: 'Asthma'
+    });
+    // Email is unique and not moved when the target has a real one
+    expect(customer(tables, 'CUST-1').email).toBe('ana@example.com');
+  });
+
+  it('refuses to merge a customer into itself or an already merged customer', async () => {
+    await expect(IdentityService.mergeCustomers('CUST-1', 'CUST-1')).rejects.toBeInstanceOf(ValidationError);
+
+    await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1');
+
+    await expect(IdentityService.mergeCustomers('CUST-2', 'CUST-TG-1')).rejects.toBeInstanceOf(ConflictError);
+  });
+});
+
+describe('IdentityService.undoMerge', () => {
+  it('restores every table and both customers exactly', async () => {
+    const before = snapshot(tables);
+
+    const merge = await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1');
+    const undone = await IdentityService.undoMerge(merge.merge_id, { undoneBy: 'USR-2' });
+
+    expect(snapshot(tables)).toEqual(before);
+    expect(undone).toMatchObject({ status: 'undone', undone_by: 'USR-2' });
+  });
+
+  it('restores filled-in fields on the target', async () => {
+    const before = snapshot(tables);
+
+    const merge = await IdentityService.mergeCustomers('CUST-1', 'CUST-2');
+    await IdentityService.undoMerge(merge.merge_id);
+
+    expect(snapshot(tables)).toEqual(before);
+  });
+
+  it('keeps edits made to the target since the merge', async () => {
+    const merge = await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1');
+    const target = customer(tables, 'CUST-1');
+    target.telegram_id = '222';
+    target.loyalty_points += 5;
+
+    await IdentityService.undoMerge(merge.merge_id);
+
+    expect(customer(tables, 'CUST-1')).toMatchObject({ telegram_id: '222', loyalty_points: 105 });
+    // The source only gets its address back once the target has given it up
+    expect(customer(tables, 'CUST-TG-1')).toMatchObject({ status: 'Active', telegram_id: null, loyalty_points: 10 });
+  });
+
+  it('requires later merges involving either customer to be undone first', async () => {
+    const first = await IdentityService.mergeCustomers('CUST-TG-1', 'CUST-1');
+    const second = await IdentityService.mergeCustomers('CUST-1', 'CUST-2');
+
+    await expect(IdentityService.undoMerge(first.merge_id)).rejects.toMatchObject({
+      statusCode: 409,
+      details: { merge_ids: [second.merge_id] }
+    });
+
+    await IdentityService.undoMerge(second.merge_id);
+    await IdentityService.undoMerge(first.merge_id);
+
+    await expect(IdentityService.undoMerge(first.merge_id)).rejects.toBeInstanceOf(ConflictError);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ queueNotification: jest.fn() }));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/QueueService', () => ({ enqueue: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const NotificationService = require('../../src/services/NotificationService');
+const QueueService = require('../../src/services/QueueService');
+const OrderService = require('../../src/services/OrderService');
+const { ValidationError } = require('../../src/utils/errors');
+
+let order;
+let verifications;
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  order = { order_id: 'ORD-1', customer_id: 'CUST-1', status: 'awaiting_prescription', total: '12.50' };
+  verifications = [{ order_id: 'ORD-1', status: 'approved' }, { order_id: 'ORD-1', status: 'pending' }];
+
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (/^\s*SELECT \* FROM orders/.test(sql)) {
+        return { rows: params[0] === order.order_id ? [{ ...order }] : [] };
+      }
+      if (/SELECT COUNT\(\*\)::int AS count FROM prescription_verifications/.test(sql)) {
+        return { rows: [{ count: verifications.filter(row => ['pending', 'claimed'].includes(row.status)).length }] };
+      }
+      if (/UPDATE prescription_verifications/.test(sql)) {
+        verifications.filter(row => ['pending', 'claimed'].includes(row.status)).forEach(row => { row.status = 'cancelled'; });
+        return { rows: [] };
+      }
+      if (/UPDATE orders/.test(sql)) {
+        order.status = params[1];
+        return { rows: [{ ...order }] };
+      }
+      return { rows: [] };
+    })
+  };
+  DatabaseService.transaction.mockImplementation(fn => fn(client));
+});
+
+describe('OrderService.transitionStatus', () => {
+  it('rejects unknown statuses and illegal transitions', async () => {
+    await expect(OrderService.transitionStatus('ORD-1', 'shipped')).rejects.toBeInstanceOf(ValidationError);
+    await expect(OrderService.transitionStatus('ORD-1', 'delivered')).rejects.toMatchObject({
+      statusCode: 409,
+      details: { allowed: ['confirmed', 'cancelled'] }
+    });
+    expect(order.status).toBe('awaiting_prescription');
+  });
+
+  it.each(['pending', 'claimed'])('refuses to confirm while a verification is %s', async (status) => {
+    verifications[1].status = status;
+
+    await expect(OrderService.transitionStatus('ORD-1', 'confirmed', { changedBy: 'USR-1' }))
+      .rejects.toMatchObject({ statusCode: 409, details: { outstanding_verifications: 1 } });
+    expect(order.status).toBe('awaiting_prescription');
+    expect(NotificationService.queueNotification).not.toHaveBeenCalled();
+  });
+
+  it('confirms once every verification is decided', async () => {
+    verifications[1].status = 'approved';
+
+    const updated = await OrderService.transitionStatus('ORD-1', 'confirmed', { changedBy: 'PHARM-1' });
+
+    expect(updated.status).toBe('confirmed');
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO order_status_history'),
+      ['ORD-1', 'awaiting_prescription', 'confirmed', 'PHARM-1', null]);
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1', expect.stringContaining('confirmed'));
+  });
+
+  it('cancels outstanding verifications with the order', async () => {
+    await OrderService.transitionStatus('ORD-1', 'cancelled', { reason: 'Customer request' });
+
+    expect(order.status).toBe('cancelled');
+    expect(verifications.map(row => row.status)).toEqual(['approved', 'cancelled']);
+  });
+
+  it('reports a missing order', async () => {
+    await expect(OrderService.transitionStatus('ORD-404', 'cancelled')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('OrderService order lifecycle', () => {
+  const restocks = () => client.query.mock.calls.filter(([sql]) => sql.includes('SET stock_quantity = p.stock_quantity + sh.quantity'));
+
+  it('puts the items back on the shelf when an unfulfilled order is cancelled', async () => {
+    order.status = 'confirmed';
+
+    await OrderService.transitionStatus('ORD-1', 'cancelled');
+
+    expect(restocks()).toHaveLength(1);
+    expect(restocks()[0][1]).toEqual(['ORD-1']);
+  });
+
+  it('does not restock orders that already left the pharmacy', async () => {
+    order.status = 'out_for_delivery';
+    await expect(OrderService.transitionStatus('ORD-1', 'cancelled')).rejects.toMatchObject({ statusCode: 409 });
+
+    order.status = 'delivered';
+    await OrderService.transitionStatus('ORD-1', 'refunded');
+
+    expect(restocks()).toHaveLength(0);
+  });
+
+  it('tells the customer about the new status, with the reason for cancellations', async () => {
+    await OrderService.transitionStatus('ORD-1', 'cancelled', { reason: 'Out of stock' });
+
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1',
+      '❌ Your order ORD-1 has been cancelled. Reason: Out of stock');
+  });
+
+  it('stays quiet when asked not to notify', async () => {
+    await OrderService.transitionStatus('ORD-1', 'cancelled', { notify: false });
+
+    expect(NotificationService.queueNotification).not.toHaveBeenCalled();
+  });
+
+  it('queues a receipt once the order is delivered', async () => {
+    order.status = 'ready_for_pickup';
+
+    await OrderService.transitionStatus('ORD-1', 'delivered');
+
+    expect(QueueService.enqueue).toHaveBeenCalledWith('outbound-messages', 'receipt', { orderId: 'ORD-1' });
+  });
+
+  it('only allows the documented transitions', () => {
+    expect(OrderService.canTransition('pending', 'awaiting_prescription')).toBe(true);
+    expect(OrderService.canTransition('refunded', 'pending')).toBe(false);
+    expect(OrderService.canTransition('unknown', 'confirmed')).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+const PiiRedactor = require('../../src/services/PiiRedactor');
+
+const CUSTOMER = {
+  first_name: 'May',
+  last_name: 'Chen',
+  email: 'may.chen@example.com',
+  phone: '+1 555 123 4567',
+  insurance_id: 'BCX-99812',
+  address_line1: '42 Elm Street',
+  date_of_birth: new Date('1985-03-09T00:00:00Z')
+};
+
+describe('PiiRedactor.redact / restore', () => {
+  it('round-trips the customer record and typed details', () => {
+    const redactor = PiiRedactor.forCustomer(CUSTOMER);
+    const text = 'Hi, May Chen here (may.chen@example.com). Ship to 42 Elm Street, or call (555) 987-6543. SSN 123-45-6789.';
+
+    const redacted = redactor.redact(text);
+
+    expect(redacted).not.toMatch(/May|Chen|example\.com|Elm|987|6789/);
+    expect(redacted).toContain('[NAME_1]');
+    expect(redactor.restore(redacted)).toBe(text);
+  });
+
+  it('keeps the parenthesized area code inside the phone placeholder', () => {
+    const redactor = new PiiRedactor();
+
+    const redacted = redactor.redact('Call me at (555) 987-6543 please');
+
+    expect(redacted).toBe('Call me at [PHONE_1] please');
+    expect(redactor.restore('We will call [PHONE_1].')).toBe('We will call (555) 987-6543.');
+  });
+
+  it('gives the same value the same placeholder every time', () => {
+    const redactor = new PiiRedactor();
+
+    expect(redactor.redact('a@b.com and a@b.com')).toBe('[EMAIL_1] and [EMAIL_1]');
+  });
+
+  it('matches customer names case-sensitively', () => {
+    const redactor = PiiRedactor.forCustomer(CUSTOMER);
+
+    expect(redactor.redact('May I get vitamin C? You may.')).toBe('[NAME_1] I get vitamin C? You may.');
+  });
+
+  it('leaves order dates and IDs in structured data alone', () => {
+    const redactor = new PiiRedactor();
+    const data = '{"order_id":"ORD-1","created":"2024-01-15","product_id":"1234567"}';
+
+    expect(redactor.redact(data, { freeText: false })).toBe(data);
+  });
+
+  it('passes text through when disabled', () => {
+    const redactor = new PiiRedactor({ enabled: false });
+
+    expect(redactor.redact('a@b.com')).toBe('a@b.com');
+  });
+
+  it('restores placeholders in parsed JSON', () => {
+    const redactor = new PiiRedactor();
+    redactor.redact('my email is a@b.com');
+
+    expect(redactor.restoreValue({ to: ['[EMAIL_1]'], n: 1 })).toEqual({ to: ['a@b.com'], n: 1 });
+  });
+});
+
+describe('PiiRedactor.createStreamRestorer', () => {
+  const stream = (redactor, deltas) => {
+    const received = [];
+    const restorer = redactor.createStreamRestorer(token => received.push(token));
+    deltas.forEach(restorer.write);
+    restorer.flush();
+    return received;
+  };
+
+  it('restores a placeholder split across deltas', () => {
+    const redactor = new PiiRedactor();
+    redactor.redact('call (555) 987-6543');
+
+    const received = stream(redactor, ['We will call [PH', 'ONE', '_1', '] today.']);
+
+    expect(received.join('')).toBe('We will call (555) 987-6543 today.');
+    expect(received.some(token => token.includes('['))).toBe(false);
+  });
+
+  it('flushes an unfinished bracket at the end', () => {
+    const redactor = new PiiRedactor();
+    redactor.redact('a@b.com');
+
+    expect(stream(redactor, ['See note [', 'EMAIL']).join('')).toBe('See note [EMAIL');
+  });
+
+  it('does not hold back ordinary brackets for long', () => {
+    const redactor = new PiiRedactor();
+    redactor.redact('a@b.com');
+
+    const received = stream(redactor, ['[see the label on the bottle', ' for directions]']);
+
+    expect(received[0]).toBe('[see the label on the bottle');
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ queueNotification: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const NotificationService = require('../../src/services/NotificationService');
+const PrescriptionService = require('../../src/services/PrescriptionService');
+const { ConflictError, NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+const prescription = (overrides = {}) => ({
+  prescription_id: 'RX-1',
+  customer_id: 'CUST-1',
+  drug_name: 'Amoxicillin',
+  status: 'active',
+  expiry_date: tomorrow(),
+  refills_authorized: 3,
+  refills_remaining: 2,
+  ...overrides
+});
+
+// Answers each statement in the transaction with the first handler whose pattern matches it
+const useClient = (handlers) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      return handler ? handler[1](params) : { rows: [] };
+    })
+  };
+  DatabaseService.transaction.mockImplementation(fn => fn(client));
+  return client;
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('PrescriptionService.createPrescription', () => {
+  it('requires an expiry date after the written date', async () => {
+    await expect(PrescriptionService.createPrescription({
+      customer_id: 'CUST-1',
+      drug_name: 'Amoxicillin',
+      quantity: 30,
+      prescriber_name: 'Dr. Lee',
+      written_date: '2024-05-01',
+      expiry_date: '2024-04-01'
+    })).rejects.toBeInstanceOf(ValidationError);
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+  });
+
+  it('starts with every authorized refill remaining', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [prescription()] });
+
+    await PrescriptionService.createPrescription({
+      customer_id: 'CUST-1',
+      drug_name: 'Amoxicillin',
+      quantity: 30,
+      refills_authorized: 3,
+      prescriber_name: 'Dr. Lee',
+      expiry_date: tomorrow().toISOString()
+    });
+
+    const [sql, params] = DatabaseService.query.mock.calls[0];
+    expect(sql).toContain('$8, $9, $9, $10');
+    expect(params[8]).toBe(3);
+  });
+});
+
+describe('PrescriptionService.checkRefillEligibility', () => {
+  it.each([
+    [{ status: 'cancelled' }, 'Prescription is cancelled'],
+    [{ expiry_date: new Date('2020-01-01') }, 'Prescription has expired'],
+    [{ refills_remaining: 0 }, 'No refills remaining']
+  ])('refuses %o', (overrides, reason) => {
+    expect(PrescriptionService.checkRefillEligibility(prescription(overrides))).toEqual({ eligible: false, reason });
+  });
+
+  it('accepts an active prescription with refills left', () => {
+    expect(PrescriptionService.checkRefillEligibility(prescription())).toEqual({ eligible: true, refills_remaining: 2 });
+  });
+});
+
+describe('PrescriptionService.requestRefill', () => {
+  it('uses up a refill and numbers the request', async () => {
+    const client = useClient([
+      [/SELECT \* FROM prescriptions/, () => ({ rows: [prescription()] })],
+      [/INSERT INTO prescription_refills/, (params) => ({ rows: [{ request_id: params[0], refill_number: params[3] }] })]
+    ]);
+
+    const refill = await PrescriptionService.requestRefill('RX-1', { customerId: 'CUST-1', channel: 'telegram' });
+
+    expect(refill).toMatchObject({ refill_number: 2, refills_remaining: 1, drug_name: 'Amoxicillin' });
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE prescriptions'), ['RX-1', 1]);
+  });
+
+  it("hides other customers' prescriptions", async () => {
+    useClient([[/SELECT \* FROM prescriptions/, () => ({ rows: [prescription({ customer_id: 'CUST-2' })] })]]);
+
+    await expect(PrescriptionService.requestRefill('RX-1', { customerId: 'CUST-1' })).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('allows one refill in progress at a time', async () => {
+    useClient([
+      [/SELECT \* FROM prescriptions/, () => ({ rows: [prescription()] })],
+      [/SELECT request_id FROM prescription_refills/, () => ({ rows: [{ request_id: 'RF-1' }] })]
+    ]);
+
+    await expect(PrescriptionService.requestRefill('RX-1')).rejects.toMatchObject({
+      statusCode: 409,
+      details: { request_id: 'RF-1' }
+    });
+  });
+});
+
+describe('PrescriptionService.updateRefillStatus', () => {
+  const refillRow = (status) => [/FROM prescription_refills r/, () => ({
+    rows: [{ request_id: 'RF-1', prescription_id: 'RX-1', customer_id: 'CUST-1', status, drug_name: 'Amoxicillin' }]
+  })];
+  const updated = (params) => ({ rows: [{ request_id: params[0], customer_id: 'CUST-1', status: params[1] }] });
+
+  it('gives the refill back when a request is cancelled', async () => {
+    const client = useClient([refillRow('requested'), [/UPDATE prescription_refills/, updated]]);
+
+    await PrescriptionService.updateRefillStatus('RF-1', 'cancelled');
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('refills_remaining = refills_remaining + 1'), ['RX-1']);
+  });
+
+  it('tells the customer when the refill is ready', async () => {
+    useClient([refillRow('processing'), [/UPDATE prescription_refills/, updated]]);
+
+    await PrescriptionService.updateRefillStatus('RF-1', 'ready', { handledBy: 'PHARM-1' });
+
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1',
+      expect.stringContaining('Your refill of Amoxicillin is ready'),
+      expect.objectContaining({ email: expect.objectContaining({ template: 'refill_ready' }) }));
+  });
+
+  it('refuses to move a finished request', async () => {
+    useClient([refillRow('picked_up')]);
+
+    await expect(PrescriptionService.updateRefillStatus('RF-1', 'cancelled')).rejects.toBeInstanceOf(ConflictError);
+    await expect(PrescriptionService.updateRefillStatus('RF-1', 'lost')).rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), listen: jest.fn() }));
+jest.mock('../../src/services/QueueService', () => ({ isInitialized: false, enqueue: jest.fn() }));
+jest.mock('../../src/services/llm', () => ({ createLLMProvider: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const { createLLMProvider } = require('../../src/services/llm');
+const ProductEmbeddingService = require('../../src/services/ProductEmbeddingService');
+const ProductService = require('../../src/services/ProductService');
+
+const product = {
+  product_id: 'PROD-1',
+  name: 'Ibuprofen 200mg',
+  brand: 'Advil',
+  category: 'Pain Relief',
+  description: 'Relieves minor aches',
+  active_ingredients: 'Ibuprofen',
+  side_effects: null
+};
+
+const provider = { name: 'fake', embeddingModel: 'text-embedding-3-small', embed: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ProductEmbeddingService.llm = null;
+  createLLMProvider.mockReturnValue(provider);
+  provider.embed.mockResolvedValue([[0.1, 0.2, 0.3]]);
+});
+
+describe('ProductEmbeddingService.indexProduct', () => {
+  const upserts = () => DatabaseService.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO product_embeddings'));
+
+  it('embeds the product text and upserts it with its hash and model', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ ...product, content_hash: null }] }).mockResolvedValue({ rows: [] });
+
+    await expect(ProductEmbeddingService.indexProduct('PROD-1')).resolves.toEqual({ productId: 'PROD-1', indexed: true });
+
+    const text = 'Ibuprofen 200mg\nAdvil\nPain Relief\nRelieves minor aches\nActive ingredients: Ibuprofen';
+    expect(provider.embed).toHaveBeenCalledWith(text);
+    expect(upserts()).toHaveLength(1);
+    expect(upserts()[0][0]).toContain('ON CONFLICT (product_id)');
+    expect(upserts()[0][1]).toEqual(['PROD-1', '[0.1,0.2,0.3]', ProductEmbeddingService.hashText(text), 'text-embedding-3-small']);
+  });
+
+  it('skips products whose text has not changed unless forced', async () => {
+    const contentHash = ProductEmbeddingService.hashText(ProductEmbeddingService.buildProductText(product));
+    DatabaseService.query.mockResolvedValue({ rows: [{ ...product, content_hash: contentHash }] });
+
+    await expect(ProductEmbeddingService.indexProduct('PROD-1')).resolves.toMatchObject({ indexed: false, reason: 'Unchanged' });
+    expect(provider.embed).not.toHaveBeenCalled();
+
+    await expect(ProductEmbeddingService.indexProduct('PROD-1', { force: true })).resolves.toMatchObject({ indexed: true });
+    expect(upserts()).toHaveLength(1);
+  });
+
+  it('reports products that do not exist', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+
+    await expect(ProductEmbeddingService.indexProduct('PROD-404')).resolves.toEqual({
+      productId: 'PROD-404', indexed: false, reason: 'Product not found'
+    });
+  });
+});
+
+describe('ProductEmbeddingService.reindexAll', () => {
+  it('counts indexed, skipped and failed products', async () => {
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ product_id: 'A' }, { product_id: 'B' }, { product_id: 'C' }] });
+    jest.spyOn(ProductEmbeddingService, 'indexProduct')
+      .mockResolvedValueOnce({ indexed: true })
+      .mockResolvedValueOnce({ indexed: false })
+      .mockRejectedValueOnce(new Error('rate limited'));
+
+    await expect(ProductEmbeddingService.reindexAll()).resolves.toEqual({ total: 3, indexed: 1, skipped: 1, failed: 1 });
+
+    ProductEmbeddingService.indexProduct.mockRestore();
+  });
+});
+
+describe('ProductService.semanticSearch', () => {
+  it('blends vector similarity with text rank', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ product_id: 'PROD-1', score: 0.8 }] });
+
+    await expect(ProductService.semanticSearch('headache', 5)).resolves.toEqual([{ product_id: 'PROD-1', score: 0.8 }]);
+    expect(DatabaseService.query).toHaveBeenCalledWith(expect.stringContaining('pe.embedding <=> $2::vector'),
+      ['headache', '[0.1,0.2,0.3]', 20, 0.6, 5]);
+  });
+
+  it('falls back to keyword search when embeddings are unavailable', async () => {
+    provider.embed.mockRejectedValue(new Error('no API key'));
+    DatabaseService.query.mockResolvedValue({ rows: [{ product_id: 'PROD-2' }] });
+
+    await expect(ProductService.semanticSearch('headache', 5)).resolves.toEqual([{ product_id: 'PROD-2' }]);
+    expect(DatabaseService.query).toHaveBeenCalledWith(expect.stringContaining('ILIKE'), ['%headache%', 5]);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const SafetyService = require('../../src/services/SafetyService');
+
+const ibuprofen = { product_id: 'PROD-1', name: 'Advil 200mg', active_ingredients: 'Ibuprofen 200mg', contraindications: 'Stomach ulcers; kidney disease' };
+const acetaminophen = { product_id: 'PROD-2', name: 'Tylenol', active_ingredients: 'Acetaminophen 500mg', contraindications: 'Liver disease' };
+const amoxicillin = { product_id: 'PROD-3', name: 'Amoxicillin 500mg', active_ingredients: 'Amoxicillin' };
+
+// Answers the profile, recent purchase and interaction lookups checkProducts makes
+const givenCustomer = ({ allergies = null, conditions = null, recent = [], interactions = [] } = {}) => {
+  DatabaseService.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM customers')) {
+      return { rows: [{ customer_id: 'CUST-1', allergies, medical_conditions: conditions }] };
+    }
+    if (sql.includes('FROM sales_history')) {
+      return { rows: recent };
+    }
+    if (sql.includes('FROM drug_interactions')) {
+      return { rows: interactions };
+    }
+    return { rows: [] };
+  });
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('SafetyService.checkProducts', () => {
+  it('withholds products in an allergy class', async () => {
+    givenCustomer({ allergies: 'Penicillin, NSAIDs' });
+
+    const result = await SafetyService.checkProducts('CUST-1', [ibuprofen, acetaminophen, amoxicillin]);
+
+    expect(result.products.map(product => product.product_id)).toEqual(['PROD-2']);
+    expect(result.withheld).toEqual([
+      { product_id: 'PROD-1', name: 'Advil 200mg', reasons: ["Contains ibuprofen, which matches the customer's nsaids allergy"] },
+      { product_id: 'PROD-3', name: 'Amoxicillin 500mg', reasons: ["Contains amoxicillin, which matches the customer's penicillin allergy"] }
+    ]);
+  });
+
+  it('ignores placeholder allergy entries', async () => {
+    givenCustomer({ allergies: 'None; NKDA' });
+
+    const result = await SafetyService.checkProducts('CUST-1', [ibuprofen]);
+
+    expect(result.withheld).toEqual([]);
+    expect(result.products[0].safety).toEqual({ severity: 'none', flags: [] });
+  });
+
+  it('withholds products contraindicated for a medical condition', async () => {
+    givenCustomer({ conditions: 'Kidney disease' });
+
+    const result = await SafetyService.checkProducts('CUST-1', [ibuprofen, acetaminophen]);
+
+    expect(result.withheld.map(product => product.product_id)).toEqual(['PROD-1']);
+  });
+
+  it('flags interactions with recent purchases and withholds only high severity', async () => {
+    givenCustomer({
+      recent: [{ product_id: 'PROD-9', name: 'Warfarin 5mg', active_ingredients: 'Warfarin' }],
+      interactions: [
+        { ingredient_a: 'ibuprofen', ingredient_b: 'warfarin', severity: 'high', description: 'Bleeding risk' },
+        { ingredient_a: 'acetaminophen', ingredient_b: 'warfarin', severity: 'moderate', description: 'May raise INR' }
+      ]
+    });
+
+    const result = await SafetyService.checkProducts('CUST-1', [ibuprofen, acetaminophen]);
+
+    expect(result.withheld).toEqual([{
+      product_id: 'PROD-1',
+      name: 'Advil 200mg',
+      reasons: ['ibuprofen interacts with warfarin (in Warfarin 5mg, bought recently): Bleeding risk']
+    }]);
+    expect(result.products[0].safety).toMatchObject({
+      severity: 'moderate',
+      flags: [{ type: 'interaction', ingredient: 'acetaminophen', interacts_with: 'warfarin' }]
+    });
+  });
+
+  it('does not treat buying the same product again as an interaction', async () => {
+    givenCustomer({
+      recent: [{ product_id: 'PROD-1', name: 'Advil 200mg', active_ingredients: 'Ibuprofen' }],
+      interactions: [{ ingredient_a: 'ibuprofen', ingredient_b: 'ibuprofen', severity: 'high', description: 'Duplicate therapy' }]
+    });
+
+    const result = await SafetyService.checkProducts('CUST-1', [ibuprofen]);
+
+    expect(result.withheld).toEqual([]);
+  });
+
+  it('passes products through for unknown customers', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+
+    await expect(SafetyService.checkProducts('CUST-404', [ibuprofen])).resolves.toEqual({ products: [ibuprofen], withheld: [] });
+    await expect(SafetyService.checkProducts(null, [ibuprofen])).resolves.toEqual({ products: [ibuprofen], withheld: [] });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/CustomerService', () => ({ updateCustomer: jest.fn() }));
+jest.mock('../../src/services/ChannelMessageService', () => ({
+  recordInbound: jest.fn(),
+  recordOutbound: jest.fn(),
+  updateOutboundStatus: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const CustomerService = require('../../src/services/CustomerService');
+const ChannelMessageService = require('../../src/services/ChannelMessageService');
+const SmsBotService = require('../../src/services/SmsBot');
+
+let bot;
+
+beforeEach(async () => {
+  bot = new SmsBotService();
+  await bot.initialize();
+  jest.spyOn(bot.adapter, 'resolveCustomer').mockResolvedValue({ customer_id: 'CUST-SMS-1' });
+  jest.spyOn(bot.adapter, 'handleInbound').mockResolvedValue({});
+  ChannelMessageService.recordInbound.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('SmsBotService keywords', () => {
+  it('withdraws marketing consent on STOP without reaching the assistant', async () => {
+    await bot.processWebhook({ from: '+15550001', text: 'stop' });
+
+    expect(CustomerService.updateCustomer).toHaveBeenCalledWith('CUST-SMS-1', { marketing_consent: false });
+    expect(bot.provider.getOutbox('+15550001')[0].body).toMatch(/unsubscribed from pharmacy promotions/);
+    expect(bot.adapter.handleInbound).not.toHaveBeenCalled();
+  });
+
+  it('restores consent on START and answers HELP', async () => {
+    await bot.processWebhook({ from: '+15550001', text: 'Start' });
+    await bot.processWebhook({ from: '+15550001', text: 'HELP' });
+
+    expect(CustomerService.updateCustomer).toHaveBeenCalledTimes(1);
+    expect(CustomerService.updateCustomer).toHaveBeenCalledWith('CUST-SMS-1', { marketing_consent: true });
+    expect(bot.provider.getOutbox('+15550001').map(message => message.body)[1]).toMatch(/Text us your question/);
+  });
+
+  it('leaves the STOP reply to providers that send their own', async () => {
+    bot.provider.repliesToOptOutKeywords = true;
+
+    await bot.processWebhook({ from: '+15550001', text: 'STOP' });
+
+    expect(bot.provider.getOutbox()).toEqual([]);
+  });
+
+  it('passes other messages to the adapter', async () => {
+    await bot.processWebhook({ from: '+15550001', text: 'Please stop by later', messageId: 'IN-1' });
+
+    expect(bot.adapter.handleInbound).toHaveBeenCalledWith({ from: '+15550001', text: 'Please stop by later', messageId: 'IN-1' });
+  });
+});
+
+describe('SmsBotService.processWebhook', () => {
+  it('skips redelivered messages', async () => {
+    ChannelMessageService.recordInbound.mockResolvedValue(false);
+
+    await bot.processWebhook({ from: '+15550001', text: 'hello', messageId: 'IN-1' });
+
+    expect(bot.adapter.handleInbound).not.toHaveBeenCalled();
+  });
+
+  it('records delivery statuses', async () => {
+    await bot.processWebhook({ messageId: 'SMS-1', status: 'delivered', to: '+15550001' });
+
+    expect(ChannelMessageService.updateOutboundStatus).toHaveBeenCalledWith('sms', 'SMS-1', 'delivered', expect.objectContaining({ recipient: '+15550001' }));
+  });
+});
+
+describe('SmsBotService.sendNotification', () => {
+  it('skips customers without a usable phone number', async () => {
+    await expect(bot.sendNotification({ phone: '@telegram_user' }, 'Ready')).resolves.toBe(false);
+    await expect(bot.sendNotification({ phone: '+1 (555) 000-1234' }, 'Ready')).resolves.toBe(true);
+    expect(bot.provider.getOutbox('+1 (555) 000-1234')).toHaveLength(1);
+  });
+});
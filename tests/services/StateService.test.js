@@ -0,0 +1,50 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const StateService = require('../../src/services/StateService');
+const { MemoryStateStore } = require('../../src/services/state');
+const { ConflictError } = require('../../src/utils/errors');
+
+beforeEach(() => {
+  StateService.store = new MemoryStateStore();
+});
+
+describe('StateService.update', () => {
+  it('runs mutate again on the fresh value when another writer got in first', async () => {
+    await StateService.store.compareAndSet('counter', 1, 0);
+
+    const mutate = jest.fn(async (value) => {
+      // A concurrent writer bumps the value between this read and the write, once
+      if (mutate.mock.calls.length === 1) {
+        const entry = await StateService.store.get('counter');
+        await StateService.store.compareAndSet('counter', entry.value + 10, entry.version);
+      }
+      return value + 1;
+    });
+
+    await expect(StateService.update('counter', mutate)).resolves.toBe(12);
+    expect(mutate).toHaveBeenCalledTimes(2);
+    expect(await StateService.get('counter')).toBe(12);
+  });
+
+  it('gives up with a ConflictError when every attempt loses the race', async () => {
+    jest.spyOn(StateService.store, 'compareAndSet').mockResolvedValue(false);
+    const mutate = jest.fn(value => value);
+
+    await expect(StateService.update('busy', mutate)).rejects.toBeInstanceOf(ConflictError);
+    expect(mutate).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('StateService.withLock', () => {
+  it('runs fn anyway when the lock stays taken past waitMs', async () => {
+    await StateService.store.acquireLock('held', 'someone-else', 60000);
+
+    await expect(StateService.withLock('held', async () => 'ran', { waitMs: 60 })).resolves.toBe('ran');
+  });
+
+  it('releases the lock when fn throws', async () => {
+    await expect(StateService.withLock('k', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+    expect(await StateService.store.acquireLock('k', 'next', 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('node-telegram-bot-api', () => jest.fn().mockImplementation(() => ({
+  setWebHook: jest.fn().mockResolvedValue(true),
+  processUpdate: jest.fn(),
+  stopPolling: jest.fn().mockResolvedValue()
+})));
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/ChannelMessageService', () => ({ recordInbound: jest.fn(), recordOutbound: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const TelegramBot = require('node-telegram-bot-api');
+const ChannelMessageService = require('../../src/services/ChannelMessageService');
+const TelegramBotService = require('../../src/services/TelegramBot');
+
+const ENV_KEYS = ['TELEGRAM_MODE', 'TELEGRAM_WEBHOOK_SECRET', 'TELEGRAM_WEBHOOK_URL', 'TELEGRAM_BOT_TOKEN'];
+
+const webhookService = () => {
+  process.env.TELEGRAM_MODE = 'webhook';
+  process.env.TELEGRAM_WEBHOOK_SECRET = 'tg-secret';
+  process.env.TELEGRAM_WEBHOOK_URL = 'https://pharmacy.example/webhook/telegram';
+  process.env.TELEGRAM_BOT_TOKEN = 'token';
+  return new TelegramBotService();
+};
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('TelegramBotService mode', () => {
+  it('polls unless webhook mode is configured', () => {
+    expect(new TelegramBotService().mode).toBe('polling');
+    expect(webhookService().mode).toBe('webhook');
+  });
+
+  it('registers the webhook with its secret instead of polling', async () => {
+    const service = webhookService();
+    jest.spyOn(service, 'setupEventHandlers').mockResolvedValue();
+    jest.spyOn(service, 'setupCommands').mockResolvedValue();
+
+    await service.initialize();
+
+    expect(TelegramBot).toHaveBeenCalledWith('token', expect.objectContaining({ polling: false }));
+    expect(service.bot.setWebHook).toHaveBeenCalledWith('https://pharmacy.example/webhook/telegram', expect.objectContaining({
+      secret_token: 'tg-secret'
+    }));
+    expect(service.isActive()).toBe(true);
+  });
+
+  it('refuses webhook mode without a URL and secret', async () => {
+    process.env.TELEGRAM_MODE = 'webhook';
+    process.env.TELEGRAM_BOT_TOKEN = 'token';
+    const service = new TelegramBotService();
+
+    await expect(service.initialize()).rejects.toThrow(/TELEGRAM_WEBHOOK_URL and TELEGRAM_WEBHOOK_SECRET/);
+  });
+
+  it('leaves the webhook registered when stopping', async () => {
+    const service = webhookService();
+    service.bot = new TelegramBot();
+
+    await service.stop();
+
+    expect(service.bot.stopPolling).not.toHaveBeenCalled();
+  });
+});
+
+describe('TelegramBotService.verifySecretToken', () => {
+  it('accepts only the configured secret', () => {
+    const service = webhookService();
+
+    expect(service.verifySecretToken('tg-secret')).toBe(true);
+    expect(service.verifySecretToken('tg-secreT')).toBe(false);
+    expect(service.verifySecretToken('tg')).toBe(false);
+    expect(service.verifySecretToken(undefined)).toBe(false);
+  });
+
+  it('rejects everything when no secret is configured', () => {
+    expect(new TelegramBotService().verifySecretToken('')).toBe(false);
+  });
+});
+
+describe('TelegramBotService.processWebhookUpdate', () => {
+  let service;
+
+  beforeEach(() => {
+    service = webhookService();
+    service.bot = new TelegramBot();
+  });
+
+  it('hands each update to the bot handlers once', async () => {
+    ChannelMessageService.recordInbound.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const update = { update_id: 7, message: { from: { id: 42 }, text: 'hi' } };
+
+    await service.processWebhookUpdate(update);
+    await service.processWebhookUpdate(update);
+
+    expect(ChannelMessageService.recordInbound).toHaveBeenCalledWith('telegram', 7, { sender: '42', type: 'message' });
+    expect(service.bot.processUpdate).toHaveBeenCalledTimes(1);
+    expect(service.bot.processUpdate).toHaveBeenCalledWith(update);
+  });
+
+  it('ignores updates without an update_id', async () => {
+    await service.processWebhookUpdate({ message: { text: 'hi' } });
+
+    expect(ChannelMessageService.recordInbound).not.toHaveBeenCalled();
+    expect(service.bot.processUpdate).not.toHaveBeenCalled();
+  });
+});
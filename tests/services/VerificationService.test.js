@@ -0,0 +1,131 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/OrderService', () => ({ transitionStatus: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ queueNotification: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const OrderService = require('../../src/services/OrderService');
+const NotificationService = require('../../src/services/NotificationService');
+const VerificationService = require('../../src/services/VerificationService');
+const { ConflictError, ValidationError } = require('../../src/utils/errors');
+
+const verification = (overrides = {}) => ({
+  verification_id: 'VER-1',
+  order_id: 'ORD-1',
+  transaction_id: 'TXN-1',
+  customer_id: 'CUST-1',
+  status: 'pending',
+  pharmacist_id: null,
+  prescription_id: null,
+  ...overrides
+});
+
+let client;
+
+const withVerification = (row) => {
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('UPDATE prescription_verifications') && sql.includes('decided_at = NOW()') && params.length === 5) {
+        return { rows: [{ ...row, status: params[1], pharmacist_id: params[2], prescription_id: params[3], decision_notes: params[4] }] };
+      }
+      if (sql.includes("SET status = 'claimed'")) {
+        return { rows: [{ ...row, status: 'claimed', pharmacist_id: params[1] }] };
+      }
+      return { rows: [] };
+    })
+  };
+  DatabaseService.transaction.mockImplementation(fn => fn(client));
+  jest.spyOn(VerificationService, 'lockVerification').mockResolvedValue(row);
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('VerificationService.claim', () => {
+  it('claims a pending item, and claiming it again is a no-op', async () => {
+    withVerification(verification());
+    await expect(VerificationService.claim('VER-1', 'PHARM-1')).resolves.toMatchObject({ status: 'claimed', pharmacist_id: 'PHARM-1' });
+
+    withVerification(verification({ status: 'claimed', pharmacist_id: 'PHARM-1' }));
+    await VerificationService.claim('VER-1', 'PHARM-1');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it("refuses another pharmacist's claim", async () => {
+    withVerification(verification({ status: 'claimed', pharmacist_id: 'PHARM-2' }));
+
+    await expect(VerificationService.claim('VER-1', 'PHARM-1')).rejects.toMatchObject({
+      statusCode: 409,
+      details: { pharmacist_id: 'PHARM-2' }
+    });
+  });
+});
+
+describe('VerificationService.decide', () => {
+  beforeEach(() => {
+    jest.spyOn(VerificationService, 'settleOrder').mockResolvedValue();
+  });
+
+  it('only lets the claiming pharmacist decide a claimed item', async () => {
+    withVerification(verification({ status: 'claimed', pharmacist_id: 'PHARM-2' }));
+
+    await expect(VerificationService.approve('VER-1', 'PHARM-1')).rejects.toBeInstanceOf(ConflictError);
+    expect(VerificationService.settleOrder).not.toHaveBeenCalled();
+  });
+
+  it('refuses to link a prescription from another customer', async () => {
+    withVerification(verification());
+
+    await expect(VerificationService.approve('VER-1', 'PHARM-1', { prescriptionId: 'RX-9' }))
+      .rejects.toThrow('Prescription RX-9 does not belong to this customer');
+  });
+
+  it('requires a reason to reject, and cancels the rest of the order', async () => {
+    await expect(VerificationService.reject('VER-1', 'PHARM-1')).rejects.toBeInstanceOf(ValidationError);
+
+    withVerification(verification());
+    const rejected = await VerificationService.reject('VER-1', 'PHARM-1', { reason: 'Expired prescription' });
+
+    expect(rejected).toMatchObject({ status: 'rejected', decision_notes: 'Expired prescription' });
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'cancelled'"), ['ORD-1']);
+    expect(VerificationService.settleOrder).toHaveBeenCalledWith(rejected);
+  });
+});
+
+describe('VerificationService.settleOrder', () => {
+  const outstanding = (count) => DatabaseService.query.mockResolvedValue({ rows: [{ count }] });
+
+  it('waits while other items on the order are undecided', async () => {
+    outstanding(1);
+
+    await VerificationService.settleOrder(verification({ status: 'approved', product_name: 'Amoxicillin' }));
+
+    expect(OrderService.transitionStatus).not.toHaveBeenCalled();
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1', expect.stringContaining('still reviewing'));
+  });
+
+  it('confirms the order once every item is approved', async () => {
+    outstanding(0);
+
+    await VerificationService.settleOrder(verification({ status: 'approved', pharmacist_id: 'PHARM-1' }));
+
+    expect(OrderService.transitionStatus).toHaveBeenCalledWith('ORD-1', 'confirmed', expect.objectContaining({ changedBy: 'PHARM-1' }));
+  });
+
+  it('cancels the order when an item is rejected', async () => {
+    await VerificationService.settleOrder(verification({
+      status: 'rejected', pharmacist_id: 'PHARM-1', product_name: 'Amoxicillin', decision_notes: 'Expired prescription'
+    }));
+
+    expect(OrderService.transitionStatus).toHaveBeenCalledWith('ORD-1', 'cancelled', expect.objectContaining({ notify: false }));
+    expect(NotificationService.queueNotification).toHaveBeenCalledWith('CUST-1', expect.stringContaining('Expired prescription'));
+  });
+
+  it('leaves orders a concurrent decision already moved', async () => {
+    outstanding(0);
+    OrderService.transitionStatus.mockRejectedValue(new ConflictError('Cannot move order from cancelled to confirmed'));
+
+    await expect(VerificationService.settleOrder(verification({ status: 'approved' }))).resolves.toBeUndefined();
+  });
+});
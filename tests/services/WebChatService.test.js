@@ -0,0 +1,163 @@
+jest.mock('../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ notifyCustomer: jest.fn() }));
+jest.mock('../../src/services/AIAgentService', () => ({ forgetConversation: jest.fn() }));
+jest.mock('../../src/services/IdentityService', () => ({ merge: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const DatabaseService = require('../../src/services/DatabaseService');
+const NotificationService = require('../../src/services/NotificationService');
+const AIAgentService = require('../../src/services/AIAgentService');
+const IdentityService = require('../../src/services/IdentityService');
+const WebChatService = require('../../src/services/WebChatService');
+const { AppError, ConflictError, ValidationError } = require('../../src/utils/errors');
+
+const session = (overrides = {}) => ({
+  session_id: 'WS-1',
+  customer_id: 'CUST-WEB-1',
+  guest_customer_id: 'CUST-WEB-1',
+  identified_at: null,
+  pending_customer_id: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  process.env.WEB_CHAT_SESSION_SECRET = 'web-secret';
+});
+
+afterEach(() => {
+  delete process.env.WEB_CHAT_SESSION_SECRET;
+  DatabaseService.query.mockReset();
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('WebChatService session tokens', () => {
+  it('resumes the session a token was issued for', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [session()] });
+
+    const token = WebChatService.issueToken(session());
+
+    await expect(WebChatService.resumeSession(token)).resolves.toMatchObject({ session_id: 'WS-1' });
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual(['WS-1']);
+  });
+
+  it('starts over for forged, expired or unknown sessions', async () => {
+    const forged = jwt.sign({ sid: 'WS-1' }, 'other-secret');
+    const expired = jwt.sign({ sid: 'WS-1' }, 'web-secret', { expiresIn: -10 });
+
+    await expect(WebChatService.resumeSession(forged)).resolves.toBeNull();
+    await expect(WebChatService.resumeSession(expired)).resolves.toBeNull();
+    await expect(WebChatService.resumeSession('not-a-token')).resolves.toBeNull();
+    expect(DatabaseService.query).not.toHaveBeenCalled();
+
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+    await expect(WebChatService.resumeSession(WebChatService.issueToken(session()))).resolves.toBeNull();
+  });
+
+  it('replays web replies after the last one the client saw', async () => {
+    DatabaseService.query.mockResolvedValue({ rows: [{ id: 12, ai_response: 'Here you go' }] });
+
+    await expect(WebChatService.getMissedMessages('CUST-1', 11)).resolves.toEqual([{ id: 12, ai_response: 'Here you go' }]);
+    expect(DatabaseService.query.mock.calls[0][1]).toEqual(['CUST-1', 11, 100]);
+  });
+});
+
+describe('WebChatService.identify', () => {
+  it('turns the guest into a customer when nobody has the contact', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+    jest.spyOn(WebChatService, 'getSession').mockResolvedValue(session());
+    DatabaseService.query.mockResolvedValue({ rows: [] });
+
+    await expect(WebChatService.identify('WS-1', { email: 'Ana@Example.com' }))
+      .resolves.toEqual({ status: 'linked', customer_id: 'CUST-WEB-1', created: true });
+    expect(client.query.mock.calls[0][1]).toEqual(['CUST-WEB-1', null, 'ana@example.com']);
+  });
+
+  it('sends a code to the existing customer before linking', async () => {
+    jest.spyOn(WebChatService, 'getSession').mockResolvedValue(session());
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ customer_id: 'CUST-1' }] }).mockResolvedValue({ rows: [] });
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: true, channel: 'whatsapp' });
+
+    await expect(WebChatService.identify('WS-1', { phone: '+1 555 0001' }))
+      .resolves.toEqual({ status: 'verification_required', channel: 'whatsapp' });
+
+    const [customerId, message] = NotificationService.notifyCustomer.mock.calls[0];
+    expect(customerId).toBe('CUST-1');
+    expect(message).toMatch(/code is \d{6}/);
+    expect(DatabaseService.query.mock.calls[1][1].slice(0, 2)).toEqual(['WS-1', 'CUST-1']);
+  });
+
+  it('fails when the code cannot be delivered', async () => {
+    jest.spyOn(WebChatService, 'getSession').mockResolvedValue(session());
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ customer_id: 'CUST-1' }] });
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: false });
+
+    const error = await WebChatService.identify('WS-1', { phone: '+15550001' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(422);
+    expect(DatabaseService.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects bad contacts and chats that are already linked', async () => {
+    await expect(WebChatService.identify('WS-1', {})).rejects.toBeInstanceOf(ValidationError);
+
+    jest.spyOn(WebChatService, 'getSession').mockResolvedValue(session({ identified_at: new Date() }));
+    await expect(WebChatService.identify('WS-1', { email: 'ana@example.com' })).rejects.toBeInstanceOf(ConflictError);
+  });
+});
+
+describe('WebChatService.verifyIdentity', () => {
+  let code;
+
+  // Runs identify against an existing customer to get a real code and its stored hash
+  const pendingSession = async (overrides = {}) => {
+    jest.spyOn(WebChatService, 'getSession').mockResolvedValue(session());
+    DatabaseService.query.mockResolvedValueOnce({ rows: [{ customer_id: 'CUST-1' }] }).mockResolvedValueOnce({ rows: [] });
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: true, channel: 'sms' });
+    await WebChatService.identify('WS-1', { phone: '+15550001' });
+
+    code = NotificationService.notifyCustomer.mock.calls[0][1].match(/\d{6}/)[0];
+    const codeHash = DatabaseService.query.mock.calls[1][1][2];
+
+    WebChatService.getSession.mockResolvedValue(session({
+      pending_customer_id: 'CUST-1',
+      verification_code_hash: codeHash,
+      verification_expires_at: new Date(Date.now() + 60000),
+      verification_attempts: 0,
+      ...overrides
+    }));
+    DatabaseService.query.mockReset().mockResolvedValue({ rows: [] });
+  };
+
+  it('links the session to the customer with the right code', async () => {
+    await pendingSession();
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    DatabaseService.transaction.mockImplementation(fn => fn(client));
+
+    await expect(WebChatService.verifyIdentity('WS-1', ` ${code} `))
+      .resolves.toEqual({ status: 'linked', customer_id: 'CUST-1', created: false });
+    expect(IdentityService.merge).toHaveBeenCalledWith(client, 'CUST-WEB-1', 'CUST-1', { reason: 'web_chat' });
+    expect(AIAgentService.forgetConversation).toHaveBeenCalledWith('CUST-WEB-1');
+    expect(AIAgentService.forgetConversation).toHaveBeenCalledWith('CUST-1');
+  });
+
+  it('counts wrong codes', async () => {
+    await pendingSession();
+
+    await expect(WebChatService.verifyIdentity('WS-1', code === '000000' ? '111111' : '000000'))
+      .rejects.toThrow('Invalid verification code');
+    expect(DatabaseService.query.mock.calls[0][0]).toContain('verification_attempts + 1');
+  });
+
+  it('refuses expired codes and too many attempts', async () => {
+    await pendingSession({ verification_expires_at: new Date(Date.now() - 1000) });
+    await expect(WebChatService.verifyIdentity('WS-1', code)).rejects.toThrow(/expired/);
+
+    jest.restoreAllMocks();
+    await pendingSession({ verification_attempts: 5 });
+    await expect(WebChatService.verifyIdentity('WS-1', code)).rejects.toThrow(/Too many incorrect codes/);
+  });
+});
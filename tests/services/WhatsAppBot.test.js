@@ -0,0 +1,105 @@
+jest.mock('../../src/services/ChannelMessageService', () => ({
+  recordInbound: jest.fn(),
+  recordOutbound: jest.fn(),
+  updateOutboundStatus: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const ChannelMessageService = require('../../src/services/ChannelMessageService');
+const WhatsAppBotService = require('../../src/services/WhatsAppBot');
+
+const sign = (body, secret = 'app-secret') => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const payload = (value) => ({ entry: [{ changes: [{ value }] }] });
+
+let bot;
+
+beforeEach(() => {
+  process.env.WHATSAPP_APP_SECRET = 'app-secret';
+  bot = new WhatsAppBotService();
+});
+
+afterEach(() => {
+  delete process.env.WHATSAPP_APP_SECRET;
+  jest.clearAllMocks();
+});
+
+describe('WhatsAppBotService.verifySignature', () => {
+  const body = Buffer.from('{"entry":[]}');
+
+  it('accepts a body signed with the app secret', () => {
+    expect(bot.verifySignature(body, sign(body))).toBe(true);
+  });
+
+  it('rejects a wrong, malformed or missing signature', () => {
+    expect(bot.verifySignature(body, sign(body, 'other-secret'))).toBe(false);
+    expect(bot.verifySignature(Buffer.from('{"entry":[{}]}'), sign(body))).toBe(false);
+    expect(bot.verifySignature(body, sign(body).replace('sha256=', ''))).toBe(false);
+    expect(bot.verifySignature(body, 'sha256=abc')).toBe(false);
+    expect(bot.verifySignature(body, undefined)).toBe(false);
+    expect(bot.verifySignature(undefined, sign(body))).toBe(false);
+  });
+
+  it('rejects everything when no app secret is configured', () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    const unconfigured = new WhatsAppBotService();
+
+    expect(unconfigured.verifySignature(body, sign(body, ''))).toBe(false);
+  });
+});
+
+describe('WhatsAppBotService.verifyWebhook', () => {
+  it('echoes the challenge only for the configured verify token', () => {
+    bot.webhookVerifyToken = 'verify-me';
+
+    expect(bot.verifyWebhook('subscribe', 'verify-me', '1234')).toBe('1234');
+    expect(bot.verifyWebhook('subscribe', 'wrong', '1234')).toBeNull();
+    expect(bot.verifyWebhook('unsubscribe', 'verify-me', '1234')).toBeNull();
+  });
+});
+
+describe('WhatsAppBotService.parseWebhookPayload', () => {
+  it('reads text, button replies and delivery statuses', () => {
+    const { messages, statuses } = bot.parseWebhookPayload(payload({
+      contacts: [{ wa_id: '15550001', profile: { name: 'Ana' } }],
+      messages: [
+        { id: 'wamid.1', from: '15550001', type: 'text', text: { body: 'hello' } },
+        { id: 'wamid.2', from: '15550001', type: 'interactive', interactive: { button_reply: { id: 'add_PRD-1', title: 'Add to cart' } } }
+      ],
+      statuses: [{ id: 'wamid.out', status: 'failed', recipient_id: '15550001', timestamp: '1700000000', errors: [{ code: 131026, title: 'Undeliverable' }] }]
+    }));
+
+    expect(messages).toEqual([
+      expect.objectContaining({ messageId: 'wamid.1', text: { body: 'hello' }, payload: null, name: 'Ana' }),
+      expect.objectContaining({ messageId: 'wamid.2', text: { body: 'Add to cart' }, payload: 'add_PRD-1' })
+    ]);
+    expect(statuses).toEqual([expect.objectContaining({
+      messageId: 'wamid.out', status: 'failed', errorCode: '131026', errorMessage: 'Undeliverable'
+    })]);
+  });
+});
+
+describe('WhatsAppBotService.processWebhook', () => {
+  beforeEach(() => {
+    jest.spyOn(bot, 'markAsRead').mockResolvedValue();
+    jest.spyOn(bot, 'handleIncomingMessage').mockResolvedValue();
+  });
+
+  it('handles each message once even when Meta redelivers it', async () => {
+    ChannelMessageService.recordInbound.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const body = payload({ messages: [{ id: 'wamid.1', from: '15550001', type: 'text', text: { body: 'hello' } }] });
+
+    await bot.processWebhook(body);
+    await bot.processWebhook(body);
+
+    expect(bot.handleIncomingMessage).toHaveBeenCalledTimes(1);
+    expect(bot.markAsRead).toHaveBeenCalledWith('wamid.1');
+  });
+
+  it('records delivery statuses', async () => {
+    await bot.processWebhook(payload({ statuses: [{ id: 'wamid.out', status: 'delivered', recipient_id: '15550001' }] }));
+
+    expect(ChannelMessageService.updateOutboundStatus).toHaveBeenCalledWith('whatsapp', 'wamid.out', 'delivered', expect.objectContaining({ recipient: '15550001' }));
+  });
+});
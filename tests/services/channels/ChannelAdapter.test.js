@@ -0,0 +1,128 @@
+jest.mock('../../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/services/AIAgentService', () => ({ processMessage: jest.fn() }));
+jest.mock('../../../src/services/RateLimitService', () => ({ consumeDailyMessage: jest.fn() }));
+jest.mock('../../../src/services/IdentityService', () => ({
+  resolveMerged: jest.fn(customer => customer),
+  requestVerification: jest.fn(),
+  confirmVerification: jest.fn()
+}));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DatabaseService = require('../../../src/services/DatabaseService');
+const AIAgentService = require('../../../src/services/AIAgentService');
+const RateLimitService = require('../../../src/services/RateLimitService');
+const IdentityService = require('../../../src/services/IdentityService');
+const ChannelAdapter = require('../../../src/services/channels/ChannelAdapter');
+const { ValidationError } = require('../../../src/utils/errors');
+
+// Minimal channel: messages are { from, body } and replies are plain strings
+class TestAdapter extends ChannelAdapter {
+  constructor() {
+    super('test');
+    this.sent = [];
+  }
+
+  normalizeInbound(raw) {
+    return { address: raw.from, senderId: raw.from, text: raw.body, payload: null, messageId: null, profile: {} };
+  }
+
+  async findCustomer() {
+    return null;
+  }
+
+  newCustomerFields({ senderId }) {
+    return { customer_id: `CUST-T-${senderId}`, first_name: 'Test' };
+  }
+
+  render(reply) {
+    return [reply.text, ...reply.buttons.map(button => button.title)];
+  }
+
+  async deliver(address, message) {
+    this.sent.push([address, message]);
+  }
+}
+
+let adapter;
+
+beforeEach(() => {
+  adapter = new TestAdapter();
+  DatabaseService.query.mockResolvedValue({ rows: [{ customer_id: 'CUST-T-1' }] });
+  RateLimitService.consumeDailyMessage.mockResolvedValue({ allowed: true });
+});
+
+afterEach(() => jest.clearAllMocks());
+
+describe('ChannelAdapter.handleInbound', () => {
+  it('creates the customer, runs the agent and sends the rendered reply', async () => {
+    AIAgentService.processMessage.mockResolvedValue({
+      response: 'We have it',
+      reply: { text: 'We have it', buttons: [{ id: 'add_PRD-1', title: 'Add to cart' }] }
+    });
+
+    await adapter.handleInbound({ from: '1', body: 'ibuprofen?' });
+
+    expect(DatabaseService.query.mock.calls[0][0]).toContain('INSERT INTO customers (customer_id, first_name, registration_date, status)');
+    expect(AIAgentService.processMessage).toHaveBeenCalledWith('CUST-T-1', 'ibuprofen?', 'test');
+    expect(adapter.sent).toEqual([['1', 'We have it'], ['1', 'Add to cart']]);
+  });
+
+  it('ignores empty messages', async () => {
+    await expect(adapter.handleInbound({ from: '1', body: '' })).resolves.toBeNull();
+    expect(AIAgentService.processMessage).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing while staff have taken over', async () => {
+    AIAgentService.processMessage.mockResolvedValue({ response: null, intent: 'handoff', reply: null });
+
+    await adapter.handleInbound({ from: '1', body: 'any news?' });
+
+    expect(adapter.sent).toEqual([]);
+  });
+
+  it('explains the daily limit once and then drops messages quietly', async () => {
+    RateLimitService.consumeDailyMessage
+      .mockResolvedValueOnce({ allowed: false, firstRejection: true })
+      .mockResolvedValueOnce({ allowed: false, firstRejection: false });
+
+    await expect(adapter.handleInbound({ from: '1', body: 'hi' })).resolves.toMatchObject({ rateLimited: true });
+    await adapter.handleInbound({ from: '1', body: 'hi again' });
+
+    expect(adapter.sent).toHaveLength(1);
+    expect(adapter.sent[0][1]).toMatch(/today's message limit/);
+    expect(AIAgentService.processMessage).not.toHaveBeenCalled();
+  });
+
+  it('answers /link and /verify without the agent', async () => {
+    IdentityService.requestVerification.mockResolvedValue({ status: 'verification_required', channel: 'sms' });
+
+    await adapter.handleInbound({ from: '1', body: '/link +15550001' });
+
+    expect(IdentityService.requestVerification).toHaveBeenCalledWith('CUST-T-1', { phone: '+15550001' });
+    expect(adapter.sent[0][1]).toMatch(/6-digit code .* by sms/);
+
+    IdentityService.confirmVerification.mockRejectedValue(new ValidationError('That code has expired'));
+    await adapter.handleInbound({ from: '1', body: '/verify 123456' });
+
+    expect(adapter.sent[1][1]).toBe('That code has expired');
+    expect(AIAgentService.processMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('ChannelAdapter.normalizeReply', () => {
+  it('fills in the missing parts of the reply model', () => {
+    expect(ChannelAdapter.normalizeReply('hello')).toEqual({ text: 'hello', buttons: [], list: null, media: [] });
+    expect(ChannelAdapter.normalizeReply({ list: { title: 'Options', items: [] } }).list).toBeNull();
+  });
+
+  it('truncates with an ellipsis', () => {
+    expect(ChannelAdapter.truncate('Ibuprofen 200mg', 10)).toBe('Ibuprofen…');
+    expect(ChannelAdapter.truncate('Short', 10)).toBe('Short');
+  });
+});
+
+describe('ChannelAdapter subclass contract', () => {
+  it('names the missing method', () => {
+    expect(() => new ChannelAdapter('fax').render({})).toThrow('fax adapter does not implement render');
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ChannelAdapter = require('../../../src/services/channels/ChannelAdapter');
+const SmsAdapter = require('../../../src/services/channels/SmsAdapter');
+
+const render = (reply) => new SmsAdapter({}).render(ChannelAdapter.normalizeReply(reply));
+
+describe('SmsAdapter.render', () => {
+  it('numbers list items and buttons and appends links', () => {
+    expect(render({
+      text: 'We have:',
+      list: { title: 'Products', items: [{ id: 'product_PRD-1', title: 'Ibuprofen', description: '$5.99' }] },
+      buttons: [{ id: 'view_cart', title: 'View cart' }, { id: 'map', title: 'Directions', url: 'https://maps.example' }]
+    })).toEqual([{
+      body: 'We have:\n\nReply with a number:\n1. Ibuprofen - $5.99\n2. View cart\n\nDirections: https://maps.example',
+      options: [{ id: 'product_PRD-1', title: 'Ibuprofen - $5.99' }, { id: 'view_cart', title: 'View cart' }]
+    }]);
+  });
+
+  it('strips Markdown and emoji so the reply stays GSM-7', () => {
+    expect(render('✅ Your order **ORD-1** is *ready*')).toEqual([{ body: 'Your order ORD-1 is ready', options: null }]);
+  });
+
+  it('splits long replies on paragraphs and keeps the options with the last part', () => {
+    const paragraph = 'word '.repeat(110).trim();
+    const parts = render({ text: [paragraph, paragraph].join('\n\n'), buttons: [{ id: 'more', title: 'More' }] });
+
+    expect(parts).toHaveLength(2);
+    expect(parts[0]).toEqual({ body: paragraph, options: null });
+    expect(parts[1].body.startsWith(paragraph)).toBe(true);
+    expect(parts[1].options).toEqual([{ id: 'more', title: 'More' }]);
+    parts.forEach(part => expect(part.body.length).toBeLessThanOrEqual(4 * 153));
+  });
+
+  it('counts UCS-2 segments for text outside GSM-7', () => {
+    const parts = render('Привет '.repeat(60).trim());
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(part.body.length).toBeLessThanOrEqual(4 * 67));
+  });
+});
+
+describe('SmsAdapter numbered options', () => {
+  let botService;
+  let adapter;
+
+  beforeEach(() => {
+    botService = { sendMessage: jest.fn().mockResolvedValue({ messageId: 'SMS-1' }) };
+    adapter = new SmsAdapter(botService);
+  });
+
+  it('reads a number reply as choosing the option it was sent with', async () => {
+    await adapter.send('+15550001', { text: 'Add it?', buttons: [{ id: 'add_PRD-1', title: 'Add to cart' }, { id: 'no', title: 'No thanks' }] });
+
+    expect(adapter.normalizeInbound({ from: '+15550001', text: ' 1 ' })).toMatchObject({ text: 'Add to cart', payload: 'add_PRD-1' });
+    // Options are used once
+    expect(adapter.normalizeInbound({ from: '+15550001', text: '2' })).toMatchObject({ text: '2', payload: null });
+  });
+
+  it('keeps options per phone number and ignores numbers out of range', async () => {
+    await adapter.send('+15550001', { text: 'Pick', buttons: [{ id: 'a', title: 'A' }] });
+
+    expect(adapter.normalizeInbound({ from: '+15550002', text: '1' }).payload).toBeNull();
+    expect(adapter.normalizeInbound({ from: '+15550001', text: '5' }).payload).toBeNull();
+    expect(adapter.normalizeInbound({ from: '+15550001', text: '1' }).payload).toBe('a');
+  });
+
+  it('forgets options once they expire', async () => {
+    await adapter.send('+15550001', { text: 'Pick', buttons: [{ id: 'a', title: 'A' }] });
+    adapter.pendingOptions.get('+15550001').expiresAt = Date.now() - 1;
+
+    expect(adapter.normalizeInbound({ from: '+15550001', text: '1' }).payload).toBeNull();
+    expect(adapter.pendingOptions.has('+15550001')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ChannelAdapter = require('../../../src/services/channels/ChannelAdapter');
+const TelegramAdapter = require('../../../src/services/channels/TelegramAdapter');
+
+const render = (reply) => new TelegramAdapter({}).render(ChannelAdapter.normalizeReply(reply));
+
+describe('TelegramAdapter.render', () => {
+  it('sends plain text as Markdown without a keyboard', () => {
+    expect(render('Hello')).toEqual([{
+      method: 'sendMessage',
+      content: 'Hello',
+      options: { parse_mode: 'Markdown', reply_markup: undefined }
+    }]);
+  });
+
+  it('puts list items above buttons, one keyboard row each', () => {
+    const [message] = render({
+      text: 'Pain relief:',
+      list: { title: 'Products', items: [{ id: 'product_PRD-1', title: 'Ibuprofen', description: '$5.99' }] },
+      buttons: [{ id: 'view_cart', title: 'View cart' }, { id: 'map', title: 'Directions', url: 'https://maps.example' }]
+    });
+
+    expect(message.options.reply_markup.inline_keyboard).toEqual([
+      [{ text: 'Ibuprofen - $5.99', callback_data: 'product_PRD-1' }],
+      [{ text: 'View cart', callback_data: 'view_cart' }],
+      [{ text: 'Directions', url: 'https://maps.example' }]
+    ]);
+  });
+
+  it('keeps callback data within the 64 byte limit', () => {
+    const [message] = render({ text: 'Pick', buttons: [{ id: 'x'.repeat(80), title: 'Long' }] });
+
+    expect(message.options.reply_markup.inline_keyboard[0][0].callback_data).toHaveLength(64);
+  });
+
+  it('sends media after the text', () => {
+    expect(render({
+      text: 'Your receipt',
+      media: [{ type: 'image', url: 'https://cdn.example/p.png' }, { type: 'document', url: 'https://cdn.example/r.pdf', caption: 'Receipt' }]
+    }).slice(1)).toEqual([
+      { method: 'sendPhoto', content: 'https://cdn.example/p.png', options: {} },
+      { method: 'sendDocument', content: 'https://cdn.example/r.pdf', options: { caption: 'Receipt' } }
+    ]);
+  });
+});
+
+describe('TelegramAdapter.normalizeInbound', () => {
+  it('replies to the chat and identifies the sender by user id', () => {
+    expect(new TelegramAdapter({}).normalizeInbound({
+      chat: { id: 100 }, from: { id: 42, first_name: 'Ana' }, text: 'hi', message_id: 9
+    })).toMatchObject({ address: 100, senderId: '42', text: 'hi', messageId: '9' });
+  });
+});
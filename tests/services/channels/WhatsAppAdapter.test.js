@@ -0,0 +1,56 @@
+jest.mock('../../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ChannelAdapter = require('../../../src/services/channels/ChannelAdapter');
+const WhatsAppAdapter = require('../../../src/services/channels/WhatsAppAdapter');
+
+const render = (reply) => new WhatsAppAdapter({}).render(ChannelAdapter.normalizeReply(reply));
+
+describe('WhatsAppAdapter.render', () => {
+  it('uses reply buttons for up to three short choices', () => {
+    const [message] = render({ text: 'Add it?', buttons: [{ id: 'yes', title: 'Yes' }, { id: 'no', title: 'No' }] });
+
+    expect(message.type).toBe('interactive');
+    expect(message.content).toEqual({
+      type: 'button',
+      body: { text: 'Add it?' },
+      action: { buttons: [{ type: 'reply', reply: { id: 'yes', title: 'Yes' } }, { type: 'reply', reply: { id: 'no', title: 'No' } }] }
+    });
+    expect(message.fallback).toBe('Add it?\n• Yes\n• No');
+  });
+
+  it('switches to a list for more choices and truncates row titles', () => {
+    const buttons = ['One', 'Two', 'Three', 'A choice with a rather long title'].map((title, index) => ({ id: index, title }));
+    const [message] = render({ text: 'Choose', buttons });
+
+    expect(message.content.type).toBe('list');
+    const { rows } = message.content.action.sections[0];
+    expect(rows).toHaveLength(4);
+    expect(rows[3]).toEqual({ id: '3', title: 'A choice with a rather …' });
+  });
+
+  it('appends link buttons to the text', () => {
+    expect(render({ text: 'Find us', buttons: [{ id: 'map', title: 'Directions', url: 'https://maps.example' }] }))
+      .toEqual([{ type: 'text', content: 'Find us\n\nDirections: https://maps.example' }]);
+  });
+
+  it('sends long text on its own before the interactive message', () => {
+    const text = 'x'.repeat(1100);
+    const messages = render({ text, buttons: [{ id: 'ok', title: 'OK' }] });
+
+    expect(messages[0]).toEqual({ type: 'text', content: text });
+    expect(messages[1].content.body.text).toBe('Please choose an option:');
+  });
+});
+
+describe('WhatsAppAdapter.deliver', () => {
+  it('falls back to plain text when the interactive message is rejected', async () => {
+    const botService = { sendMessage: jest.fn().mockRejectedValueOnce(new Error('131009')).mockResolvedValueOnce({}) };
+    const adapter = new WhatsAppAdapter(botService);
+    const [message] = adapter.render(ChannelAdapter.normalizeReply({ text: 'Add it?', buttons: [{ id: 'yes', title: 'Yes' }] }));
+
+    await adapter.deliver('15550001', message);
+
+    expect(botService.sendMessage).toHaveBeenLastCalledWith('15550001', 'Add it?\n• Yes');
+  });
+});
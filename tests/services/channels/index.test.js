@@ -0,0 +1,34 @@
+jest.mock('../../../src/services/DatabaseService', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const {
+  createChannelAdapter,
+  TelegramAdapter,
+  WhatsAppAdapter,
+  WebAdapter,
+  SmsAdapter
+} = require('../../../src/services/channels');
+
+describe('createChannelAdapter', () => {
+  it.each([
+    ['telegram', TelegramAdapter],
+    ['whatsapp', WhatsAppAdapter],
+    ['web', WebAdapter],
+    ['sms', SmsAdapter]
+  ])('creates the %s adapter', (channel, Adapter) => {
+    const adapter = createChannelAdapter(channel, {});
+
+    expect(adapter).toBeInstanceOf(Adapter);
+    expect(adapter.channel).toBe(channel);
+  });
+
+  it('passes its arguments to the adapter', () => {
+    const botService = { sendMessage: jest.fn() };
+
+    expect(createChannelAdapter('sms', botService).botService).toBe(botService);
+  });
+
+  it('rejects unknown channels', () => {
+    expect(() => createChannelAdapter('fax')).toThrow('Unknown channel "fax". Expected one of: telegram, whatsapp, web, sms');
+  });
+});
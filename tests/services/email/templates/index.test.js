@@ -0,0 +1,69 @@
+const { renderTemplate, resolveLanguage, TEMPLATES } = require('../../../../src/services/email/templates');
+
+const order = {
+  order_id: 'ORD-1',
+  created_at: '2026-03-02T10:00:00Z',
+  status: 'confirmed',
+  subtotal: '20.00',
+  discount_total: '2.00',
+  total: '18.00',
+  payment_method: 'card',
+  promotion_id: 'PROMO-1',
+  loyalty_points_earned: 18
+};
+const items = [{ product_name: 'Ibuprofen <200mg>', quantity: 2, unit_price: '10.00', discount_applied: '2.00', total_price: '18.00' }];
+
+const sampleData = {
+  notification: { message: 'Your refill is on its way' },
+  order_confirmation: { order, items },
+  receipt: { order, items },
+  refill_ready: { refill: { drug_name: 'Lisinopril', request_id: 'REF-1' } },
+  promotion_digest: { promotions: [{ name: 'Spring sale', description: '10% off vitamins', end_date: '2026-04-30' }] }
+};
+
+describe('resolveLanguage', () => {
+  it('understands language names and codes and falls back to English', () => {
+    expect(resolveLanguage('Spanish')).toBe('es');
+    expect(resolveLanguage('Español')).toBe('es');
+    expect(resolveLanguage('es-MX')).toBe('es');
+    expect(resolveLanguage('English')).toBe('en');
+    expect(resolveLanguage('Klingon')).toBe('en');
+    expect(resolveLanguage(null)).toBe('en');
+  });
+});
+
+describe('renderTemplate', () => {
+  it.each(TEMPLATES.flatMap(name => [[name, 'English'], [name, 'Spanish']]))('renders %s in %s', (name, language) => {
+    const rendered = renderTemplate(name, { ...sampleData[name], customer: { first_name: 'Ana', preferred_language: language } });
+
+    expect(rendered.subject).toBeTruthy();
+    expect(rendered.text).toMatch(/Ana/);
+    expect(rendered.html).toMatch(/^<!DOCTYPE html>/);
+  });
+
+  it('renders the receipt totals in both text and HTML', () => {
+    const rendered = renderTemplate('receipt', { ...sampleData.receipt, customer: { first_name: 'Ana' } });
+
+    expect(rendered.subject).toBe('Your receipt for order ORD-1');
+    expect(rendered.text).toContain('Ibuprofen <200mg> | 2 | $10.00 | -$2.00 | $18.00');
+    expect(rendered.text).toContain('Total paid: $18.00');
+    expect(rendered.html).toContain('Ibuprofen &lt;200mg&gt;');
+  });
+
+  it('adds the unsubscribe note to marketing email only', () => {
+    const digest = renderTemplate('promotion_digest', { ...sampleData.promotion_digest, customer: {} });
+    const notification = renderTemplate('notification', { ...sampleData.notification, customer: {} });
+
+    expect(digest.text).toMatch(/to unsubscribe\.$/);
+    expect(notification.text).not.toMatch(/unsubscribe/);
+  });
+
+  it('greets customers without a name', () => {
+    expect(renderTemplate('notification', { message: 'Hi', customer: { preferred_language: 'es' } }).text).toMatch(/^Hola,/);
+    expect(renderTemplate('notification', { message: 'Hi', customer: {} }).text).toMatch(/^Hi there,/);
+  });
+
+  it('rejects unknown templates', () => {
+    expect(() => renderTemplate('newsletter', { customer: {} })).toThrow('Unknown email template "newsletter"');
+  });
+});
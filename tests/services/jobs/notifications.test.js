@@ -0,0 +1,27 @@
+jest.mock('../../../src/services/NotificationService', () => ({ notifyCustomer: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const NotificationService = require('../../../src/services/NotificationService');
+const { notify } = require('../../../src/services/jobs/notifications');
+
+const job = { customerId: 'CUST-1', message: 'Your order is ready' };
+
+describe('notifications job', () => {
+  it('completes when the notification was delivered', async () => {
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: true, channel: 'sms' });
+
+    await expect(notify(job)).resolves.toEqual({ delivered: true, channel: 'sms' });
+  });
+
+  it.each(['No reachable channel', 'Customer not found'])('completes without retrying when "%s"', async (reason) => {
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: false, reason });
+
+    await expect(notify(job)).resolves.toEqual({ delivered: false, reason });
+  });
+
+  it('throws on transport errors so the job is retried', async () => {
+    NotificationService.notifyCustomer.mockResolvedValue({ delivered: false, reason: 'Delivery failed (sms: timeout)', transient: true });
+
+    await expect(notify(job)).rejects.toThrow('Notification not delivered: Delivery failed (sms: timeout)');
+  });
+});
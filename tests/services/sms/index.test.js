@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { createSmsProvider, StubSmsProvider, TwilioSmsProvider } = require('../../../src/services/sms');
+
+const fakeRequest = (body, headers = {}) => ({ body, get: name => headers[name] });
+
+describe('TwilioSmsProvider', () => {
+  const provider = new TwilioSmsProvider({
+    accountSid: 'AC1', authToken: 'auth-token', from: '+15550000', webhookUrl: 'https://pharmacy.example/webhook/sms'
+  });
+  const body = { From: '+15550001', Body: 'hello', MessageSid: 'SM1' };
+  // URL, then each parameter name and value sorted by name
+  const signature = crypto.createHmac('sha1', 'auth-token')
+    .update('https://pharmacy.example/webhook/smsBodyhelloFrom+15550001MessageSidSM1')
+    .digest('base64');
+
+  it('accepts requests signed by Twilio', () => {
+    expect(provider.verifyRequest(fakeRequest(body, { 'X-Twilio-Signature': signature }))).toBe(true);
+  });
+
+  it('rejects tampered or unsigned requests', () => {
+    expect(provider.verifyRequest(fakeRequest({ ...body, Body: 'STOP' }, { 'X-Twilio-Signature': signature }))).toBe(false);
+    expect(provider.verifyRequest(fakeRequest(body))).toBe(false);
+  });
+
+  it('parses messages and maps delivery statuses', () => {
+    expect(provider.parseWebhook(body).messages).toEqual([{ from: '+15550001', text: 'hello', messageId: 'SM1' }]);
+    expect(provider.parseWebhook({ MessageSid: 'SM2', MessageStatus: 'undelivered', ErrorCode: '30003' }).statuses)
+      .toEqual([expect.objectContaining({ messageId: 'SM2', status: 'failed', errorCode: '30003' })]);
+  });
+});
+
+describe('StubSmsProvider', () => {
+  it('checks the shared secret when one is configured', () => {
+    const provider = new StubSmsProvider({ webhookSecret: 'sms-secret' });
+
+    expect(provider.verifyRequest(fakeRequest({}, { 'X-SMS-Webhook-Secret': 'sms-secret' }))).toBe(true);
+    expect(provider.verifyRequest(fakeRequest({}, { 'X-SMS-Webhook-Secret': 'nope' }))).toBe(false);
+  });
+
+  it('keeps sent messages in its outbox', async () => {
+    const provider = new StubSmsProvider();
+
+    await provider.send('+15550001', 'hello');
+
+    expect(provider.getOutbox('+15550001')).toEqual([expect.objectContaining({ to: '+15550001', body: 'hello' })]);
+  });
+});
+
+describe('createSmsProvider', () => {
+  it('rejects unknown providers', () => {
+    expect(() => createSmsProvider('carrier-pigeon')).toThrow('Unknown SMS_PROVIDER "carrier-pigeon". Expected one of: stub, twilio');
+  });
+});
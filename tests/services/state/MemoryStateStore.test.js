@@ -0,0 +1,67 @@
+const MemoryStateStore = require('../../../src/services/state/MemoryStateStore');
+
+describe('MemoryStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStateStore();
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it('creates a key only when the expected version is 0', async () => {
+    expect(await store.compareAndSet('k', { a: 1 }, 1)).toBe(false);
+    expect(await store.get('k')).toBeNull();
+
+    expect(await store.compareAndSet('k', { a: 1 }, 0)).toBe(true);
+    expect(await store.get('k')).toEqual({ value: { a: 1 }, version: 1 });
+  });
+
+  it('rejects writes based on a stale version', async () => {
+    await store.compareAndSet('k', 'first', 0);
+    const read = await store.get('k');
+
+    expect(await store.compareAndSet('k', 'second', read.version)).toBe(true);
+    expect(await store.compareAndSet('k', 'lost update', read.version)).toBe(false);
+    expect(await store.compareAndSet('k', 'new key', 0)).toBe(false);
+    expect(await store.get('k')).toEqual({ value: 'second', version: 2 });
+  });
+
+  it('returns copies, not the stored object', async () => {
+    const value = { items: [1] };
+    await store.compareAndSet('k', value, 0);
+    value.items.push(2);
+
+    const read = await store.get('k');
+    read.value.items.push(3);
+
+    expect((await store.get('k')).value).toEqual({ items: [1] });
+  });
+
+  it('forgets expired keys, starting again at version 0', async () => {
+    jest.useFakeTimers();
+    await store.compareAndSet('k', 'v', 0, 1000);
+
+    jest.advanceTimersByTime(1001);
+
+    expect(await store.get('k')).toBeNull();
+    expect(await store.compareAndSet('k', 'again', 1)).toBe(false);
+    expect(await store.compareAndSet('k', 'again', 0)).toBe(true);
+  });
+
+  it('holds a lock for one token until it is released or expires', async () => {
+    jest.useFakeTimers();
+
+    expect(await store.acquireLock('lock', 'a', 1000)).toBe(true);
+    expect(await store.acquireLock('lock', 'b', 1000)).toBe(false);
+
+    await store.releaseLock('lock', 'b');
+    expect(await store.acquireLock('lock', 'b', 1000)).toBe(false);
+
+    await store.releaseLock('lock', 'a');
+    expect(await store.acquireLock('lock', 'b', 1000)).toBe(true);
+
+    jest.advanceTimersByTime(1001);
+    expect(await store.acquireLock('lock', 'c', 1000)).toBe(true);
+  });
+});